@@ -15,7 +15,15 @@ require("dotenv").config();
  * @property {Object} redis - Redis configuration
  * @property {Object} rabbitmq - RabbitMQ configuration
  * @property {Object} jwt - JWT authentication settings
+ * @property {Object} unsubscribe - Unsubscribe link settings
+ * @property {Object} suppression - Automatic suppression of bouncing addresses
+ * @property {Object} tracking - Open and click tracking settings
+ * @property {Object} analytics - Campaign analytics settings
+ * @property {Object} engagement - Subscriber engagement scoring
+ * @property {Object} sunset - Sunset policy for disengaged subscribers
+ * @property {Object} mailingLists - Mailing list settings
  * @property {Object} aws - AWS service configuration
+ * @property {Object} throttle - Campaign send rate limits shared by all workers
  */
 
 /**
@@ -47,6 +55,9 @@ module.exports = {
     email: "email_queue",
     campaign: "campaign_queue",
     campaignStatus: "campaign_status_queue",
+    campaignEmail: "campaign_email_queue",
+    workflow: "workflow_queue",
+    mailingList: "mailing_list_queue",
   },
   jwt: {
     secret: process.env.JWT_SECRET,
@@ -55,11 +66,84 @@ module.exports = {
       process.env.NODE_ENV === "production" ? parseInt(process.env.JWT_REFRESH_EXPIRATION_DAYS || "7", 10) : parseInt("100m", 10),
     refreshCookieName: process.env.JWT_REFRESH_COOKIE_NAME || "jid",
   },
+  unsubscribe: {
+    // Secret unsubscribe links are signed with; falls back to the JWT secret
+    secret: process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET,
+  },
+  tracking: {
+    // Public base URL of the tracking endpoints (including the API prefix); defaults to API_URL
+    baseUrl: process.env.TRACKING_BASE_URL || process.env.API_URL,
+    // Secret click tracking links are signed with; falls back to the JWT secret
+    secret: process.env.TRACKING_SECRET || process.env.JWT_SECRET,
+    // Shared secret delivery webhooks send in the X-Webhook-Secret header; POST /track/delivery is disabled without it
+    deliveryWebhookSecret: process.env.DELIVERY_WEBHOOK_SECRET,
+    // Keep redirecting unsigned /track/click?url=... links of emails sent before links were signed
+    allowLegacyClickUrls: process.env.TRACKING_LEGACY_CLICK_URLS === "true",
+    // Proxy and scanner networks whose opens and clicks are machine events; Apple MPP prefetches from 17.0.0.0/8
+    machineIpRanges: (process.env.TRACKING_MACHINE_IP_RANGES || "17.0.0.0/8")
+      .split(",")
+      .map((range) => range.trim())
+      .filter(Boolean),
+    // Clicks sooner than this after the email was sent are link scanners, not people
+    minClickDelaySeconds: parseInt(process.env.TRACKING_MIN_CLICK_DELAY_SECONDS || "10", 10),
+  },
+  analytics: {
+    // Seconds campaign analytics are cached in Redis; 0 disables the cache
+    cacheTtlSeconds: parseInt(process.env.ANALYTICS_CACHE_TTL_SECONDS || "300", 10),
+  },
+  engagement: {
+    // Days after which an open or click counts half as much towards the engagement score
+    halfLifeDays: parseInt(process.env.ENGAGEMENT_HALF_LIFE_DAYS || "30", 10),
+    // Days of opens and clicks the engagement score looks back on
+    lookbackDays: parseInt(process.env.ENGAGEMENT_LOOKBACK_DAYS || "365", 10),
+  },
+  sunset: {
+    // Run the sunset policy from the worker; the dry-run report is always available
+    enabled: process.env.SUNSET_ENABLED === "true",
+    // Subscribers without a human open or click in this many days...
+    inactiveDays: parseInt(process.env.SUNSET_INACTIVE_DAYS || "180", 10),
+    // ...across at least this many sends in that time are sent a re-engagement email
+    minSends: parseInt(process.env.SUNSET_MIN_SENDS || "10", 10),
+    // Days subscribers have to respond to the re-engagement email
+    graceDays: parseInt(process.env.SUNSET_GRACE_DAYS || "14", 10),
+    // Tag that starts the re-engagement workflow (a workflow triggered by this tag sends the email)
+    reengagementTag: process.env.SUNSET_REENGAGEMENT_TAG || "re-engagement",
+    // What happens to subscribers who do not respond: "tag" them as dormant or "suppress" them
+    action: process.env.SUNSET_ACTION === "suppress" ? "suppress" : "tag",
+    dormantTag: process.env.SUNSET_DORMANT_TAG || "dormant",
+  },
+  mailingLists: {
+    // Seconds the recipient counts of dynamic lists are cached in Redis; 0 disables the cache
+    countCacheTtlSeconds: parseInt(process.env.MAILING_LIST_COUNT_CACHE_TTL_SECONDS || "60", 10),
+  },
+  suppression: {
+    // Soft bounces in a row before an address is suppressed
+    softBounceThreshold: parseInt(process.env.SOFT_BOUNCE_THRESHOLD || "3", 10),
+    // Days a soft bounce suppression lasts; 0 keeps it until removed
+    softBounceSuppressionDays: parseInt(process.env.SOFT_BOUNCE_SUPPRESSION_DAYS || "30", 10),
+  },
+  throttle: {
+    // Sends per second across all workers (SES default quota is 14); 0 disables the limit
+    globalPerSecond: parseInt(process.env.SEND_RATE_PER_SECOND || "14", 10),
+    // Sends per second to any single recipient domain without an explicit limit; 0 disables the limit
+    defaultDomainPerSecond: parseInt(process.env.SEND_RATE_PER_DOMAIN_PER_SECOND || "0", 10),
+    // Per-domain overrides, e.g. "gmail.com:10,yahoo.com:5"
+    domainLimits: (process.env.SEND_RATE_DOMAIN_LIMITS || "")
+      .split(",")
+      .map((entry) => entry.trim().split(":"))
+      .filter(([domain, limit]) => domain && limit)
+      .reduce((limits, [domain, limit]) => ({ ...limits, [domain.toLowerCase()]: parseInt(limit, 10) }), {}),
+  },
   aws: {
     region: process.env.AWS_REGION,
     accessKeyId: process.env.AWS_ACCESS_KEY_ID, // Leave undefined if using IAM roles
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY, // Leave undefined if using IAM roles
     sesFromEmail: process.env.AWS_SES_FROM_EMAIL,
+    // SNS topics allowed to post SES notifications, e.g. "arn:aws:sns:eu-west-1:123456789012:ses-events"; empty allows any
+    sesNotificationTopicArns: (process.env.AWS_SES_NOTIFICATION_TOPIC_ARNS || "")
+      .split(",")
+      .map((arn) => arn.trim())
+      .filter(Boolean),
     s3BucketName: process.env.AWS_S3_BUCKET_NAME,
   },
 };
@@ -18,6 +18,12 @@ let connection = null;
  */
 let channel = null;
 
+/**
+ * Stored RabbitMQ confirm channel instance, used for bulk publishing
+ * @type {amqp.ConfirmChannel|null}
+ */
+let confirmChannel = null;
+
 /**
  * Flag to prevent multiple simultaneous connection attempts
  * @type {boolean}
@@ -63,6 +69,7 @@ const connectRabbitMQ = async () => {
       logger.error("RabbitMQ connection error:", err.message);
       connection = null; // Reset connection state
       channel = null;
+      confirmChannel = null;
       if (!isConnecting) {
         // Avoid scheduling retry if already trying to connect
         logger.info("Scheduling RabbitMQ reconnection attempt in 5s...");
@@ -78,6 +85,7 @@ const connectRabbitMQ = async () => {
       }
       connection = null;
       channel = null;
+      confirmChannel = null;
       if (!isConnecting && !err) {
         // Don't retry immediately if closed due to error (handled by 'error' event)
         logger.info("Scheduling RabbitMQ reconnection attempt in 5s...");
@@ -123,6 +131,25 @@ const getChannel = async () => {
   return channel;
 };
 
+/**
+ * Gets a RabbitMQ confirm channel, on which the broker acknowledges every published message
+ * @async
+ * @function getConfirmChannel
+ * @returns {Promise<amqp.ConfirmChannel>} A confirm channel sharing the current connection
+ * @throws {Error} If unable to establish a connection or create the channel
+ */
+const getConfirmChannel = async () => {
+  if (!confirmChannel || !connection || !connection.connection?.stream?.writable) {
+    await getChannel(); // Ensures the connection is up
+    confirmChannel = await connection.createConfirmChannel();
+    confirmChannel.on("close", () => {
+      confirmChannel = null;
+    });
+    logger.info("RabbitMQ confirm channel created");
+  }
+  return confirmChannel;
+};
+
 /**
  * Closes the RabbitMQ connection and channel gracefully
  * @async
@@ -133,6 +160,11 @@ const closeConnection = async () => {
   clearTimeout(connectRetryTimeout); // Clear any pending reconnection attempts
 
   try {
+    if (confirmChannel) {
+      await confirmChannel.close();
+      confirmChannel = null;
+    }
+
     if (channel) {
       logger.info("Closing RabbitMQ channel...");
       await channel.close();
@@ -150,6 +182,7 @@ const closeConnection = async () => {
     logger.error("Error while closing RabbitMQ connection:", error.message);
     // Reset state even if close fails
     channel = null;
+    confirmChannel = null;
     connection = null;
   }
 };
@@ -157,4 +190,4 @@ const closeConnection = async () => {
 // Optional: Initiate connection attempt on load for faster availability, but don't block startup
 // connectRabbitMQ().catch(err => logger.error("Initial background RabbitMQ connection failed:", err.message));
 
-module.exports = { connectRabbitMQ, getChannel, disconnect: closeConnection };
+module.exports = { connectRabbitMQ, getChannel, getConfirmChannel, disconnect: closeConnection };
@@ -0,0 +1,136 @@
+/**
+ * @module controllers/analytics
+ * @description Controller for campaign analytics and their CSV exports
+ */
+const analyticsService = require("../services/analytics.service");
+const logger = require("../services/logger.service");
+const { getCampaignAnalyticsSchema, compareCampaignsSchema } = require("../dtos/analytics.dto");
+const { BadRequestError } = require("../utils/errors");
+
+/**
+ * Parse the query string of a request
+ * @function parseQuery
+ * @param {Object} schema - DTO with a query schema
+ * @param {Object} query - req.query
+ * @returns {Object} Parsed query
+ * @throws {BadRequestError} If the query is invalid
+ */
+function parseQuery(schema, query) {
+  const result = schema.query.safeParse(query);
+  if (!result.success) {
+    throw new BadRequestError(result.error.errors[0].message);
+  }
+  return result.data;
+}
+
+/**
+ * Send CSV data as a file download
+ * @function sendCsv
+ * @param {Object} res - Express response object
+ * @param {string} filename - File name without extension
+ * @param {string} csvData - CSV data
+ */
+function sendCsv(res, filename, csvData) {
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader("Content-Disposition", `attachment; filename=${filename}-${Date.now()}.csv`);
+  res.status(200).send(csvData);
+}
+
+/**
+ * Get the analytics of a campaign
+ * @async
+ * @function getCampaignAnalytics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getCampaignAnalytics = async (req, res, next) => {
+  try {
+    const { interval, from, to, includeMachine } = parseQuery(getCampaignAnalyticsSchema, req.query);
+
+    const analytics = await analyticsService.getCampaignAnalytics(parseInt(req.params.id, 10), { interval, from, to, includeMachine });
+
+    res.json({
+      success: true,
+      data: analytics,
+    });
+  } catch (error) {
+    logger.error("Failed to get campaign analytics", {
+      userId: req.user?.id,
+      campaignId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Export a report of the analytics of a campaign as CSV
+ * @async
+ * @function exportCampaignAnalytics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.exportCampaignAnalytics = async (req, res, next) => {
+  try {
+    const { report, interval, from, to, includeMachine } = parseQuery(getCampaignAnalyticsSchema, req.query);
+    const campaignId = parseInt(req.params.id, 10);
+
+    const csvData = await analyticsService.exportCampaignAnalytics(campaignId, report, { interval, from, to, includeMachine });
+
+    sendCsv(res, `campaign-${req.params.id}-${report}`, csvData);
+  } catch (error) {
+    logger.error("Failed to export campaign analytics", {
+      userId: req.user?.id,
+      campaignId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Compare the totals and rates of several campaigns
+ * @async
+ * @function compareCampaigns
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.compareCampaigns = async (req, res, next) => {
+  try {
+    const { ids, from, to, includeMachine } = parseQuery(compareCampaignsSchema, req.query);
+
+    const comparison = await analyticsService.compareCampaigns(ids, { from, to, includeMachine });
+
+    res.json({
+      success: true,
+      data: comparison,
+    });
+  } catch (error) {
+    logger.error("Failed to compare campaigns", { userId: req.user?.id, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Export the comparison of several campaigns as CSV
+ * @async
+ * @function exportCampaignComparison
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.exportCampaignComparison = async (req, res, next) => {
+  try {
+    const { ids, from, to, includeMachine } = parseQuery(compareCampaignsSchema, req.query);
+
+    const csvData = await analyticsService.exportCampaignComparison(ids, { from, to, includeMachine });
+
+    sendCsv(res, "campaign-comparison", csvData);
+  } catch (error) {
+    logger.error("Failed to export campaign comparison", { userId: req.user?.id, error: error.message });
+    next(error);
+  }
+};
@@ -4,6 +4,10 @@
  */
 const campaignService = require("../services/campaign.service");
 const campaignSenderService = require("../services/campaign-sender.service");
+const sendThrottleService = require("../services/send-throttle.service");
+const campaignRecipientService = require("../services/campaign-recipient.service");
+const campaignRecurrenceService = require("../services/campaign-recurrence.service");
+const campaignSendWaveService = require("../services/campaign-send-wave.service");
 const { BadRequest, NotFound } = require("../utils/errors");
 const logger = require("../services/logger.service");
 const db = require("../config/db");
@@ -20,7 +24,26 @@ exports.createCampaign = async (req, res, next) => {
   try {
     logger.info("Creating new campaign", { userId: req.user.id, campaignName: req.body.name });
 
-    const { name, description, templateId, fromEmail, replyTo, subject, templateVariables, mailingListIds, scheduledAt } = req.body;
+    const {
+      name,
+      description,
+      templateId,
+      fromEmail,
+      replyTo,
+      subject,
+      templateVariables,
+      mailingListIds,
+      exclusionListIds,
+      scheduledAt,
+      abTest,
+      variants,
+      recurrence,
+      sendTimeOptimization,
+      localDelivery,
+      seedListId,
+      topicId,
+      utmParams,
+    } = req.body;
 
     const userId = req.user.id;
 
@@ -52,7 +75,16 @@ exports.createCampaign = async (req, res, next) => {
         subject,
         templateVariables,
         mailingListIds,
+        exclusionListIds,
         scheduledAt,
+        abTest,
+        variants,
+        recurrence,
+        sendTimeOptimization,
+        localDelivery,
+        seedListId,
+        topicId,
+        utmParams,
       },
       userId
     );
@@ -162,6 +194,11 @@ exports.getCampaignById = async (req, res, next) => {
 
     const campaign = await campaignService.getCampaignById(id);
 
+    // Local time campaigns show which timezone waves are done and which are still pending
+    if (campaign.localDelivery) {
+      campaign.sendWaves = await campaignSendWaveService.getWaveSummary(id);
+    }
+
     logger.debug("Campaign fetched successfully", { userId, campaignId: id });
 
     res.json({
@@ -316,6 +353,39 @@ exports.sendCampaign = async (req, res, next) => {
   }
 };
 
+/**
+ * Send a test of a campaign to a few addresses, optionally rendered as a chosen subscriber
+ * @async
+ * @function sendTestCampaign
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.sendTestCampaign = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { emails, subscriberId } = req.body;
+    const userId = req.user.id;
+
+    logger.info("Sending campaign test", { userId, campaignId: id, testAddresses: emails.length, subscriberId });
+
+    const result = await campaignSenderService.queueTestSend(id, { emails, subscriberId }, userId);
+
+    res.status(202).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Failed to send campaign test", {
+      userId: req.user?.id,
+      campaignId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
 /**
  * Publish a campaign immediately
  * @async
@@ -384,7 +454,13 @@ exports.getCampaignStats = async (req, res, next) => {
          COUNT(DISTINCT ea.id) FILTER (WHERE ea.event_type = 'delivered') AS delivered_count,
          COUNT(DISTINCT ea.id) FILTER (WHERE ea.event_type = 'opened') AS opened_count,
          COUNT(DISTINCT ea.id) FILTER (WHERE ea.event_type = 'clicked') AS clicked_count,
-         COUNT(DISTINCT ea.id) FILTER (WHERE ea.event_type = 'failed') AS failed_count
+         COUNT(DISTINCT ea.id) FILTER (WHERE ea.event_type = 'failed') AS failed_count,
+         COUNT(DISTINCT ea.id) FILTER (
+           WHERE ea.event_type = 'opened' AND (ea.additional_data->>'classification') IS DISTINCT FROM 'machine'
+         ) AS human_opened_count,
+         COUNT(DISTINCT ea.id) FILTER (
+           WHERE ea.event_type = 'clicked' AND (ea.additional_data->>'classification') IS DISTINCT FROM 'machine'
+         ) AS human_clicked_count
        FROM email_campaigns c
        LEFT JOIN email_analytics ea ON c.id = ea.campaign_id
        WHERE c.id = $1 AND c.is_deleted = FALSE
@@ -398,14 +474,39 @@ exports.getCampaignStats = async (req, res, next) => {
 
     const stats = rows[0];
 
-    // Add open rate and click rate
+    // Add open rate and click rate, raw and without machine events (bots, link scanners, Apple MPP)
     const totalSent = parseInt(stats.sent_count || 0);
     if (totalSent > 0) {
       stats.open_rate = ((parseInt(stats.opened_count || 0) / totalSent) * 100).toFixed(2);
       stats.click_rate = ((parseInt(stats.clicked_count || 0) / totalSent) * 100).toFixed(2);
+      stats.human_open_rate = ((parseInt(stats.human_opened_count || 0) / totalSent) * 100).toFixed(2);
+      stats.human_click_rate = ((parseInt(stats.human_clicked_count || 0) / totalSent) * 100).toFixed(2);
     } else {
       stats.open_rate = "0.00";
       stats.click_rate = "0.00";
+      stats.human_open_rate = "0.00";
+      stats.human_click_rate = "0.00";
+    }
+
+    // Delivery status of every recipient in the send ledger
+    stats.recipients = await campaignRecipientService.getLedgerSummary(id);
+
+    // Recipients parked while the campaign is paused
+    stats.pending_count = await campaignSenderService.getPendingRecipientCount(id);
+
+    // Jobs currently delayed by the send rate limits
+    stats.held_back_count = await sendThrottleService.getDeferredCount(id);
+
+    // Break results down per variant for split tested campaigns
+    const abTest = await campaignService.getCampaignAbTest(id);
+    if (abTest) {
+      stats.ab_test = {
+        status: abTest.status,
+        winner_metric: abTest.winnerMetric,
+        winner_variant_id: abTest.winnerVariantId,
+        decided_at: abTest.decidedAt,
+        variants: await campaignService.getVariantStats(id),
+      };
     }
 
     logger.info("Campaign statistics retrieved successfully", {
@@ -455,7 +556,7 @@ exports.cancelCampaign = async (req, res, next) => {
     }
 
     const status = rows[0].status;
-    if (status !== "scheduled" && status !== "draft") {
+    if (status !== "scheduled" && status !== "draft" && status !== "paused" && status !== "recurring") {
       throw new BadRequest(`Campaign cannot be cancelled: status is ${status}`);
     }
 
@@ -468,6 +569,12 @@ exports.cancelCampaign = async (req, res, next) => {
       userId
     );
 
+    // A paused send never resumes once cancelled, so its parked emails can go
+    if (status === "paused") {
+      const discarded = await campaignSenderService.discardPendingRecipients(id);
+      logger.info("Discarded parked emails of cancelled campaign", { userId, campaignId: id, discarded });
+    }
+
     logger.info("Campaign cancelled successfully", {
       userId,
       campaignId: id,
@@ -486,3 +593,99 @@ exports.cancelCampaign = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Pause a campaign that is currently being sent
+ * @async
+ * @function pauseCampaign
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.pauseCampaign = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    logger.info("Pausing campaign", { userId, campaignId: id });
+
+    const result = await campaignSenderService.pauseCampaign(id, userId);
+
+    logger.info("Campaign paused successfully", { userId, campaignId: id, pendingRecipients: result.pendingRecipients });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Failed to pause campaign", {
+      userId: req.user?.id,
+      campaignId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Resume a paused campaign, replaying the emails parked while it was paused
+ * @async
+ * @function resumeCampaign
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.resumeCampaign = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    logger.info("Resuming campaign", { userId, campaignId: id });
+
+    const result = await campaignSenderService.resumeCampaign(id, userId);
+
+    logger.info("Campaign resumed successfully", { userId, campaignId: id, replayedRecipients: result.replayedRecipients });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Failed to resume campaign", {
+      userId: req.user?.id,
+      campaignId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
+
+/**
+ * List the runs of a recurring campaign with per-run statistics
+ * @async
+ * @function getCampaignRuns
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getCampaignRuns = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info("Fetching recurring campaign runs", { userId: req.user.id, campaignId: id });
+
+    const runs = await campaignRecurrenceService.getCampaignRuns(id);
+
+    res.json({
+      success: true,
+      data: runs,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch recurring campaign runs", {
+      userId: req.user?.id,
+      campaignId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
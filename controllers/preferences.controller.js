@@ -0,0 +1,98 @@
+/**
+ * @module controllers/preferences
+ * @description Controller for the public preference center, where subscribers choose the topics they receive
+ */
+const unsubscribeService = require("../services/unsubscribe.service");
+const topicService = require("../services/topic.service");
+const logger = require("../services/logger.service");
+const { BadRequestError } = require("../utils/errors");
+const { escapeHtml, sendPage } = require("../utils/html");
+
+/**
+ * Render the preference center form
+ * @function renderPreferencesForm
+ * @param {string} token - Token from the preference center link
+ * @param {string} email - Subscriber email
+ * @param {Object[]} topics - Topics with a subscribed flag
+ * @param {boolean} isActive - Whether the subscriber receives our emails at all
+ * @returns {string} HTML form
+ */
+function renderPreferencesForm(token, email, topics, isActive) {
+  const checkbox = (name, value, checked, label, description) =>
+    `<label style="display:block;margin:12px 0"><input type="checkbox" name="${name}" value="${value}"${checked ? " checked" : ""}> ` +
+    `<strong>${escapeHtml(label)}</strong>${description ? `<br><small>${escapeHtml(description)}</small>` : ""}</label>`;
+
+  return (
+    `<p>Choose which emails ${escapeHtml(email)} receives.</p>` +
+    `<form method="post" action="?token=${encodeURIComponent(token)}" style="text-align:left">` +
+    topics.map((topic) => checkbox("topics", topic.id, topic.subscribed, topic.name, topic.description)).join("") +
+    `<hr>${checkbox("unsubscribeAll", "on", !isActive, "Unsubscribe from all emails")}` +
+    `<p style="text-align:center"><button type="submit" style="padding:10px 24px;font-size:16px">Save preferences</button></p></form>`
+  );
+}
+
+/**
+ * Show the preference center of the subscriber in a signed link
+ * @async
+ * @function showPreferencesPage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.showPreferencesPage = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+    const { subscriber } = await unsubscribeService.getUnsubscribeRequest(token);
+
+    if (!subscriber) {
+      return sendPage(res, 200, "Email preferences", "<p>This is a test email; there are no preferences to change.</p>");
+    }
+
+    const topics = await topicService.getSubscriberTopics(subscriber.id);
+    sendPage(res, 200, "Email preferences", renderPreferencesForm(token, subscriber.email, topics, subscriber.is_active));
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      return sendPage(res, 400, "Invalid link", `<p>${escapeHtml(error.message)}.</p>`);
+    }
+
+    logger.error("Failed to show preference center", { error: error.message, stack: error.stack });
+    next(error);
+  }
+};
+
+/**
+ * Save the preferences submitted from the preference center
+ * @async
+ * @function updatePreferences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+    // Checkboxes submit nothing when none is checked, one value as a string and several as an array
+    const topicIds = [].concat(req.body?.topics || []).map((id) => parseInt(id, 10)).filter(Number.isInteger);
+    const unsubscribeAll = req.body?.unsubscribeAll === "on";
+
+    const result = await unsubscribeService.updatePreferencesWithToken(
+      token,
+      { topicIds, unsubscribeAll },
+      { ipAddress: req.ip, userAgent: req.get("User-Agent") }
+    );
+
+    logger.info("Preferences updated from the preference center", { topics: topicIds.length, unsubscribeAll });
+
+    const message = result.subscribed
+      ? "<p>Your email preferences have been saved.</p>"
+      : `<p>${escapeHtml(result.email)} no longer receives our emails.</p>`;
+    sendPage(res, 200, "Preferences saved", message + renderPreferencesForm(token, result.email, result.topics, result.subscribed));
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      return sendPage(res, 400, "Invalid link", `<p>${escapeHtml(error.message)}.</p>`);
+    }
+
+    logger.error("Failed to update preferences", { error: error.message, stack: error.stack });
+    next(error);
+  }
+};
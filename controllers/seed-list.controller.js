@@ -0,0 +1,147 @@
+/**
+ * @module controllers/seed-list
+ * @description Controller for seed list endpoints
+ */
+const seedListService = require("../services/seed-list.service");
+const logger = require("../services/logger.service");
+
+/**
+ * Create a new seed list
+ * @async
+ * @function createSeedList
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createSeedList = async (req, res, next) => {
+  try {
+    logger.info("Creating new seed list", { userId: req.user.id, seedListName: req.body.name });
+
+    const seedList = await seedListService.createSeedList(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: seedList,
+    });
+  } catch (error) {
+    logger.error("Failed to create seed list", {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Update a seed list
+ * @async
+ * @function updateSeedList
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateSeedList = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info("Updating seed list", { userId: req.user.id, seedListId: id, fields: Object.keys(req.body) });
+
+    const seedList = await seedListService.updateSeedList(id, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: seedList,
+    });
+  } catch (error) {
+    logger.error("Failed to update seed list", {
+      userId: req.user?.id,
+      seedListId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Delete a seed list
+ * @async
+ * @function deleteSeedList
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteSeedList = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info("Deleting seed list", { userId: req.user.id, seedListId: id });
+
+    await seedListService.deleteSeedList(id);
+
+    res.json({
+      success: true,
+      message: "Seed list deleted successfully",
+    });
+  } catch (error) {
+    logger.error("Failed to delete seed list", {
+      userId: req.user?.id,
+      seedListId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get a seed list
+ * @async
+ * @function getSeedListById
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getSeedListById = async (req, res, next) => {
+  try {
+    const seedList = await seedListService.getSeedListById(req.params.id);
+
+    res.json({
+      success: true,
+      data: seedList,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch seed list", {
+      userId: req.user?.id,
+      seedListId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
+
+/**
+ * List all seed lists
+ * @async
+ * @function listSeedLists
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listSeedLists = async (req, res, next) => {
+  try {
+    const seedLists = await seedListService.listSeedLists();
+
+    res.json({
+      success: true,
+      data: seedLists,
+    });
+  } catch (error) {
+    logger.error("Failed to list seed lists", {
+      userId: req.user?.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
@@ -4,8 +4,11 @@
  */
 const subscriberService = require("../services/subscriber.service");
 const tagService = require("../services/tag.service");
+const engagementService = require("../services/engagement.service");
+const sunsetService = require("../services/sunset.service");
+const { emitWorkflowEvent, WORKFLOW_EVENTS } = require("../services/workflow-trigger.service");
 const { createSubscriberSchema, updateSubscriberSchema, importSubscribersSchema } = require("../dtos/subscriber.dto");
-const { assignTagsSchema, removeTagsSchema } = require("../dtos/subscriber.dto");
+const { assignTagsSchema, removeTagsSchema, getSubscriberActivitySchema, sunsetReportSchema } = require("../dtos/subscriber.dto");
 const multer = require("multer");
 const upload = multer({ storage: multer.memoryStorage() });
 const fs = require("fs");
@@ -122,6 +125,8 @@ async function subscribe(req, res, next) {
     };
 
     const subscriber = await subscriberService.createSubscriber(data);
+    await emitWorkflowEvent(WORKFLOW_EVENTS.subscriberCreated, subscriber.id, { source: "subscribe" });
+
     res.status(201).json({
       message: "Successfully subscribed",
       email: subscriber.email,
@@ -308,7 +313,11 @@ async function removeTagsFromSubscriber(req, res, next) {
       });
     }
 
-    await tagService.removeTagsFromSubscriber(validationResult.data.subscriberId, validationResult.data.tagIds);
+    await tagService.removeTagsFromSubscriber(
+      validationResult.data.subscriberId,
+      validationResult.data.tagIds,
+      req.user?.id // Optional user ID from auth middleware
+    );
 
     res.status(200).json({
       message: "Tags removed successfully",
@@ -330,6 +339,56 @@ async function getSubscriberTags(req, res, next) {
   }
 }
 
+/**
+ * Get the activity timeline of a subscriber
+ */
+async function getSubscriberActivity(req, res, next) {
+  try {
+    // Express 5 does not let the validate middleware replace req.query, so the query is parsed here
+    const validationResult = getSubscriberActivitySchema.query.safeParse(req.query);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: "Invalid input",
+        details: validationResult.error.errors.map((error) => ({
+          path: error.path.join("."),
+          message: error.message,
+        })),
+      });
+    }
+
+    const activity = await engagementService.getSubscriberActivity(parseInt(req.params.id), validationResult.data);
+    res.status(200).json(activity);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Report who the sunset policy would re-engage, sunset and release, without changing anything
+ */
+async function getSunsetReport(req, res, next) {
+  try {
+    const validationResult = sunsetReportSchema.query.safeParse(req.query);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: "Invalid input",
+        details: validationResult.error.errors.map((error) => ({
+          path: error.path.join("."),
+          message: error.message,
+        })),
+      });
+    }
+
+    const { limit, ...overrides } = validationResult.data;
+    const report = await sunsetService.getSunsetReport(overrides, { limit });
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
 // Configure multer middleware for file upload
 const uploadCsvMiddleware = upload.single("csvFile");
 
@@ -348,5 +407,7 @@ module.exports = {
   assignTagsToSubscriber,
   removeTagsFromSubscriber,
   getSubscriberTags,
+  getSubscriberActivity,
+  getSunsetReport,
   uploadCsvMiddleware,
 };
@@ -0,0 +1,123 @@
+/**
+ * @module controllers/suppression
+ * @description Controller for managing the suppression list
+ */
+const suppressionService = require("../services/suppression.service");
+const logger = require("../services/logger.service");
+
+/**
+ * List suppressed addresses with pagination and filters
+ * @async
+ * @function listSuppressions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listSuppressions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {
+      email: req.query.email || null,
+      reason: req.query.reason || null,
+      includeExpired: req.query.includeExpired === "true",
+    };
+
+    const result = await suppressionService.listSuppressions(filters, page, limit);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Failed to list suppressions", { error: error.message, stack: error.stack });
+    next(error);
+  }
+};
+
+/**
+ * Suppress an address
+ * @async
+ * @function createSuppression
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createSuppression = async (req, res, next) => {
+  try {
+    logger.info("Adding suppression", { userId: req.user.id, reason: req.body.reason });
+
+    const suppression = await suppressionService.addSuppression({ ...req.body, source: "admin" }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: suppression,
+    });
+  } catch (error) {
+    logger.error("Failed to add suppression", {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Import suppressed addresses from CSV data
+ * @async
+ * @function importSuppressions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.importSuppressions = async (req, res, next) => {
+  try {
+    const { csvData, reason } = req.body;
+
+    const result = await suppressionService.importSuppressions(csvData, reason, req.user.id);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Failed to import suppressions", {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Remove a suppression
+ * @async
+ * @function deleteSuppression
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteSuppression = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info("Removing suppression", { userId: req.user.id, suppressionId: id });
+
+    await suppressionService.removeSuppression(id);
+
+    res.json({
+      success: true,
+      message: "Suppression removed successfully",
+    });
+  } catch (error) {
+    logger.error("Failed to remove suppression", {
+      userId: req.user?.id,
+      suppressionId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * @module controllers/topic
+ * @description Controller for subscription topic endpoints
+ */
+const topicService = require("../services/topic.service");
+const logger = require("../services/logger.service");
+
+/**
+ * Create a new topic
+ * @async
+ * @function createTopic
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createTopic = async (req, res, next) => {
+  try {
+    logger.info("Creating new topic", { userId: req.user.id, topicKey: req.body.key });
+
+    const topic = await topicService.createTopic(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: topic,
+    });
+  } catch (error) {
+    logger.error("Failed to create topic", {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Update a topic
+ * @async
+ * @function updateTopic
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateTopic = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info("Updating topic", { userId: req.user.id, topicId: id, fields: Object.keys(req.body) });
+
+    const topic = await topicService.updateTopic(id, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: topic,
+    });
+  } catch (error) {
+    logger.error("Failed to update topic", {
+      userId: req.user?.id,
+      topicId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Delete a topic
+ * @async
+ * @function deleteTopic
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteTopic = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info("Deleting topic", { userId: req.user.id, topicId: id });
+
+    await topicService.deleteTopic(id);
+
+    res.json({
+      success: true,
+      message: "Topic deleted successfully",
+    });
+  } catch (error) {
+    logger.error("Failed to delete topic", {
+      userId: req.user?.id,
+      topicId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get a topic
+ * @async
+ * @function getTopicById
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTopicById = async (req, res, next) => {
+  try {
+    const topic = await topicService.getTopicById(req.params.id);
+
+    res.json({
+      success: true,
+      data: topic,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch topic", {
+      userId: req.user?.id,
+      topicId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
+
+/**
+ * List all topics
+ * @async
+ * @function listTopics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listTopics = async (req, res, next) => {
+  try {
+    const topics = await topicService.listTopics();
+
+    res.json({
+      success: true,
+      data: topics,
+    });
+  } catch (error) {
+    logger.error("Failed to list topics", {
+      userId: req.user?.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
@@ -3,7 +3,46 @@
  * @description Controller for tracking email campaign events
  */
 const db = require("../config/db");
+const config = require("../config");
 const logger = require("../services/logger.service");
+const deliveryEventService = require("../services/delivery-event.service");
+const trackedLinkService = require("../services/tracked-link.service");
+const eventClassificationService = require("../services/event-classification.service");
+const { emitWorkflowEvent, WORKFLOW_EVENTS } = require("../services/workflow-trigger.service");
+const { verifySnsMessage, confirmSubscription } = require("../utils/sns");
+const { verifyClickSignature, verifyDeliveryWebhookSecret } = require("../utils/tracking");
+
+/**
+ * Record an event for an email sent by a workflow step
+ * @async
+ * @function recordWorkflowEvent
+ * @param {number} workflowStepId - ID of the workflow step that sent the email
+ * @param {number} recipientId - Subscriber ID
+ * @param {string} eventType - opened or clicked
+ * @param {Object} req - Express request object
+ * @param {string} [url] - Clicked link
+ * @param {Object} [data] - Event details (link ID and label of a click)
+ * @returns {Promise<Object>} Classification of the event (see services/event-classification)
+ */
+async function recordWorkflowEvent(workflowStepId, recipientId, eventType, req, url = null, data = {}) {
+  const classification = await eventClassificationService.classifyEvent({
+    eventType,
+    workflowStepId,
+    recipientId,
+    url,
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+  });
+
+  await db.query(
+    `INSERT INTO email_analytics
+     (workflow_step_id, recipient_id, recipient_email, event_type, ip_address, user_agent, link_clicked, additional_data)
+     SELECT $1, s.id, s.email, $3, $4, $5, $6, $7 FROM subscribers s WHERE s.id = $2`,
+    [workflowStepId, recipientId, eventType, req.ip, req.get("User-Agent"), url, JSON.stringify({ ...data, ...classification })]
+  );
+
+  return classification;
+}
 
 /**
  * Track email opens via a transparent pixel
@@ -17,10 +56,11 @@ exports.trackOpen = async (req, res) => {
   try {
     // Get tracking parameters
     const campaignId = req.query.cid;
+    const workflowStepId = req.query.wsid;
     const recipientId = req.query.rid;
 
-    if (!campaignId || !recipientId) {
-      logger.warn("Tracking open without required parameters", { campaignId, recipientId });
+    if ((!campaignId && !workflowStepId) || !recipientId) {
+      logger.warn("Tracking open without required parameters", { campaignId, workflowStepId, recipientId });
 
       // Return a transparent 1x1 pixel GIF regardless of success or failure
       res.set("Content-Type", "image/gif");
@@ -28,13 +68,17 @@ exports.trackOpen = async (req, res) => {
       return;
     }
 
+    if (workflowStepId) {
+      await recordWorkflowEvent(workflowStepId, recipientId, "opened", req);
+      logger.info(`Tracked workflow open: Step ${workflowStepId}, Recipient ${recipientId}`);
+
+      res.set("Content-Type", "image/gif");
+      res.send(Buffer.from("R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7", "base64"));
+      return;
+    }
+
     // Track the open event in database
-    await db.query(
-      `INSERT INTO email_analytics 
-       (campaign_id, recipient_id, event_type, ip_address, user_agent) 
-       VALUES ($1, $2, $3, $4, $5)`,
-      [campaignId, recipientId, "opened", req.ip, req.get("User-Agent")]
-    );
+    await recordCampaignEvent(campaignId, recipientId, "opened", req);
 
     logger.info(`Tracked campaign open: Campaign ${campaignId}, Recipient ${recipientId}`);
 
@@ -51,51 +95,140 @@ exports.trackOpen = async (req, res) => {
 };
 
 /**
- * Track link clicks in emails
+ * Record an event for an email sent by a campaign
+ * @async
+ * @function recordCampaignEvent
+ * @param {number} campaignId - ID of the campaign that sent the email
+ * @param {number} recipientId - Subscriber ID
+ * @param {string} eventType - opened or clicked
+ * @param {Object} req - Express request object
+ * @param {string} [url] - Clicked link
+ * @param {Object} [data] - Event details (link ID and label of a click)
+ * @returns {Promise<Object>} Classification of the event (see services/event-classification)
+ */
+async function recordCampaignEvent(campaignId, recipientId, eventType, req, url = null, data = {}) {
+  const classification = await eventClassificationService.classifyEvent({
+    eventType,
+    campaignId,
+    recipientId,
+    url,
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+  });
+
+  await db.query(
+    `INSERT INTO email_analytics
+     (campaign_id, recipient_id, recipient_email, event_type, ip_address, user_agent, link_clicked, additional_data)
+     SELECT $1, s.id, s.email, $3, $4, $5, $6, $7 FROM subscribers s WHERE s.id = $2`,
+    [campaignId, recipientId, eventType, req.ip, req.get("User-Agent"), url, JSON.stringify({ ...data, ...classification })]
+  );
+
+  return classification;
+}
+
+/**
+ * Record a click and notify workflows waiting for it
+ * @async
+ * @function recordClick
+ * @param {Object} source - Email the link is in ({ campaignId } or { workflowStepId })
+ * @param {number} recipientId - Subscriber ID
+ * @param {string} url - Clicked link
+ * @param {Object} req - Express request object
+ * @param {Object} [data] - Click details (link ID and label of a registered link)
+ * @returns {Promise<void>}
+ */
+async function recordClick({ campaignId = null, workflowStepId = null }, recipientId, url, req, data = {}) {
+  if (workflowStepId) {
+    await recordWorkflowEvent(workflowStepId, recipientId, "clicked", req, url, data);
+    logger.info(`Tracked workflow click: Step ${workflowStepId}, Recipient ${recipientId}, URL ${url}`);
+  } else {
+    await recordCampaignEvent(campaignId, recipientId, "clicked", req, url, data);
+    logger.info(`Tracked campaign click: Campaign ${campaignId}, Recipient ${recipientId}, URL ${url}`);
+  }
+
+  await emitWorkflowEvent(WORKFLOW_EVENTS.linkClicked, parseInt(recipientId), {
+    url,
+    campaignId: campaignId ? parseInt(campaignId) : null,
+    workflowStepId: workflowStepId ? parseInt(workflowStepId) : null,
+  });
+}
+
+/**
+ * Track a click on an unsigned link of an email sent before links were registered. Only enabled while
+ * such emails are around (TRACKING_LEGACY_CLICK_URLS), as these links redirect to any URL.
+ * @async
+ * @function trackLegacyClick
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function trackLegacyClick(req, res) {
+  const campaignId = req.query.cid;
+  const workflowStepId = req.query.wsid;
+  const recipientId = req.query.rid;
+  const url = req.query.url;
+
+  if (!config.tracking.allowLegacyClickUrls) {
+    logger.warn("Rejected click on an unsigned tracking link", { campaignId, workflowStepId, recipientId });
+    return res.status(404).send("Link not found");
+  }
+
+  if ((!campaignId && !workflowStepId) || !recipientId || !url) {
+    logger.warn("Tracking click without required parameters");
+    return res.redirect(url || "/");
+  }
+
+  try {
+    await recordClick({ campaignId, workflowStepId }, recipientId, url, req);
+  } catch (error) {
+    logger.error("Error tracking email click:", error);
+  }
+
+  // Redirect to the URL even if there's an error to maintain user experience
+  res.redirect(url);
+}
+
+/**
+ * Track link clicks in emails. Tracking links name a registered link and the recipient and are signed, so
+ * only links of our own emails are redirected to and clicks cannot be forged.
  * @async
  * @function trackClick
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
  */
 exports.trackClick = async (req, res) => {
+  const { l: linkId, rid: recipientId, s: signature } = req.query;
+
+  if (!linkId) {
+    return trackLegacyClick(req, res);
+  }
+
+  let link = null;
   try {
-    // Get tracking parameters
-    const campaignId = req.query.cid;
-    const recipientId = req.query.rid;
-    const url = req.query.url;
+    link = verifyClickSignature(linkId, recipientId, signature) ? await trackedLinkService.getLinkByShortId(linkId) : null;
 
-    if (!campaignId || !recipientId || !url) {
-      logger.warn("Tracking click without required parameters");
-      return res.redirect(url || "/");
+    if (!link) {
+      logger.warn("Rejected click on an unknown or tampered tracking link", { linkId, recipientId });
+      return res.status(404).send("Link not found");
     }
 
-    // Track the click event in database
-    await db.query(
-      `INSERT INTO email_analytics 
-       (campaign_id, recipient_id, event_type, ip_address, user_agent, link_clicked) 
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [campaignId, recipientId, "clicked", req.ip, req.get("User-Agent"), url]
-    );
+    await recordClick(link, recipientId, link.url, req, { link_id: linkId, label: link.label });
 
-    logger.info(`Tracked campaign click: Campaign ${campaignId}, Recipient ${recipientId}, URL ${url}`);
-
-    // Redirect to the original URL
-    res.redirect(url);
+    res.redirect(link.url);
   } catch (error) {
     logger.error("Error tracking email click:", error);
 
-    // Redirect to the URL even if there's an error to maintain user experience
-    if (req.query.url) {
-      res.redirect(req.query.url);
+    // Redirect to the link even if the click could not be recorded to maintain user experience
+    if (link) {
+      res.redirect(link.url);
     } else {
-      res.redirect("/");
+      res.status(500).send("Link could not be opened");
     }
   }
 };
 
 /**
- * Track email delivery events from webhooks
+ * Track email delivery events from webhooks. Bounces and complaints put the address on the suppression list,
+ * so only requests carrying the shared webhook secret are accepted.
  * @async
  * @function trackDeliveryEvent
  * @param {Object} req - Express request object
@@ -103,6 +236,14 @@ exports.trackClick = async (req, res) => {
  */
 exports.trackDeliveryEvent = async (req, res) => {
   try {
+    if (!verifyDeliveryWebhookSecret(req.get("X-Webhook-Secret"))) {
+      logger.warn("Rejected delivery event without a valid webhook secret", { ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: "Invalid webhook secret",
+      });
+    }
+
     const event = req.body;
 
     // Validate event data
@@ -123,15 +264,21 @@ exports.trackDeliveryEvent = async (req, res) => {
 
     const eventType = eventTypeMap[event.type] || event.type;
 
-    // Record the event
-    await db.query(
-      `INSERT INTO email_analytics 
-       (campaign_id, recipient_id, event_type, additional_data) 
-       VALUES ($1, $2, $3, $4)`,
-      [event.campaignId, event.recipientId, eventType, JSON.stringify(event.data || {})]
-    );
+    const { recorded, suppressed } = await deliveryEventService.recordDeliveryEvent({
+      eventType,
+      campaignId: event.campaignId,
+      recipientId: event.recipientId,
+      data: event.data || {},
+    });
 
-    logger.info(`Tracked email ${eventType} event for campaign ${event.campaignId}, recipient ${event.recipientId}`);
+    if (!recorded) {
+      return res.status(404).json({
+        success: false,
+        message: "Recipient not found",
+      });
+    }
+
+    logger.info(`Tracked email ${eventType} event for campaign ${event.campaignId}, recipient ${event.recipientId}`, { suppressed });
 
     res.json({ success: true });
   } catch (error) {
@@ -142,3 +289,58 @@ exports.trackDeliveryEvent = async (req, res) => {
     });
   }
 };
+
+/**
+ * Receive Amazon SES bounce, complaint, delivery and reject notifications through an SNS HTTPS subscription.
+ * Only messages signed by SNS (and from an allowed topic, when configured) are processed; failures answer
+ * 500 so SNS retries them.
+ * @async
+ * @function receiveSesNotification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.receiveSesNotification = async (req, res) => {
+  let message;
+  try {
+    // SNS posts JSON with a text/plain content type
+    message = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  } catch (error) {
+    return res.status(400).json({ success: false, message: "Invalid SNS message" });
+  }
+
+  try {
+    if (!(await verifySnsMessage(message))) {
+      logger.warn("Rejected SNS message with an invalid signature", { messageId: message?.MessageId, topicArn: message?.TopicArn });
+      return res.status(403).json({ success: false, message: "Invalid SNS signature" });
+    }
+
+    const allowedTopics = config.aws.sesNotificationTopicArns;
+    if (allowedTopics.length > 0 && !allowedTopics.includes(message.TopicArn)) {
+      logger.warn(`Rejected SNS message from unexpected topic ${message.TopicArn}`);
+      return res.status(403).json({ success: false, message: "Unexpected SNS topic" });
+    }
+
+    switch (message.Type) {
+      case "SubscriptionConfirmation":
+        await confirmSubscription(message);
+        logger.info(`Confirmed SNS subscription to ${message.TopicArn}`);
+        break;
+      case "UnsubscribeConfirmation":
+        logger.warn(`SNS subscription to ${message.TopicArn} was removed`);
+        break;
+      case "Notification":
+        await deliveryEventService.handleSesNotification(JSON.parse(message.Message), message.MessageId);
+        break;
+      default:
+        logger.warn(`Ignoring SNS message of type ${message.Type}`);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("Error processing SNS message:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error processing SNS message",
+    });
+  }
+};
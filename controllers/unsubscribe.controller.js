@@ -0,0 +1,79 @@
+/**
+ * @module controllers/unsubscribe
+ * @description Controller for the public unsubscribe page and the one-click unsubscribe endpoint
+ */
+const unsubscribeService = require("../services/unsubscribe.service");
+const logger = require("../services/logger.service");
+const { BadRequestError } = require("../utils/errors");
+const { escapeHtml, sendPage } = require("../utils/html");
+
+/**
+ * Show the unsubscribe confirmation page. Unsubscribing only happens on POST, so link scanners that
+ * follow the link do not unsubscribe anyone.
+ * @async
+ * @function showUnsubscribePage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.showUnsubscribePage = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+    const { subscriber } = await unsubscribeService.getUnsubscribeRequest(token);
+
+    if (subscriber && !subscriber.is_active) {
+      return sendPage(res, 200, "You are unsubscribed", `<p>${escapeHtml(subscriber.email)} no longer receives our emails.</p>`);
+    }
+
+    const email = subscriber ? escapeHtml(subscriber.email) : "this address";
+    sendPage(
+      res,
+      200,
+      "Unsubscribe",
+      `<p>Stop sending emails to ${email}?</p>` +
+        `<form method="post" action="?token=${encodeURIComponent(token)}">` +
+        `<button type="submit" style="padding:10px 24px;font-size:16px">Unsubscribe</button></form>` +
+        (subscriber ? `<p><a href="preferences?token=${encodeURIComponent(token)}">Choose which emails you get instead</a></p>` : "")
+    );
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      return sendPage(res, 400, "Invalid link", `<p>${escapeHtml(error.message)}.</p>`);
+    }
+
+    logger.error("Failed to show unsubscribe page", { error: error.message, stack: error.stack });
+    next(error);
+  }
+};
+
+/**
+ * Unsubscribe from the confirmation page or through a one-click List-Unsubscribe-Post request (RFC 8058)
+ * @async
+ * @function unsubscribe
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    const oneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+
+    const result = await unsubscribeService.unsubscribeWithToken(token, {
+      oneClick,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    logger.info("Unsubscribe request processed", { oneClick, unsubscribed: result.unsubscribed });
+
+    const message = result.email ? `${escapeHtml(result.email)} no longer receives our emails.` : "You will not receive further emails.";
+    sendPage(res, 200, "You are unsubscribed", `<p>${message}</p>`);
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      return sendPage(res, 400, "Invalid link", `<p>${escapeHtml(error.message)}.</p>`);
+    }
+
+    logger.error("Failed to unsubscribe", { error: error.message, stack: error.stack });
+    next(error);
+  }
+};
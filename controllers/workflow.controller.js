@@ -0,0 +1,199 @@
+/**
+ * @module controllers/workflow
+ * @description Controller for automation workflow endpoints
+ */
+const workflowService = require("../services/workflow.service");
+const logger = require("../services/logger.service");
+
+/**
+ * Create a new workflow
+ * @async
+ * @function createWorkflow
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createWorkflow = async (req, res, next) => {
+  try {
+    logger.info("Creating new workflow", { userId: req.user.id, workflowName: req.body.name });
+
+    const workflow = await workflowService.createWorkflow(req.body, req.user.id);
+
+    logger.info("Workflow created successfully", { userId: req.user.id, workflowId: workflow.id });
+
+    res.status(201).json({
+      success: true,
+      data: workflow,
+    });
+  } catch (error) {
+    logger.error("Failed to create workflow", {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Update a workflow, including activating or pausing it
+ * @async
+ * @function updateWorkflow
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateWorkflow = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info("Updating workflow", { userId: req.user.id, workflowId: id, fields: Object.keys(req.body) });
+
+    const workflow = await workflowService.updateWorkflow(id, req.body, req.user.id);
+
+    logger.info("Workflow updated successfully", { userId: req.user.id, workflowId: id });
+
+    res.json({
+      success: true,
+      data: workflow,
+    });
+  } catch (error) {
+    logger.error("Failed to update workflow", {
+      userId: req.user?.id,
+      workflowId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Delete a workflow
+ * @async
+ * @function deleteWorkflow
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteWorkflow = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info("Deleting workflow", { userId: req.user.id, workflowId: id });
+
+    await workflowService.deleteWorkflow(id);
+
+    logger.info("Workflow deleted successfully", { userId: req.user.id, workflowId: id });
+
+    res.json({
+      success: true,
+      message: "Workflow deleted successfully",
+    });
+  } catch (error) {
+    logger.error("Failed to delete workflow", {
+      userId: req.user?.id,
+      workflowId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get a workflow with its steps
+ * @async
+ * @function getWorkflowById
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getWorkflowById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.debug("Fetching workflow", { userId: req.user.id, workflowId: id });
+
+    const workflow = await workflowService.getWorkflowById(id);
+
+    res.json({
+      success: true,
+      data: workflow,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch workflow", {
+      userId: req.user?.id,
+      workflowId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
+
+/**
+ * List workflows with pagination and filters
+ * @async
+ * @function listWorkflows
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listWorkflows = async (req, res, next) => {
+  try {
+    const { page, limit, status, triggerType } = req.query;
+
+    logger.debug("Listing workflows", {
+      userId: req.user.id,
+      filters: { page, limit, status, triggerType },
+    });
+
+    const result = await workflowService.listWorkflows({
+      page: page ? parseInt(page, 10) : undefined,
+      limit: limit ? parseInt(limit, 10) : undefined,
+      status,
+      triggerType,
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error("Failed to list workflows", {
+      userId: req.user?.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get enrollment and per-step statistics of a workflow
+ * @async
+ * @function getWorkflowStats
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getWorkflowStats = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info("Fetching workflow statistics", { userId: req.user.id, workflowId: id });
+
+    const stats = await workflowService.getWorkflowStats(id);
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch workflow statistics", {
+      userId: req.user?.id,
+      workflowId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+};
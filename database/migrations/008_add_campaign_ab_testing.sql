@@ -0,0 +1,48 @@
+-- Migration: Add A/B Split Testing for Campaigns
+-- Timestamp: 2025-06-02
+
+-- A/B test configuration, one per campaign
+CREATE TABLE IF NOT EXISTS campaign_ab_tests (
+  campaign_id INTEGER PRIMARY KEY REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  test_percentage INTEGER NOT NULL DEFAULT 20 CHECK (test_percentage BETWEEN 1 AND 100),
+  winner_metric VARCHAR(20) NOT NULL DEFAULT 'open_rate' CHECK (winner_metric IN ('open_rate', 'click_rate')),
+  wait_minutes INTEGER NOT NULL DEFAULT 240 CHECK (wait_minutes > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, testing, deciding, completed
+  winner_variant_id INTEGER,
+  started_at TIMESTAMP WITH TIME ZONE,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Campaign variants, each overriding subject, template and template variables
+CREATE TABLE IF NOT EXISTS campaign_variants (
+  id SERIAL PRIMARY KEY,
+  campaign_id INTEGER NOT NULL REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  subject VARCHAR(255),
+  template_id INTEGER REFERENCES email_templates(id),
+  template_variables JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(campaign_id, name)
+);
+
+ALTER TABLE campaign_ab_tests
+  ADD CONSTRAINT fk_campaign_ab_tests_winner_variant
+  FOREIGN KEY (winner_variant_id) REFERENCES campaign_variants(id) ON DELETE SET NULL;
+
+-- Which variant each recipient received, and whether it was part of the test slice or the winner send
+CREATE TABLE IF NOT EXISTS campaign_variant_recipients (
+  campaign_id INTEGER NOT NULL REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  subscriber_id INTEGER NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  variant_id INTEGER NOT NULL REFERENCES campaign_variants(id) ON DELETE CASCADE,
+  phase VARCHAR(10) NOT NULL DEFAULT 'test', -- test, winner
+  assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (campaign_id, subscriber_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_variants_campaign_id ON campaign_variants(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_variant_recipients_variant_id ON campaign_variant_recipients(variant_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_ab_tests_status ON campaign_ab_tests(status);
+CREATE INDEX IF NOT EXISTS idx_email_analytics_campaign_recipient ON email_analytics(campaign_id, recipient_id);
@@ -0,0 +1,16 @@
+-- Migration: Add Campaign Pause and Resume
+-- Timestamp: 2025-06-04
+
+-- Track who paused an in-flight campaign and when
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS paused_by UUID REFERENCES users(id);
+
+-- Email jobs parked while their campaign is paused, replayed on resume.
+-- One row per recipient so a redelivered job can never be parked (and replayed) twice.
+CREATE TABLE IF NOT EXISTS campaign_pending_recipients (
+  campaign_id INTEGER NOT NULL REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  subscriber_id INTEGER NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  email_job JSONB NOT NULL,
+  parked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (campaign_id, subscriber_id)
+);
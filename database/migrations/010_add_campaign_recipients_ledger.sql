@@ -0,0 +1,24 @@
+-- Migration: Add Campaign Recipients Ledger
+-- Timestamp: 2025-06-06
+
+-- One row per campaign x subscriber, tracking the delivery of that recipient's email
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+  id BIGSERIAL PRIMARY KEY,
+  campaign_id INTEGER NOT NULL REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  subscriber_id INTEGER NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  variant_id INTEGER REFERENCES campaign_variants(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'failed', 'bounced')),
+  provider_message_id VARCHAR(255),
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  queued_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(campaign_id, subscriber_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign_status ON campaign_recipients(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_subscriber_id ON campaign_recipients(subscriber_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_provider_message_id ON campaign_recipients(provider_message_id);
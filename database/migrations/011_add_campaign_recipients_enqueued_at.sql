@@ -0,0 +1,9 @@
+-- Migration: Track Enqueued Campaign Recipients
+-- Timestamp: 2025-06-07
+
+-- The recipients ledger doubles as the snapshot of a send's audience; enqueued_at marks
+-- the rows already published to the email queue so fan-out can resume where it stopped
+ALTER TABLE campaign_recipients ADD COLUMN IF NOT EXISTS enqueued_at TIMESTAMP WITH TIME ZONE;
+
+-- Keyset pagination over the rows still waiting to be published
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_unenqueued ON campaign_recipients(campaign_id, id) WHERE enqueued_at IS NULL;
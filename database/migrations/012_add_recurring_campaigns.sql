@@ -0,0 +1,35 @@
+-- Migration: Add Recurring Campaigns
+-- Timestamp: 2025-06-08
+
+-- A recurring campaign is a template that fires on a cron expression or RRULE. Each run is sent as
+-- its own campaign (linked through parent_campaign_id) so it has its own recipients ledger and stats.
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS recurrence_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS recurrence_starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS recurrence_ends_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS recurrence_max_runs INTEGER CHECK (recurrence_max_runs > 0);
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS recurrence_run_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS parent_campaign_id INTEGER REFERENCES email_campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_email_campaigns_next_run_at ON email_campaigns(next_run_at) WHERE status = 'recurring';
+CREATE INDEX IF NOT EXISTS idx_email_campaigns_parent_campaign_id ON email_campaigns(parent_campaign_id);
+
+-- One row per fired run. The unique keys make sure a run is only ever fired once, whichever worker claims it.
+CREATE TABLE IF NOT EXISTS campaign_runs (
+  id SERIAL PRIMARY KEY,
+  campaign_id INTEGER NOT NULL REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  run_number INTEGER NOT NULL,
+  scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+  run_campaign_id INTEGER REFERENCES email_campaigns(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'started', 'failed')),
+  recipient_count INTEGER,
+  error TEXT,
+  started_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(campaign_id, run_number),
+  UNIQUE(campaign_id, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_runs_run_campaign_id ON campaign_runs(run_campaign_id);
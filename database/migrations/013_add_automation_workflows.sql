@@ -0,0 +1,100 @@
+-- Migration: Add Automation Workflows
+-- Timestamp: 2025-06-09
+
+-- Workflows (drip sequences) started by subscriber events
+CREATE TABLE IF NOT EXISTS workflows (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'paused')),
+  trigger_type VARCHAR(50) NOT NULL CHECK (trigger_type IN ('subscriber_created', 'tag_assigned', 'link_clicked')),
+  trigger_config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_deleted BOOLEAN DEFAULT FALSE,
+  created_by UUID REFERENCES users(id),
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflows_trigger ON workflows(trigger_type) WHERE status = 'active' AND is_deleted = FALSE;
+
+-- Steps of a workflow, linked by their keys. The first step by position is the entry step.
+-- type: wait, send_email, branch, add_tag, remove_tag, exit
+CREATE TABLE IF NOT EXISTS workflow_steps (
+  id SERIAL PRIMARY KEY,
+  workflow_id INTEGER NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  step_key VARCHAR(50) NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('wait', 'send_email', 'branch', 'add_tag', 'remove_tag', 'exit')),
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  next_step_key VARCHAR(50),
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workflow_id, step_key)
+);
+
+-- Progress of each subscriber through a workflow. A subscriber enters a workflow at most once.
+-- status: active (ready to run its current step), running, waiting, completed, exited, failed
+CREATE TABLE IF NOT EXISTS workflow_enrollments (
+  id BIGSERIAL PRIMARY KEY,
+  workflow_id INTEGER NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  subscriber_id INTEGER NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'running', 'waiting', 'completed', 'exited', 'failed')),
+  current_step_key VARCHAR(50),
+  wait_until TIMESTAMP WITH TIME ZONE,
+  trigger_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  last_error TEXT,
+  entered_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workflow_id, subscriber_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_enrollments_wait_until ON workflow_enrollments(wait_until) WHERE status = 'waiting';
+CREATE INDEX IF NOT EXISTS idx_workflow_enrollments_subscriber_id ON workflow_enrollments(subscriber_id);
+
+-- One row per step an enrollment went through; the unique key makes every step run at most once
+CREATE TABLE IF NOT EXISTS workflow_step_executions (
+  id BIGSERIAL PRIMARY KEY,
+  enrollment_id BIGINT NOT NULL REFERENCES workflow_enrollments(id) ON DELETE CASCADE,
+  step_id INTEGER NOT NULL REFERENCES workflow_steps(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'failed')),
+  outcome VARCHAR(50),
+  executed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(enrollment_id, step_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_step_executions_step_id ON workflow_step_executions(step_id);
+
+-- Workflow emails are tracked like campaign emails, against the step that sent them
+ALTER TABLE email_analytics ALTER COLUMN campaign_id DROP NOT NULL;
+ALTER TABLE email_analytics ADD COLUMN IF NOT EXISTS workflow_step_id INTEGER REFERENCES workflow_steps(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_email_analytics_workflow_step ON email_analytics(workflow_step_id, recipient_id) WHERE workflow_step_id IS NOT NULL;
+
+-- Add workflow permissions
+INSERT INTO permissions (resource, action, description)
+VALUES
+  ('workflows', 'create', 'Can create automation workflows'),
+  ('workflows', 'read', 'Can view automation workflows and their statistics'),
+  ('workflows', 'update', 'Can update, activate and pause automation workflows'),
+  ('workflows', 'delete', 'Can delete automation workflows')
+ON CONFLICT (resource, action) DO NOTHING;
+
+-- Assign all workflow permissions to admin role
+DO $$
+DECLARE
+    admin_role_id INTEGER;
+BEGIN
+    SELECT id INTO admin_role_id FROM roles WHERE name = 'admin';
+
+    IF admin_role_id IS NOT NULL THEN
+        INSERT INTO role_permissions (role_id, permission_id)
+        SELECT admin_role_id, p.id
+        FROM permissions p
+        WHERE p.resource = 'workflows'
+        ON CONFLICT (role_id, permission_id) DO NOTHING;
+    ELSE
+        RAISE NOTICE 'Admin role not found, skipping workflow permission assignment.';
+    END IF;
+END $$;
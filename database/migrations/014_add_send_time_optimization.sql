@@ -0,0 +1,9 @@
+-- Migration: Add Send-Time Optimization
+-- Timestamp: 2025-06-10
+
+-- When enabled, each recipient's email is held back until their most likely engagement hour
+-- within 24 hours of the send, based on the times they opened earlier emails
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS send_time_optimization BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Open history lookups per recipient
+CREATE INDEX IF NOT EXISTS idx_email_analytics_recipient_opens ON email_analytics(recipient_id, event_time) WHERE event_type = 'opened';
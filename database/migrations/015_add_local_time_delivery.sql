@@ -0,0 +1,35 @@
+-- Migration: Add Local Time Delivery
+-- Timestamp: 2025-06-11
+
+-- Subscriber timezone, set explicitly or inferred from the IPs recorded by open/click tracking.
+-- Subscribers without one fall back to metadata->>'timezone'.
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS timezone_source VARCHAR(20) CHECK (timezone_source IN ('manual', 'ip'));
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS timezone_checked_at TIMESTAMP WITH TIME ZONE;
+
+-- "Send at 09:00 recipient local time": every timezone gets the campaign when its wall clock reaches the local time
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS local_send_date DATE;
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS local_send_time TIME;
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS local_send_default_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+-- Timezone each recipient was resolved to when the audience was snapshotted
+ALTER TABLE campaign_recipients ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_unenqueued_timezone
+  ON campaign_recipients(campaign_id, timezone, id) WHERE enqueued_at IS NULL;
+
+-- One wave per timezone of a local time campaign, released once its send time has come
+CREATE TABLE IF NOT EXISTS campaign_send_waves (
+  id SERIAL PRIMARY KEY,
+  campaign_id INTEGER NOT NULL REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  timezone VARCHAR(64) NOT NULL,
+  send_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'releasing', 'released')),
+  recipient_count INTEGER NOT NULL DEFAULT 0,
+  released_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(campaign_id, timezone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_send_waves_due ON campaign_send_waves(send_at) WHERE status <> 'released';
@@ -0,0 +1,47 @@
+-- Migration: Add Seed Lists
+-- Timestamp: 2025-06-12
+
+-- Internal addresses that receive a copy of every real send of a campaign (e.g. inbox placement monitoring).
+-- Seed copies are not tracked and never enter the recipients ledger or the analytics.
+CREATE TABLE IF NOT EXISTS seed_lists (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  emails TEXT[] NOT NULL DEFAULT '{}',
+  created_by UUID REFERENCES users(id),
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Seed list of a campaign; seeds_sent_at makes sure the seeds get each campaign once
+ALTER TABLE email_campaigns
+  ADD COLUMN IF NOT EXISTS seed_list_id INTEGER REFERENCES seed_lists(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS seeds_sent_at TIMESTAMP WITH TIME ZONE;
+
+-- Add seed list permissions
+INSERT INTO permissions (resource, action, description)
+VALUES
+  ('seed-lists', 'create', 'Can create seed lists'),
+  ('seed-lists', 'read', 'Can view seed lists'),
+  ('seed-lists', 'update', 'Can update seed lists'),
+  ('seed-lists', 'delete', 'Can delete seed lists')
+ON CONFLICT (resource, action) DO NOTHING;
+
+-- Assign all seed list permissions to admin role
+DO $$
+DECLARE
+    admin_role_id INTEGER;
+BEGIN
+    SELECT id INTO admin_role_id FROM roles WHERE name = 'admin';
+
+    IF admin_role_id IS NOT NULL THEN
+        INSERT INTO role_permissions (role_id, permission_id)
+        SELECT admin_role_id, p.id
+        FROM permissions p
+        WHERE p.resource = 'seed-lists'
+        ON CONFLICT (role_id, permission_id) DO NOTHING;
+    ELSE
+        RAISE NOTICE 'Admin role not found, skipping seed list permission assignment.';
+    END IF;
+END $$;
@@ -0,0 +1,61 @@
+-- Migration: Add Subscription Topics
+-- Timestamp: 2025-06-13
+
+-- Topics subscribers can opt out of individually from the preference center
+CREATE TABLE IF NOT EXISTS topics (
+  id SERIAL PRIMARY KEY,
+  key VARCHAR(50) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_by UUID REFERENCES users(id),
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO topics (key, name, description)
+VALUES
+  ('newsletter', 'Newsletter', 'Our regular newsletter'),
+  ('product-updates', 'Product updates', 'News about features and changes to our products'),
+  ('promotions', 'Promotions', 'Offers, discounts and events')
+ON CONFLICT (key) DO NOTHING;
+
+-- Subscribers get every topic unless they opted out of it
+CREATE TABLE IF NOT EXISTS subscriber_topic_opt_outs (
+  subscriber_id INTEGER NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  topic_id INTEGER NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (subscriber_id, topic_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriber_topic_opt_outs_topic ON subscriber_topic_opt_outs(topic_id);
+
+-- Topic of a campaign; subscribers who opted out of it are left out of the campaign
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS topic_id INTEGER REFERENCES topics(id) ON DELETE SET NULL;
+
+-- Add topic permissions
+INSERT INTO permissions (resource, action, description)
+VALUES
+  ('topics', 'create', 'Can create subscription topics'),
+  ('topics', 'read', 'Can view subscription topics'),
+  ('topics', 'update', 'Can update subscription topics'),
+  ('topics', 'delete', 'Can delete subscription topics')
+ON CONFLICT (resource, action) DO NOTHING;
+
+-- Assign all topic permissions to admin role
+DO $$
+DECLARE
+    admin_role_id INTEGER;
+BEGIN
+    SELECT id INTO admin_role_id FROM roles WHERE name = 'admin';
+
+    IF admin_role_id IS NOT NULL THEN
+        INSERT INTO role_permissions (role_id, permission_id)
+        SELECT admin_role_id, p.id
+        FROM permissions p
+        WHERE p.resource = 'topics'
+        ON CONFLICT (role_id, permission_id) DO NOTHING;
+    ELSE
+        RAISE NOTICE 'Admin role not found, skipping topic permission assignment.';
+    END IF;
+END $$;
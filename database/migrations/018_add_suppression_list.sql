@@ -0,0 +1,56 @@
+-- Migration: Add Suppression List
+-- Timestamp: 2025-06-14
+
+-- Addresses no email is sent to, whatever list or workflow they are on. Hard bounces and complaints are
+-- suppressed for good; soft bounces only after several in a row, and until expires_at.
+CREATE TABLE IF NOT EXISTS suppressions (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('hard_bounce', 'soft_bounce', 'complaint', 'manual')),
+  source VARCHAR(20) NOT NULL CHECK (source IN ('webhook', 'admin', 'import')),
+  description TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_suppressions_reason ON suppressions(reason);
+
+-- Consecutive soft bounces per address; a delivery resets the count
+CREATE TABLE IF NOT EXISTS soft_bounce_counts (
+  email VARCHAR(255) PRIMARY KEY,
+  consecutive_count INTEGER NOT NULL DEFAULT 0,
+  last_bounced_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recipients suppressed after the campaign was snapshotted are settled as suppressed instead of sent
+ALTER TABLE campaign_recipients DROP CONSTRAINT IF EXISTS campaign_recipients_status_check;
+ALTER TABLE campaign_recipients
+  ADD CONSTRAINT campaign_recipients_status_check CHECK (status IN ('queued', 'sent', 'failed', 'bounced', 'suppressed'));
+
+-- Add suppression permissions
+INSERT INTO permissions (resource, action, description)
+VALUES
+  ('suppressions', 'create', 'Can add and import suppressed addresses'),
+  ('suppressions', 'read', 'Can view the suppression list'),
+  ('suppressions', 'delete', 'Can remove suppressed addresses')
+ON CONFLICT (resource, action) DO NOTHING;
+
+-- Assign all suppression permissions to admin role
+DO $$
+DECLARE
+    admin_role_id INTEGER;
+BEGIN
+    SELECT id INTO admin_role_id FROM roles WHERE name = 'admin';
+
+    IF admin_role_id IS NOT NULL THEN
+        INSERT INTO role_permissions (role_id, permission_id)
+        SELECT admin_role_id, p.id
+        FROM permissions p
+        WHERE p.resource = 'suppressions'
+        ON CONFLICT (role_id, permission_id) DO NOTHING;
+    ELSE
+        RAISE NOTICE 'Admin role not found, skipping suppression permission assignment.';
+    END IF;
+END $$;
@@ -0,0 +1,16 @@
+-- Migration: Add Tracked Links
+-- Timestamp: 2025-06-15
+
+-- Links of campaign and workflow emails, registered when the email is rendered. Click tracking URLs carry the
+-- short ID and a signature instead of the destination, so /track/click only redirects to known links.
+CREATE TABLE IF NOT EXISTS tracked_links (
+  id SERIAL PRIMARY KEY,
+  short_id VARCHAR(16) NOT NULL UNIQUE,
+  campaign_id INTEGER REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  workflow_step_id INTEGER REFERENCES workflow_steps(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((campaign_id IS NULL) <> (workflow_step_id IS NULL)),
+  UNIQUE (campaign_id, url),
+  UNIQUE (workflow_step_id, url)
+);
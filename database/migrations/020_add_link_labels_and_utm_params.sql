@@ -0,0 +1,14 @@
+-- Migration: Add Link Labels and UTM Parameters
+-- Timestamp: 2025-06-16
+
+-- Links can carry a human-readable label (data-label) shown in click reports; the same URL under two
+-- labels is registered as two links
+ALTER TABLE tracked_links ADD COLUMN IF NOT EXISTS label VARCHAR(255);
+
+ALTER TABLE tracked_links DROP CONSTRAINT IF EXISTS tracked_links_campaign_id_url_key;
+ALTER TABLE tracked_links DROP CONSTRAINT IF EXISTS tracked_links_workflow_step_id_url_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tracked_links_campaign_link ON tracked_links(campaign_id, url, COALESCE(label, ''));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tracked_links_workflow_step_link ON tracked_links(workflow_step_id, url, COALESCE(label, ''));
+
+-- UTM parameters appended to the links of a campaign ({ source, medium, campaign, content }); NULL appends none
+ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS utm_params JSONB;
@@ -0,0 +1,5 @@
+-- Migration: Add Email Analytics Campaign Event Index
+-- Timestamp: 2025-06-17
+
+-- Campaign analytics filter the events of a campaign by type and time
+CREATE INDEX IF NOT EXISTS idx_email_analytics_campaign_event_time ON email_analytics(campaign_id, event_type, event_time);
@@ -0,0 +1,33 @@
+-- Migration: Add Engagement Scores
+-- Timestamp: 2025-06-18
+
+-- Engagement score (0-100) from the recency and frequency of human opens and clicks, recomputed by the worker
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS engagement_score NUMERIC(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS last_engaged_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS engagement_scored_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_subscribers_engagement_score ON subscribers(engagement_score);
+
+-- History of tags assigned to and removed from subscribers, for the activity timeline
+CREATE TABLE IF NOT EXISTS subscriber_tag_events (
+  id SERIAL PRIMARY KEY,
+  subscriber_id INTEGER NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('added', 'removed')),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriber_tag_events_subscriber ON subscriber_tag_events(subscriber_id, created_at);
+
+-- Timeline lookups of a subscriber's email events
+CREATE INDEX IF NOT EXISTS idx_email_analytics_recipient_time ON email_analytics(recipient_id, event_time);
+
+-- Existing tag assignments start the history
+INSERT INTO subscriber_tag_events (subscriber_id, tag_id, action, created_by, created_at)
+SELECT st.subscriber_id, st.tag_id, 'added', st.created_by, st.created_at
+FROM subscriber_tags st
+WHERE NOT EXISTS (
+  SELECT 1 FROM subscriber_tag_events ste
+  WHERE ste.subscriber_id = st.subscriber_id AND ste.tag_id = st.tag_id AND ste.action = 'added'
+);
@@ -0,0 +1,14 @@
+-- Migration: Add Sunset Policy
+-- Timestamp: 2025-06-19
+
+-- Subscribers the sunset policy gives up on can be suppressed as inactive
+ALTER TABLE suppressions DROP CONSTRAINT IF EXISTS suppressions_reason_check;
+ALTER TABLE suppressions
+  ADD CONSTRAINT suppressions_reason_check CHECK (reason IN ('hard_bounce', 'soft_bounce', 'complaint', 'manual', 'inactive'));
+
+ALTER TABLE suppressions DROP CONSTRAINT IF EXISTS suppressions_source_check;
+ALTER TABLE suppressions
+  ADD CONSTRAINT suppressions_source_check CHECK (source IN ('webhook', 'admin', 'import', 'sunset'));
+
+-- Sends in the sunset policy's inactivity window are counted per subscriber
+CREATE INDEX IF NOT EXISTS idx_email_analytics_recipient_sends ON email_analytics(recipient_id, event_time) WHERE event_type = 'sent';
@@ -0,0 +1,9 @@
+-- Migration: Add Dynamic Mailing Lists
+-- Timestamp: 2025-06-20
+
+-- Static lists keep a snapshot of their members in mailing_list_recipients; the members of dynamic lists are
+-- computed from filter_criteria whenever the list is read or sent to
+ALTER TABLE mailing_lists ADD COLUMN IF NOT EXISTS list_type VARCHAR(20) NOT NULL DEFAULT 'static';
+
+ALTER TABLE mailing_lists DROP CONSTRAINT IF EXISTS mailing_lists_list_type_check;
+ALTER TABLE mailing_lists ADD CONSTRAINT mailing_lists_list_type_check CHECK (list_type IN ('static', 'dynamic'));
@@ -0,0 +1,26 @@
+-- Migration: Add Mailing List Membership Events
+-- Timestamp: 2025-06-21
+
+-- Subscribers joining and leaving static mailing lists as their snapshots are kept up to date
+CREATE TABLE IF NOT EXISTS mailing_list_membership_events (
+  id BIGSERIAL PRIMARY KEY,
+  mailing_list_id INTEGER NOT NULL REFERENCES mailing_lists(id) ON DELETE CASCADE,
+  subscriber_id INTEGER NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('joined', 'left')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mailing_list_membership_events_list ON mailing_list_membership_events(mailing_list_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_mailing_list_membership_events_subscriber
+  ON mailing_list_membership_events(subscriber_id, created_at);
+
+-- Existing members start the history
+INSERT INTO mailing_list_membership_events (mailing_list_id, subscriber_id, action, created_at)
+SELECT mlr.mailing_list_id, mlr.recipient_id, 'joined', mlr.created_at
+FROM mailing_list_recipients mlr
+JOIN subscribers s ON s.id = mlr.recipient_id
+WHERE mlr.recipient_type = 'subscriber'
+AND NOT EXISTS (
+  SELECT 1 FROM mailing_list_membership_events e
+  WHERE e.mailing_list_id = mlr.mailing_list_id AND e.subscriber_id = mlr.recipient_id
+);
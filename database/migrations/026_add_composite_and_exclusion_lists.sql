@@ -0,0 +1,32 @@
+-- Migration: Add Composite Mailing Lists and Campaign Exclusion Lists
+-- Timestamp: 2025-06-22
+
+-- Composite lists combine other lists with a set operator; like dynamic lists they are resolved whenever they
+-- are read or sent to. except keeps the members of the first component who are on none of the others.
+ALTER TABLE mailing_lists DROP CONSTRAINT IF EXISTS mailing_lists_list_type_check;
+ALTER TABLE mailing_lists ADD CONSTRAINT mailing_lists_list_type_check CHECK (list_type IN ('static', 'dynamic', 'composite'));
+
+ALTER TABLE mailing_lists ADD COLUMN IF NOT EXISTS set_operator VARCHAR(10);
+ALTER TABLE mailing_lists DROP CONSTRAINT IF EXISTS mailing_lists_set_operator_check;
+ALTER TABLE mailing_lists ADD CONSTRAINT mailing_lists_set_operator_check CHECK (set_operator IN ('union', 'intersect', 'except'));
+
+CREATE TABLE IF NOT EXISTS mailing_list_components (
+  mailing_list_id INTEGER NOT NULL REFERENCES mailing_lists(id) ON DELETE CASCADE,
+  component_list_id INTEGER NOT NULL REFERENCES mailing_lists(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (mailing_list_id, component_list_id),
+  CHECK (mailing_list_id <> component_list_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mailing_list_components_component ON mailing_list_components(component_list_id);
+
+-- Subscribers on any of these lists never receive the campaign, whichever of its lists they are on
+CREATE TABLE IF NOT EXISTS campaign_exclusion_lists (
+  campaign_id INTEGER NOT NULL REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  mailing_list_id INTEGER NOT NULL REFERENCES mailing_lists(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (campaign_id, mailing_list_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_exclusion_lists_mailing_list ON campaign_exclusion_lists(mailing_list_id);
@@ -0,0 +1,8 @@
+-- Migration: Add Sending Status to Campaign Recipients
+-- Timestamp: 2025-06-23
+
+-- A recipient is claimed as sending before the email goes out, so two workers (or a redelivered job)
+-- cannot both send it; a failed attempt puts it back to queued
+ALTER TABLE campaign_recipients DROP CONSTRAINT IF EXISTS campaign_recipients_status_check;
+ALTER TABLE campaign_recipients
+  ADD CONSTRAINT campaign_recipients_status_check CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'bounced', 'suppressed'));
@@ -0,0 +1,77 @@
+/**
+ * @module dtos/analytics.dto
+ * @description Data Transfer Objects for campaign analytics using Zod for validation. Query strings are
+ * parsed in the controller, as Express 5 does not let the validate middleware replace req.query.
+ */
+
+const { z } = require("zod");
+
+const dateTimeSchema = z.string().datetime({ offset: true, message: "Dates must be in ISO 8601 format" }).optional();
+
+/**
+ * @typedef {Object} AnalyticsFiltersQuery
+ * @property {string} [from] - Only count events from this time (ISO 8601)
+ * @property {string} [to] - Only count events before this time (ISO 8601)
+ * @property {boolean} [includeMachine=false] - Count opens and clicks classified as bots or Apple MPP prefetches
+ */
+const filtersQuerySchema = z
+  .object({
+    from: dateTimeSchema,
+    to: dateTimeSchema,
+    includeMachine: z
+      .enum(["true", "false"], { errorMap: () => ({ message: "includeMachine must be true or false" }) })
+      .optional()
+      .transform((value) => value === "true"),
+  })
+  .refine((data) => !data.from || !data.to || new Date(data.from) < new Date(data.to), {
+    message: "from must be before to",
+    path: ["to"],
+  });
+
+/**
+ * @typedef {Object} GetCampaignAnalyticsSchema
+ * @property {number} id - ID of the campaign
+ * @property {string} [query.interval=day] - Time series bucket size: hour or day
+ * @property {string} [query.report=summary] - Report to export as CSV: summary, timeseries, links or clients
+ */
+const getCampaignAnalyticsSchema = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, "ID must be a number")
+      .transform((val) => parseInt(val, 10)),
+  }),
+  query: z.intersection(
+    filtersQuerySchema,
+    z.object({
+      interval: z.enum(["hour", "day"], { errorMap: () => ({ message: "Interval must be hour or day" }) }).default("day"),
+      report: z
+        .enum(["summary", "timeseries", "links", "clients"], {
+          errorMap: () => ({ message: "Report must be summary, timeseries, links or clients" }),
+        })
+        .default("summary"),
+    })
+  ),
+};
+
+/**
+ * @typedef {Object} CompareCampaignsSchema
+ * @property {number[]} query.ids - Comma separated IDs of 2 to 10 campaigns
+ */
+const compareCampaignsSchema = {
+  query: z.intersection(
+    filtersQuerySchema,
+    z.object({
+      ids: z
+        .string({ required_error: "ids is required" })
+        .regex(/^\d+(,\d+)*$/, "ids must be a comma separated list of campaign IDs")
+        .transform((value) => [...new Set(value.split(",").map((id) => parseInt(id, 10)))])
+        .refine((ids) => ids.length >= 2 && ids.length <= 10, { message: "Compare between 2 and 10 campaigns" }),
+    })
+  ),
+};
+
+module.exports = {
+  getCampaignAnalyticsSchema,
+  compareCampaignsSchema,
+};
@@ -4,6 +4,106 @@
  */
 
 const { z } = require("zod");
+const { isValidRecurrenceRule, isValidTimezone } = require("../utils/recurrence");
+
+/**
+ * @typedef {Object} CampaignVariantSchema
+ * @property {string} name - Name of the variant (e.g. "A", "Short subject")
+ * @property {string} [subject] - Subject line override
+ * @property {number} [templateId] - Template override
+ * @property {Object} [templateVariables] - Template variables merged over the campaign's
+ */
+const campaignVariantSchema = z.object({
+  name: z.string().trim().min(1, { message: "Variant name is required" }).max(100, { message: "Variant name cannot exceed 100 characters" }),
+  subject: z.string().trim().max(255, { message: "Subject cannot exceed 255 characters" }).nullable().optional(),
+  templateId: z
+    .number()
+    .int({ message: "Template ID must be an integer" })
+    .positive({ message: "Template ID must be a positive number" })
+    .nullable()
+    .optional(),
+  templateVariables: z.record(z.any()).nullable().optional(),
+});
+
+/**
+ * @typedef {Object} AbTestSchema
+ * @property {number} [testPercentage=20] - Percentage of recipients split across the variants
+ * @property {string} [winnerMetric=open_rate] - Metric used to pick the winner (open_rate or click_rate)
+ * @property {number} [waitMinutes=240] - How long to wait before sending the winner to the rest
+ */
+const abTestSchema = z.object({
+  testPercentage: z.number().int().min(1, { message: "Test percentage must be at least 1" }).max(100).optional().default(20),
+  winnerMetric: z.enum(["open_rate", "click_rate"]).optional().default("open_rate"),
+  waitMinutes: z.number().int().positive({ message: "Wait time must be a positive number of minutes" }).optional().default(240),
+});
+
+const campaignVariantsSchema = z
+  .array(campaignVariantSchema)
+  .min(2, { message: "An A/B test requires at least two variants" })
+  .max(5, { message: "An A/B test supports at most five variants" })
+  .refine((variants) => new Set(variants.map((v) => v.name)).size === variants.length, {
+    message: "Variant names must be unique",
+  });
+
+/**
+ * @typedef {Object} RecurrenceSchema
+ * @property {string} rule - Cron expression (e.g. "0 9 * * MON") or RRULE (e.g. "FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0")
+ * @property {string} [timezone=UTC] - IANA timezone the rule is evaluated in
+ * @property {Date} [endsAt] - No runs are fired after this time
+ * @property {number} [maxRuns] - Maximum number of runs to fire
+ */
+const recurrenceSchema = z.object({
+  rule: z.string().trim().refine(isValidRecurrenceRule, { message: "Recurrence rule must be a valid cron expression or RRULE" }),
+  timezone: z.string().trim().refine(isValidTimezone, { message: "Timezone must be a valid IANA timezone" }).optional().default("UTC"),
+  endsAt: z.preprocess(
+    (val) => (val ? new Date(val) : null),
+    z
+      .date()
+      .refine((date) => date > new Date(), { message: "Recurrence end date must be in the future" })
+      .nullable()
+      .optional()
+  ),
+  maxRuns: z.number().int().positive({ message: "Maximum runs must be a positive number" }).nullable().optional(),
+});
+
+/**
+ * @typedef {Object} LocalDeliverySchema
+ * @property {string} date - Local date to deliver on (YYYY-MM-DD)
+ * @property {string} time - Local time to deliver at (HH:MM), e.g. "09:00"
+ * @property {string} [defaultTimezone=UTC] - Timezone of subscribers whose timezone is unknown
+ */
+const localDeliverySchema = z.object({
+  date: z.string().regex(/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, { message: "Date must be in YYYY-MM-DD format" }),
+  time: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, { message: "Time must be in HH:MM format" }),
+  defaultTimezone: z
+    .string()
+    .trim()
+    .refine(isValidTimezone, { message: "Timezone must be a valid IANA timezone" })
+    .optional()
+    .default("UTC"),
+});
+
+/**
+ * @typedef {Object} UtmParamsSchema
+ * @property {string} [source] - utm_source (defaults to "newsletter")
+ * @property {string} [medium] - utm_medium (defaults to "email")
+ * @property {string} [campaign] - utm_campaign (defaults to the campaign name)
+ * @property {string} [term] - utm_term
+ * @property {string} [content] - utm_content (defaults to the A/B test variant name)
+ */
+const utmValue = z.string().trim().min(1).max(100, { message: "UTM parameters must be at most 100 characters" }).optional();
+const utmParamsSchema = z.object({
+  source: utmValue,
+  medium: utmValue,
+  campaign: utmValue,
+  term: utmValue,
+  content: utmValue,
+});
+
+// Mailing lists whose subscribers are left out of the campaign, whichever of its lists they are on
+const exclusionListIdsSchema = z.array(
+  z.number().int({ message: "Exclusion list ID must be an integer" }).positive({ message: "Exclusion list ID must be a positive number" })
+);
 
 /**
  * @typedef {Object} CreateCampaignSchema
@@ -15,42 +115,90 @@ const { z } = require("zod");
  * @property {string} subject - Email subject line
  * @property {Object} [templateVariables] - Variables to use in the email template
  * @property {number[]} mailingListIds - IDs of the mailing lists to send to
+ * @property {number[]} [exclusionListIds] - IDs of mailing lists whose subscribers never receive the campaign
  * @property {Date} [scheduledAt] - When to send the campaign
+ * @property {AbTestSchema} [abTest] - A/B test settings (requires variants)
+ * @property {CampaignVariantSchema[]} [variants] - Variants to split test
+ * @property {RecurrenceSchema} [recurrence] - Repeat the campaign on a schedule (starting at scheduledAt if set)
+ * @property {boolean} [sendTimeOptimization=false] - Deliver to each recipient at their best engagement hour within 24h
+ * @property {LocalDeliverySchema} [localDelivery] - Deliver at a local time in every recipient's timezone
+ * @property {number} [seedListId] - Seed list that gets a copy of the campaign when it is sent
+ * @property {number} [topicId] - Topic of the campaign; subscribers who opted out of it are left out
+ * @property {UtmParamsSchema} [utmParams] - Append UTM parameters to the tracked links of the campaign
  */
 const createCampaignSchema = {
-  body: z.object({
-    name: z
-      .string()
-      .trim()
-      .min(1, { message: "Campaign name is required" })
-      .max(255, { message: "Campaign name cannot exceed 255 characters" }),
-    description: z.string().trim().nullable().optional(),
-    templateId: z
-      .number()
-      .int({ message: "Template ID must be an integer" })
-      .positive({ message: "Template ID must be a positive number" })
-      .nullable()
-      .optional(),
-    fromEmail: z.string().email({ message: "From email must be a valid email address" }),
-    replyTo: z.string().email({ message: "Reply-to email must be a valid email address" }).nullable().optional(),
-    subject: z.string().trim().min(1, { message: "Subject is required" }).max(255, { message: "Subject cannot exceed 255 characters" }),
-    templateVariables: z.record(z.any()).nullable().optional(),
-    mailingListIds: z
-      .array(
-        z.number().int({ message: "Mailing list ID must be an integer" }).positive({ message: "Mailing list ID must be a positive number" })
-      )
-      .min(1, { message: "At least one mailing list is required" }),
-    scheduledAt: z.preprocess(
-      (val) => (val ? new Date(val) : null),
-      z
-        .date()
-        .refine((date) => date > new Date(), { message: "Scheduled date must be in the future" })
+  body: z
+    .object({
+      name: z
+        .string()
+        .trim()
+        .min(1, { message: "Campaign name is required" })
+        .max(255, { message: "Campaign name cannot exceed 255 characters" }),
+      description: z.string().trim().nullable().optional(),
+      templateId: z
+        .number()
+        .int({ message: "Template ID must be an integer" })
+        .positive({ message: "Template ID must be a positive number" })
         .nullable()
-        .optional()
-    ),
-    trackOpens: z.boolean().optional().default(true),
-    trackClicks: z.boolean().optional().default(true),
-  }),
+        .optional(),
+      fromEmail: z.string().email({ message: "From email must be a valid email address" }),
+      replyTo: z.string().email({ message: "Reply-to email must be a valid email address" }).nullable().optional(),
+      subject: z.string().trim().min(1, { message: "Subject is required" }).max(255, { message: "Subject cannot exceed 255 characters" }),
+      templateVariables: z.record(z.any()).nullable().optional(),
+      mailingListIds: z
+        .array(
+          z
+            .number()
+            .int({ message: "Mailing list ID must be an integer" })
+            .positive({ message: "Mailing list ID must be a positive number" })
+        )
+        .min(1, { message: "At least one mailing list is required" }),
+      exclusionListIds: exclusionListIdsSchema.optional(),
+      scheduledAt: z.preprocess(
+        (val) => (val ? new Date(val) : null),
+        z
+          .date()
+          .refine((date) => date > new Date(), { message: "Scheduled date must be in the future" })
+          .nullable()
+          .optional()
+      ),
+      trackOpens: z.boolean().optional().default(true),
+      trackClicks: z.boolean().optional().default(true),
+      abTest: abTestSchema.optional(),
+      variants: campaignVariantsSchema.optional(),
+      recurrence: recurrenceSchema.optional(),
+      sendTimeOptimization: z.boolean().optional().default(false),
+      localDelivery: localDeliverySchema.optional(),
+      seedListId: z
+        .number()
+        .int({ message: "Seed list ID must be an integer" })
+        .positive({ message: "Seed list ID must be a positive number" })
+        .nullable()
+        .optional(),
+      topicId: z
+        .number()
+        .int({ message: "Topic ID must be an integer" })
+        .positive({ message: "Topic ID must be a positive number" })
+        .nullable()
+        .optional(),
+      utmParams: utmParamsSchema.optional(),
+    })
+    .refine((data) => !data.abTest === !data.variants, {
+      message: "abTest and variants must be provided together",
+      path: ["variants"],
+    })
+    .refine((data) => !(data.abTest && data.recurrence), {
+      message: "Recurring campaigns cannot be split tested",
+      path: ["recurrence"],
+    })
+    .refine((data) => !(data.abTest && data.sendTimeOptimization), {
+      message: "Split tested campaigns cannot use send-time optimization",
+      path: ["sendTimeOptimization"],
+    })
+    .refine((data) => !data.localDelivery || !(data.scheduledAt || data.abTest || data.recurrence || data.sendTimeOptimization), {
+      message: "Local time delivery cannot be combined with a schedule, A/B test, recurrence or send-time optimization",
+      path: ["localDelivery"],
+    }),
 };
 
 /**
@@ -64,7 +212,16 @@ const createCampaignSchema = {
  * @property {string} [subject] - Updated subject line
  * @property {Object} [templateVariables] - Updated template variables
  * @property {number[]} [mailingListIds] - Updated mailing list IDs
+ * @property {number[]} [exclusionListIds] - Replaces the exclusion lists; an empty array removes them
  * @property {Date} [scheduledAt] - Updated scheduled time
+ * @property {AbTestSchema|null} [abTest] - Replaces the A/B test settings; null removes split testing
+ * @property {CampaignVariantSchema[]} [variants] - Replacement variants (required with abTest)
+ * @property {RecurrenceSchema|null} [recurrence] - Replaces the recurrence; null makes the campaign one-off
+ * @property {boolean} [sendTimeOptimization] - Deliver to each recipient at their best engagement hour within 24h
+ * @property {LocalDeliverySchema|null} [localDelivery] - Replaces the local time delivery; null sends at a single time
+ * @property {number|null} [seedListId] - Seed list that gets a copy of the campaign; null removes it
+ * @property {number|null} [topicId] - Topic of the campaign; null sends it regardless of topic opt-outs
+ * @property {UtmParamsSchema|null} [utmParams] - Replaces the UTM parameters; null turns UTM tagging off
  */
 const updateCampaignSchema = {
   params: z.object({
@@ -105,6 +262,7 @@ const updateCampaignSchema = {
         )
         .min(1, { message: "At least one mailing list is required" })
         .optional(),
+      exclusionListIds: exclusionListIdsSchema.optional(),
       scheduledAt: z.preprocess(
         (val) => (val ? new Date(val) : null),
         z
@@ -115,9 +273,43 @@ const updateCampaignSchema = {
       ),
       trackOpens: z.boolean().optional(),
       trackClicks: z.boolean().optional(),
+      abTest: abTestSchema.nullable().optional(),
+      variants: campaignVariantsSchema.optional(),
+      recurrence: recurrenceSchema.nullable().optional(),
+      sendTimeOptimization: z.boolean().optional(),
+      localDelivery: localDeliverySchema.nullable().optional(),
+      seedListId: z
+        .number()
+        .int({ message: "Seed list ID must be an integer" })
+        .positive({ message: "Seed list ID must be a positive number" })
+        .nullable()
+        .optional(),
+      topicId: z
+        .number()
+        .int({ message: "Topic ID must be an integer" })
+        .positive({ message: "Topic ID must be a positive number" })
+        .nullable()
+        .optional(),
+      utmParams: utmParamsSchema.nullable().optional(),
     })
     .refine((data) => Object.keys(data).length > 0, {
       message: "At least one field must be provided for update",
+    })
+    .refine((data) => !data.abTest || data.variants, {
+      message: "Variants are required when configuring an A/B test",
+      path: ["variants"],
+    })
+    .refine((data) => !(data.abTest && data.recurrence), {
+      message: "Recurring campaigns cannot be split tested",
+      path: ["recurrence"],
+    })
+    .refine((data) => !(data.abTest && data.sendTimeOptimization), {
+      message: "Split tested campaigns cannot use send-time optimization",
+      path: ["sendTimeOptimization"],
+    })
+    .refine((data) => !data.localDelivery || !(data.scheduledAt || data.abTest || data.recurrence || data.sendTimeOptimization), {
+      message: "Local time delivery cannot be combined with a schedule, A/B test, recurrence or send-time optimization",
+      path: ["localDelivery"],
     }),
 };
 
@@ -154,9 +346,37 @@ const getCampaignSchema = {
   }),
 };
 
+/**
+ * @typedef {Object} TestCampaignSchema
+ * @property {number} id - ID of the campaign
+ * @property {string[]} emails - Addresses to send the test to
+ * @property {number} [subscriberId] - Subscriber whose variables the test is rendered with
+ */
+const testCampaignSchema = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, "ID must be a number")
+      .transform((val) => parseInt(val, 10)),
+  }),
+  body: z.object({
+    emails: z
+      .array(z.string().trim().email({ message: "Test addresses must be valid email addresses" }))
+      .min(1, { message: "At least one test address is required" })
+      .max(20, { message: "A test can be sent to at most 20 addresses" }),
+    subscriberId: z
+      .number()
+      .int({ message: "Subscriber ID must be an integer" })
+      .positive({ message: "Subscriber ID must be a positive number" })
+      .nullable()
+      .optional(),
+  }),
+};
+
 module.exports = {
   createCampaignSchema,
   updateCampaignSchema,
   scheduleCampaignSchema,
   getCampaignSchema,
+  testCampaignSchema,
 };
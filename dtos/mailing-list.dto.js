@@ -13,6 +13,11 @@ const numberValueSchema = z.number();
 const booleanValueSchema = z.boolean();
 const dateValueSchema = z.string().refine((val) => !isNaN(Date.parse(val)), { message: "Invalid date format" });
 const arrayValueSchema = z.array(z.any());
+// Relative date values, e.g. { amount: 7, unit: "days" }, counted from the time the filter runs
+const relativeDateValueSchema = z.object({
+  amount: z.number().int().positive(),
+  unit: z.enum(["days", "weeks", "months"]).default("days"),
+});
 
 // String operator schemas
 const stringOperatorSchema = z.discriminatedUnion("operator", [
@@ -53,6 +58,11 @@ const dateOperatorSchema = z.discriminatedUnion("operator", [
   z.object({ operator: z.literal("extract_day"), value: z.number().min(1).max(31) }),
   z.object({ operator: z.literal("extract_month"), value: z.number().min(1).max(12) }),
   z.object({ operator: z.literal("extract_year"), value: z.number() }),
+  z.object({ operator: z.literal("in_last"), value: relativeDateValueSchema }),
+  z.object({ operator: z.literal("not_in_last"), value: relativeDateValueSchema }),
+  z.object({ operator: z.literal("in_next"), value: relativeDateValueSchema }),
+  z.object({ operator: z.literal("before_relative"), value: relativeDateValueSchema }),
+  z.object({ operator: z.literal("anniversary_within"), value: relativeDateValueSchema }),
   z.object({ operator: z.literal("null") }),
   z.object({ operator: z.literal("not_null") }),
 ]);
@@ -77,12 +87,76 @@ const arrayOperatorSchema = z.discriminatedUnion("operator", [
   z.object({ operator: z.literal("not_null") }),
 ]);
 
-// Generic field rule schema that can be string, number, date, boolean, or array operator
-const fieldRuleSchema = z.object({
-  field: z.string(),
-  operator: z.string(),
-  value: z.any().optional(),
+// Behavioral operators over email events (fields email.received, email.opened and email.clicked)
+const behaviorCountValueSchema = z.object({
+  count: z.number().int().min(0),
+  // Only count the events of the last days
+  days: z.number().int().positive().optional(),
 });
+const behaviorOperatorSchema = z.discriminatedUnion("operator", [
+  z.object({ operator: z.literal("ever") }),
+  z.object({ operator: z.literal("never") }),
+  z.object({ operator: z.literal("in_campaign"), value: z.number().int().positive() }),
+  z.object({ operator: z.literal("within_days"), value: z.number().int().positive() }),
+  z.object({ operator: z.literal("count_gt"), value: behaviorCountValueSchema }),
+  z.object({ operator: z.literal("count_lt"), value: behaviorCountValueSchema }),
+  z.object({ operator: z.literal("link_contains"), value: z.string().min(1) }),
+]);
+const behaviorFields = ["email.received", "email.opened", "email.clicked"];
+
+const relativeDateOperators = ["in_last", "not_in_last", "in_next", "before_relative", "anniversary_within"];
+// Relative date operators only apply to these fields and to fields named like dates (as the filter builder reads them)
+const dateFields = ["subscribed_at", "unsubscribed_at", "created_at", "updated_at", "date_of_birth", "last_engaged_at"];
+const isDateFieldName = (field) => dateFields.includes(field) || /_(date|at|time)$/.test(field);
+// Anniversaries are only meaningful for birthdays and subscription dates
+const anniversaryFields = ["date_of_birth", "subscribed_at"];
+
+// Generic field rule schema that can be string, number, date, boolean, array or behavioral operator
+const fieldRuleSchema = z
+  .object({
+    field: z.string(),
+    operator: z.string(),
+    value: z.any().optional(),
+  })
+  .superRefine((rule, ctx) => {
+    if (relativeDateOperators.includes(rule.operator)) {
+      const result = relativeDateValueSchema.safeParse(rule.value);
+      if (!result.success) {
+        result.error.issues.forEach((issue) => ctx.addIssue({ ...issue, path: ["value", ...issue.path] }));
+      } else if (!isDateFieldName(rule.field)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `${rule.operator} only applies to date fields`,
+          path: ["field"],
+        });
+      } else if (rule.operator === "anniversary_within" && !anniversaryFields.includes(rule.field)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `anniversary_within only applies to ${anniversaryFields.join(" and ")}`,
+          path: ["field"],
+        });
+      }
+      return;
+    }
+
+    if (!rule.field.startsWith("email.")) {
+      return;
+    }
+    if (!behaviorFields.includes(rule.field)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Behavioral field must be one of ${behaviorFields.join(", ")}`,
+        path: ["field"],
+      });
+      return;
+    }
+    const result = behaviorOperatorSchema.safeParse({ operator: rule.operator, value: rule.value });
+    if (!result.success) {
+      result.error.issues.forEach((issue) => ctx.addIssue(issue));
+    } else if (rule.operator === "link_contains" && rule.field !== "email.clicked") {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: "link_contains only applies to email.clicked", path: ["operator"] });
+    }
+  });
 
 // Forward declaration for recursive types
 const filterGroupSchema = z.lazy(() => {
@@ -115,28 +189,62 @@ const filterCriteriaSchema = z.object({
   tags: tagsArraySchema.optional(),
 });
 
+// Static lists snapshot their members; dynamic lists resolve their filter criteria and composite lists their
+// component lists whenever they are read or sent to
+const listTypeSchema = z.enum(["static", "dynamic", "composite"], {
+  errorMap: () => ({ message: "List type must be static, dynamic or composite" }),
+});
+
+// How a composite list combines its components; except keeps the members of the first who are on none of the others
+const setOperatorSchema = z.enum(["union", "intersect", "except"], {
+  errorMap: () => ({ message: "Set operator must be union, intersect or except" }),
+});
+
+const componentListIdsSchema = z
+  .array(z.number().int().positive({ message: "Component list ID must be a positive number" }))
+  .min(2, { message: "A composite list needs at least two component lists" })
+  .refine((ids) => new Set(ids).size === ids.length, { message: "Component lists must be unique" });
+
 /**
  * @typedef {Object} CreateMailingListSchema
  * @property {string} name - Name of the mailing list
  * @property {string} [description] - Description of the mailing list (optional)
+ * @property {string} [list_type=static] - static, dynamic or composite
+ * @property {string} [set_operator] - union, intersect or except (composite lists only)
+ * @property {number[]} [component_list_ids] - Lists a composite list combines, in order (composite lists only)
  * @property {Object} [filter_criteria] - Criteria for filtering subscribers (optional)
  */
 const createMailingListSchema = {
-  body: z.object({
-    name: z
-      .string()
-      .trim()
-      .min(3, { message: "Name must be at least 3 characters" })
-      .max(255, { message: "Name cannot exceed 255 characters" }),
-    description: z.string().trim().optional(),
-    filter_criteria: filterCriteriaSchema.optional(),
-  }),
+  body: z
+    .object({
+      name: z
+        .string()
+        .trim()
+        .min(3, { message: "Name must be at least 3 characters" })
+        .max(255, { message: "Name cannot exceed 255 characters" }),
+      description: z.string().trim().optional(),
+      list_type: listTypeSchema.default("static"),
+      set_operator: setOperatorSchema.optional(),
+      component_list_ids: componentListIdsSchema.optional(),
+      filter_criteria: filterCriteriaSchema.optional(),
+    })
+    .refine((data) => data.list_type !== "composite" || (data.set_operator && data.component_list_ids), {
+      message: "Composite lists need a set operator and component lists",
+      path: ["component_list_ids"],
+    })
+    .refine((data) => data.list_type === "composite" || !(data.set_operator || data.component_list_ids), {
+      message: "Only composite lists have a set operator and component lists",
+      path: ["list_type"],
+    }),
 };
 
 /**
  * @typedef {Object} UpdateMailingListSchema
  * @property {string} [name] - Name of the mailing list
  * @property {string} [description] - Description of the mailing list
+ * @property {string} [list_type] - static, dynamic or composite; switching rebuilds or drops the snapshot of recipients
+ * @property {string} [set_operator] - union, intersect or except (composite lists only)
+ * @property {number[]} [component_list_ids] - Replaces the component lists of a composite list
  * @property {Object} [filter_criteria] - Criteria for filtering subscribers
  * @property {boolean} [is_active] - Active status of the mailing list
  */
@@ -156,11 +264,18 @@ const updateMailingListSchema = {
         .max(255, { message: "Name cannot exceed 255 characters" })
         .optional(),
       description: z.string().trim().optional(),
+      list_type: listTypeSchema.optional(),
+      set_operator: setOperatorSchema.optional(),
+      component_list_ids: componentListIdsSchema.optional(),
       filter_criteria: filterCriteriaSchema.optional(),
       is_active: z.boolean().optional(),
     })
     .refine((data) => Object.keys(data).length > 0, {
       message: "At least one field must be provided for update",
+    })
+    .refine((data) => data.list_type === undefined || data.list_type === "composite" || !(data.set_operator || data.component_list_ids), {
+      message: "Only composite lists have a set operator and component lists",
+      path: ["list_type"],
     }),
 };
 
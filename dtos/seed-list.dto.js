@@ -0,0 +1,78 @@
+/**
+ * @module dtos/seed-list.dto
+ * @description Data Transfer Objects for seed list operations using Zod for validation
+ */
+
+const { z } = require("zod");
+
+const seedEmailsSchema = z
+  .array(z.string().trim().email({ message: "Seed addresses must be valid email addresses" }))
+  .min(1, { message: "At least one seed address is required" })
+  .max(100, { message: "A seed list cannot have more than 100 addresses" });
+
+/**
+ * @typedef {Object} CreateSeedListSchema
+ * @property {string} name - Name of the seed list
+ * @property {string} [description] - Description of the seed list
+ * @property {string[]} emails - Seed addresses that get a copy of every real send
+ */
+const createSeedListSchema = {
+  body: z.object({
+    name: z
+      .string()
+      .trim()
+      .min(1, { message: "Seed list name is required" })
+      .max(255, { message: "Seed list name cannot exceed 255 characters" }),
+    description: z.string().trim().nullable().optional(),
+    emails: seedEmailsSchema,
+  }),
+};
+
+/**
+ * @typedef {Object} UpdateSeedListSchema
+ * @property {number} id - ID of the seed list to update
+ * @property {string} [name] - Updated name
+ * @property {string} [description] - Updated description
+ * @property {string[]} [emails] - Replacement seed addresses
+ */
+const updateSeedListSchema = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, "ID must be a number")
+      .transform((val) => parseInt(val, 10)),
+  }),
+  body: z
+    .object({
+      name: z
+        .string()
+        .trim()
+        .min(1, { message: "Seed list name cannot be empty" })
+        .max(255, { message: "Seed list name cannot exceed 255 characters" })
+        .optional(),
+      description: z.string().trim().nullable().optional(),
+      emails: seedEmailsSchema.optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: "At least one field must be provided for update",
+    }),
+};
+
+/**
+ * @typedef {Object} GetSeedListSchema
+ * @property {number} id - ID of the seed list
+ */
+const getSeedListSchema = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, "ID must be a number")
+      .transform((val) => parseInt(val, 10)),
+  }),
+};
+
+module.exports = {
+  createSeedListSchema,
+  updateSeedListSchema,
+  getSeedListSchema,
+};
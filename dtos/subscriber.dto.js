@@ -4,6 +4,9 @@
  */
 
 const { z } = require("zod");
+const { isValidTimezone } = require("../utils/recurrence");
+
+const timezoneSchema = z.string().trim().refine(isValidTimezone, { message: "Timezone must be a valid IANA timezone" });
 
 /**
  * @typedef {Object} CreateSubscriberSchema
@@ -11,6 +14,7 @@ const { z } = require("zod");
  * @property {string} [name] - Name of the subscriber (optional)
  * @property {Date} [dateOfBirth] - Date of birth of the subscriber (optional)
  * @property {Object} [metadata] - Additional metadata for the subscriber (optional)
+ * @property {string} [timezone] - IANA timezone of the subscriber, e.g. "Europe/Berlin" (optional)
  */
 const createSubscriberSchema = {
   body: z.object({
@@ -18,6 +22,7 @@ const createSubscriberSchema = {
     name: z.string().nullable().optional(),
     dateOfBirth: z.coerce.date().nullable().optional(),
     metadata: z.record(z.any()).nullable().optional(),
+    timezone: timezoneSchema.nullable().optional(),
   }),
 };
 
@@ -28,6 +33,7 @@ const createSubscriberSchema = {
  * @property {Date} [dateOfBirth] - Date of birth of the subscriber
  * @property {boolean} [isActive] - Active status of the subscriber
  * @property {Object} [metadata] - Additional metadata for the subscriber
+ * @property {string|null} [timezone] - IANA timezone of the subscriber; null lets it be detected again
  */
 const updateSubscriberSchema = {
   params: z.object({
@@ -43,6 +49,7 @@ const updateSubscriberSchema = {
       dateOfBirth: z.coerce.date().nullable().optional(),
       isActive: z.boolean().optional(),
       metadata: z.record(z.any()).nullable().optional(),
+      timezone: timezoneSchema.nullable().optional(),
     })
     .refine((data) => Object.keys(data).length > 0, {
       message: "At least one field must be provided for update",
@@ -104,6 +111,54 @@ const getSubscriberSchema = {
   }),
 };
 
+/**
+ * @typedef {Object} GetSubscriberActivitySchema
+ * @property {number} id - ID of the subscriber
+ * @property {string} [query.before] - Only return activity before this time (ISO 8601), to page back in time
+ * @property {number} [query.limit=100] - Maximum number of events to return (1-500)
+ */
+const getSubscriberActivitySchema = {
+  params: getSubscriberSchema.params,
+  query: z.object({
+    before: z.string().datetime({ offset: true, message: "before must be in ISO 8601 format" }).optional(),
+    limit: z
+      .string()
+      .regex(/^\d+$/, "limit must be a number")
+      .transform((val) => parseInt(val, 10))
+      .refine((val) => val >= 1 && val <= 500, { message: "limit must be between 1 and 500" })
+      .optional(),
+  }),
+};
+
+/**
+ * Optional positive whole number in a query string
+ * @param {string} name - Parameter name for error messages
+ * @returns {z.ZodType} Schema
+ */
+const positiveIntQuery = (name) =>
+  z
+    .string()
+    .regex(/^\d+$/, `${name} must be a number`)
+    .transform((val) => parseInt(val, 10))
+    .refine((val) => val >= 1, { message: `${name} must be at least 1` })
+    .optional();
+
+/**
+ * @typedef {Object} SunsetReportSchema
+ * @property {number} [query.inactiveDays] - Try this inactivity window instead of the configured one
+ * @property {number} [query.minSends] - Try this minimum number of sends instead of the configured one
+ * @property {number} [query.graceDays] - Try this grace period instead of the configured one
+ * @property {number} [query.limit=100] - Subscribers listed per stage (1-1000)
+ */
+const sunsetReportSchema = {
+  query: z.object({
+    inactiveDays: positiveIntQuery("inactiveDays"),
+    minSends: positiveIntQuery("minSends"),
+    graceDays: positiveIntQuery("graceDays"),
+    limit: positiveIntQuery("limit").refine((val) => val === undefined || val <= 1000, { message: "limit must be at most 1000" }),
+  }),
+};
+
 /**
  * @typedef {Object} UnsubscribeSchema
  * @property {string} email - Email address of the subscriber to unsubscribe
@@ -121,5 +176,7 @@ module.exports = {
   assignTagsSchema,
   removeTagsSchema,
   getSubscriberSchema,
+  getSubscriberActivitySchema,
+  sunsetReportSchema,
   unsubscribeSchema,
 };
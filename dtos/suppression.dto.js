@@ -0,0 +1,62 @@
+/**
+ * @module dtos/suppression.dto
+ * @description Data Transfer Objects for suppression list operations using Zod for validation
+ */
+
+const { z } = require("zod");
+
+const reasonSchema = z.enum(["hard_bounce", "soft_bounce", "complaint", "manual", "inactive"], {
+  errorMap: () => ({ message: "Reason must be hard_bounce, soft_bounce, complaint, manual or inactive" }),
+});
+
+/**
+ * @typedef {Object} CreateSuppressionSchema
+ * @property {string} email - Address to suppress
+ * @property {string} [reason=manual] - Why the address is suppressed
+ * @property {string} [description] - Note on the suppression
+ * @property {string} [expiresAt] - When the suppression ends; never when omitted
+ */
+const createSuppressionSchema = {
+  body: z.object({
+    email: z.string().trim().email({ message: "A valid email address is required" }),
+    reason: reasonSchema.default("manual"),
+    description: z.string().trim().nullable().optional(),
+    expiresAt: z
+      .string()
+      .datetime({ offset: true, message: "Expiry must be an ISO 8601 date and time" })
+      .refine((value) => new Date(value) > new Date(), { message: "Expiry must be in the future" })
+      .nullable()
+      .optional(),
+  }),
+};
+
+/**
+ * @typedef {Object} ImportSuppressionsSchema
+ * @property {string} csvData - CSV with an email column and optional reason, description and expires_at columns
+ * @property {string} [reason=manual] - Reason of rows without one
+ */
+const importSuppressionsSchema = {
+  body: z.object({
+    csvData: z.string().min(1, "CSV data is required"),
+    reason: reasonSchema.default("manual"),
+  }),
+};
+
+/**
+ * @typedef {Object} GetSuppressionSchema
+ * @property {number} id - ID of the suppression
+ */
+const getSuppressionSchema = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, "ID must be a number")
+      .transform((val) => parseInt(val, 10)),
+  }),
+};
+
+module.exports = {
+  createSuppressionSchema,
+  importSuppressionsSchema,
+  getSuppressionSchema,
+};
@@ -0,0 +1,72 @@
+/**
+ * @module dtos/topic.dto
+ * @description Data Transfer Objects for subscription topic operations using Zod for validation
+ */
+
+const { z } = require("zod");
+
+/**
+ * @typedef {Object} CreateTopicSchema
+ * @property {string} key - Unique key of the topic (e.g. "product-updates")
+ * @property {string} name - Name shown in the preference center
+ * @property {string} [description] - Description shown in the preference center
+ */
+const createTopicSchema = {
+  body: z.object({
+    key: z
+      .string()
+      .trim()
+      .min(1, { message: "Topic key is required" })
+      .max(50, { message: "Topic key cannot exceed 50 characters" })
+      .regex(/^[a-z0-9-]+$/, { message: "Topic key may only contain lowercase letters, numbers and dashes" }),
+    name: z.string().trim().min(1, { message: "Topic name is required" }).max(255, { message: "Topic name cannot exceed 255 characters" }),
+    description: z.string().trim().nullable().optional(),
+  }),
+};
+
+/**
+ * @typedef {Object} UpdateTopicSchema
+ * @property {number} id - ID of the topic to update
+ * @property {string} [name] - Updated name
+ * @property {string} [description] - Updated description
+ */
+const updateTopicSchema = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, "ID must be a number")
+      .transform((val) => parseInt(val, 10)),
+  }),
+  body: z
+    .object({
+      name: z
+        .string()
+        .trim()
+        .min(1, { message: "Topic name cannot be empty" })
+        .max(255, { message: "Topic name cannot exceed 255 characters" })
+        .optional(),
+      description: z.string().trim().nullable().optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: "At least one field must be provided for update",
+    }),
+};
+
+/**
+ * @typedef {Object} GetTopicSchema
+ * @property {number} id - ID of the topic
+ */
+const getTopicSchema = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, "ID must be a number")
+      .transform((val) => parseInt(val, 10)),
+  }),
+};
+
+module.exports = {
+  createTopicSchema,
+  updateTopicSchema,
+  getTopicSchema,
+};
@@ -0,0 +1,181 @@
+/**
+ * @module dtos/workflow.dto
+ * @description Data Transfer Objects for automation workflow operations using Zod for validation
+ */
+
+const { z } = require("zod");
+
+const stepKeySchema = z
+  .string()
+  .trim()
+  .min(1, { message: "Step key is required" })
+  .max(50, { message: "Step key cannot exceed 50 characters" })
+  .regex(/^[A-Za-z0-9_-]+$/, { message: "Step key may only contain letters, numbers, dashes and underscores" });
+
+const positiveId = (label) =>
+  z
+    .number()
+    .int({ message: `${label} must be an integer` })
+    .positive({ message: `${label} must be a positive number` });
+
+/**
+ * @typedef {Object} WorkflowStepSchema
+ * @property {string} key - Unique key of the step within the workflow
+ * @property {string} type - wait, send_email, branch, add_tag, remove_tag or exit
+ * @property {Object} config - Step settings, depending on the type:
+ *   wait: { days, hours, minutes };
+ *   send_email: { templateId, subject, fromEmail, fromName, replyTo };
+ *   branch: { condition (opened|clicked), sendStepKey, yesStepKey, noStepKey };
+ *   add_tag / remove_tag: { tagId }
+ * @property {string} [next] - Key of the step that follows (branches use yesStepKey/noStepKey instead)
+ */
+const workflowStepSchema = z.discriminatedUnion("type", [
+  z.object({
+    key: stepKeySchema,
+    type: z.literal("wait"),
+    config: z
+      .object({
+        days: z.number().int().min(0).optional(),
+        hours: z.number().int().min(0).optional(),
+        minutes: z.number().int().min(0).optional(),
+      })
+      .refine((config) => (config.days || 0) + (config.hours || 0) + (config.minutes || 0) > 0, {
+        message: "A wait step must wait for at least one minute",
+      }),
+    next: stepKeySchema.nullable().optional(),
+  }),
+  z.object({
+    key: stepKeySchema,
+    type: z.literal("send_email"),
+    config: z.object({
+      templateId: positiveId("Template ID"),
+      subject: z.string().trim().min(1, { message: "Subject is required" }).max(255, { message: "Subject cannot exceed 255 characters" }),
+      fromEmail: z.string().email({ message: "From email must be a valid email address" }).optional(),
+      fromName: z.string().trim().max(255).optional(),
+      replyTo: z.string().email({ message: "Reply-to email must be a valid email address" }).optional(),
+    }),
+    next: stepKeySchema.nullable().optional(),
+  }),
+  z.object({
+    key: stepKeySchema,
+    type: z.literal("branch"),
+    config: z.object({
+      condition: z.enum(["opened", "clicked"]),
+      sendStepKey: stepKeySchema,
+      yesStepKey: stepKeySchema.nullable().optional(),
+      noStepKey: stepKeySchema.nullable().optional(),
+    }),
+  }),
+  z.object({
+    key: stepKeySchema,
+    type: z.enum(["add_tag", "remove_tag"]),
+    config: z.object({ tagId: positiveId("Tag ID") }),
+    next: stepKeySchema.nullable().optional(),
+  }),
+  z.object({
+    key: stepKeySchema,
+    type: z.literal("exit"),
+    config: z.object({}).optional().default({}),
+  }),
+]);
+
+/**
+ * @typedef {Object} WorkflowTriggerSchema
+ * @property {string} type - subscriber_created, tag_assigned or link_clicked
+ * @property {Object} [config] - tag_assigned: { tagId }; link_clicked: { urlContains, campaignId }
+ */
+const workflowTriggerSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("subscriber_created"),
+    config: z.object({}).optional().default({}),
+  }),
+  z.object({
+    type: z.literal("tag_assigned"),
+    config: z.object({ tagId: positiveId("Tag ID") }),
+  }),
+  z.object({
+    type: z.literal("link_clicked"),
+    config: z
+      .object({
+        urlContains: z.string().trim().min(1).optional(),
+        campaignId: positiveId("Campaign ID").optional(),
+      })
+      .optional()
+      .default({}),
+  }),
+]);
+
+/**
+ * @typedef {Object} CreateWorkflowSchema
+ * @property {string} name - Name of the workflow
+ * @property {string} [description] - Description of the workflow
+ * @property {string} [status=draft] - draft, active or paused
+ * @property {WorkflowTriggerSchema} trigger - Event that starts the workflow
+ * @property {WorkflowStepSchema[]} steps - Steps in order; subscribers enter at the first one
+ */
+const createWorkflowSchema = {
+  body: z.object({
+    name: z
+      .string()
+      .trim()
+      .min(1, { message: "Workflow name is required" })
+      .max(255, { message: "Workflow name cannot exceed 255 characters" }),
+    description: z.string().trim().nullable().optional(),
+    status: z.enum(["draft", "active", "paused"]).optional().default("draft"),
+    trigger: workflowTriggerSchema,
+    steps: z.array(workflowStepSchema).min(1, { message: "At least one step is required" }),
+  }),
+};
+
+/**
+ * @typedef {Object} UpdateWorkflowSchema
+ * @property {number} id - ID of the workflow to update
+ * @property {string} [name] - Updated name
+ * @property {string} [description] - Updated description
+ * @property {string} [status] - draft, active or paused
+ * @property {WorkflowTriggerSchema} [trigger] - Updated trigger
+ * @property {WorkflowStepSchema[]} [steps] - Replacement steps, matched to the existing ones by key
+ */
+const updateWorkflowSchema = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, "ID must be a number")
+      .transform((val) => parseInt(val, 10)),
+  }),
+  body: z
+    .object({
+      name: z
+        .string()
+        .trim()
+        .min(1, { message: "Workflow name cannot be empty" })
+        .max(255, { message: "Workflow name cannot exceed 255 characters" })
+        .optional(),
+      description: z.string().trim().nullable().optional(),
+      status: z.enum(["draft", "active", "paused"]).optional(),
+      trigger: workflowTriggerSchema.optional(),
+      steps: z.array(workflowStepSchema).min(1, { message: "At least one step is required" }).optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: "At least one field must be provided for update",
+    }),
+};
+
+/**
+ * @typedef {Object} GetWorkflowSchema
+ * @property {number} id - ID of the workflow
+ */
+const getWorkflowSchema = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, "ID must be a number")
+      .transform((val) => parseInt(val, 10)),
+  }),
+};
+
+module.exports = {
+  createWorkflowSchema,
+  updateWorkflowSchema,
+  getWorkflowSchema,
+};
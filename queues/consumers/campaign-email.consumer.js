@@ -8,10 +8,22 @@ const db = require("../../config/db");
 const logger = require("../../services/logger.service");
 const emailTemplateService = require("../../services/email-template.service");
 const subscriberVariablesService = require("../../services/subscriber-variables.service");
-
-// Queue configuration
-const EMAIL_QUEUE = "email_queue";
-const CAMPAIGN_STATUS_QUEUE = "campaign_status_queue";
+const sendThrottleService = require("../../services/send-throttle.service");
+const queueService = require("../../services/queue.service");
+const campaignSenderService = require("../../services/campaign-sender.service");
+const campaignRecipientService = require("../../services/campaign-recipient.service");
+const suppressionService = require("../../services/suppression.service");
+const { QUEUE_NAMES } = require("../../config");
+const { getListUnsubscribeHeaders } = require("../../utils/unsubscribe");
+const { getOpenTrackingUrl } = require("../../utils/tracking");
+
+// Queue configuration (campaign jobs have their own queue; email_queue carries transactional emails)
+const EMAIL_QUEUE = QUEUE_NAMES.campaignEmail;
+const CAMPAIGN_STATUS_QUEUE = QUEUE_NAMES.campaignStatus;
+// Maximum number of retries before a recipient is marked as failed
+const MAX_RETRIES = 3;
+// Delay before a failed send is retried
+const RETRY_DELAY_MS = 30000;
 
 /**
  * Initialize the campaign email consumer
@@ -35,54 +47,147 @@ async function initCampaignEmailConsumer() {
     channel.consume(EMAIL_QUEUE, async (msg) => {
       if (!msg) return;
 
+      // Set once this job holds the recipient's send claim, and cleared once the email has gone out
+      let claimedJob = null;
+      let sent = false;
+
       try {
         // Parse message content
         const emailJob = JSON.parse(msg.content.toString());
+
+        // Jobs coming back from the throttle are no longer held back
+        if (msg.properties.headers?.["x-throttle-deferred"]) {
+          await sendThrottleService.releaseDeferred(emailJob.campaignId);
+        }
+
+        // Check the campaign is still sending; paused jobs are parked until resume, cancelled ones dropped.
+        // Tests go out whatever the status of the campaign, and seeds have no subscriber to park them under
+        // so they go out while it is paused.
+        const campaignStatus = emailJob.isTest ? "sending" : await getCampaignStatus(emailJob.campaignId);
+        if (campaignStatus === "paused" && !emailJob.isSeed) {
+          await campaignSenderService.parkEmailJob(emailJob);
+          channel.ack(msg);
+          logger.info(`Parked campaign email to ${emailJob.recipient.email}: campaign ${emailJob.campaignId} is paused`);
+          return;
+        }
+        if (campaignStatus === "cancelled" || campaignStatus === null) {
+          channel.ack(msg);
+          logger.info(`Dropped campaign email to ${emailJob.recipient.email}: campaign ${emailJob.campaignId} is ${campaignStatus || "deleted"}`);
+          return;
+        }
+
+        // Never send to suppressed addresses (bounces, complaints); the ledger settles them as suppressed
+        if (await suppressionService.isSuppressed(emailJob.recipient.email)) {
+          if (isLedgerJob(emailJob)) {
+            await sendStatusUpdate(emailJob.campaignId, emailJob.recipient.id, "suppressed");
+          }
+          channel.ack(msg);
+          logger.info(`Skipped campaign email to ${emailJob.recipient.email}: address is on the suppression list`);
+          return;
+        }
+
+        // Claim the recipient before sending, so concurrent copies, redeliveries and replays never send twice
+        const claimed = !isLedgerJob(emailJob) || (await campaignRecipientService.claimSendAttempt(emailJob));
+        if (!claimed) {
+          channel.ack(msg);
+          logger.info(`Skipped campaign email to ${emailJob.recipient.email}: already claimed for campaign ${emailJob.campaignId}`);
+          return;
+        }
+        claimedJob = isLedgerJob(emailJob) ? emailJob : null;
+
+        // Respect the global and per-domain send rates; over the limit the job gives up its claim and is delayed, not failed.
+        // Claiming first keeps duplicate jobs from using up send slots.
+        const slot = await sendThrottleService.acquireSendSlot(emailJob.recipient.email);
+        if (!slot.allowed) {
+          if (claimedJob) {
+            await campaignRecipientService.releaseSendAttempt(emailJob.campaignId, emailJob.recipient.id);
+            claimedJob = null;
+          }
+          await deferEmail(emailJob, msg, slot.retryAfterMs);
+          channel.ack(msg);
+          logger.debug(`Deferred campaign email to ${emailJob.recipient.email} by ${slot.retryAfterMs}ms (${slot.limitedBy} limit)`);
+          return;
+        }
+
         logger.info(`Processing campaign email to ${emailJob.recipient.email} for campaign ${emailJob.campaignId}`);
 
         // Process the email
-        await processEmail(emailJob);
+        const result = await processEmail(emailJob);
+        claimedJob = null;
+        sent = true;
+
+        // Record the send in the ledger before acknowledging, so a sent email is always recorded
+        if (isLedgerJob(emailJob)) {
+          await campaignRecipientService.markSent(emailJob.campaignId, emailJob.recipient.id, result?.messageId || null);
+          await campaignRecipientService.completeCampaignIfFinished(emailJob.campaignId);
+        }
 
         // Acknowledge successful processing
         channel.ack(msg);
-
-        // Send status update to campaign status queue
-        await sendStatusUpdate(emailJob.campaignId, emailJob.recipient.id, "sent");
       } catch (error) {
         logger.error("Error processing campaign email:", error);
 
+        // Never send again an email that went out; the recipient stays claimed until the stale send sweep settles it
+        if (sent) {
+          channel.ack(msg);
+          return;
+        }
+
         // Check if the message has been retried too many times
         const retryCount = parseInt(msg.properties.headers?.["x-retry-count"] || "0");
 
-        if (retryCount < 3) {
-          // Requeue with retry count incremented
-          channel.nack(msg, false, false);
-
-          // Send back to queue with retry information
-          const emailJob = JSON.parse(msg.content.toString());
-          const retryMsg = {
-            ...emailJob,
-            retryCount: retryCount + 1,
-            error: error.message,
-          };
-
-          setTimeout(() => {
-            channel.sendToQueue(EMAIL_QUEUE, Buffer.from(JSON.stringify(retryMsg)), {
-              persistent: true,
-              headers: { "x-retry-count": retryCount + 1 },
-            });
-          }, 30000); // Delay retry by 30 seconds
-        } else {
-          // Acknowledge but record failure
+        if (retryCount < MAX_RETRIES) {
+          // The email did not go out, so the retry may claim the recipient again
+          if (claimedJob) {
+            try {
+              await campaignRecipientService.releaseSendAttempt(claimedJob.campaignId, claimedJob.recipient.id);
+            } catch (releaseError) {
+              logger.error("Error releasing campaign email send claim:", releaseError);
+            }
+          }
+
+          // Send back to queue with retry information after a delay
+          try {
+            const emailJob = JSON.parse(msg.content.toString());
+            const retryMsg = {
+              ...emailJob,
+              retryCount: retryCount + 1,
+              error: error.message,
+            };
+
+            await queueService.publishDelayed(EMAIL_QUEUE, retryMsg, RETRY_DELAY_MS, { "x-retry-count": retryCount + 1 });
+          } catch (retryError) {
+            // Leave the message to RabbitMQ if it could not be scheduled for retry
+            logger.error("Error scheduling campaign email retry:", retryError);
+            channel.nack(msg, false, true);
+            return;
+          }
           channel.ack(msg);
 
-          // Send failure status update
+          // Only the last error is recorded, so losing this update is harmless
+          try {
+            const emailJob = JSON.parse(msg.content.toString());
+            if (isLedgerJob(emailJob)) {
+              await sendStatusUpdate(emailJob.campaignId, emailJob.recipient.id, "retrying", { error: error.message });
+            }
+          } catch (statusError) {
+            logger.error("Error sending retrying status update:", statusError);
+          }
+        } else {
+          // Record the failure before acknowledging; the recipient keeps its claim meanwhile
           try {
             const emailJob = JSON.parse(msg.content.toString());
-            await sendStatusUpdate(emailJob.campaignId, emailJob.recipient.id, "failed", { error: error.message });
+            if (isLedgerJob(emailJob)) {
+              await sendStatusUpdate(emailJob.campaignId, emailJob.recipient.id, "failed", { error: error.message });
+            }
           } catch (statusError) {
+            // Leave the message to RabbitMQ; a recipient still claimed when it comes back is left to the stale send sweep
             logger.error("Error sending failure status update:", statusError);
+            channel.nack(msg, false, true);
+            return;
           }
+
+          channel.ack(msg);
         }
       }
     });
@@ -93,15 +198,59 @@ async function initCampaignEmailConsumer() {
   }
 }
 
+/**
+ * Whether an email job belongs to the recipients ledger. Test and seed emails are sent outside of it.
+ * @function isLedgerJob
+ * @param {Object} emailJob - Email job from queue
+ * @returns {boolean} True for emails to campaign recipients
+ */
+function isLedgerJob(emailJob) {
+  return !emailJob.isTest && !emailJob.isSeed;
+}
+
+/**
+ * Get the current status of a campaign
+ * @async
+ * @function getCampaignStatus
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<string|null>} Campaign status, or null if the campaign no longer exists
+ */
+async function getCampaignStatus(campaignId) {
+  const { rows } = await db.query(`SELECT status FROM email_campaigns WHERE id = $1 AND is_deleted = FALSE`, [campaignId]);
+  return rows.length > 0 ? rows[0].status : null;
+}
+
+/**
+ * Hold an email job back until the throttle has a free slot
+ * @async
+ * @function deferEmail
+ * @param {Object} emailJob - Email job from queue
+ * @param {Object} msg - Original RabbitMQ message
+ * @param {number} delayMs - How long to hold the job back
+ * @returns {Promise<void>}
+ */
+async function deferEmail(emailJob, msg, delayMs) {
+  const headers = { ...(msg.properties.headers || {}), "x-throttle-deferred": 1 };
+
+  await queueService.publishDelayed(EMAIL_QUEUE, emailJob, delayMs, headers);
+  await sendThrottleService.recordDeferred(emailJob.campaignId);
+}
+
 /**
  * Process a single campaign email
  * @async
  * @function processEmail
  * @param {Object} emailJob - Email job from queue
- * @returns {Promise<void>}
+ * @returns {Promise<{messageId: string|null}>} Provider response for the sent email
  */
 async function processEmail(emailJob) {
   const { recipient, sender, replyTo, subject, templateId, templateHtmlContent, templateMjmlContent, data } = emailJob;
+  const headers = {
+    // One-click unsubscribe for mailbox providers (RFC 8058)
+    ...getListUnsubscribeHeaders(data?.unsubscribe_url),
+    // Lets SES notifications be matched back to the recipient (see services/delivery-event)
+    ...(isLedgerJob(emailJob) ? { "X-Campaign-Id": String(emailJob.campaignId), "X-Recipient-Id": String(recipient.id) } : {}),
+  };
 
   // Enhance data with subscriber variables if recipient ID is available and data is incomplete
   let enhancedData = data;
@@ -123,21 +272,28 @@ async function processEmail(emailJob) {
   // If HTML content is provided, use it directly
   if (templateHtmlContent) {
     // Render the template with the enhanced data
-    const renderedContent = emailTemplateService.renderVariables(templateHtmlContent, enhancedData);
-    const renderedSubject = emailTemplateService.renderVariables(subject, enhancedData);
-
-    // Add tracking pixel for opens
-    const trackingPixel = `<img src="${process.env.API_URL || ""}/track/open?cid=${emailJob.campaignId}&rid=${
-      recipient.id
-    }" width="1" height="1" alt="" style="display:none;">`;
-    const contentWithTracking = renderedContent + trackingPixel;
-
-    // Process tracked links if link tracking is enabled
-    const campaignSenderService = require("../../services/campaign-sender.service");
-    const finalContent = campaignSenderService.processTrackedLinks(contentWithTracking, emailJob.campaignId, recipient.id);
+    const renderedContent = await emailTemplateService.renderVariables(templateHtmlContent, enhancedData);
+    const renderedSubject = await emailTemplateService.renderVariables(subject, enhancedData);
+
+    // Test and seed emails are not tracked, so they never show up in the analytics
+    let finalContent = renderedContent;
+    if (isLedgerJob(emailJob)) {
+      // Add tracking pixel for opens
+      const pixelUrl = getOpenTrackingUrl({ campaignId: emailJob.campaignId, recipientId: recipient.id }).replace(/&/g, "&amp;");
+      const trackingPixel = `<img src="${pixelUrl}" width="1" height="1" alt="" style="display:none;">`;
+      const contentWithTracking = renderedContent + trackingPixel;
+
+      // Process tracked links if link tracking is enabled
+      finalContent = await campaignSenderService.processTrackedLinks(
+        contentWithTracking,
+        emailJob.campaignId,
+        recipient.id,
+        emailJob.utmParams || null
+      );
+    }
 
     // Send the email using email service
-    await emailService.sendEmail({
+    return emailService.sendEmail({
       to: recipient.email,
       from: sender.email,
       fromName: sender.name,
@@ -146,21 +302,20 @@ async function processEmail(emailJob) {
       html: finalContent,
       campaignId: emailJob.campaignId,
       recipientId: recipient.id,
+      headers,
     });
-
-    return;
   }
   // If MJML content is provided, render it
   if (templateMjmlContent) {
     // First interpolate variables in MJML
-    const renderedMjml = emailTemplateService.renderVariables(templateMjmlContent, enhancedData);
-    const renderedSubject = emailTemplateService.renderVariables(subject, enhancedData);
+    const renderedMjml = await emailTemplateService.renderVariables(templateMjmlContent, enhancedData);
+    const renderedSubject = await emailTemplateService.renderVariables(subject, enhancedData);
 
     // Convert MJML to HTML
     const { html } = require("mjml")(renderedMjml);
 
     // Send the email
-    await emailService.sendEmail({
+    return emailService.sendEmail({
       to: recipient.email,
       from: sender.email,
       fromName: sender.name,
@@ -169,9 +324,8 @@ async function processEmail(emailJob) {
       html,
       campaignId: emailJob.campaignId,
       recipientId: recipient.id,
+      headers,
     });
-
-    return;
   }
   // If neither is provided, fall back to template from DB
   const template = await emailTemplateService.getEmailTemplateById(templateId, true);
@@ -180,15 +334,16 @@ async function processEmail(emailJob) {
   const rendered = await emailTemplateService.renderTemplate(template.mjmlContent, recipient.id, enhancedData);
 
   // Send the email
-  await emailService.sendEmail({
+  return emailService.sendEmail({
     to: recipient.email,
     from: sender.email,
     fromName: sender.name,
     replyTo: replyTo,
-    subject: rendered.subject,
-    html: rendered.htmlContent,
+    subject: await emailTemplateService.renderVariables(subject, rendered.context),
+    html: rendered.html,
     campaignId: emailJob.campaignId,
     recipientId: recipient.id,
+    headers,
   });
 }
 
@@ -198,97 +353,22 @@ async function processEmail(emailJob) {
  * @function sendStatusUpdate
  * @param {number} campaignId - Campaign ID
  * @param {number} recipientId - Recipient ID
- * @param {string} status - Status (sent, failed, opened, clicked, etc.)
- * @param {Object} [additionalData={}] - Additional data to store
+ * @param {string} status - Status (failed, retrying, suppressed)
+ * @param {Object} [additionalData={}] - Additional data (error)
  * @returns {Promise<void>}
+ * @throws {Error} If the broker did not confirm the update
  */
 async function sendStatusUpdate(campaignId, recipientId, status, additionalData = {}) {
-  try {
-    // Directly store in database
-    await db.query(
-      `INSERT INTO email_analytics (campaign_id, recipient_id, event_type, additional_data) 
-       VALUES ($1, $2, $3, $4)`,
-      [campaignId, recipientId, status, JSON.stringify(additionalData)]
-    );
-
-    // If this is the last email to send, update campaign status
-    if (status === "sent" || status === "failed") {
-      const remainingCount = await getRemainingEmailCount(campaignId);
-
-      if (remainingCount <= 0) {
-        await updateCampaignToCompleted(campaignId);
-      }
-    }
-  } catch (error) {
-    logger.error(`Error recording ${status} status for campaign ${campaignId}, recipient ${recipientId}:`, error);
-  }
-}
-
-/**
- * Get remaining email count for a campaign
- * @async
- * @function getRemainingEmailCount
- * @param {number} campaignId - Campaign ID
- * @returns {Promise<number>} Count of emails left to send
- */
-async function getRemainingEmailCount(campaignId) {
-  try {
-    const { rows } = await db.query(
-      `SELECT
-          (SELECT COUNT(DISTINCT mr.recipient_id) 
-           FROM campaign_mailing_lists cml
-           JOIN mailing_list_recipients mr ON cml.mailing_list_id = mr.mailing_list_id
-           WHERE cml.campaign_id = $1 AND mr.recipient_type = 'subscriber') AS total_recipients,
-           
-          (SELECT COUNT(DISTINCT recipient_id)
-           FROM email_analytics
-           WHERE campaign_id = $1 
-           AND (event_type = 'sent' OR event_type = 'failed')) AS processed_recipients`,
-      [campaignId]
-    );
-
-    if (rows.length === 0) {
-      return 0;
-    }
-
-    const total = parseInt(rows[0].total_recipients || "0");
-    const processed = parseInt(rows[0].processed_recipients || "0");
-
-    return total - processed;
-  } catch (error) {
-    logger.error(`Error calculating remaining emails for campaign ${campaignId}:`, error);
-    return 0;
-  }
-}
-
-/**
- * Update campaign status to completed
- * @async
- * @function updateCampaignToCompleted
- * @param {number} campaignId - Campaign ID
- * @returns {Promise<void>}
- */
-async function updateCampaignToCompleted(campaignId) {
-  try {
-    // Check if campaign is already completed
-    const { rows } = await db.query(`SELECT status FROM email_campaigns WHERE id = $1`, [campaignId]);
-
-    if (rows.length === 0 || rows[0].status === "completed") {
-      return;
-    }
-
-    // Update campaign to completed status
-    await db.query(
-      `UPDATE email_campaigns 
-       SET status = 'completed', completed_at = CURRENT_TIMESTAMP
-       WHERE id = $1`,
-      [campaignId]
-    );
-
-    logger.info(`Campaign ${campaignId} marked as completed`);
-  } catch (error) {
-    logger.error(`Error updating campaign ${campaignId} to completed:`, error);
-  }
+  // The campaign status consumer applies the update to the recipient ledger
+  await queueService.publishBatchToQueue(CAMPAIGN_STATUS_QUEUE, [
+    {
+      campaignId,
+      recipientId,
+      status,
+      ...additionalData,
+      timestamp: new Date().toISOString(),
+    },
+  ]);
 }
 
 module.exports = { initCampaignEmailConsumer };
@@ -0,0 +1,100 @@
+/**
+ * @module CampaignStatusConsumer
+ * @description Consumes per-recipient status updates from the campaign email worker and keeps the
+ * campaign recipients ledger up to date
+ */
+const logger = require("../../services/logger.service");
+const campaignRecipientService = require("../../services/campaign-recipient.service");
+const { QUEUE_NAMES } = require("../../config");
+
+/**
+ * Apply a single status update to the ledger
+ * @async
+ * @function applyStatusUpdate
+ * @param {Object} update - Status update message
+ * @param {number} update.campaignId - Campaign ID
+ * @param {number} update.recipientId - Subscriber ID
+ * @param {string} update.status - sent, failed, retrying, bounced or suppressed
+ * @param {string} [update.messageId] - Provider message ID (sent)
+ * @param {string} [update.error] - Error message (failed, retrying, bounced)
+ * @returns {Promise<void>}
+ */
+async function applyStatusUpdate(update) {
+  const { campaignId, recipientId, status, messageId, error } = update;
+
+  switch (status) {
+    case "sent":
+      await campaignRecipientService.markSent(campaignId, recipientId, messageId);
+      break;
+    case "failed":
+      await campaignRecipientService.markFailed(campaignId, recipientId, error || "Unknown error");
+      break;
+    case "retrying":
+      await campaignRecipientService.recordAttemptError(campaignId, recipientId, error || "Unknown error");
+      return;
+    case "bounced":
+      await campaignRecipientService.markBounced(campaignId, recipientId, error);
+      break;
+    case "suppressed":
+      await campaignRecipientService.markSuppressed(campaignId, recipientId);
+      break;
+    default:
+      logger.warn(`[Campaign Status Consumer] Unknown status: ${status}`);
+      return;
+  }
+
+  // The last recipient to settle completes the campaign
+  await campaignRecipientService.completeCampaignIfFinished(campaignId);
+}
+
+/**
+ * Start the campaign status consumer
+ * @param {Object} channel - RabbitMQ channel
+ * @returns {Promise<void>}
+ */
+async function start(channel) {
+  if (!channel) {
+    throw new Error("Campaign status consumer requires a valid RabbitMQ channel");
+  }
+
+  const queueName = QUEUE_NAMES.campaignStatus;
+
+  // Ensure the queue exists
+  await channel.assertQueue(queueName, {
+    durable: true,
+  });
+
+  logger.info(`[Campaign Status Consumer] Waiting for messages in ${queueName}`);
+
+  channel.consume(queueName, async (msg) => {
+    if (!msg) {
+      logger.warn("[Campaign Status Consumer] Received null message, skipping");
+      return;
+    }
+
+    let update;
+    try {
+      update = JSON.parse(msg.content.toString());
+    } catch (parseError) {
+      logger.error(`[Campaign Status Consumer] Discarding unparseable message: ${parseError.message}`);
+      channel.ack(msg);
+      return;
+    }
+
+    try {
+      await applyStatusUpdate(update);
+      channel.ack(msg);
+    } catch (error) {
+      logger.error(
+        `[Campaign Status Consumer] Error applying ${update.status} for campaign ${update.campaignId}, recipient ${update.recipientId}: ${error.message}`
+      );
+
+      // Ledger updates are idempotent, so a redelivered update is safe; requeue once before giving up
+      channel.nack(msg, false, !msg.fields.redelivered);
+    }
+  });
+
+  logger.info("[Campaign Status Consumer] Started successfully");
+}
+
+module.exports = { start };
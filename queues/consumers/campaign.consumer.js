@@ -44,8 +44,7 @@ async function start(channel) {
           await campaignService.updateCampaign(content.campaignId, { scheduledAt: new Date(content.scheduledTime), status: "scheduled" });
           break;
         case "test":
-          // Implement test sending logic or use existing service
-          logger.info(`[Campaign Consumer] Test action requested for campaign ${content.campaignId}`);
+          await campaignSenderService.sendTestEmails(content);
           break;
         case "cancel":
           await campaignService.updateCampaign(content.campaignId, { status: "cancelled" });
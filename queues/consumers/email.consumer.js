@@ -1,6 +1,7 @@
 const config = require("../../config");
 const transporter = require("../../config/aws"); // Nodemailer SES transport or fallback
 const logger = require("../../services/logger.service");
+const suppressionService = require("../../services/suppression.service");
 // Consider using a template engine like EJS or Liquid for real emails
 // const ejs = require('ejs');
 // const { Liquid } = require('liquidjs');
@@ -79,6 +80,12 @@ const processEmailTask = async (msgData) => {
   logger.info(`[Email Worker] Processing task type: ${msgData.type} for ${msgData.to}`);
 
   try {
+    // Addresses that bounced or complained are never sent to again
+    if (await suppressionService.isSuppressed(msgData.to)) {
+      logger.warn(`[Email Worker] ${msgData.to} is on the suppression list. Discarding message.`);
+      return "discard";
+    }
+
     // Render email content using a basic templater or EJS/Liquid
     const { subject, html, text } = renderTemplate(msgData.type, msgData.context || {});
 
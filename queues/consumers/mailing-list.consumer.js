@@ -0,0 +1,72 @@
+/**
+ * @module MailingListConsumer
+ * @description Consumes mailing list messages: subscribers whose static list memberships are to be
+ * re-evaluated after they were created, updated, tagged or imported
+ */
+const logger = require("../../services/logger.service");
+const mailingListService = require("../../services/mailing-list.service");
+const { QUEUE_NAMES } = require("../../config");
+
+/**
+ * Start the mailing list consumer
+ * @param {Object} channel - RabbitMQ channel
+ * @returns {Promise<void>}
+ */
+async function start(channel) {
+  if (!channel) {
+    throw new Error("Mailing list consumer requires a valid RabbitMQ channel");
+  }
+
+  const queueName = QUEUE_NAMES.mailingList;
+
+  // Ensure the queue exists
+  await channel.assertQueue(queueName, {
+    durable: true,
+  });
+
+  logger.info(`[Mailing List Consumer] Waiting for messages in ${queueName}`);
+
+  channel.consume(queueName, async (msg) => {
+    if (!msg) {
+      logger.warn("[Mailing List Consumer] Received null message, skipping");
+      return;
+    }
+
+    let content;
+    try {
+      content = JSON.parse(msg.content.toString());
+    } catch (parseError) {
+      logger.error(`[Mailing List Consumer] Discarding unparseable message: ${parseError.message}`);
+      channel.ack(msg);
+      return;
+    }
+
+    try {
+      switch (content.type) {
+        case "refresh_memberships": {
+          const { joined, left } = await mailingListService.refreshSubscriberMemberships(
+            content.subscriberIds || [],
+            content.changes || null
+          );
+          if (joined > 0 || left > 0) {
+            logger.info(`[Mailing List Consumer] ${joined} list memberships added, ${left} removed`);
+          }
+          break;
+        }
+        default:
+          logger.warn(`[Mailing List Consumer] Unknown message type: ${content.type}`);
+      }
+
+      channel.ack(msg);
+    } catch (error) {
+      logger.error(`[Mailing List Consumer] Error processing ${content.type} message: ${error.message}`);
+
+      // Re-evaluating a subscriber is idempotent, so a redelivered message is safe; requeue once before giving up
+      channel.nack(msg, false, !msg.fields.redelivered);
+    }
+  });
+
+  logger.info("[Mailing List Consumer] Started successfully");
+}
+
+module.exports = { start };
@@ -0,0 +1,68 @@
+/**
+ * @module WorkflowConsumer
+ * @description Consumes workflow messages: subscriber events that enroll subscribers into workflows,
+ * and enrollments that are ready to run their next step
+ */
+const logger = require("../../services/logger.service");
+const workflowEngineService = require("../../services/workflow-engine.service");
+const { QUEUE_NAMES } = require("../../config");
+
+/**
+ * Start the workflow consumer
+ * @param {Object} channel - RabbitMQ channel
+ * @returns {Promise<void>}
+ */
+async function start(channel) {
+  if (!channel) {
+    throw new Error("Workflow consumer requires a valid RabbitMQ channel");
+  }
+
+  const queueName = QUEUE_NAMES.workflow;
+
+  // Ensure the queue exists
+  await channel.assertQueue(queueName, {
+    durable: true,
+  });
+
+  logger.info(`[Workflow Consumer] Waiting for messages in ${queueName}`);
+
+  channel.consume(queueName, async (msg) => {
+    if (!msg) {
+      logger.warn("[Workflow Consumer] Received null message, skipping");
+      return;
+    }
+
+    let content;
+    try {
+      content = JSON.parse(msg.content.toString());
+    } catch (parseError) {
+      logger.error(`[Workflow Consumer] Discarding unparseable message: ${parseError.message}`);
+      channel.ack(msg);
+      return;
+    }
+
+    try {
+      switch (content.type) {
+        case "trigger":
+          await workflowEngineService.handleTriggerEvent(content.event, content.subscriberId, content.data);
+          break;
+        case "advance":
+          await workflowEngineService.advanceEnrollment(content.enrollmentId);
+          break;
+        default:
+          logger.warn(`[Workflow Consumer] Unknown message type: ${content.type}`);
+      }
+
+      channel.ack(msg);
+    } catch (error) {
+      logger.error(`[Workflow Consumer] Error processing ${content.type} message: ${error.message}`);
+
+      // Enrollments are unique and steps are recorded once, so a redelivered message is safe; requeue once before giving up
+      channel.nack(msg, false, !msg.fields.redelivered);
+    }
+  });
+
+  logger.info("[Workflow Consumer] Started successfully");
+}
+
+module.exports = { start };
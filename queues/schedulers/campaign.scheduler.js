@@ -6,6 +6,8 @@ const cron = require("node-cron");
 const logger = require("../../services/logger.service");
 const campaignService = require("../../services/campaign.service");
 const campaignSenderService = require("../../services/campaign-sender.service");
+const campaignRecipientService = require("../../services/campaign-recipient.service");
+const subscriberTimezoneService = require("../../services/subscriber-timezone.service");
 const queueService = require("../../services/queue.service");
 const { QUEUE_NAMES } = require("../../config");
 
@@ -24,6 +26,43 @@ function start(schedule = DEFAULT_SCHEDULE) {
   const task = cron.schedule(schedule, async () => {
     logger.info("[Campaign Scheduler] Running scheduled campaign check...");
 
+    try {
+      // Send the winning variant of any A/B tests whose wait window has elapsed
+      const abTestResults = await campaignSenderService.processAbTestWinners();
+      if (abTestResults.length > 0) {
+        logger.info(`[Campaign Scheduler] Decided ${abTestResults.length} A/B tests.`);
+      }
+    } catch (abTestError) {
+      logger.error(`[Campaign Scheduler] Error deciding A/B tests: ${abTestError.message}`);
+    }
+
+    try {
+      // Settle recipients whose send never reported back, so their campaigns can complete
+      const staleCount = await campaignRecipientService.failStaleSendAttempts();
+      if (staleCount > 0) {
+        logger.warn(`[Campaign Scheduler] Settled ${staleCount} stale send attempts as failed.`);
+      }
+    } catch (staleError) {
+      logger.error(`[Campaign Scheduler] Error settling stale send attempts: ${staleError.message}`);
+    }
+
+    try {
+      // Fire the due runs of recurring campaigns
+      const recurringResults = await campaignSenderService.processRecurringCampaigns();
+      if (recurringResults.length > 0) {
+        logger.info(`[Campaign Scheduler] Fired ${recurringResults.length} recurring campaign runs.`);
+      }
+    } catch (recurringError) {
+      logger.error(`[Campaign Scheduler] Error firing recurring campaigns: ${recurringError.message}`);
+    }
+
+    try {
+      // Fill in the timezone of subscribers without one from their tracked opens and clicks
+      await subscriberTimezoneService.inferTimezonesFromTracking();
+    } catch (timezoneError) {
+      logger.error(`[Campaign Scheduler] Error inferring subscriber timezones: ${timezoneError.message}`);
+    }
+
     try {
       // Find all campaigns that are scheduled to run now
       const campaignsToRun = await campaignService.findScheduledCampaigns();
@@ -0,0 +1,64 @@
+/**
+ * @module DelayedMessageScheduler
+ * @description Scheduler that publishes delayed queue messages once they are due
+ */
+const cron = require("node-cron");
+const logger = require("../../services/logger.service");
+const queueService = require("../../services/queue.service");
+
+// Default schedule: every second
+const DEFAULT_SCHEDULE = "* * * * * *";
+
+/**
+ * Start the delayed message scheduler
+ * @param {string} schedule - Cron schedule expression (defaults to every second)
+ * @returns {Object} cron task that was started
+ */
+function start(schedule = DEFAULT_SCHEDULE) {
+  logger.info(`[Delayed Message Scheduler] Starting with schedule: ${schedule}`);
+
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip this tick if the previous release is still publishing
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+
+    try {
+      const released = await queueService.releaseDueDelayedMessages();
+
+      if (released > 0) {
+        logger.debug(`[Delayed Message Scheduler] Released ${released} delayed messages.`);
+      }
+    } catch (error) {
+      logger.error(`[Delayed Message Scheduler] Error releasing delayed messages: ${error.message}`);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  task.start();
+  logger.info("[Delayed Message Scheduler] Scheduler started successfully.");
+
+  return task;
+}
+
+/**
+ * Stop the delayed message scheduler
+ * @param {Object} task - The cron task to stop
+ */
+function stop(task) {
+  if (task) {
+    task.stop();
+    logger.info("[Delayed Message Scheduler] Scheduler stopped.");
+  } else {
+    logger.warn("[Delayed Message Scheduler] Cannot stop: No task was provided.");
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+};
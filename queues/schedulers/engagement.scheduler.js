@@ -0,0 +1,64 @@
+/**
+ * @module EngagementScheduler
+ * @description Scheduler that recomputes subscriber engagement scores, decaying the scores of subscribers who stopped engaging
+ */
+const cron = require("node-cron");
+const logger = require("../../services/logger.service");
+const engagementService = require("../../services/engagement.service");
+
+// Default schedule: daily at 03:00
+const DEFAULT_SCHEDULE = "0 3 * * *";
+
+/**
+ * Start the engagement scheduler
+ * @param {string} schedule - Cron schedule expression (defaults to daily at 03:00)
+ * @returns {Object} cron task that was started
+ */
+function start(schedule = DEFAULT_SCHEDULE) {
+  logger.info(`[Engagement Scheduler] Starting with schedule: ${schedule}`);
+
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip this run if the previous recomputation is still going
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+
+    try {
+      const changed = await engagementService.recomputeEngagementScores();
+
+      if (changed > 0) {
+        logger.info(`[Engagement Scheduler] Updated the engagement scores of ${changed} subscribers.`);
+      }
+    } catch (error) {
+      logger.error(`[Engagement Scheduler] Error recomputing engagement scores: ${error.message}`);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  task.start();
+  logger.info("[Engagement Scheduler] Scheduler started successfully.");
+
+  return task;
+}
+
+/**
+ * Stop the engagement scheduler
+ * @param {Object} task - The cron task to stop
+ */
+function stop(task) {
+  if (task) {
+    task.stop();
+    logger.info("[Engagement Scheduler] Scheduler stopped.");
+  } else {
+    logger.warn("[Engagement Scheduler] Cannot stop: No task was provided.");
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+};
@@ -0,0 +1,64 @@
+/**
+ * @module SendWaveScheduler
+ * @description Scheduler that releases the send waves of local time campaigns as each timezone reaches the send time
+ */
+const cron = require("node-cron");
+const logger = require("../../services/logger.service");
+const campaignSenderService = require("../../services/campaign-sender.service");
+
+// Default schedule: every minute
+const DEFAULT_SCHEDULE = "* * * * *";
+
+/**
+ * Start the send wave scheduler
+ * @param {string} schedule - Cron schedule expression (defaults to every minute)
+ * @returns {Object} cron task that was started
+ */
+function start(schedule = DEFAULT_SCHEDULE) {
+  logger.info(`[Send Wave Scheduler] Starting with schedule: ${schedule}`);
+
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip this tick if the previous release is still publishing
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+
+    try {
+      const released = await campaignSenderService.releaseDueWaves();
+
+      if (released > 0) {
+        logger.info(`[Send Wave Scheduler] Released ${released} send waves.`);
+      }
+    } catch (error) {
+      logger.error(`[Send Wave Scheduler] Error releasing send waves: ${error.message}`);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  task.start();
+  logger.info("[Send Wave Scheduler] Scheduler started successfully.");
+
+  return task;
+}
+
+/**
+ * Stop the send wave scheduler
+ * @param {Object} task - The cron task to stop
+ */
+function stop(task) {
+  if (task) {
+    task.stop();
+    logger.info("[Send Wave Scheduler] Scheduler stopped.");
+  } else {
+    logger.warn("[Send Wave Scheduler] Cannot stop: No task was provided.");
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+};
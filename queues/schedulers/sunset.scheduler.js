@@ -0,0 +1,65 @@
+/**
+ * @module SunsetScheduler
+ * @description Scheduler that runs the sunset policy, re-engaging and then sunsetting subscribers who stopped opening and clicking
+ */
+const cron = require("node-cron");
+const logger = require("../../services/logger.service");
+const sunsetService = require("../../services/sunset.service");
+
+// Default schedule: daily at 04:00
+const DEFAULT_SCHEDULE = "0 4 * * *";
+
+/**
+ * Start the sunset scheduler
+ * @param {string} schedule - Cron schedule expression (defaults to daily at 04:00)
+ * @returns {Object} cron task that was started
+ */
+function start(schedule = DEFAULT_SCHEDULE) {
+  logger.info(`[Sunset Scheduler] Starting with schedule: ${schedule}`);
+
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip this run if the previous one is still going
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+
+    try {
+      const processed = await sunsetService.runSunsetPolicy();
+
+      logger.info(
+        `[Sunset Scheduler] Sent ${processed.reengage} subscribers to re-engagement, sunset ${processed.sunset}, ` +
+          `released ${processed.reengaged}.`
+      );
+    } catch (error) {
+      logger.error(`[Sunset Scheduler] Error running the sunset policy: ${error.message}`);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  task.start();
+  logger.info("[Sunset Scheduler] Scheduler started successfully.");
+
+  return task;
+}
+
+/**
+ * Stop the sunset scheduler
+ * @param {Object} task - The cron task to stop
+ */
+function stop(task) {
+  if (task) {
+    task.stop();
+    logger.info("[Sunset Scheduler] Scheduler stopped.");
+  } else {
+    logger.warn("[Sunset Scheduler] Cannot stop: No task was provided.");
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+};
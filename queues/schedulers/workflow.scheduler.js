@@ -0,0 +1,64 @@
+/**
+ * @module WorkflowScheduler
+ * @description Scheduler that hands workflow enrollments back to the workflow worker once their wait step is over
+ */
+const cron = require("node-cron");
+const logger = require("../../services/logger.service");
+const workflowEngineService = require("../../services/workflow-engine.service");
+
+// Default schedule: every minute
+const DEFAULT_SCHEDULE = "* * * * *";
+
+/**
+ * Start the workflow scheduler
+ * @param {string} schedule - Cron schedule expression (defaults to every minute)
+ * @returns {Object} cron task that was started
+ */
+function start(schedule = DEFAULT_SCHEDULE) {
+  logger.info(`[Workflow Scheduler] Starting with schedule: ${schedule}`);
+
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip this tick if the previous release is still running
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+
+    try {
+      const released = await workflowEngineService.releaseDueEnrollments();
+
+      if (released > 0) {
+        logger.info(`[Workflow Scheduler] Queued ${released} workflow enrollments.`);
+      }
+    } catch (error) {
+      logger.error(`[Workflow Scheduler] Error releasing workflow enrollments: ${error.message}`);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  task.start();
+  logger.info("[Workflow Scheduler] Scheduler started successfully.");
+
+  return task;
+}
+
+/**
+ * Stop the workflow scheduler
+ * @param {Object} task - The cron task to stop
+ */
+function stop(task) {
+  if (task) {
+    task.stop();
+    logger.info("[Workflow Scheduler] Scheduler stopped.");
+  } else {
+    logger.warn("[Workflow Scheduler] Cannot stop: No task was provided.");
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+};
@@ -0,0 +1,65 @@
+/**
+ * @module routes/analytics
+ * @description Routes for campaign analytics
+ */
+const express = require("express");
+const router = express.Router();
+const analyticsController = require("../controllers/analytics.controller");
+const authenticate = require("../middleware/authenticate");
+const { hasAnyPermission } = require("../middleware/authorize");
+const { validate } = require("../middleware/validate");
+const { getCampaignAnalyticsSchema } = require("../dtos/analytics.dto");
+
+/**
+ * @route GET /api/analytics/campaigns/compare
+ * @description Compare the totals and rates of several campaigns (query: ids, from, to, includeMachine)
+ * @access Private (requires campaigns:read permission)
+ */
+router.get(
+  "/campaigns/compare",
+  authenticate,
+  hasAnyPermission({ resource: "campaigns", action: "read" }),
+  analyticsController.compareCampaigns
+);
+
+/**
+ * @route GET /api/analytics/campaigns/compare/export
+ * @description Export the comparison of several campaigns as CSV (query: ids, from, to, includeMachine)
+ * @access Private (requires campaigns:read permission)
+ */
+router.get(
+  "/campaigns/compare/export",
+  authenticate,
+  hasAnyPermission({ resource: "campaigns", action: "read" }),
+  analyticsController.exportCampaignComparison
+);
+
+/**
+ * @route GET /api/analytics/campaigns/:id
+ * @description Get the analytics of a campaign: totals and rates, time series, links and client breakdown
+ * (query: interval, from, to, includeMachine)
+ * @access Private (requires campaigns:read permission)
+ */
+router.get(
+  "/campaigns/:id",
+  authenticate,
+  hasAnyPermission({ resource: "campaigns", action: "read" }),
+  validate({ params: getCampaignAnalyticsSchema.params }),
+  analyticsController.getCampaignAnalytics
+);
+
+/**
+ * @route GET /api/analytics/campaigns/:id/export
+ * @description Export a report of the analytics of a campaign as CSV
+ * (query: report=summary|timeseries|links|clients, interval, from, to, includeMachine)
+ * @access Private (requires campaigns:read permission)
+ */
+router.get(
+  "/campaigns/:id/export",
+  authenticate,
+  hasAnyPermission({ resource: "campaigns", action: "read" }),
+  validate({ params: getCampaignAnalyticsSchema.params }),
+  analyticsController.exportCampaignAnalytics
+);
+
+module.exports = router;
@@ -8,7 +8,13 @@ const campaignController = require("../controllers/campaign.controller");
 const authenticate = require("../middleware/authenticate");
 const { hasAnyPermission } = require("../middleware/authorize");
 const { validate } = require("../middleware/validate");
-const { createCampaignSchema, updateCampaignSchema, scheduleCampaignSchema, getCampaignSchema } = require("../dtos/campaign.dto");
+const {
+  createCampaignSchema,
+  updateCampaignSchema,
+  scheduleCampaignSchema,
+  getCampaignSchema,
+  testCampaignSchema,
+} = require("../dtos/campaign.dto");
 
 // Protected routes - require authentication and authorization
 // Get all campaigns (with pagination and filters)
@@ -97,6 +103,19 @@ router.post(
   campaignController.sendCampaign
 );
 
+/**
+ * @route POST /api/campaigns/:id/test
+ * @description Send a test of a campaign to a few addresses, without touching its stats
+ * @access Private (requires campaign:send permission)
+ */
+router.post(
+  "/:id/test",
+  authenticate,
+  hasAnyPermission({ resource: "campaigns", action: "send" }),
+  validate(testCampaignSchema),
+  campaignController.sendTestCampaign
+);
+
 /**
  * @route GET /api/campaigns/:id/stats
  * @description Get statistics for a campaign
@@ -110,6 +129,19 @@ router.get(
   campaignController.getCampaignStats
 );
 
+/**
+ * @route GET /api/campaigns/:id/runs
+ * @description List the runs of a recurring campaign with per-run statistics
+ * @access Private (requires campaign:read permission)
+ */
+router.get(
+  "/:id/runs",
+  authenticate,
+  hasAnyPermission({ resource: "campaigns", action: "read" }),
+  validate(getCampaignSchema),
+  campaignController.getCampaignRuns
+);
+
 /**
  * @route POST /api/campaigns/:id/cancel
  * @description Cancel a scheduled campaign
@@ -123,4 +155,30 @@ router.post(
   campaignController.cancelCampaign
 );
 
+/**
+ * @route POST /api/campaigns/:id/pause
+ * @description Pause a campaign that is being sent; queued emails are parked until it is resumed
+ * @access Private (requires campaign:send permission)
+ */
+router.post(
+  "/:id/pause",
+  authenticate,
+  hasAnyPermission({ resource: "campaigns", action: "send" }),
+  validate(getCampaignSchema),
+  campaignController.pauseCampaign
+);
+
+/**
+ * @route POST /api/campaigns/:id/resume
+ * @description Resume a paused campaign and replay its parked emails
+ * @access Private (requires campaign:send permission)
+ */
+router.post(
+  "/:id/resume",
+  authenticate,
+  hasAnyPermission({ resource: "campaigns", action: "send" }),
+  validate(getCampaignSchema),
+  campaignController.resumeCampaign
+);
+
 module.exports = router;
@@ -14,7 +14,14 @@ const mailingListRoutes = require("./mailing-list.routes");
 const emailTemplateRoutes = require("./template.routes");
 const emailTemplateV2Routes = require("./email-template.routes");
 const campaignRoutes = require("./campaign.routes");
+const seedListRoutes = require("./seed-list.routes");
+const topicRoutes = require("./topic.routes");
+const suppressionRoutes = require("./suppression.routes");
+const analyticsRoutes = require("./analytics.routes");
+const workflowRoutes = require("./workflow.routes");
 const trackingRoutes = require("./tracking.routes");
+const unsubscribeRoutes = require("./unsubscribe.routes");
+const preferencesRoutes = require("./preferences.routes");
 const blogRoutes = require("./blog.routes");
 
 const router = express.Router();
@@ -29,7 +36,14 @@ router.use(`/mailing-lists`, mailingListRoutes);
 router.use(`/email-templates`, emailTemplateRoutes);
 router.use(`/email-templates/v2`, emailTemplateV2Routes);
 router.use(`/campaigns`, campaignRoutes);
+router.use(`/seed-lists`, seedListRoutes);
+router.use(`/topics`, topicRoutes);
+router.use(`/suppressions`, suppressionRoutes);
+router.use(`/analytics`, analyticsRoutes);
+router.use(`/workflows`, workflowRoutes);
 router.use(`/track`, trackingRoutes);
+router.use(`/unsubscribe`, unsubscribeRoutes);
+router.use(`/preferences`, preferencesRoutes);
 router.use(`/blog`, blogRoutes);
 
 /**
@@ -0,0 +1,24 @@
+/**
+ * @module routes/preferences
+ * @description Public routes of the preference center, opened from the signed link in emails
+ */
+const express = require("express");
+const preferencesController = require("../controllers/preferences.controller");
+
+const router = express.Router();
+
+/**
+ * @route GET /preferences
+ * @description Show the topics a subscriber receives for a signed preference center token
+ * @access Public
+ */
+router.get("/", preferencesController.showPreferencesPage);
+
+/**
+ * @route POST /preferences
+ * @description Save the topics a subscriber receives, or unsubscribe them from all emails
+ * @access Public
+ */
+router.post("/", preferencesController.updatePreferences);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * @module routes/seed-list
+ * @description Routes for seed list management
+ */
+const express = require("express");
+const router = express.Router();
+const seedListController = require("../controllers/seed-list.controller");
+const authenticate = require("../middleware/authenticate");
+const { hasAnyPermission } = require("../middleware/authorize");
+const { validate } = require("../middleware/validate");
+const { createSeedListSchema, updateSeedListSchema, getSeedListSchema } = require("../dtos/seed-list.dto");
+
+/**
+ * @route GET /api/seed-lists
+ * @description Get all seed lists
+ * @access Private (requires seed-lists:read permission)
+ */
+router.get("/", authenticate, hasAnyPermission({ resource: "seed-lists", action: "read" }), seedListController.listSeedLists);
+
+/**
+ * @route GET /api/seed-lists/:id
+ * @description Get a seed list with its addresses
+ * @access Private (requires seed-lists:read permission)
+ */
+router.get(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "seed-lists", action: "read" }),
+  validate(getSeedListSchema),
+  seedListController.getSeedListById
+);
+
+/**
+ * @route POST /api/seed-lists
+ * @description Create a new seed list
+ * @access Private (requires seed-lists:create permission)
+ */
+router.post(
+  "/",
+  authenticate,
+  hasAnyPermission({ resource: "seed-lists", action: "create" }),
+  validate(createSeedListSchema),
+  seedListController.createSeedList
+);
+
+/**
+ * @route PUT /api/seed-lists/:id
+ * @description Update a seed list
+ * @access Private (requires seed-lists:update permission)
+ */
+router.put(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "seed-lists", action: "update" }),
+  validate(updateSeedListSchema),
+  seedListController.updateSeedList
+);
+
+/**
+ * @route DELETE /api/seed-lists/:id
+ * @description Delete a seed list; campaigns using it are sent without seeds
+ * @access Private (requires seed-lists:delete permission)
+ */
+router.delete(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "seed-lists", action: "delete" }),
+  validate(getSeedListSchema),
+  seedListController.deleteSeedList
+);
+
+module.exports = router;
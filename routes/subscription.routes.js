@@ -15,6 +15,7 @@ const {
   assignTagsSchema,
   removeTagsSchema,
   getSubscriberSchema,
+  getSubscriberActivitySchema,
   unsubscribeSchema,
 } = require("../dtos/subscriber.dto");
 
@@ -34,6 +35,14 @@ router.get(
   subscriberController.getSubscribersWithTags
 );
 
+// Dry run of the sunset policy: who would be re-engaged, sunset and released
+router.get(
+  "/sunset/dry-run",
+  authenticate,
+  hasAnyPermission({ resource: "subscriptions", action: "read" }),
+  subscriberController.getSunsetReport
+);
+
 // Get a single subscriber by ID
 router.get(
   "/:id",
@@ -43,6 +52,15 @@ router.get(
   subscriberController.getSubscriberById
 );
 
+// Get the activity timeline of a subscriber
+router.get(
+  "/:id/activity",
+  authenticate,
+  hasAnyPermission({ resource: "subscriptions", action: "read" }),
+  validate({ params: getSubscriberActivitySchema.params }),
+  subscriberController.getSubscriberActivity
+);
+
 // Create a new subscriber
 router.post(
   "/",
@@ -0,0 +1,59 @@
+/**
+ * @module routes/suppression
+ * @description Routes for suppression list management
+ */
+const express = require("express");
+const router = express.Router();
+const suppressionController = require("../controllers/suppression.controller");
+const authenticate = require("../middleware/authenticate");
+const { hasAnyPermission } = require("../middleware/authorize");
+const { validate } = require("../middleware/validate");
+const { createSuppressionSchema, importSuppressionsSchema, getSuppressionSchema } = require("../dtos/suppression.dto");
+
+/**
+ * @route GET /api/suppressions
+ * @description Get suppressed addresses (query: page, limit, email, reason, includeExpired)
+ * @access Private (requires suppressions:read permission)
+ */
+router.get("/", authenticate, hasAnyPermission({ resource: "suppressions", action: "read" }), suppressionController.listSuppressions);
+
+/**
+ * @route POST /api/suppressions
+ * @description Suppress an address
+ * @access Private (requires suppressions:create permission)
+ */
+router.post(
+  "/",
+  authenticate,
+  hasAnyPermission({ resource: "suppressions", action: "create" }),
+  validate(createSuppressionSchema),
+  suppressionController.createSuppression
+);
+
+/**
+ * @route POST /api/suppressions/import
+ * @description Import suppressed addresses from CSV data
+ * @access Private (requires suppressions:create permission)
+ */
+router.post(
+  "/import",
+  authenticate,
+  hasAnyPermission({ resource: "suppressions", action: "create" }),
+  validate(importSuppressionsSchema),
+  suppressionController.importSuppressions
+);
+
+/**
+ * @route DELETE /api/suppressions/:id
+ * @description Remove a suppression so the address can be emailed again
+ * @access Private (requires suppressions:delete permission)
+ */
+router.delete(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "suppressions", action: "delete" }),
+  validate(getSuppressionSchema),
+  suppressionController.deleteSuppression
+);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * @module routes/topic
+ * @description Routes for subscription topic management
+ */
+const express = require("express");
+const router = express.Router();
+const topicController = require("../controllers/topic.controller");
+const authenticate = require("../middleware/authenticate");
+const { hasAnyPermission } = require("../middleware/authorize");
+const { validate } = require("../middleware/validate");
+const { createTopicSchema, updateTopicSchema, getTopicSchema } = require("../dtos/topic.dto");
+
+/**
+ * @route GET /api/topics
+ * @description Get all topics with the number of subscribers who opted out of each
+ * @access Private (requires topics:read permission)
+ */
+router.get("/", authenticate, hasAnyPermission({ resource: "topics", action: "read" }), topicController.listTopics);
+
+/**
+ * @route GET /api/topics/:id
+ * @description Get a topic
+ * @access Private (requires topics:read permission)
+ */
+router.get(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "topics", action: "read" }),
+  validate(getTopicSchema),
+  topicController.getTopicById
+);
+
+/**
+ * @route POST /api/topics
+ * @description Create a new topic
+ * @access Private (requires topics:create permission)
+ */
+router.post(
+  "/",
+  authenticate,
+  hasAnyPermission({ resource: "topics", action: "create" }),
+  validate(createTopicSchema),
+  topicController.createTopic
+);
+
+/**
+ * @route PUT /api/topics/:id
+ * @description Update a topic
+ * @access Private (requires topics:update permission)
+ */
+router.put(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "topics", action: "update" }),
+  validate(updateTopicSchema),
+  topicController.updateTopic
+);
+
+/**
+ * @route DELETE /api/topics/:id
+ * @description Delete a topic; its campaigns go to every subscriber and its opt-outs are dropped
+ * @access Private (requires topics:delete permission)
+ */
+router.delete(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "topics", action: "delete" }),
+  validate(getTopicSchema),
+  topicController.deleteTopic
+);
+
+module.exports = router;
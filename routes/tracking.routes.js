@@ -16,7 +16,7 @@ router.get("/open", trackingController.trackOpen);
 
 /**
  * @route GET /track/click
- * @description Track email link clicks and redirect
+ * @description Track clicks on signed links of campaign and workflow emails and redirect to them
  * @access Public
  */
 router.get("/click", trackingController.trackClick);
@@ -24,8 +24,15 @@ router.get("/click", trackingController.trackClick);
 /**
  * @route POST /track/delivery
  * @description Track delivery events from webhooks (bounces, complaints, etc.)
- * @access Public (but should be secured with API keys or signatures in production)
+ * @access Public (requests must carry DELIVERY_WEBHOOK_SECRET in the X-Webhook-Secret header)
  */
 router.post("/delivery", trackingController.trackDeliveryEvent);
 
+/**
+ * @route POST /track/ses
+ * @description Receive Amazon SES notifications (bounces, complaints, deliveries, rejects) from an SNS HTTPS subscription
+ * @access Public (messages are verified against their SNS signature)
+ */
+router.post("/ses", express.text({ type: "text/plain", limit: "1mb" }), trackingController.receiveSesNotification);
+
 module.exports = router;
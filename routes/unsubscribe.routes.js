@@ -0,0 +1,24 @@
+/**
+ * @module routes/unsubscribe
+ * @description Public routes behind the unsubscribe links and List-Unsubscribe headers of emails
+ */
+const express = require("express");
+const unsubscribeController = require("../controllers/unsubscribe.controller");
+
+const router = express.Router();
+
+/**
+ * @route GET /unsubscribe
+ * @description Show the unsubscribe confirmation page for a signed unsubscribe token
+ * @access Public
+ */
+router.get("/", unsubscribeController.showUnsubscribePage);
+
+/**
+ * @route POST /unsubscribe
+ * @description Unsubscribe from the confirmation page or with one click (RFC 8058 List-Unsubscribe-Post)
+ * @access Public
+ */
+router.post("/", unsubscribeController.unsubscribe);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * @module routes/workflow
+ * @description Routes for automation workflow management
+ */
+const express = require("express");
+const router = express.Router();
+const workflowController = require("../controllers/workflow.controller");
+const authenticate = require("../middleware/authenticate");
+const { hasAnyPermission } = require("../middleware/authorize");
+const { validate } = require("../middleware/validate");
+const { createWorkflowSchema, updateWorkflowSchema, getWorkflowSchema } = require("../dtos/workflow.dto");
+
+/**
+ * @route GET /api/workflows
+ * @description Get all workflows with optional status and trigger filters
+ * @access Private (requires workflows:read permission)
+ */
+router.get("/", authenticate, hasAnyPermission({ resource: "workflows", action: "read" }), workflowController.listWorkflows);
+
+/**
+ * @route GET /api/workflows/:id
+ * @description Get a workflow with its steps
+ * @access Private (requires workflows:read permission)
+ */
+router.get(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "workflows", action: "read" }),
+  validate(getWorkflowSchema),
+  workflowController.getWorkflowById
+);
+
+/**
+ * @route GET /api/workflows/:id/stats
+ * @description Get enrollment counts and per-step statistics of a workflow
+ * @access Private (requires workflows:read permission)
+ */
+router.get(
+  "/:id/stats",
+  authenticate,
+  hasAnyPermission({ resource: "workflows", action: "read" }),
+  validate(getWorkflowSchema),
+  workflowController.getWorkflowStats
+);
+
+/**
+ * @route POST /api/workflows
+ * @description Create a new workflow
+ * @access Private (requires workflows:create permission)
+ */
+router.post(
+  "/",
+  authenticate,
+  hasAnyPermission({ resource: "workflows", action: "create" }),
+  validate(createWorkflowSchema),
+  workflowController.createWorkflow
+);
+
+/**
+ * @route PUT /api/workflows/:id
+ * @description Update a workflow; setting status to active or paused starts or pauses it
+ * @access Private (requires workflows:update permission)
+ */
+router.put(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "workflows", action: "update" }),
+  validate(updateWorkflowSchema),
+  workflowController.updateWorkflow
+);
+
+/**
+ * @route DELETE /api/workflows/:id
+ * @description Delete a workflow; subscribers still in it leave the workflow
+ * @access Private (requires workflows:delete permission)
+ */
+router.delete(
+  "/:id",
+  authenticate,
+  hasAnyPermission({ resource: "workflows", action: "delete" }),
+  validate(getWorkflowSchema),
+  workflowController.deleteWorkflow
+);
+
+module.exports = router;
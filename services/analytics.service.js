@@ -0,0 +1,389 @@
+/**
+ * @module services/analytics
+ * @description Campaign analytics over email_analytics: totals and rates, opens and clicks over time,
+ * per-link clicks and the devices, email clients and operating systems recipients engage from. Opens and
+ * clicks classified as machine events (see services/event-classification) are left out unless asked for.
+ * Results are cached in Redis for a few minutes and can be exported as CSV.
+ */
+const { stringify } = require("csv-stringify/sync");
+const db = require("../config/db");
+const redis = require("../config/redis");
+const config = require("../config");
+const logger = require("./logger.service");
+const { parseUserAgent } = require("../utils/user-agent");
+const { NotFoundError, BadRequestError } = require("../utils/errors");
+
+const INTERVALS = ["hour", "day"];
+const CSV_REPORTS = ["summary", "timeseries", "links", "clients"];
+
+// Filter shared by the queries below: $1 campaign IDs, $2 from, $3 to, $4 include machine opens and clicks
+const EVENT_FILTER = `
+  campaign_id = ANY($1::int[])
+  AND ($2::timestamptz IS NULL OR event_time >= $2)
+  AND ($3::timestamptz IS NULL OR event_time < $3)
+  AND ($4 OR event_type NOT IN ('opened', 'clicked') OR (additional_data->>'classification') IS DISTINCT FROM 'machine')`;
+
+/**
+ * Build the parameters of EVENT_FILTER
+ * @function filterParams
+ * @param {number[]} campaignIds - Campaign IDs
+ * @param {Object} options - { from, to, includeMachine }
+ * @returns {Array} Query parameters
+ */
+const filterParams = (campaignIds, { from = null, to = null, includeMachine = false }) => [campaignIds, from, to, includeMachine];
+
+/**
+ * Percentage of a part in a whole, rounded to two decimals
+ * @function rate
+ * @param {number} part - Part
+ * @param {number} whole - Whole
+ * @returns {number} Percentage (0 when the whole is 0)
+ */
+const rate = (part, whole) => (whole > 0 ? parseFloat(((part / whole) * 100).toFixed(2)) : 0);
+
+/**
+ * Get a cached result, or compute and cache it. Redis errors only cost the cache.
+ * @async
+ * @function cached
+ * @param {string} key - Cache key
+ * @param {Function} compute - Computes the result
+ * @returns {Promise<Object>} Result
+ */
+async function cached(key, compute) {
+  const ttl = config.analytics.cacheTtlSeconds;
+  if (ttl <= 0) {
+    return compute();
+  }
+
+  try {
+    const hit = await redis.get(key);
+    if (hit) {
+      return JSON.parse(hit);
+    }
+  } catch (error) {
+    logger.warn(`Could not read cached analytics ${key}: ${error.message}`);
+  }
+
+  const result = await compute();
+
+  try {
+    await redis.set(key, result, ttl);
+  } catch (error) {
+    logger.warn(`Could not cache analytics ${key}: ${error.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Build the cache key of an analytics result
+ * @function cacheKey
+ * @param {string} kind - Result kind
+ * @param {number[]} campaignIds - Campaign IDs
+ * @param {Object} options - Options the result depends on
+ * @returns {string} Cache key
+ */
+const cacheKey = (kind, campaignIds, { interval = null, from = null, to = null, includeMachine = false }) =>
+  `analytics:${kind}:${campaignIds.join(",")}:${interval}:${from}:${to}:${includeMachine}`;
+
+/**
+ * Load campaigns, failing if any does not exist
+ * @async
+ * @function getCampaigns
+ * @param {number[]} campaignIds - Campaign IDs
+ * @returns {Promise<Object[]>} { id, name, subject, status, publishedAt } in the order of campaignIds
+ * @throws {NotFoundError} If a campaign does not exist
+ */
+async function getCampaigns(campaignIds) {
+  const { rows } = await db.query(
+    `SELECT id, name, subject, status, published_at FROM email_campaigns WHERE id = ANY($1::int[]) AND is_deleted = FALSE`,
+    [campaignIds]
+  );
+
+  const missing = campaignIds.filter((id) => !rows.some((row) => row.id === id));
+  if (missing.length > 0) {
+    throw new NotFoundError(`Campaign${missing.length > 1 ? "s" : ""} ${missing.join(", ")} not found`);
+  }
+
+  return campaignIds.map((id) => {
+    const row = rows.find((campaign) => campaign.id === id);
+    return { id: row.id, name: row.name, subject: row.subject, status: row.status, publishedAt: row.published_at };
+  });
+}
+
+/**
+ * Get the totals and rates of campaigns
+ * @async
+ * @function getSummaries
+ * @param {number[]} campaignIds - Campaign IDs
+ * @param {Object} options - { from, to, includeMachine }
+ * @returns {Promise<Map<number, Object>>} Summary of every campaign, by campaign ID
+ */
+async function getSummaries(campaignIds, options) {
+  const { rows } = await db.query(
+    `SELECT campaign_id,
+            COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'sent') AS sent,
+            COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'delivered') AS delivered,
+            COUNT(*) FILTER (WHERE event_type = 'opened') AS total_opens,
+            COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'opened') AS unique_opens,
+            COUNT(*) FILTER (WHERE event_type = 'clicked') AS total_clicks,
+            COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'clicked') AS unique_clicks,
+            COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'bounced') AS bounced,
+            COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'complained') AS complained,
+            COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'unsubscribed') AS unsubscribed
+     FROM email_analytics
+     WHERE ${EVENT_FILTER}
+     GROUP BY campaign_id`,
+    filterParams(campaignIds, options)
+  );
+
+  const summaries = new Map();
+  for (const campaignId of campaignIds) {
+    const row = rows.find((summary) => summary.campaign_id === campaignId) || {};
+    const count = (column) => parseInt(row[column]) || 0;
+    const sent = count("sent");
+
+    summaries.set(campaignId, {
+      sent,
+      delivered: count("delivered"),
+      totalOpens: count("total_opens"),
+      uniqueOpens: count("unique_opens"),
+      totalClicks: count("total_clicks"),
+      uniqueClicks: count("unique_clicks"),
+      bounced: count("bounced"),
+      complained: count("complained"),
+      unsubscribed: count("unsubscribed"),
+      openRate: rate(count("unique_opens"), sent),
+      clickRate: rate(count("unique_clicks"), sent),
+      clickToOpenRate: rate(count("unique_clicks"), count("unique_opens")),
+      bounceRate: rate(count("bounced"), sent),
+      complaintRate: rate(count("complained"), sent),
+      unsubscribeRate: rate(count("unsubscribed"), sent),
+    });
+  }
+
+  return summaries;
+}
+
+/**
+ * Get the opens and clicks of a campaign per hour or day (UTC)
+ * @async
+ * @function getTimeSeries
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} options - { interval, from, to, includeMachine }
+ * @returns {Promise<Object[]>} { bucket, totalOpens, uniqueOpens, totalClicks, uniqueClicks } per bucket with events
+ */
+async function getTimeSeries(campaignId, options) {
+  const { rows } = await db.query(
+    `SELECT to_char(date_trunc($5, event_time AT TIME ZONE 'UTC'), 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS bucket,
+            COUNT(*) FILTER (WHERE event_type = 'opened') AS total_opens,
+            COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'opened') AS unique_opens,
+            COUNT(*) FILTER (WHERE event_type = 'clicked') AS total_clicks,
+            COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'clicked') AS unique_clicks
+     FROM email_analytics
+     WHERE ${EVENT_FILTER} AND event_type IN ('opened', 'clicked')
+     GROUP BY 1
+     ORDER BY 1`,
+    [...filterParams([campaignId], options), options.interval]
+  );
+
+  return rows.map((row) => ({
+    bucket: row.bucket,
+    totalOpens: parseInt(row.total_opens),
+    uniqueOpens: parseInt(row.unique_opens),
+    totalClicks: parseInt(row.total_clicks),
+    uniqueClicks: parseInt(row.unique_clicks),
+  }));
+}
+
+/**
+ * Get the clicks on every link of a campaign
+ * @async
+ * @function getLinkStats
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} options - { from, to, includeMachine }
+ * @returns {Promise<Object[]>} { url, label, totalClicks, uniqueClicks, clickShare }, most clicked first
+ */
+async function getLinkStats(campaignId, options) {
+  const { rows } = await db.query(
+    `SELECT link_clicked AS url, additional_data->>'label' AS label,
+            COUNT(*) AS total_clicks, COUNT(DISTINCT recipient_id) AS unique_clicks
+     FROM email_analytics
+     WHERE ${EVENT_FILTER} AND event_type = 'clicked' AND link_clicked IS NOT NULL
+     GROUP BY 1, 2
+     ORDER BY total_clicks DESC, url`,
+    filterParams([campaignId], options)
+  );
+
+  const totalClicks = rows.reduce((total, row) => total + parseInt(row.total_clicks), 0);
+  return rows.map((row) => ({
+    url: row.url,
+    label: row.label || null,
+    totalClicks: parseInt(row.total_clicks),
+    uniqueClicks: parseInt(row.unique_clicks),
+    clickShare: rate(parseInt(row.total_clicks), totalClicks),
+  }));
+}
+
+/**
+ * Get the opens and clicks of a campaign per device type, email client and operating system
+ * @async
+ * @function getClientBreakdown
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} options - { from, to, includeMachine }
+ * @returns {Promise<Object>} { devices, clients, os }, each a list of { name, opens, clicks }, most used first
+ */
+async function getClientBreakdown(campaignId, options) {
+  const { rows } = await db.query(
+    `SELECT user_agent, event_type, COUNT(*) AS count
+     FROM email_analytics
+     WHERE ${EVENT_FILTER} AND event_type IN ('opened', 'clicked')
+     GROUP BY 1, 2`,
+    filterParams([campaignId], options)
+  );
+
+  const breakdown = { devices: new Map(), clients: new Map(), os: new Map() };
+  for (const row of rows) {
+    const parsed = parseUserAgent(row.user_agent);
+    const key = row.event_type === "opened" ? "opens" : "clicks";
+
+    for (const [dimension, name] of [
+      ["devices", parsed.device],
+      ["clients", parsed.client],
+      ["os", parsed.os],
+    ]) {
+      const entry = breakdown[dimension].get(name) || { name, opens: 0, clicks: 0 };
+      entry[key] += parseInt(row.count);
+      breakdown[dimension].set(name, entry);
+    }
+  }
+
+  const sorted = (entries) => [...entries.values()].sort((a, b) => b.opens + b.clicks - (a.opens + a.clicks));
+  return { devices: sorted(breakdown.devices), clients: sorted(breakdown.clients), os: sorted(breakdown.os) };
+}
+
+/**
+ * Get the analytics of a campaign
+ * @async
+ * @function getCampaignAnalytics
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.interval=day] - Time series bucket size: hour or day
+ * @param {string} [options.from] - Only count events from this time (ISO 8601)
+ * @param {string} [options.to] - Only count events before this time (ISO 8601)
+ * @param {boolean} [options.includeMachine=false] - Count opens and clicks classified as machine events
+ * @returns {Promise<Object>} { campaign, filters, summary, timeSeries, links, clients }
+ * @throws {NotFoundError} If the campaign does not exist
+ */
+async function getCampaignAnalytics(campaignId, options = {}) {
+  const filters = { interval: "day", from: null, to: null, includeMachine: false, ...options };
+  if (!INTERVALS.includes(filters.interval)) {
+    throw new BadRequestError(`Interval must be one of: ${INTERVALS.join(", ")}`);
+  }
+
+  const [campaign] = await getCampaigns([campaignId]);
+
+  return cached(cacheKey("campaign", [campaignId], filters), async () => {
+    const summaries = await getSummaries([campaignId], filters);
+
+    return {
+      campaign,
+      filters,
+      summary: summaries.get(campaignId),
+      timeSeries: await getTimeSeries(campaignId, filters),
+      links: await getLinkStats(campaignId, filters),
+      clients: await getClientBreakdown(campaignId, filters),
+    };
+  });
+}
+
+/**
+ * Compare the totals and rates of several campaigns
+ * @async
+ * @function compareCampaigns
+ * @param {number[]} campaignIds - Campaign IDs
+ * @param {Object} [options] - { from, to, includeMachine } (see getCampaignAnalytics)
+ * @returns {Promise<Object>} { filters, campaigns: [{ campaign, summary }] } in the order of campaignIds
+ * @throws {NotFoundError} If a campaign does not exist
+ */
+async function compareCampaigns(campaignIds, options = {}) {
+  const filters = { from: null, to: null, includeMachine: false, ...options };
+  const ids = [...new Set(campaignIds)];
+  const campaigns = await getCampaigns(ids);
+
+  return cached(cacheKey("compare", ids, filters), async () => {
+    const summaries = await getSummaries(ids, filters);
+    return { filters, campaigns: campaigns.map((campaign) => ({ campaign, summary: summaries.get(campaign.id) })) };
+  });
+}
+
+/**
+ * Flatten a campaign summary into a CSV row
+ * @function summaryRow
+ * @param {Object} campaign - Campaign
+ * @param {Object} summary - Campaign summary
+ * @returns {Object} CSV row
+ */
+const summaryRow = (campaign, summary) => ({ campaign_id: campaign.id, campaign_name: campaign.name, ...summary });
+
+/**
+ * Export a report of the analytics of a campaign as CSV
+ * @async
+ * @function exportCampaignAnalytics
+ * @param {number} campaignId - Campaign ID
+ * @param {string} report - summary, timeseries, links or clients
+ * @param {Object} [options] - Options (see getCampaignAnalytics)
+ * @returns {Promise<string>} CSV data
+ * @throws {BadRequestError} If the report is unknown
+ * @throws {NotFoundError} If the campaign does not exist
+ */
+async function exportCampaignAnalytics(campaignId, report, options = {}) {
+  if (!CSV_REPORTS.includes(report)) {
+    throw new BadRequestError(`Report must be one of: ${CSV_REPORTS.join(", ")}`);
+  }
+
+  const analytics = await getCampaignAnalytics(campaignId, options);
+
+  switch (report) {
+    case "summary":
+      return stringify([summaryRow(analytics.campaign, analytics.summary)], { header: true });
+    case "timeseries":
+      return stringify(analytics.timeSeries, {
+        header: true,
+        columns: ["bucket", "totalOpens", "uniqueOpens", "totalClicks", "uniqueClicks"],
+      });
+    case "links":
+      return stringify(analytics.links, { header: true, columns: ["url", "label", "totalClicks", "uniqueClicks", "clickShare"] });
+    case "clients":
+      return stringify(
+        Object.entries(analytics.clients).flatMap(([dimension, entries]) => entries.map((entry) => ({ dimension, ...entry }))),
+        { header: true, columns: ["dimension", "name", "opens", "clicks"] }
+      );
+  }
+}
+
+/**
+ * Export the comparison of several campaigns as CSV, one row per campaign
+ * @async
+ * @function exportCampaignComparison
+ * @param {number[]} campaignIds - Campaign IDs
+ * @param {Object} [options] - { from, to, includeMachine } (see getCampaignAnalytics)
+ * @returns {Promise<string>} CSV data
+ * @throws {NotFoundError} If a campaign does not exist
+ */
+async function exportCampaignComparison(campaignIds, options = {}) {
+  const comparison = await compareCampaigns(campaignIds, options);
+  return stringify(
+    comparison.campaigns.map(({ campaign, summary }) => summaryRow(campaign, summary)),
+    { header: true }
+  );
+}
+
+module.exports = {
+  INTERVALS,
+  CSV_REPORTS,
+  getCampaignAnalytics,
+  compareCampaigns,
+  exportCampaignAnalytics,
+  exportCampaignComparison,
+};
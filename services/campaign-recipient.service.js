@@ -0,0 +1,432 @@
+/**
+ * @module services/campaign-recipient
+ * @description Per-recipient send ledger for campaigns. Each campaign x subscriber pair has one row
+ * recording its delivery status, so a recipient already marked sent is never sent to again.
+ */
+const db = require("../config/db");
+const logger = require("./logger.service");
+const mailingListService = require("./mailing-list.service");
+
+// Recipients claimed this long ago that never reported back were lost to a worker crash or a lost status update
+const STALE_SEND_ATTEMPT_MINUTES = 30;
+
+/**
+ * Build a query selecting the distinct subscriber IDs on the mailing lists of a campaign, less those on its
+ * exclusion lists. Static lists contribute their snapshot, dynamic lists the subscribers matching their
+ * filter criteria right now, and composite lists the set operation over their components.
+ * @async
+ * @function buildAudienceQuery
+ * @param {number} campaignId - Campaign ID
+ * @param {number} [startParamIndex=1] - Index of the first parameter, to embed the query in a larger one
+ * @returns {Promise<Object>} SQL query selecting an id column, and its parameters
+ * @throws {BadRequestError} If a composite list contains itself
+ */
+async function buildAudienceQuery(campaignId, startParamIndex = 1) {
+  const { rows: mailingLists } = await db.query(
+    `SELECT ml.id, ml.list_type, ml.filter_criteria, FALSE AS excluded
+     FROM mailing_lists ml
+     JOIN campaign_mailing_lists cml ON ml.id = cml.mailing_list_id
+     WHERE cml.campaign_id = $1
+     UNION ALL
+     SELECT ml.id, ml.list_type, ml.filter_criteria, TRUE
+     FROM mailing_lists ml
+     JOIN campaign_exclusion_lists cel ON ml.id = cel.mailing_list_id
+     WHERE cel.campaign_id = $1
+     ORDER BY excluded, id`,
+    [campaignId]
+  );
+
+  const audience = await mailingListService.buildListsMembersQuery(
+    mailingLists.filter((mailingList) => !mailingList.excluded),
+    startParamIndex
+  );
+  const exclusionLists = mailingLists.filter((mailingList) => mailingList.excluded);
+  if (exclusionLists.length === 0) {
+    return audience;
+  }
+
+  const excluded = await mailingListService.buildListsMembersQuery(exclusionLists, startParamIndex + audience.params.length);
+  return {
+    query: `SELECT audience.id FROM (${audience.query}) AS audience
+            EXCEPT SELECT excluded.id FROM (${excluded.query}) AS excluded`,
+    params: [...audience.params, ...excluded.params],
+  };
+}
+
+/**
+ * Snapshot the audience of a campaign into the ledger. Dynamic and composite lists are resolved at this point; later changes
+ * to its mailing lists do not affect a send in progress, and running the snapshot again only adds missing recipients.
+ * Inactive subscribers, suppressed addresses and subscribers who opted out of the campaign's topic are left out.
+ * Each recipient's timezone is resolved as well: the timezone column, then metadata.timezone, then the default.
+ * @async
+ * @function snapshotRecipients
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.defaultTimezone=UTC] - Timezone of recipients without one
+ * @returns {Promise<number>} Number of recipients added to the ledger
+ */
+async function snapshotRecipients(campaignId, { defaultTimezone = "UTC" } = {}) {
+  // Static lists filtering on relative dates are re-evaluated first, so every send (and run of a recurring
+  // campaign) gets the subscribers matching on the day it goes out
+  const { rows: campaignLists } = await db.query(
+    `SELECT mailing_list_id FROM campaign_mailing_lists WHERE campaign_id = $1
+     UNION
+     SELECT mailing_list_id FROM campaign_exclusion_lists WHERE campaign_id = $1`,
+    [campaignId]
+  );
+  await mailingListService.syncRelativeDateLists(campaignLists.map((row) => row.mailing_list_id));
+
+  // The audience query's parameters follow the campaign ID and default timezone
+  const audience = await buildAudienceQuery(campaignId, 3);
+
+  const { rowCount } = await db.query(
+    `INSERT INTO campaign_recipients (campaign_id, subscriber_id, email, timezone)
+     SELECT $1, s.id, s.email, COALESCE(s.timezone, tz.name, $2)
+     FROM subscribers s
+     LEFT JOIN pg_timezone_names tz ON tz.name = s.metadata->>'timezone'
+     WHERE s.is_active = TRUE
+     AND s.id IN (${audience.query})
+     AND NOT EXISTS (
+       SELECT 1 FROM suppressions sp
+       WHERE sp.email = LOWER(s.email)
+       AND (sp.expires_at IS NULL OR sp.expires_at > NOW())
+     )
+     -- Subscribers who opted out of the campaign's topic are left out
+     AND NOT EXISTS (
+       SELECT 1
+       FROM subscriber_topic_opt_outs o
+       JOIN email_campaigns c ON c.topic_id = o.topic_id
+       WHERE c.id = $1
+       AND o.subscriber_id = s.id
+     )
+     ORDER BY s.id
+     ON CONFLICT (campaign_id, subscriber_id) DO NOTHING`,
+    [campaignId, defaultTimezone, ...audience.params]
+  );
+
+  logger.info(`Campaign ${campaignId}: Snapshotted ${rowCount} recipients`);
+  return rowCount;
+}
+
+/**
+ * Get the next batch of snapshotted recipients that have not been published yet, using keyset pagination
+ * @async
+ * @function getUnenqueuedBatch
+ * @param {number} campaignId - Campaign ID
+ * @param {number} afterId - Ledger ID of the last row of the previous batch (0 for the first batch)
+ * @param {number} limit - Maximum rows to return
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.assignedOnly=false] - Only return recipients assigned to an A/B test variant
+ * @param {string} [options.timezone] - Only return recipients resolved to this timezone
+ * @returns {Promise<Array<Object>>} Subscriber rows with ledger_id and variant_id
+ */
+async function getUnenqueuedBatch(campaignId, afterId, limit, { assignedOnly = false, timezone = null } = {}) {
+  const params = [campaignId, afterId, limit];
+  if (timezone) {
+    params.push(timezone);
+  }
+
+  const { rows } = await db.query(
+    `SELECT s.*, cr.id AS ledger_id, cr.variant_id
+     FROM campaign_recipients cr
+     JOIN subscribers s ON s.id = cr.subscriber_id
+     WHERE cr.campaign_id = $1
+     AND cr.id > $2
+     AND cr.enqueued_at IS NULL
+     AND cr.status = 'queued'
+     ${assignedOnly ? "AND cr.variant_id IS NOT NULL" : ""}
+     ${timezone ? "AND cr.timezone = $4" : ""}
+     ORDER BY cr.id
+     LIMIT $3`,
+    params
+  );
+
+  return rows;
+}
+
+/**
+ * Mark ledger rows as published to the email queue
+ * @async
+ * @function markEnqueued
+ * @param {Array<number>} ledgerIds - Ledger row IDs
+ * @returns {Promise<void>}
+ */
+async function markEnqueued(ledgerIds) {
+  if (ledgerIds.length === 0) {
+    return;
+  }
+
+  await db.query(`UPDATE campaign_recipients SET enqueued_at = CURRENT_TIMESTAMP WHERE id = ANY($1::bigint[])`, [ledgerIds]);
+}
+
+/**
+ * Claim a send attempt for a recipient by moving it to sending. Only one claim succeeds: it fails when the
+ * recipient is already being sent to, was sent to or bounced, which makes concurrent, redelivered and
+ * replayed jobs safe to process. A recipient left sending by a crash is never sent to again: it is settled as
+ * failed by failStaleSendAttempts.
+ * @async
+ * @function claimSendAttempt
+ * @param {Object} emailJob - Email job from the queue
+ * @returns {Promise<boolean>} True if the email should be sent
+ */
+async function claimSendAttempt(emailJob) {
+  const { campaignId, recipient, variantId } = emailJob;
+
+  const { rows } = await db.query(
+    `INSERT INTO campaign_recipients (campaign_id, subscriber_id, email, variant_id, status, attempt_count, last_attempt_at)
+     VALUES ($1, $2, $3, $4, 'sending', 1, CURRENT_TIMESTAMP)
+     ON CONFLICT (campaign_id, subscriber_id) DO UPDATE
+     SET status = 'sending',
+         attempt_count = campaign_recipients.attempt_count + 1,
+         last_attempt_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE campaign_recipients.status IN ('queued', 'failed')
+     RETURNING id`,
+    [campaignId, recipient.id, recipient.email, variantId || null]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Release a claimed send attempt that failed before the email went out, so its retry can claim it again
+ * @async
+ * @function releaseSendAttempt
+ * @param {number} campaignId - Campaign ID
+ * @param {number} subscriberId - Subscriber ID
+ * @returns {Promise<void>}
+ */
+async function releaseSendAttempt(campaignId, subscriberId) {
+  await db.query(
+    `UPDATE campaign_recipients SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+     WHERE campaign_id = $1 AND subscriber_id = $2 AND status = 'sending'`,
+    [campaignId, subscriberId]
+  );
+}
+
+/**
+ * Mark a recipient as sent and record the sent event
+ * @async
+ * @function markSent
+ * @param {number} campaignId - Campaign ID
+ * @param {number} subscriberId - Subscriber ID
+ * @param {string|null} messageId - Message ID returned by the email provider
+ * @returns {Promise<boolean>} True if the recipient transitioned to sent
+ */
+async function markSent(campaignId, subscriberId, messageId = null) {
+  // The sent event is only written when the status actually changes, so duplicate updates are harmless
+  const { rows } = await db.query(
+    `WITH updated AS (
+       UPDATE campaign_recipients
+       SET status = 'sent', provider_message_id = $3, sent_at = CURRENT_TIMESTAMP, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE campaign_id = $1 AND subscriber_id = $2 AND status IN ('queued', 'sending', 'failed')
+       RETURNING campaign_id, subscriber_id, email, variant_id, provider_message_id
+     )
+     INSERT INTO email_analytics (campaign_id, recipient_id, recipient_email, event_type, additional_data)
+     SELECT campaign_id, subscriber_id, email, 'sent',
+            jsonb_strip_nulls(jsonb_build_object('message_id', provider_message_id, 'variant_id', variant_id))
+     FROM updated
+     RETURNING id`,
+    [campaignId, subscriberId, messageId]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Mark a recipient as permanently failed and record the failed event
+ * @async
+ * @function markFailed
+ * @param {number} campaignId - Campaign ID
+ * @param {number} subscriberId - Subscriber ID
+ * @param {string} error - Last error message
+ * @returns {Promise<boolean>} True if the recipient transitioned to failed
+ */
+async function markFailed(campaignId, subscriberId, error) {
+  const { rows } = await db.query(
+    `WITH updated AS (
+       UPDATE campaign_recipients
+       SET status = 'failed', last_error = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE campaign_id = $1 AND subscriber_id = $2 AND status IN ('queued', 'sending')
+       RETURNING campaign_id, subscriber_id, email
+     )
+     INSERT INTO email_analytics (campaign_id, recipient_id, recipient_email, event_type, additional_data)
+     SELECT campaign_id, subscriber_id, email, 'failed', jsonb_build_object('error', $3::text)
+     FROM updated
+     RETURNING id`,
+    [campaignId, subscriberId, error]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Record the error of a failed attempt that will be retried
+ * @async
+ * @function recordAttemptError
+ * @param {number} campaignId - Campaign ID
+ * @param {number} subscriberId - Subscriber ID
+ * @param {string} error - Error message
+ * @returns {Promise<void>}
+ */
+async function recordAttemptError(campaignId, subscriberId, error) {
+  await db.query(
+    `UPDATE campaign_recipients SET last_error = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE campaign_id = $1 AND subscriber_id = $2`,
+    [campaignId, subscriberId, error]
+  );
+}
+
+/**
+ * Mark a recipient as bounced
+ * @async
+ * @function markBounced
+ * @param {number} campaignId - Campaign ID
+ * @param {number} subscriberId - Subscriber ID
+ * @param {string} [reason] - Bounce reason
+ * @returns {Promise<boolean>} True if the recipient transitioned to bounced
+ */
+async function markBounced(campaignId, subscriberId, reason = null) {
+  const { rowCount } = await db.query(
+    `UPDATE campaign_recipients SET status = 'bounced', last_error = COALESCE($3, last_error), updated_at = CURRENT_TIMESTAMP
+     WHERE campaign_id = $1 AND subscriber_id = $2 AND status <> 'bounced'`,
+    [campaignId, subscriberId, reason]
+  );
+
+  return rowCount > 0;
+}
+
+/**
+ * Settle a recipient whose address was suppressed after the campaign was snapshotted
+ * @async
+ * @function markSuppressed
+ * @param {number} campaignId - Campaign ID
+ * @param {number} subscriberId - Subscriber ID
+ * @returns {Promise<boolean>} True if the recipient transitioned to suppressed
+ */
+async function markSuppressed(campaignId, subscriberId) {
+  const { rowCount } = await db.query(
+    `UPDATE campaign_recipients SET status = 'suppressed', last_error = 'Address is on the suppression list', updated_at = CURRENT_TIMESTAMP
+     WHERE campaign_id = $1 AND subscriber_id = $2 AND status IN ('queued', 'failed')`,
+    [campaignId, subscriberId]
+  );
+
+  return rowCount > 0;
+}
+
+/**
+ * Count ledger rows of a campaign by status
+ * @async
+ * @function getLedgerSummary
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Object>} Counts of queued, sending, sent, failed, bounced and suppressed recipients
+ */
+async function getLedgerSummary(campaignId) {
+  const { rows } = await db.query(
+    `SELECT
+       COUNT(*) AS total,
+       COUNT(*) FILTER (WHERE status = 'queued') AS queued,
+       COUNT(*) FILTER (WHERE status = 'sending') AS sending,
+       COUNT(*) FILTER (WHERE status = 'sent') AS sent,
+       COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+       COUNT(*) FILTER (WHERE status = 'bounced') AS bounced,
+       COUNT(*) FILTER (WHERE status = 'suppressed') AS suppressed
+     FROM campaign_recipients
+     WHERE campaign_id = $1`,
+    [campaignId]
+  );
+
+  const summary = rows[0];
+  return {
+    total: parseInt(summary.total) || 0,
+    queued: parseInt(summary.queued) || 0,
+    sending: parseInt(summary.sending) || 0,
+    sent: parseInt(summary.sent) || 0,
+    failed: parseInt(summary.failed) || 0,
+    bounced: parseInt(summary.bounced) || 0,
+    suppressed: parseInt(summary.suppressed) || 0,
+  };
+}
+
+/**
+ * Settle recipients stuck in sending as failed, and complete the campaigns they were holding up. Whether their
+ * email went out is unknown, so they are not sent to again.
+ * @async
+ * @function failStaleSendAttempts
+ * @returns {Promise<number>} Number of recipients settled
+ */
+async function failStaleSendAttempts() {
+  const { rows } = await db.query(
+    `WITH updated AS (
+       UPDATE campaign_recipients
+       SET status = 'failed', last_error = 'Send attempt never reported back', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'sending' AND last_attempt_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+       RETURNING campaign_id, subscriber_id, email
+     ), events AS (
+       INSERT INTO email_analytics (campaign_id, recipient_id, recipient_email, event_type, additional_data)
+       SELECT campaign_id, subscriber_id, email, 'failed', jsonb_build_object('error', 'Send attempt never reported back')
+       FROM updated
+     )
+     SELECT campaign_id, COUNT(*) AS count FROM updated GROUP BY campaign_id`,
+    [STALE_SEND_ATTEMPT_MINUTES]
+  );
+
+  let settled = 0;
+  for (const { campaign_id: campaignId, count } of rows) {
+    logger.warn(`Settled ${count} recipients of campaign ${campaignId} stuck sending for ${STALE_SEND_ATTEMPT_MINUTES} minutes as failed`);
+    settled += parseInt(count);
+    await completeCampaignIfFinished(campaignId);
+  }
+
+  return settled;
+}
+
+/**
+ * Mark a sending campaign as completed once no recipient is left queued or being sent to
+ * and no A/B test is still waiting to send its winner
+ * @async
+ * @function completeCampaignIfFinished
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<boolean>} True if the campaign was completed by this call
+ */
+async function completeCampaignIfFinished(campaignId) {
+  try {
+    const { rows } = await db.query(
+      `UPDATE email_campaigns
+       SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       AND status = 'sending'
+       AND NOT EXISTS (SELECT 1 FROM campaign_recipients WHERE campaign_id = $1 AND status IN ('queued', 'sending'))
+       AND NOT EXISTS (SELECT 1 FROM campaign_ab_tests WHERE campaign_id = $1 AND status IN ('testing', 'deciding'))
+       RETURNING id`,
+      [campaignId]
+    );
+
+    if (rows.length > 0) {
+      logger.info(`Campaign ${campaignId} marked as completed`);
+      return true;
+    }
+
+    return false;
+  } catch (error) {
+    logger.error(`Error completing campaign ${campaignId}:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  buildAudienceQuery,
+  snapshotRecipients,
+  getUnenqueuedBatch,
+  markEnqueued,
+  claimSendAttempt,
+  releaseSendAttempt,
+  markSent,
+  markFailed,
+  recordAttemptError,
+  markBounced,
+  markSuppressed,
+  getLedgerSummary,
+  failStaleSendAttempts,
+  completeCampaignIfFinished,
+};
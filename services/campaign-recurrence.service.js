@@ -0,0 +1,331 @@
+/**
+ * @module services/campaign-recurrence
+ * @description Service for recurring campaigns. A recurring campaign acts as a template: every run is
+ * cloned into its own campaign (with parent_campaign_id set) and sent through the regular sending
+ * pipeline, so each run resolves its mailing lists afresh and keeps its own recipients ledger and stats.
+ */
+const db = require("../config/db");
+const logger = require("./logger.service");
+const { getNextOccurrence } = require("../utils/recurrence");
+const { NotFoundError, BadRequestError } = require("../utils/errors");
+
+/**
+ * Compute the next run of a recurring campaign after a given time, honouring its end conditions
+ * @function computeNextRunAt
+ * @param {Object} campaign - Campaign row with the recurrence columns
+ * @param {Date} after - Only runs after this time are considered
+ * @param {number} runCount - Number of runs already fired
+ * @returns {Date|null} Next run, or null if the recurrence has ended
+ */
+function computeNextRunAt(campaign, after, runCount) {
+  if (campaign.recurrence_max_runs && runCount >= campaign.recurrence_max_runs) {
+    return null;
+  }
+
+  const nextRunAt = getNextOccurrence(campaign.recurrence_rule, {
+    after,
+    anchor: campaign.recurrence_starts_at || after,
+    timezone: campaign.recurrence_timezone || "UTC",
+    occurrenceCount: runCount,
+  });
+
+  if (!nextRunAt || (campaign.recurrence_ends_at && nextRunAt > new Date(campaign.recurrence_ends_at))) {
+    return null;
+  }
+
+  return nextRunAt;
+}
+
+/**
+ * Start a recurring campaign: compute its first run and mark it as recurring
+ * @async
+ * @function startRecurrence
+ * @param {Object} campaign - Campaign row with the recurrence columns
+ * @param {string} [userId] - ID of the user starting the campaign
+ * @returns {Promise<Object>} Recurrence status with the first run time
+ * @throws {BadRequestError} If the recurrence has no upcoming runs
+ */
+async function startRecurrence(campaign, userId = null) {
+  // Runs start at the scheduled time if there is one, otherwise now; whole minutes keep the anchor on the schedule
+  const requestedStart = campaign.scheduled_at && new Date(campaign.scheduled_at) > new Date() ? new Date(campaign.scheduled_at) : new Date();
+  const startsAt = new Date(requestedStart.getTime() - (requestedStart.getTime() % 60000));
+
+  const nextRunAt = computeNextRunAt(
+    { ...campaign, recurrence_starts_at: startsAt },
+    new Date(startsAt.getTime() - 1),
+    campaign.recurrence_run_count || 0
+  );
+
+  if (!nextRunAt) {
+    throw new BadRequestError(`Recurring campaign ${campaign.id} has no upcoming runs`);
+  }
+
+  await db.query(
+    `UPDATE email_campaigns
+     SET status = 'recurring', recurrence_starts_at = $2, next_run_at = $3,
+         published_at = CURRENT_TIMESTAMP, published_by = COALESCE($4, published_by), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [campaign.id, startsAt, nextRunAt, userId]
+  );
+
+  logger.info(`Campaign ${campaign.id} is recurring (${campaign.recurrence_rule}); first run at ${nextRunAt.toISOString()}`);
+
+  return {
+    status: "recurring",
+    recurrenceRule: campaign.recurrence_rule,
+    nextRunAt: nextRunAt.toISOString(),
+  };
+}
+
+/**
+ * Recompute the next run of a recurring campaign after its recurrence settings changed.
+ * Removing the rule turns the campaign back into a one-off draft.
+ * @async
+ * @function rescheduleRecurrence
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Date|null>} Next run, or null if the campaign no longer recurs
+ */
+async function rescheduleRecurrence(campaignId) {
+  const { rows } = await db.query(`SELECT * FROM email_campaigns WHERE id = $1 AND is_deleted = FALSE`, [campaignId]);
+  const campaign = rows[0];
+
+  if (!campaign || campaign.status !== "recurring") {
+    return null;
+  }
+
+  const nextRunAt = campaign.recurrence_rule ? computeNextRunAt(campaign, new Date(), campaign.recurrence_run_count) : null;
+
+  await db.query(
+    `UPDATE email_campaigns
+     SET next_run_at = $2,
+         status = CASE WHEN $3::boolean THEN 'draft' WHEN $2::timestamptz IS NULL THEN 'completed' ELSE status END,
+         completed_at = CASE WHEN $2::timestamptz IS NULL AND NOT $3::boolean THEN CURRENT_TIMESTAMP ELSE completed_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [campaignId, nextRunAt, !campaign.recurrence_rule]
+  );
+
+  return nextRunAt;
+}
+
+/**
+ * Find recurring campaigns with a run that is due
+ * @async
+ * @function findDueRecurringCampaigns
+ * @returns {Promise<Array<number>>} IDs of the campaigns
+ */
+async function findDueRecurringCampaigns() {
+  const { rows } = await db.query(
+    `SELECT id FROM email_campaigns
+     WHERE status = 'recurring'
+     AND next_run_at <= CURRENT_TIMESTAMP
+     AND is_deleted = FALSE
+     ORDER BY next_run_at`
+  );
+
+  return rows.map((row) => row.id);
+}
+
+/**
+ * Claim the due run of a recurring campaign. The campaign row is locked and the next run is moved
+ * forward in the same transaction, so only one worker ever fires a given run. Runs missed while no
+ * worker was running are not caught up; the schedule continues from now.
+ * @async
+ * @function claimDueRun
+ * @param {number} campaignId - Recurring campaign ID
+ * @returns {Promise<Object|null>} The claimed run ({ runId, runNumber, runCampaignId, nextRunAt }), or null if none was due
+ */
+async function claimDueRun(campaignId) {
+  return db.transaction(async (client) => {
+    const { rows } = await client.query(
+      `SELECT * FROM email_campaigns
+       WHERE id = $1 AND status = 'recurring' AND next_run_at <= CURRENT_TIMESTAMP AND is_deleted = FALSE
+       FOR UPDATE SKIP LOCKED`,
+      [campaignId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const campaign = rows[0];
+    const runNumber = campaign.recurrence_run_count + 1;
+    const scheduledFor = new Date(campaign.next_run_at);
+    const now = new Date();
+    const nextRunAt = computeNextRunAt(campaign, scheduledFor > now ? scheduledFor : now, runNumber);
+
+    await client.query(
+      `UPDATE email_campaigns
+       SET recurrence_run_count = $2, next_run_at = $3,
+           status = CASE WHEN $3::timestamptz IS NULL THEN 'completed' ELSE status END,
+           completed_at = CASE WHEN $3::timestamptz IS NULL THEN CURRENT_TIMESTAMP ELSE completed_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [campaignId, runNumber, nextRunAt]
+    );
+
+    const runCampaignId = await createRunCampaign(client, campaign, runNumber, scheduledFor);
+
+    const { rows: runRows } = await client.query(
+      `INSERT INTO campaign_runs (campaign_id, run_number, scheduled_for, run_campaign_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [campaignId, runNumber, scheduledFor, runCampaignId]
+    );
+
+    logger.info(`Campaign ${campaignId}: claimed run #${runNumber} as campaign ${runCampaignId}`);
+
+    return { runId: runRows[0].id, runNumber, runCampaignId, nextRunAt };
+  });
+}
+
+/**
+ * Clone a recurring campaign into the campaign sent for one of its runs
+ * @async
+ * @function createRunCampaign
+ * @param {Object} client - Database client of the surrounding transaction
+ * @param {Object} campaign - Recurring campaign row
+ * @param {number} runNumber - Run number
+ * @param {Date} scheduledFor - When the run was due
+ * @returns {Promise<number>} ID of the run campaign
+ */
+async function createRunCampaign(client, campaign, runNumber, scheduledFor) {
+  const { rows } = await client.query(
+    `INSERT INTO email_campaigns (
+       name, description, template_id, from_email, reply_to, subject, template_variables,
+       send_time_optimization, seed_list_id, topic_id, utm_params, status, scheduled_at, parent_campaign_id, created_by, updated_by
+     )
+     SELECT name || ' #' || $2, description, template_id, from_email, reply_to, subject, template_variables,
+            send_time_optimization, seed_list_id, topic_id, utm_params, 'draft', $3, id, created_by, created_by
+     FROM email_campaigns
+     WHERE id = $1
+     RETURNING id`,
+    [campaign.id, runNumber, scheduledFor]
+  );
+
+  const runCampaignId = rows[0].id;
+
+  // The run reads the current list membership when it snapshots its recipients
+  await client.query(
+    `INSERT INTO campaign_mailing_lists (campaign_id, mailing_list_id)
+     SELECT $2, mailing_list_id FROM campaign_mailing_lists WHERE campaign_id = $1`,
+    [campaign.id, runCampaignId]
+  );
+  await client.query(
+    `INSERT INTO campaign_exclusion_lists (campaign_id, mailing_list_id)
+     SELECT $2, mailing_list_id FROM campaign_exclusion_lists WHERE campaign_id = $1`,
+    [campaign.id, runCampaignId]
+  );
+
+  return runCampaignId;
+}
+
+/**
+ * Record that a run was handed to the sending pipeline
+ * @async
+ * @function markRunStarted
+ * @param {number} runId - Run ID
+ * @param {number} recipientCount - Recipients queued for the run
+ * @returns {Promise<void>}
+ */
+async function markRunStarted(runId, recipientCount) {
+  await db.query(
+    `UPDATE campaign_runs
+     SET status = 'started', recipient_count = $2, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [runId, recipientCount]
+  );
+}
+
+/**
+ * Record that a run could not be started
+ * @async
+ * @function markRunFailed
+ * @param {number} runId - Run ID
+ * @param {string} error - Error message
+ * @returns {Promise<void>}
+ */
+async function markRunFailed(runId, error) {
+  await db.query(`UPDATE campaign_runs SET status = 'failed', error = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [
+    runId,
+    error,
+  ]);
+}
+
+/**
+ * List the runs of a recurring campaign with the delivery and engagement stats of each
+ * @async
+ * @function getCampaignRuns
+ * @param {number} campaignId - Recurring campaign ID
+ * @returns {Promise<Array<Object>>} Runs, most recent first
+ * @throws {NotFoundError} If the campaign does not exist
+ */
+async function getCampaignRuns(campaignId) {
+  const { rows: campaigns } = await db.query(`SELECT id FROM email_campaigns WHERE id = $1 AND is_deleted = FALSE`, [campaignId]);
+  if (campaigns.length === 0) {
+    throw new NotFoundError(`Campaign with ID ${campaignId} not found`);
+  }
+
+  const { rows } = await db.query(
+    `SELECT r.*, c.status AS run_campaign_status, c.completed_at,
+            rs.total, rs.sent, rs.failed, rs.bounced, es.unique_opens, es.unique_clicks
+     FROM campaign_runs r
+     LEFT JOIN email_campaigns c ON c.id = r.run_campaign_id
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*) AS total,
+              COUNT(*) FILTER (WHERE cr.status = 'sent') AS sent,
+              COUNT(*) FILTER (WHERE cr.status = 'failed') AS failed,
+              COUNT(*) FILTER (WHERE cr.status = 'bounced') AS bounced
+       FROM campaign_recipients cr
+       WHERE cr.campaign_id = r.run_campaign_id
+     ) rs ON true
+     LEFT JOIN LATERAL (
+       SELECT COUNT(DISTINCT ea.recipient_id) FILTER (WHERE ea.event_type = 'opened') AS unique_opens,
+              COUNT(DISTINCT ea.recipient_id) FILTER (WHERE ea.event_type = 'clicked') AS unique_clicks
+       FROM email_analytics ea
+       WHERE ea.campaign_id = r.run_campaign_id
+     ) es ON true
+     WHERE r.campaign_id = $1
+     ORDER BY r.run_number DESC`,
+    [campaignId]
+  );
+
+  return rows.map((row) => {
+    const sent = parseInt(row.sent) || 0;
+    const uniqueOpens = parseInt(row.unique_opens) || 0;
+    const uniqueClicks = parseInt(row.unique_clicks) || 0;
+
+    return {
+      id: row.id,
+      runNumber: row.run_number,
+      scheduledFor: row.scheduled_for,
+      runCampaignId: row.run_campaign_id,
+      status: row.status,
+      campaignStatus: row.run_campaign_status,
+      error: row.error,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      stats: {
+        recipients: parseInt(row.total) || 0,
+        sent,
+        failed: parseInt(row.failed) || 0,
+        bounced: parseInt(row.bounced) || 0,
+        uniqueOpens,
+        uniqueClicks,
+        openRate: sent > 0 ? parseFloat(((uniqueOpens / sent) * 100).toFixed(2)) : 0,
+        clickRate: sent > 0 ? parseFloat(((uniqueClicks / sent) * 100).toFixed(2)) : 0,
+      },
+    };
+  });
+}
+
+module.exports = {
+  computeNextRunAt,
+  startRecurrence,
+  rescheduleRecurrence,
+  findDueRecurringCampaigns,
+  claimDueRun,
+  markRunStarted,
+  markRunFailed,
+  getCampaignRuns,
+};
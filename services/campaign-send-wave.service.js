@@ -0,0 +1,191 @@
+/**
+ * @module services/campaign-send-wave
+ * @description Send waves of local time campaigns. A campaign sent "at 09:00 recipient local time" is split
+ * into one wave per recipient timezone, and each wave is released when its timezone reaches the local time.
+ */
+const db = require("../config/db");
+const logger = require("./logger.service");
+const { getNextOccurrence, isValidTimezone } = require("../utils/recurrence");
+
+// Waves left in "releasing" this long (e.g. the worker died mid-release) are picked up again
+const STALLED_RELEASE_MINUTES = 15;
+
+/**
+ * Format a DATE column value as YYYY-MM-DD. node-postgres parses dates at local midnight.
+ * @function formatDate
+ * @param {Date|string} value - DATE column value
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function formatDate(value) {
+  if (typeof value === "string") {
+    return value.slice(0, 10);
+  }
+
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Get the instant a timezone's wall clock reaches a local date and time
+ * @function getLocalSendTime
+ * @param {Date|string} date - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM or HH:MM:SS)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Send time
+ */
+function getLocalSendTime(date, time, timezone) {
+  const [year, month, day] = formatDate(date).split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+
+  // Every timezone reaches the local time within two days either side of it in UTC
+  return getNextOccurrence(`${minute} ${hour} ${day} ${month} *`, {
+    after: new Date(Date.UTC(year, month - 1, day) - 2 * 24 * 60 * 60 * 1000),
+    timezone,
+  });
+}
+
+/**
+ * Create one wave per timezone found in a campaign's snapshotted recipients
+ * @async
+ * @function createWaves
+ * @param {Object} campaign - Campaign row with the local send columns
+ * @returns {Promise<Object[]>} Waves of the campaign
+ */
+async function createWaves(campaign) {
+  const { rows: timezones } = await db.query(
+    `SELECT timezone, COUNT(*) AS recipient_count FROM campaign_recipients WHERE campaign_id = $1 GROUP BY timezone`,
+    [campaign.id]
+  );
+
+  for (const { timezone, recipient_count } of timezones) {
+    const waveTimezone = timezone || campaign.local_send_default_timezone;
+    // Timezones known to PostgreSQL but not to Intl go out with the default timezone
+    const sendAt = getLocalSendTime(
+      campaign.local_send_date,
+      campaign.local_send_time,
+      isValidTimezone(waveTimezone) ? waveTimezone : campaign.local_send_default_timezone
+    );
+
+    await db.query(
+      `INSERT INTO campaign_send_waves (campaign_id, timezone, send_at, recipient_count)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (campaign_id, timezone) DO NOTHING`,
+      [campaign.id, waveTimezone, sendAt, parseInt(recipient_count)]
+    );
+  }
+
+  const waves = await getCampaignWaves(campaign.id);
+  logger.info(`Campaign ${campaign.id}: Created ${waves.length} send waves`);
+  return waves;
+}
+
+/**
+ * Claim the next wave that is due, of a campaign that is sending
+ * @async
+ * @function claimDueWave
+ * @returns {Promise<Object|null>} Claimed wave, or null if none is due
+ */
+async function claimDueWave() {
+  const { rows } = await db.query(
+    `UPDATE campaign_send_waves
+     SET status = 'releasing', updated_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT w.id
+       FROM campaign_send_waves w
+       JOIN email_campaigns c ON c.id = w.campaign_id
+       WHERE w.send_at <= CURRENT_TIMESTAMP
+       AND (w.status = 'pending' OR (w.status = 'releasing' AND w.updated_at < CURRENT_TIMESTAMP - make_interval(mins => $1)))
+       AND c.status = 'sending'
+       AND c.is_deleted = FALSE
+       ORDER BY w.send_at
+       LIMIT 1
+       FOR UPDATE OF w SKIP LOCKED
+     )
+     RETURNING *`,
+    [STALLED_RELEASE_MINUTES]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Mark a wave as released
+ * @async
+ * @function markWaveReleased
+ * @param {number} waveId - Wave ID
+ * @returns {Promise<void>}
+ */
+async function markWaveReleased(waveId) {
+  await db.query(
+    `UPDATE campaign_send_waves SET status = 'released', released_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+    [waveId]
+  );
+}
+
+/**
+ * Get the waves of a campaign with the delivery progress of their recipients
+ * @async
+ * @function getCampaignWaves
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Object[]>} Waves ordered by send time
+ */
+async function getCampaignWaves(campaignId) {
+  const { rows } = await db.query(
+    `SELECT w.*,
+            COALESCE(cr.sent, 0) AS sent_count,
+            COALESCE(cr.failed, 0) AS failed_count
+     FROM campaign_send_waves w
+     JOIN email_campaigns c ON c.id = w.campaign_id
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*) FILTER (WHERE r.status = 'sent') AS sent,
+              COUNT(*) FILTER (WHERE r.status IN ('failed', 'bounced')) AS failed
+       FROM campaign_recipients r
+       WHERE r.campaign_id = w.campaign_id
+       AND COALESCE(r.timezone, c.local_send_default_timezone) = w.timezone
+     ) cr ON TRUE
+     WHERE w.campaign_id = $1
+     ORDER BY w.send_at, w.timezone`,
+    [campaignId]
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    timezone: row.timezone,
+    sendAt: row.send_at,
+    status: row.status === "released" ? "done" : "pending",
+    recipientCount: row.recipient_count,
+    sentCount: parseInt(row.sent_count),
+    failedCount: parseInt(row.failed_count),
+    releasedAt: row.released_at,
+  }));
+}
+
+/**
+ * Summarize the waves of a campaign for its status
+ * @async
+ * @function getWaveSummary
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Object>} Counts of done and pending waves, the next send time and the waves themselves
+ */
+async function getWaveSummary(campaignId) {
+  const waves = await getCampaignWaves(campaignId);
+  const pending = waves.filter((wave) => wave.status === "pending");
+
+  return {
+    total: waves.length,
+    done: waves.length - pending.length,
+    pending: pending.length,
+    nextSendAt: pending.length > 0 ? pending[0].sendAt : null,
+    waves,
+  };
+}
+
+module.exports = {
+  formatDate,
+  getLocalSendTime,
+  createWaves,
+  claimDueWave,
+  markWaveReleased,
+  getCampaignWaves,
+  getWaveSummary,
+};
@@ -9,10 +9,20 @@ const mailingListService = require("./mailing-list.service");
 const queueService = require("./queue.service");
 const subscriberService = require("./subscriber.service");
 const subscriberVariablesService = require("./subscriber-variables.service");
-const { NotFound, BadGateway } = require("../utils/errors");
-
-// Queue name for processing emails
-const EMAIL_QUEUE = "email_queue";
+const campaignService = require("./campaign.service");
+const campaignRecipientService = require("./campaign-recipient.service");
+const campaignRecurrenceService = require("./campaign-recurrence.service");
+const sendTimeService = require("./send-time.service");
+const campaignSendWaveService = require("./campaign-send-wave.service");
+const seedListService = require("./seed-list.service");
+const suppressionService = require("./suppression.service");
+const trackedLinkService = require("./tracked-link.service");
+const { QUEUE_NAMES } = require("../config");
+const { getUnsubscribeUrl, getPreferencesUrl } = require("../utils/unsubscribe");
+const { NotFound, BadGateway, NotFoundError, ConflictResourceError, BadRequestError } = require("../utils/errors");
+
+// Queue name for processing campaign emails
+const EMAIL_QUEUE = QUEUE_NAMES.campaignEmail;
 // Batch size for processing recipients (to avoid memory issues)
 const BATCH_SIZE = 100;
 
@@ -42,6 +52,16 @@ async function processCampaign(campaignId, userId) {
   // 3. Get template
   const template = await emailTemplateService.getEmailTemplateById(campaign.template_id, true);
 
+  // Recurring campaigns are not sent themselves; the scheduler sends a copy of them for every run
+  if (campaign.recurrence_rule) {
+    return campaignRecurrenceService.startRecurrence(campaign, userId);
+  }
+
+  // Local time campaigns go out in one wave per recipient timezone
+  if (campaign.local_send_time) {
+    return sendCampaignInLocalTime(campaignId, campaign, userId);
+  }
+
   // 4. Determine if this is an immediate send or a scheduled send
   const isScheduled = campaign.scheduled_at && new Date(campaign.scheduled_at) > new Date();
   const status = isScheduled ? "scheduled" : "processing";
@@ -79,12 +99,23 @@ async function sendCampaignImmediately(campaignId, campaign, template) {
   // Set campaign to processing status
   await updateCampaignStatus(campaignId, "processing");
 
-  // Get all recipients from associated mailing lists
-  const recipientCount = await queueCampaignRecipients(campaignId, campaign, template);
+  // Freeze the audience; list changes made while the send runs do not affect it
+  await campaignRecipientService.snapshotRecipients(campaignId);
+
+  // Split tested campaigns only send to the test slice now; the winner goes out once the wait window ends
+  const abTest = await campaignService.getCampaignAbTest(campaignId);
+  const isAbTest = abTest && abTest.status === "pending" && abTest.variants.length >= 2;
+
+  // Publish the snapshotted recipients
+  const recipientCount = isAbTest
+    ? await queueAbTestRecipients(campaignId, campaign, template, abTest)
+    : await queueCampaignRecipients(campaignId, campaign, template);
 
   // Update campaign to published status if we've started sending
   if (recipientCount > 0) {
     await updateCampaignStatus(campaignId, "sending");
+    // Workers may have settled every recipient before the status flipped to sending
+    await campaignRecipientService.completeCampaignIfFinished(campaignId);
   } else {
     await updateCampaignStatus(campaignId, "completed");
   }
@@ -92,12 +123,320 @@ async function sendCampaignImmediately(campaignId, campaign, template) {
   return {
     status: "sending",
     recipientCount,
+    abTest: isAbTest ? { testRecipients: recipientCount, waitMinutes: abTest.waitMinutes } : undefined,
+    startedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Start a local time campaign: snapshot its recipients, create a wave per recipient timezone and release
+ * the waves that are already due. The scheduler releases the rest as their timezones reach the local time.
+ * @async
+ * @function sendCampaignInLocalTime
+ * @param {number} campaignId - ID of campaign
+ * @param {Object} campaign - Campaign data
+ * @param {string} [userId] - ID of user triggering the send
+ * @returns {Promise<Object>} Sending result with the waves
+ */
+async function sendCampaignInLocalTime(campaignId, campaign, userId = null) {
+  logger.info(`Sending campaign ${campaignId} at ${campaign.local_send_time} recipient local time`);
+
+  await updateCampaignStatus(campaignId, "processing", userId);
+
+  const recipientCount = await campaignRecipientService.snapshotRecipients(campaignId, {
+    defaultTimezone: campaign.local_send_default_timezone,
+  });
+
+  if (recipientCount === 0) {
+    logger.warn(`Campaign ${campaignId} has no recipients`);
+    await updateCampaignStatus(campaignId, "completed");
+    return { status: "completed", recipientCount: 0 };
+  }
+
+  await campaignSendWaveService.createWaves(campaign);
+  await updateCampaignStatus(campaignId, "sending");
+
+  // Timezones already past the local time get the campaign right away
+  await releaseDueWaves();
+
+  return {
+    status: "sending",
+    recipientCount,
+    waves: await campaignSendWaveService.getWaveSummary(campaignId),
     startedAt: new Date().toISOString(),
   };
 }
 
 /**
- * Queue recipients for a campaign in batches
+ * Publish the recipients of every send wave that has come due
+ * @async
+ * @function releaseDueWaves
+ * @returns {Promise<number>} Number of waves released
+ */
+async function releaseDueWaves() {
+  let released = 0;
+  let wave;
+
+  while ((wave = await campaignSendWaveService.claimDueWave())) {
+    try {
+      const campaign = await getCampaignWithDetails(wave.campaign_id);
+      const template = await emailTemplateService.getEmailTemplateById(campaign.template_id, true);
+
+      // Seeds get the campaign with its first wave
+      await queueSeedEmails(wave.campaign_id, [{ campaign, template }]);
+      const processed = await enqueueRecipients(wave.campaign_id, () => ({ campaign, template }), { timezone: wave.timezone });
+      await campaignSendWaveService.markWaveReleased(wave.id);
+
+      logger.info(`Campaign ${wave.campaign_id}: Released wave ${wave.timezone} with ${processed} emails`);
+      released++;
+    } catch (error) {
+      // The wave stays claimed and is picked up again once the claim goes stale
+      logger.error(`Error releasing wave ${wave.timezone} of campaign ${wave.campaign_id}:`, error);
+    }
+  }
+
+  return released;
+}
+
+/**
+ * Assign a random slice of the campaign's recipients to its variants and queue them
+ * @async
+ * @function queueAbTestRecipients
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} campaign - Campaign data
+ * @param {Object} template - Default email template with content
+ * @param {Object} abTest - A/B test configuration with variants
+ * @returns {Promise<number>} Total test recipients queued
+ */
+async function queueAbTestRecipients(campaignId, campaign, template, abTest) {
+  const { total: totalRecipients } = await campaignRecipientService.getLedgerSummary(campaignId);
+
+  if (totalRecipients === 0) {
+    logger.warn(`Campaign ${campaignId} has no recipients`);
+    return 0;
+  }
+
+  // Every variant gets at least one recipient, and the slice never exceeds the audience
+  const testSize = Math.min(
+    totalRecipients,
+    Math.max(abTest.variants.length, Math.ceil((totalRecipients * abTest.testPercentage) / 100))
+  );
+  const variantIds = abTest.variants.map((variant) => variant.id);
+
+  logger.info(`Campaign ${campaignId}: A/B testing ${variantIds.length} variants on ${testSize}/${totalRecipients} recipients`);
+
+  // Pick the test slice of the snapshot at random, spread it evenly across the variants and tag the ledger rows
+  await db.query(
+    `WITH assigned AS (
+       INSERT INTO campaign_variant_recipients (campaign_id, subscriber_id, variant_id, phase)
+       SELECT $1, sample.subscriber_id, ($3::int[])[((ROW_NUMBER() OVER ()) - 1) % array_length($3::int[], 1) + 1], 'test'
+       FROM (
+         SELECT subscriber_id FROM campaign_recipients
+         WHERE campaign_id = $1
+         ORDER BY random()
+         LIMIT $2
+       ) sample
+       ON CONFLICT (campaign_id, subscriber_id) DO NOTHING
+       RETURNING subscriber_id, variant_id
+     )
+     UPDATE campaign_recipients cr SET variant_id = assigned.variant_id, updated_at = CURRENT_TIMESTAMP
+     FROM assigned
+     WHERE cr.campaign_id = $1 AND cr.subscriber_id = assigned.subscriber_id`,
+    [campaignId, testSize, variantIds]
+  );
+
+  await db.query(
+    `UPDATE campaign_ab_tests SET status = 'testing', started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE campaign_id = $1`,
+    [campaignId]
+  );
+
+  const variantContexts = await loadVariantContexts(campaign, template, abTest.variants);
+  // Seeds get a copy of every variant
+  await queueSeedEmails(campaignId, Object.values(variantContexts));
+  return queueVariantRecipients(campaignId, "test", variantContexts);
+}
+
+/**
+ * Build the campaign and template each variant is sent with
+ * @async
+ * @function loadVariantContexts
+ * @param {Object} campaign - Campaign data
+ * @param {Object} template - Default email template with content
+ * @param {Array<Object>} variants - Variants to load
+ * @returns {Promise<Object>} Map of variant ID to { campaign, template }
+ */
+async function loadVariantContexts(campaign, template, variants) {
+  const contexts = {};
+
+  for (const variant of variants) {
+    const variantTemplate =
+      variant.templateId && variant.templateId !== campaign.template_id
+        ? await emailTemplateService.getEmailTemplateById(variant.templateId, true)
+        : template;
+
+    contexts[variant.id] = {
+      campaign: {
+        ...campaign,
+        subject: variant.subject || campaign.subject,
+        template_id: variant.templateId || campaign.template_id,
+        template_variables: { ...(campaign.template_variables || {}), ...(variant.templateVariables || {}) },
+        variant_id: variant.id,
+        variant_name: variant.name,
+      },
+      template: variantTemplate,
+    };
+  }
+
+  return contexts;
+}
+
+/**
+ * Queue every recipient assigned to a variant in the given phase
+ * @async
+ * @function queueVariantRecipients
+ * @param {number} campaignId - Campaign ID
+ * @param {string} phase - Assignment phase ('test' or 'winner')
+ * @param {Object} variantContexts - Map of variant ID to { campaign, template }
+ * @returns {Promise<number>} Total recipients queued
+ */
+async function queueVariantRecipients(campaignId, phase, variantContexts) {
+  // Only assigned ledger rows are published; the rest of the snapshot waits for the winner
+  const processed = await enqueueRecipients(campaignId, (recipient) => variantContexts[recipient.variant_id], { assignedOnly: true });
+
+  logger.info(`Campaign ${campaignId}: Queued ${processed} ${phase} emails`);
+  return processed;
+}
+
+/**
+ * Pick winners for A/B tests whose wait window has elapsed and send them to the remaining recipients
+ * @async
+ * @function processAbTestWinners
+ * @returns {Promise<Array>} Results from each decided test
+ */
+async function processAbTestWinners() {
+  try {
+    const { rows: dueTests } = await db.query(
+      `SELECT campaign_id FROM campaign_ab_tests
+       WHERE status = 'testing'
+       AND started_at + (wait_minutes * INTERVAL '1 minute') <= CURRENT_TIMESTAMP`
+    );
+
+    const results = [];
+    for (const { campaign_id: campaignId } of dueTests) {
+      try {
+        const result = await completeAbTest(campaignId);
+        if (result) {
+          results.push({ campaignId, status: "processed", result });
+        }
+      } catch (error) {
+        logger.error(`Error completing A/B test for campaign ${campaignId}:`, error);
+        results.push({ campaignId, status: "error", error: error.message });
+      }
+    }
+
+    return results;
+  } catch (error) {
+    logger.error("Error processing A/B test winners:", error);
+    throw error;
+  }
+}
+
+/**
+ * Select the winning variant of a campaign's A/B test and queue it for everyone outside the test slice
+ * @async
+ * @function completeAbTest
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} Winner and queued count, or null if another worker already claimed the test
+ */
+async function completeAbTest(campaignId) {
+  // Claim the test so only one worker decides the winner
+  const { rows: claimed } = await db.query(
+    `UPDATE campaign_ab_tests SET status = 'deciding', updated_at = CURRENT_TIMESTAMP
+     WHERE campaign_id = $1 AND status = 'testing'
+     RETURNING campaign_id`,
+    [campaignId]
+  );
+
+  if (claimed.length === 0) {
+    return null;
+  }
+
+  let winner;
+  let abTest;
+  try {
+    abTest = await campaignService.getCampaignAbTest(campaignId);
+    const variantStats = await campaignService.getVariantStats(campaignId, { phase: "test" });
+    const metric = abTest.winnerMetric === "click_rate" ? "clickRate" : "openRate";
+
+    // Ties go to the variant created first
+    winner = variantStats.reduce((best, variant) => (!best || variant[metric] > best[metric] ? variant : best), null);
+
+    await db.query(
+      `UPDATE campaign_ab_tests
+       SET winner_variant_id = $2, decided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE campaign_id = $1`,
+      [campaignId, winner.variantId]
+    );
+  } catch (error) {
+    // Release the claim so the next scheduler run can retry
+    await db.query(`UPDATE campaign_ab_tests SET status = 'testing' WHERE campaign_id = $1 AND status = 'deciding'`, [campaignId]);
+    throw error;
+  }
+
+  logger.info(`Campaign ${campaignId}: A/B test winner is variant ${winner.variantId} (${winner.name})`);
+
+  // Winner jobs for a paused campaign are parked by the consumer like any other job
+  const campaign = await getCampaignWithDetails(campaignId);
+  if (!campaign || (campaign.status !== "sending" && campaign.status !== "paused")) {
+    logger.info(`Campaign ${campaignId} is no longer sending (status: ${campaign?.status}); winner will not be sent`);
+    await markAbTestCompleted(campaignId);
+    return { winnerVariantId: winner.variantId, recipientCount: 0 };
+  }
+
+  // Everyone in the snapshot who was not part of the test slice receives the winner
+  await db.query(
+    `WITH assigned AS (
+       INSERT INTO campaign_variant_recipients (campaign_id, subscriber_id, variant_id, phase)
+       SELECT $1::int, subscriber_id, $2::int, 'winner'
+       FROM campaign_recipients
+       WHERE campaign_id = $1 AND variant_id IS NULL
+       ON CONFLICT (campaign_id, subscriber_id) DO NOTHING
+       RETURNING subscriber_id
+     )
+     UPDATE campaign_recipients cr SET variant_id = $2, updated_at = CURRENT_TIMESTAMP
+     FROM assigned
+     WHERE cr.campaign_id = $1 AND cr.subscriber_id = assigned.subscriber_id`,
+    [campaignId, winner.variantId]
+  );
+
+  const template = await emailTemplateService.getEmailTemplateById(campaign.template_id, true);
+  const winningVariant = abTest.variants.filter((variant) => variant.id === winner.variantId);
+  const variantContexts = await loadVariantContexts(campaign, template, winningVariant);
+  const recipientCount = await queueVariantRecipients(campaignId, "winner", variantContexts);
+
+  // The test stays 'deciding' until the winner is queued so the campaign cannot complete in between
+  await markAbTestCompleted(campaignId);
+  await campaignRecipientService.completeCampaignIfFinished(campaignId);
+
+  return { winnerVariantId: winner.variantId, recipientCount };
+}
+
+/**
+ * Mark a campaign's A/B test as completed
+ * @async
+ * @function markAbTestCompleted
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<void>}
+ */
+async function markAbTestCompleted(campaignId) {
+  await db.query(`UPDATE campaign_ab_tests SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE campaign_id = $1`, [
+    campaignId,
+  ]);
+}
+
+/**
+ * Queue every snapshotted recipient of a campaign
  * @async
  * @function queueCampaignRecipients
  * @param {number} campaignId - Campaign ID
@@ -106,122 +445,328 @@ async function sendCampaignImmediately(campaignId, campaign, template) {
  * @returns {Promise<number>} Total recipients queued
  */
 async function queueCampaignRecipients(campaignId, campaign, template) {
-  // Get a count of all recipients first
-  const totalRecipients = await getRecipientCount(campaignId);
+  await queueSeedEmails(campaignId, [{ campaign, template }]);
 
-  if (totalRecipients === 0) {
+  // The send window of an optimized campaign opens at its scheduled time, or now if it wasn't scheduled
+  const sendWindowStart = campaign.send_time_optimization ? new Date(campaign.scheduled_at || Date.now()) : null;
+  const processed = await enqueueRecipients(campaignId, () => ({ campaign, template }), { sendWindowStart });
+
+  if (processed === 0) {
     logger.warn(`Campaign ${campaignId} has no recipients`);
-    return 0;
+  } else {
+    logger.info(`Campaign ${campaignId}: Queued ${processed} emails`);
   }
 
-  // Process recipients in batches to avoid memory issues
+  return processed;
+}
+
+/**
+ * Stream the campaign's snapshotted recipients that are not yet published and publish them in batches.
+ * Rows are read with keyset pagination on the ledger ID and marked enqueued once the broker has
+ * confirmed the batch, so memory stays flat and an interrupted fan-out resumes where it stopped.
+ * @async
+ * @function enqueueRecipients
+ * @param {number} campaignId - Campaign ID
+ * @param {Function} resolveContext - Returns the { campaign, template } to send a recipient, or null to skip it
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.assignedOnly=false] - Only publish recipients assigned to an A/B test variant
+ * @param {Date|null} [options.sendWindowStart=null] - Enables send-time optimization: each recipient is held
+ * back until their best engagement hour within 24 hours of this time
+ * @param {string|null} [options.timezone=null] - Only publish recipients of this timezone (a local time send wave)
+ * @returns {Promise<number>} Total recipients published
+ */
+async function enqueueRecipients(campaignId, resolveContext, { assignedOnly = false, sendWindowStart = null, timezone = null } = {}) {
   let processed = 0;
-  let offset = 0;
+  let lastLedgerId = 0;
 
-  while (processed < totalRecipients) {
-    // Get a batch of recipients
-    const recipients = await getRecipientsForCampaign(campaignId, BATCH_SIZE, offset);
+  while (true) {
+    const recipients = await campaignRecipientService.getUnenqueuedBatch(campaignId, lastLedgerId, BATCH_SIZE, { assignedOnly, timezone });
 
     if (recipients.length === 0) {
-      break; // No more recipients
+      break;
     }
 
+    lastLedgerId = recipients[recipients.length - 1].ledger_id;
+
     // Bulk load variables for all recipients in this batch
     const subscriberIds = recipients.map((r) => r.id);
     const subscriberVariablesMap = await subscriberVariablesService.getVariablesForSubscribers(subscriberIds);
+    const deliveryTimes = sendWindowStart ? await sendTimeService.getDeliveryTimes(recipients, sendWindowStart) : null;
 
-    // Process each recipient in the batch
+    const emailJobs = [];
+    const delayedJobs = [];
+    const ledgerIds = [];
     for (const recipient of recipients) {
-      // Get variables for this specific subscriber
-      const subscriberVariables = subscriberVariablesMap[recipient.id] || {};
+      const context = resolveContext(recipient);
+      if (!context) {
+        continue;
+      }
 
-      await queueEmailForRecipient(recipient, campaign, template, subscriberVariables);
+      const emailJob = buildEmailJob(recipient, context.campaign, context.template, subscriberVariablesMap[recipient.id] || {});
+      const delayMs = deliveryTimes ? deliveryTimes.get(recipient.id).getTime() - Date.now() : 0;
+
+      if (delayMs > 0) {
+        delayedJobs.push({ emailJob, delayMs });
+      } else {
+        emailJobs.push(emailJob);
+      }
+      ledgerIds.push(recipient.ledger_id);
     }
 
-    // Update counters
-    processed += recipients.length;
-    offset += BATCH_SIZE;
+    // A crash between publishing and marking only re-publishes this batch; the consumer skips recipients already sent
+    await queueService.publishBatchToQueue(EMAIL_QUEUE, emailJobs);
+    for (const { emailJob, delayMs } of delayedJobs) {
+      await queueService.publishDelayed(EMAIL_QUEUE, emailJob, delayMs);
+    }
+    await campaignRecipientService.markEnqueued(ledgerIds);
+
+    processed += ledgerIds.length;
 
     // Log progress periodically
-    if (processed % 1000 === 0 || processed === totalRecipients) {
-      logger.info(`Campaign ${campaignId}: Queued ${processed}/${totalRecipients} emails`);
+    if (processed % 1000 < ledgerIds.length) {
+      logger.info(`Campaign ${campaignId}: Queued ${processed} emails so far`);
     }
   }
 
-  return totalRecipients;
+  return processed;
 }
 
 /**
- * Queue an individual email for a recipient
- * @async
- * @function queueEmailForRecipient
+ * Turn a name into a UTM parameter value
+ * @function toUtmValue
+ * @param {string} value - Name
+ * @returns {string} Lowercase, dash separated value
+ */
+const toUtmValue = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Get the UTM parameters to append to the links of a campaign. Fields the campaign leaves empty default to
+ * "newsletter" (source), "email" (medium), its name (campaign) and the A/B test variant (content).
+ * @function getUtmParams
+ * @param {Object} campaign - Campaign data
+ * @returns {Object|null} { source, medium, campaign, term, content }, or null if UTM tagging is off
+ */
+function getUtmParams(campaign) {
+  if (!campaign.utm_params) {
+    return null;
+  }
+
+  const utm = campaign.utm_params;
+  return {
+    source: utm.source || "newsletter",
+    medium: utm.medium || "email",
+    campaign: utm.campaign || toUtmValue(campaign.name),
+    term: utm.term || null,
+    content: utm.content || (campaign.variant_name ? toUtmValue(campaign.variant_name) : null),
+  };
+}
+
+/**
+ * Build the email job for a recipient
+ * @function buildEmailJob
  * @param {Object} recipient - Recipient data
  * @param {Object} campaign - Campaign data
  * @param {Object} template - Email template data
  * @param {Object} subscriberVariables - Pre-loaded subscriber variables from subscriber_variables table
- * @returns {Promise<void>}
+ * @returns {Object} Email job to publish to the campaign email queue
  */
-async function queueEmailForRecipient(recipient, campaign, template, subscriberVariables = {}) {
-  try {
-    // Prepare comprehensive data context using the new subscriber variables system
-    const data = {
-      // Standard subscriber fields
+function buildEmailJob(recipient, campaign, template, subscriberVariables = {}) {
+  // Prepare comprehensive data context using the new subscriber variables system
+  const data = {
+    // Standard subscriber fields
+    id: recipient.id,
+    email: recipient.email,
+    name: recipient.name,
+    first_name: recipient.first_name,
+    last_name: recipient.last_name,
+    phone: recipient.phone,
+    created_at: recipient.created_at,
+    updated_at: recipient.updated_at,
+    is_active: recipient.is_active,
+
+    // Pre-loaded variables from subscriber_variables table (includes metadata)
+    ...subscriberVariables,
+
+    // Campaign template variables (override subscriber variables if conflicts)
+    ...campaign.template_variables,
+
+    // Campaign-specific variables
+    campaign_name: campaign.name,
+    campaign_id: campaign.id,
+    sent_date: new Date().toISOString(),
+    unsubscribe_url: getUnsubscribeUrl({ subscriberId: recipient.id, campaignId: campaign.id }),
+    preferences_url: getPreferencesUrl({ subscriberId: recipient.id, campaignId: campaign.id }),
+    company_name: process.env.COMPANY_NAME || "Our Company",
+
+    // Deprecated: Keep for backward compatibility (prefer individual fields)
+    metadata: recipient.metadata || {},
+  };
+
+  return {
+    campaignId: campaign.id,
+    recipient: {
       id: recipient.id,
       email: recipient.email,
-      name: recipient.name,
-      first_name: recipient.first_name,
-      last_name: recipient.last_name,
-      phone: recipient.phone,
-      created_at: recipient.created_at,
-      updated_at: recipient.updated_at,
-      is_active: recipient.is_active,
-
-      // Pre-loaded variables from subscriber_variables table (includes metadata)
-      ...subscriberVariables,
-
-      // Campaign template variables (override subscriber variables if conflicts)
-      ...campaign.template_variables,
-
-      // Campaign-specific variables
-      campaign_name: campaign.name,
-      campaign_id: campaign.id,
-      sent_date: new Date().toISOString(),
-      unsubscribe_url: `${process.env.API_URL || ""}/unsubscribe?token=${Buffer.from(`${campaign.id}:${recipient.id}`).toString("base64")}`,
-      company_name: process.env.COMPANY_NAME || "Our Company",
-
-      // Deprecated: Keep for backward compatibility (prefer individual fields)
-      metadata: recipient.metadata || {},
-    };
+      name: recipient.name || null,
+    },
+    sender: {
+      email: campaign.from_email,
+      name: campaign.name || null,
+    },
+    replyTo: campaign.reply_to || campaign.from_email,
+    subject: campaign.subject,
+    templateId: campaign.template_id,
+    variantId: campaign.variant_id || null,
+    utmParams: getUtmParams(campaign),
+    templateMjmlContent: template.mjmlContent,
+    templateHtmlContent: template.htmlContent,
+    data,
+    timestamp: new Date().toISOString(),
+  };
+}
 
-    // Create email job
-    const emailJob = {
-      campaignId: campaign.id,
-      recipient: {
-        id: recipient.id,
-        email: recipient.email,
-        name: recipient.name || null,
-      },
-      sender: {
-        email: campaign.from_email,
-        name: campaign.name || null,
-      },
-      replyTo: campaign.reply_to || campaign.from_email,
-      subject: campaign.subject,
-      templateId: campaign.template_id,
-      templateMjmlContent: template.mjmlContent,
-      templateHtmlContent: template.htmlContent,
-      data,
-      timestamp: new Date().toISOString(),
-    };
+/**
+ * Build an email job for an address outside the recipients ledger (a test or seed address). These jobs
+ * are sent without tracking and never update the ledger or the analytics.
+ * @function buildUntrackedEmailJob
+ * @param {Object} emailJob - Email job built for the subscriber the email is rendered for
+ * @param {string} email - Address to send to
+ * @param {Object} flags - { isTest } or { isSeed }
+ * @returns {Object} Email job for the address
+ */
+function buildUntrackedEmailJob(emailJob, email, flags) {
+  return {
+    ...emailJob,
+    ...flags,
+    recipient: { id: null, email, name: emailJob.recipient.name },
+    // The unsubscribe link must not unsubscribe the subscriber the email is rendered for
+    data: {
+      ...emailJob.data,
+      unsubscribe_url: getUnsubscribeUrl({ campaignId: emailJob.campaignId }),
+      preferences_url: getPreferencesUrl({ campaignId: emailJob.campaignId }),
+    },
+  };
+}
 
-    // Queue the email
-    await queueService.publishToQueue(EMAIL_QUEUE, emailJob);
+/**
+ * Queue a copy of a campaign for each address of its seed list. Seeds get each campaign once; the
+ * copies are rendered without subscriber variables.
+ * @async
+ * @function queueSeedEmails
+ * @param {number} campaignId - Campaign ID
+ * @param {Array<Object>} contexts - The { campaign, template } of every version of the campaign being sent
+ * @returns {Promise<number>} Number of seed emails queued
+ */
+async function queueSeedEmails(campaignId, contexts) {
+  try {
+    const claimedEmails = await seedListService.claimCampaignSeeds(campaignId);
+    const suppressed = await suppressionService.getSuppressedEmails(claimedEmails);
+    const seedEmails = claimedEmails.filter((email) => !suppressed.has(suppressionService.normalizeEmail(email)));
+    if (seedEmails.length === 0) {
+      return 0;
+    }
+
+    const seedJobs = [];
+    for (const { campaign, template } of contexts) {
+      for (const email of seedEmails) {
+        const emailJob = buildEmailJob({ id: null, email }, campaign, template);
+        seedJobs.push(buildUntrackedEmailJob(emailJob, email, { isSeed: true }));
+      }
+    }
+
+    await queueService.publishBatchToQueue(EMAIL_QUEUE, seedJobs);
+    logger.info(`Campaign ${campaignId}: Queued ${seedJobs.length} seed emails`);
+    return seedJobs.length;
   } catch (error) {
-    logger.error(`Error queueing email for campaign ${campaign.id} to recipient ${recipient.email}:`, error);
-    // Continue processing other recipients despite errors
+    // Seeds are for monitoring only; failing them must not hold up the real send
+    logger.error(`Error queueing seed emails for campaign ${campaignId}:`, error);
+    return 0;
   }
 }
 
+/**
+ * Check a test send can be made and hand it to the campaign consumer
+ * @async
+ * @function queueTestSend
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} options - Test options
+ * @param {string[]} options.emails - Addresses to send the test to
+ * @param {number} [options.subscriberId] - Subscriber whose variables the test is rendered with
+ * @param {string} [userId] - ID of the user requesting the test
+ * @returns {Promise<Object>} The queued test
+ * @throws {NotFoundError} If the campaign or the subscriber does not exist
+ * @throws {BadRequestError} If a test address is on the suppression list
+ */
+async function queueTestSend(campaignId, { emails, subscriberId = null }, userId = null) {
+  const campaign = await getCampaignWithDetails(campaignId);
+  if (!campaign) {
+    throw new NotFoundError(`Campaign with ID ${campaignId} not found`);
+  }
+
+  // Fails early if the template is gone
+  await emailTemplateService.getEmailTemplateById(campaign.template_id);
+
+  if (subscriberId) {
+    const { rows } = await db.query(`SELECT id FROM subscribers WHERE id = $1`, [subscriberId]);
+    if (rows.length === 0) {
+      throw new NotFoundError(`Subscriber with ID ${subscriberId} not found`);
+    }
+  }
+
+  const suppressed = await suppressionService.getSuppressedEmails(emails);
+  if (suppressed.size > 0) {
+    throw new BadRequestError(`Test addresses are on the suppression list: ${[...suppressed].join(", ")}`);
+  }
+
+  const testSend = { action: "test", campaignId, emails, subscriberId, userId, requestedAt: new Date().toISOString() };
+  await queueService.publishBatchToQueue(QUEUE_NAMES.campaign, [testSend]);
+
+  logger.info(`Campaign ${campaignId}: Queued test send to ${emails.length} addresses`);
+  return { campaignId, emails, subscriberId, status: "queued" };
+}
+
+/**
+ * Send a test of a campaign. The test is rendered with the variables of the chosen subscriber (or
+ * without subscriber variables) and bypasses the ledger, tracking and stats.
+ * @async
+ * @function sendTestEmails
+ * @param {Object} testSend - Test send message ({ campaignId, emails, subscriberId })
+ * @returns {Promise<number>} Number of test emails queued
+ * @throws {NotFoundError} If the campaign or the subscriber does not exist
+ */
+async function sendTestEmails({ campaignId, emails, subscriberId = null }) {
+  const campaign = await getCampaignWithDetails(campaignId);
+  if (!campaign) {
+    throw new NotFoundError(`Campaign with ID ${campaignId} not found`);
+  }
+
+  const template = await emailTemplateService.getEmailTemplateById(campaign.template_id, true);
+
+  let subscriber = { id: null, email: emails[0] };
+  let subscriberVariables = {};
+  if (subscriberId) {
+    const { rows } = await db.query(`SELECT * FROM subscribers WHERE id = $1`, [subscriberId]);
+    if (rows.length === 0) {
+      throw new NotFoundError(`Subscriber with ID ${subscriberId} not found`);
+    }
+
+    subscriber = rows[0];
+    subscriberVariables = await subscriberVariablesService.getSubscriberVariables(subscriberId);
+  }
+
+  const emailJob = buildEmailJob(subscriber, { ...campaign, subject: `[Test] ${campaign.subject}` }, template, subscriberVariables);
+  const testJobs = emails.map((email) => buildUntrackedEmailJob(emailJob, email, { isTest: true }));
+
+  await queueService.publishBatchToQueue(EMAIL_QUEUE, testJobs);
+
+  logger.info(`Campaign ${campaignId}: Sent test to ${emails.length} addresses${subscriberId ? ` as subscriber ${subscriberId}` : ""}`);
+  return testJobs.length;
+}
+
 /**
  * Get campaign data with associated details
  * @async
@@ -320,13 +865,8 @@ async function updateCampaignStatus(campaignId, status, userId = null) {
  */
 async function getRecipientCount(campaignId) {
   try {
-    const { rows } = await db.query(
-      `SELECT COUNT(DISTINCT mr.recipient_id) as total
-       FROM campaign_mailing_lists cml
-       JOIN mailing_list_recipients mr ON cml.mailing_list_id = mr.mailing_list_id
-       WHERE cml.campaign_id = $1 AND mr.recipient_type = 'subscriber'`,
-      [campaignId]
-    );
+    const audience = await campaignRecipientService.buildAudienceQuery(campaignId);
+    const { rows } = await db.query(`SELECT COUNT(*) as total FROM (${audience.query}) AS audience`, audience.params);
 
     return parseInt(rows[0]?.total || "0");
   } catch (error) {
@@ -335,37 +875,6 @@ async function getRecipientCount(campaignId) {
   }
 }
 
-/**
- * Get a batch of recipients for a campaign
- * @async
- * @function getRecipientsForCampaign
- * @param {number} campaignId - Campaign ID
- * @param {number} limit - Maximum recipients to get
- * @param {number} offset - Offset for pagination
- * @returns {Promise<Array<Object>>} List of recipient data
- */
-async function getRecipientsForCampaign(campaignId, limit, offset) {
-  try {
-    const { rows } = await db.query(
-      `SELECT DISTINCT s.* 
-       FROM subscribers s
-       JOIN mailing_list_recipients mr ON s.id = mr.recipient_id
-       JOIN campaign_mailing_lists cml ON mr.mailing_list_id = cml.mailing_list_id
-       WHERE cml.campaign_id = $1 
-       AND mr.recipient_type = 'subscriber'
-       AND s.is_active = TRUE
-       ORDER BY s.id
-       LIMIT $2 OFFSET $3`,
-      [campaignId, limit, offset]
-    );
-
-    return rows;
-  } catch (error) {
-    logger.error(`Error getting recipients for campaign ${campaignId}:`, error);
-    throw error;
-  }
-}
-
 /**
  * Process all campaigns that are scheduled to be sent now
  * @async
@@ -414,45 +923,240 @@ async function processScheduledCampaigns() {
 }
 
 /**
- * Process HTML content to track links for a campaign
- * @function processTrackedLinks
- * @param {string} htmlContent - Original HTML content
- * @param {number} campaignId - Campaign ID for tracking
- * @param {number} recipientId - Recipient ID for tracking
- * @returns {string} HTML with tracked links
+ * Fire every recurring campaign run that is due, sending each run as its own campaign
+ * @async
+ * @function processRecurringCampaigns
+ * @returns {Promise<Array>} Results from each fired run
  */
-function processTrackedLinks(htmlContent, campaignId, recipientId) {
-  if (!htmlContent || !campaignId) {
-    return htmlContent;
+async function processRecurringCampaigns() {
+  try {
+    const dueCampaignIds = await campaignRecurrenceService.findDueRecurringCampaigns();
+
+    const results = [];
+    for (const campaignId of dueCampaignIds) {
+      let run = null;
+      try {
+        // Another worker may have claimed the run in the meantime
+        run = await campaignRecurrenceService.claimDueRun(campaignId);
+        if (!run) {
+          continue;
+        }
+
+        const result = await processCampaign(run.runCampaignId);
+        await campaignRecurrenceService.markRunStarted(run.runId, result.recipientCount || 0);
+        results.push({ campaignId, runNumber: run.runNumber, runCampaignId: run.runCampaignId, status: "processed", result });
+      } catch (error) {
+        logger.error(`Error firing recurring run of campaign ${campaignId}:`, error);
+        if (run) {
+          await campaignRecurrenceService.markRunFailed(run.runId, error.message).catch(() => {});
+        }
+        results.push({ campaignId, status: "error", error: error.message });
+      }
+    }
+
+    return results;
+  } catch (error) {
+    logger.error("Error processing recurring campaigns:", error);
+    throw error;
+  }
+}
+
+/**
+ * Pause a campaign that is being sent. Jobs already queued are parked by the consumer until the campaign is resumed.
+ * @async
+ * @function pauseCampaign
+ * @param {number} campaignId - Campaign ID
+ * @param {string} [userId] - ID of user pausing the campaign
+ * @returns {Promise<Object>} Paused status and number of parked recipients
+ */
+async function pauseCampaign(campaignId, userId = null) {
+  logger.info(`Pausing campaign ${campaignId}`);
+
+  try {
+    const { rows } = await db.query(
+      `UPDATE email_campaigns
+       SET status = 'paused', paused_at = CURRENT_TIMESTAMP, paused_by = $2, updated_by = COALESCE($2, updated_by), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND is_deleted = FALSE AND status IN ('processing', 'sending')
+       RETURNING id`,
+      [campaignId, userId]
+    );
+
+    if (rows.length === 0) {
+      await assertCampaignStatus(campaignId, "paused");
+    }
+
+    return {
+      status: "paused",
+      pendingRecipients: await getPendingRecipientCount(campaignId),
+    };
+  } catch (error) {
+    logger.error(`Error pausing campaign ${campaignId}:`, error);
+    throw error;
   }
+}
+
+/**
+ * Resume a paused campaign and replay every parked job
+ * @async
+ * @function resumeCampaign
+ * @param {number} campaignId - Campaign ID
+ * @param {string} [userId] - ID of user resuming the campaign
+ * @returns {Promise<Object>} Sending status and number of replayed recipients
+ */
+async function resumeCampaign(campaignId, userId = null) {
+  logger.info(`Resuming campaign ${campaignId}`);
 
   try {
-    // Simple regex to find all links in HTML
-    const linkRegex = /<a\s+(?:[^>]*?\s+)?href=(["'])(.*?)\1/g;
-
-    // Replace each link with a tracked version
-    const trackedHtml = htmlContent.replace(linkRegex, (match, quote, url) => {
-      // Skip tracking for anchor links or non-http links
-      if (url.startsWith("#") || (!url.startsWith("http") && !url.startsWith("https"))) {
-        return match;
-      }
+    // Only the request that flips the status replays the parked jobs
+    const { rows } = await db.query(
+      `UPDATE email_campaigns
+       SET status = 'sending', paused_at = NULL, paused_by = NULL, updated_by = COALESCE($2, updated_by), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND is_deleted = FALSE AND status = 'paused'
+       RETURNING id`,
+      [campaignId, userId]
+    );
+
+    if (rows.length === 0) {
+      await assertCampaignStatus(campaignId, "resumed");
+    }
+
+    const replayed = await replayPendingRecipients(campaignId);
+    logger.info(`Campaign ${campaignId} resumed, replayed ${replayed} parked emails`);
+
+    if (replayed === 0) {
+      await campaignRecipientService.completeCampaignIfFinished(campaignId);
+    }
+
+    return {
+      status: "sending",
+      replayedRecipients: replayed,
+    };
+  } catch (error) {
+    logger.error(`Error resuming campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Throw the appropriate error when a campaign is missing or in the wrong state for an action
+ * @async
+ * @function assertCampaignStatus
+ * @param {number} campaignId - Campaign ID
+ * @param {string} action - Past tense of the attempted action, for the error message
+ * @returns {Promise<void>}
+ */
+async function assertCampaignStatus(campaignId, action) {
+  const { rows } = await db.query(`SELECT status FROM email_campaigns WHERE id = $1 AND is_deleted = FALSE`, [campaignId]);
 
-      // Create tracked URL
-      const trackingParams = new URLSearchParams();
-      trackingParams.append("cid", campaignId);
-      trackingParams.append("rid", recipientId);
+  if (rows.length === 0) {
+    throw new NotFoundError(`Campaign with ID ${campaignId} not found`);
+  }
 
-      // Encode the original URL to use as a parameter
-      const encodedUrl = encodeURIComponent(url);
+  throw new ConflictResourceError(`Campaign ${campaignId} cannot be ${action}: status is ${rows[0].status}`);
+}
 
-      // Create the tracking URL (assuming your tracking endpoint is /track/click)
-      const trackedUrl = `/track/click?url=${encodedUrl}&${trackingParams.toString()}`;
+/**
+ * Park an email job for a paused campaign. Parking the same recipient twice is a no-op.
+ * @async
+ * @function parkEmailJob
+ * @param {Object} emailJob - Email job from the queue
+ * @returns {Promise<void>}
+ */
+async function parkEmailJob(emailJob) {
+  await db.query(
+    `INSERT INTO campaign_pending_recipients (campaign_id, subscriber_id, email_job)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (campaign_id, subscriber_id) DO NOTHING`,
+    [emailJob.campaignId, emailJob.recipient.id, JSON.stringify(emailJob)]
+  );
+}
 
-      // Replace the original link
-      return `<a href="${quote}${trackedUrl}${quote}`;
+/**
+ * Move parked jobs back onto the email queue in batches. A batch is only removed once the broker has
+ * confirmed it: if publishing fails the batch stays parked and the error is thrown, so pausing and resuming
+ * the campaign again replays it.
+ * @async
+ * @function replayPendingRecipients
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number>} Number of jobs replayed
+ * @throws {Error} If a batch could not be published
+ */
+async function replayPendingRecipients(campaignId) {
+  let replayed = 0;
+
+  while (true) {
+    // Removing the rows as they are read guarantees each parked job is replayed once; the removal is rolled
+    // back if the batch is not confirmed
+    const count = await db.transaction(async (client) => {
+      const { rows } = await client.query(
+        `DELETE FROM campaign_pending_recipients
+         WHERE (campaign_id, subscriber_id) IN (
+           SELECT campaign_id, subscriber_id FROM campaign_pending_recipients
+           WHERE campaign_id = $1
+           ORDER BY parked_at
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING email_job`,
+        [campaignId, BATCH_SIZE]
+      );
+
+      await queueService.publishBatchToQueue(EMAIL_QUEUE, rows.map((row) => row.email_job));
+      return rows.length;
     });
 
-    return trackedHtml;
+    if (count === 0) {
+      break;
+    }
+
+    replayed += count;
+  }
+
+  return replayed;
+}
+
+/**
+ * Drop every parked job of a campaign (e.g. when a paused campaign is cancelled)
+ * @async
+ * @function discardPendingRecipients
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number>} Number of jobs discarded
+ */
+async function discardPendingRecipients(campaignId) {
+  const { rowCount } = await db.query(`DELETE FROM campaign_pending_recipients WHERE campaign_id = $1`, [campaignId]);
+  return rowCount;
+}
+
+/**
+ * Count the recipients whose emails are parked for a campaign
+ * @async
+ * @function getPendingRecipientCount
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number>} Parked recipient count
+ */
+async function getPendingRecipientCount(campaignId) {
+  const { rows } = await db.query(`SELECT COUNT(*) AS total FROM campaign_pending_recipients WHERE campaign_id = $1`, [campaignId]);
+  return parseInt(rows[0]?.total || "0");
+}
+
+/**
+ * Process HTML content to track links for a campaign. Every link is registered for the campaign and
+ * replaced by a signed tracking URL that refers to it by its short ID.
+ * @async
+ * @function processTrackedLinks
+ * @param {string} htmlContent - Original HTML content
+ * @param {number} campaignId - Campaign ID for tracking
+ * @param {number} recipientId - Recipient ID for tracking
+ * @param {Object|null} [utmParams] - UTM parameters to append to the tracked links
+ * @returns {Promise<string>} HTML with tracked links
+ */
+async function processTrackedLinks(htmlContent, campaignId, recipientId, utmParams = null) {
+  if (!htmlContent || !campaignId) {
+    return htmlContent;
+  }
+
+  try {
+    return await trackedLinkService.trackLinks(htmlContent, { campaignId }, recipientId, { utmParams });
   } catch (error) {
     logger.error(`Error processing tracked links for campaign ${campaignId}:`, error);
     return htmlContent; // Return original content on error
@@ -463,6 +1167,16 @@ module.exports = {
   processCampaign,
   sendCampaignImmediately,
   processScheduledCampaigns,
+  processAbTestWinners,
+  processRecurringCampaigns,
+  releaseDueWaves,
+  queueTestSend,
+  sendTestEmails,
+  pauseCampaign,
+  resumeCampaign,
+  parkEmailJob,
+  discardPendingRecipients,
+  getPendingRecipientCount,
   updateCampaignStatus,
   processTrackedLinks,
 };
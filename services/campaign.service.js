@@ -7,10 +7,14 @@
 const { v4: uuidv4 } = require("uuid");
 const db = require("../config/db");
 const logger = require("./logger.service");
-const { NotFound, ConfictResource } = require("../utils/errors");
+const { NotFound, ConfictResource, ConflictResourceError, BadRequestError } = require("../utils/errors");
 const templateService = require("./template.service");
 const mailingListService = require("./mailing-list.service");
 const queueService = require("./queue.service");
+const campaignRecurrenceService = require("./campaign-recurrence.service");
+const { formatDate } = require("./campaign-send-wave.service");
+const seedListService = require("./seed-list.service");
+const topicService = require("./topic.service");
 
 /**
  * Create a new email campaign
@@ -28,6 +32,7 @@ const createCampaign = async (campaignData, userId) => {
     subject,
     templateId,
     mailingListIds,
+    exclusionListIds,
     scheduledAt,
     status = "draft",
     senderName,
@@ -37,6 +42,14 @@ const createCampaign = async (campaignData, userId) => {
     trackClicks,
     templateVariables,
     metaData,
+    abTest,
+    variants,
+    recurrence,
+    sendTimeOptimization,
+    localDelivery,
+    seedListId,
+    topicId,
+    utmParams,
   } = campaignData;
 
   // Verify template exists
@@ -63,6 +76,26 @@ const createCampaign = async (campaignData, userId) => {
     logger.warn("No mailing lists specified for campaign");
   }
 
+  // Verify all exclusion lists exist
+  for (const listId of exclusionListIds || []) {
+    try {
+      await mailingListService.getMailingListById(listId);
+    } catch (error) {
+      logger.error(`Invalid exclusion list ID ${listId} used in campaign creation:`, error);
+      throw new Error(`Invalid exclusion list ID: ${listId}`);
+    }
+  }
+
+  // Verify the seed list exists (throws NotFoundError)
+  if (seedListId) {
+    await seedListService.getSeedListById(seedListId);
+  }
+
+  // Verify the topic exists (throws NotFoundError)
+  if (topicId) {
+    await topicService.getTopicById(topicId);
+  }
+
   // Generate campaign ID
   const campaignId = uuidv4();
   logger.info(`Generated campaign ID: ${campaignId}`);
@@ -72,9 +105,13 @@ const createCampaign = async (campaignData, userId) => {
       id, name, description, subject, template_id, 
       status, scheduled_at, sender_name, sender_email, reply_to_email,
       track_opens, track_clicks, template_variables, meta_data,
-      created_by, updated_by
+      created_by, updated_by,
+      recurrence_rule, recurrence_timezone, recurrence_ends_at, recurrence_max_runs,
+      send_time_optimization, local_send_date, local_send_time, local_send_default_timezone,
+      seed_list_id, topic_id, utm_params
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $15
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $15, $16, $17, $18, $19, $20, $21, $22, $23,
+      $24, $25, $26
     ) RETURNING *
   `;
 
@@ -94,6 +131,17 @@ const createCampaign = async (campaignData, userId) => {
     templateVariables ? JSON.stringify(templateVariables) : null,
     metaData ? JSON.stringify(metaData) : null,
     userId,
+    recurrence?.rule || null,
+    recurrence?.timezone || "UTC",
+    recurrence?.endsAt || null,
+    recurrence?.maxRuns || null,
+    sendTimeOptimization || false,
+    localDelivery?.date || null,
+    localDelivery?.time || null,
+    localDelivery?.defaultTimezone || "UTC",
+    seedListId || null,
+    topicId || null,
+    utmParams ? JSON.stringify(utmParams) : null,
   ];
 
   try {
@@ -107,6 +155,16 @@ const createCampaign = async (campaignData, userId) => {
       await associateMailingLists(campaignId, mailingListIds);
     }
 
+    if (exclusionListIds && exclusionListIds.length > 0) {
+      logger.info(`Excluding ${exclusionListIds.length} mailing lists from campaign ${campaignId}`);
+      await updateExclusionLists(campaignId, exclusionListIds);
+    }
+
+    // Set up split testing if variants were provided
+    if (abTest) {
+      campaign.abTest = await saveCampaignAbTest(campaign.id, abTest, variants);
+    }
+
     logger.info(`Successfully created campaign ID ${campaignId}`);
     return campaign;
   } catch (error) {
@@ -137,6 +195,23 @@ const updateCampaign = async (id, campaignData, userId) => {
     throw new ConfictResource("Cannot update campaign that has been sent or is being sent");
   }
 
+  // Check the delivery options the campaign ends up with, not only those in this update
+  const keepOrReplace = (field) => (campaignData[field] !== undefined ? campaignData[field] : campaign[field]);
+  const abTest = keepOrReplace("abTest");
+  const recurrence = keepOrReplace("recurrence");
+  const sendTimeOptimization = keepOrReplace("sendTimeOptimization");
+  const localDelivery = keepOrReplace("localDelivery");
+
+  if (abTest && recurrence) {
+    throw new BadRequestError("Recurring campaigns cannot be split tested");
+  }
+  if (abTest && sendTimeOptimization) {
+    throw new BadRequestError("Split tested campaigns cannot use send-time optimization");
+  }
+  if (localDelivery && (abTest || recurrence || sendTimeOptimization)) {
+    throw new BadRequestError("Local time delivery cannot be combined with an A/B test, recurrence or send-time optimization");
+  }
+
   // If updating template, verify it exists
   if (campaignData.templateId) {
     logger.info(`Verifying new template ID ${campaignData.templateId} exists`);
@@ -148,6 +223,26 @@ const updateCampaign = async (id, campaignData, userId) => {
     }
   }
 
+  // If setting exclusion lists, verify they exist
+  for (const listId of campaignData.exclusionListIds || []) {
+    try {
+      await mailingListService.getMailingListById(listId);
+    } catch (error) {
+      logger.error(`Invalid exclusion list ID ${listId} used in campaign update:`, error);
+      throw new Error(`Invalid exclusion list ID: ${listId}`);
+    }
+  }
+
+  // If setting a seed list, verify it exists (throws NotFoundError)
+  if (campaignData.seedListId) {
+    await seedListService.getSeedListById(campaignData.seedListId);
+  }
+
+  // If setting a topic, verify it exists (throws NotFoundError)
+  if (campaignData.topicId) {
+    await topicService.getTopicById(campaignData.topicId);
+  }
+
   let updateFields = [];
   let values = [];
   let paramCount = 1;
@@ -165,6 +260,9 @@ const updateCampaign = async (id, campaignData, userId) => {
     { field: "replyToEmail", dbField: "reply_to_email" },
     { field: "trackOpens", dbField: "track_opens" },
     { field: "trackClicks", dbField: "track_clicks" },
+    { field: "sendTimeOptimization", dbField: "send_time_optimization" },
+    { field: "seedListId", dbField: "seed_list_id" },
+    { field: "topicId", dbField: "topic_id" },
   ];
 
   for (const { field, dbField } of updateableFields) {
@@ -188,6 +286,39 @@ const updateCampaign = async (id, campaignData, userId) => {
     logger.info(`Updating campaign metadata`);
   }
 
+  // Replace the UTM parameters (null turns UTM tagging off)
+  if (campaignData.utmParams !== undefined) {
+    updateFields.push(`utm_params = $${paramCount++}`);
+    values.push(campaignData.utmParams ? JSON.stringify(campaignData.utmParams) : null);
+    logger.info(`Updating UTM parameters of campaign ${id}`);
+  }
+
+  // Replace the recurrence (null makes the campaign one-off again)
+  if (campaignData.recurrence !== undefined) {
+    const recurrence = campaignData.recurrence;
+    updateFields.push(`recurrence_rule = $${paramCount++}`);
+    values.push(recurrence?.rule || null);
+    updateFields.push(`recurrence_timezone = $${paramCount++}`);
+    values.push(recurrence?.timezone || "UTC");
+    updateFields.push(`recurrence_ends_at = $${paramCount++}`);
+    values.push(recurrence?.endsAt || null);
+    updateFields.push(`recurrence_max_runs = $${paramCount++}`);
+    values.push(recurrence?.maxRuns || null);
+    logger.info(`Updating recurrence of campaign ${id} to: ${recurrence?.rule || "none"}`);
+  }
+
+  // Replace the local time delivery (null sends at a single time again)
+  if (campaignData.localDelivery !== undefined) {
+    const localDelivery = campaignData.localDelivery;
+    updateFields.push(`local_send_date = $${paramCount++}`);
+    values.push(localDelivery?.date || null);
+    updateFields.push(`local_send_time = $${paramCount++}`);
+    values.push(localDelivery?.time || null);
+    updateFields.push(`local_send_default_timezone = $${paramCount++}`);
+    values.push(localDelivery?.defaultTimezone || "UTC");
+    logger.info(`Updating local time delivery of campaign ${id}`);
+  }
+
   // Add updated_by and updated_at
   updateFields.push(`updated_by = $${paramCount++}`);
   values.push(userId);
@@ -225,6 +356,23 @@ const updateCampaign = async (id, campaignData, userId) => {
       await updateMailingLists(id, campaignData.mailingListIds);
     }
 
+    // Replace the exclusion lists if provided (an empty array removes them)
+    if (campaignData.exclusionListIds) {
+      logger.info(`Updating exclusion lists for campaign ${id}`);
+      await updateExclusionLists(id, campaignData.exclusionListIds);
+    }
+
+    // Replace the A/B test configuration if provided (null disables split testing)
+    if (campaignData.abTest !== undefined) {
+      logger.info(`Updating A/B test configuration for campaign ${id}`);
+      await saveCampaignAbTest(id, campaignData.abTest, campaignData.variants);
+    }
+
+    // Move the next run of an active recurring campaign to match its new schedule
+    if (campaignData.recurrence !== undefined) {
+      await campaignRecurrenceService.rescheduleRecurrence(id);
+    }
+
     logger.info(`Successfully updated campaign ID ${id}`);
     return await getCampaignById(id); // Get campaign with fresh data including mailing lists
   } catch (error) {
@@ -287,16 +435,22 @@ const getCampaignById = async (id) => {
   logger.info(`Fetching campaign ID ${id}`);
 
   const query = `
-    SELECT c.*, 
-           COUNT(cs.id) FILTER (WHERE cs.status = 'sent') as sent_count,
-           COUNT(cs.id) FILTER (WHERE cs.status = 'opened') as opened_count,
-           COUNT(cs.id) FILTER (WHERE cs.status = 'clicked') as clicked_count,
-           COUNT(cs.id) FILTER (WHERE cs.status = 'bounced') as bounced_count,
-           COUNT(cs.id) FILTER (WHERE cs.status = 'failed') as failed_count
+    SELECT c.*, rs.sent_count, es.opened_count, es.clicked_count, rs.bounced_count, rs.failed_count
     FROM email_campaigns c
-    LEFT JOIN campaign_sends cs ON c.id = cs.campaign_id
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*) FILTER (WHERE cr.status = 'sent') as sent_count,
+             COUNT(*) FILTER (WHERE cr.status = 'bounced') as bounced_count,
+             COUNT(*) FILTER (WHERE cr.status = 'failed') as failed_count
+      FROM campaign_recipients cr
+      WHERE cr.campaign_id = c.id
+    ) rs ON true
+    LEFT JOIN LATERAL (
+      SELECT COUNT(DISTINCT ea.recipient_id) FILTER (WHERE ea.event_type = 'opened') as opened_count,
+             COUNT(DISTINCT ea.recipient_id) FILTER (WHERE ea.event_type = 'clicked') as clicked_count
+      FROM email_analytics ea
+      WHERE ea.campaign_id = c.id
+    ) es ON true
     WHERE c.id = $1 AND c.is_deleted = false
-    GROUP BY c.id
   `;
 
   try {
@@ -314,6 +468,8 @@ const getCampaignById = async (id) => {
 
     const campaign = transformCampaignFromDb(result.rows[0]);
     campaign.mailingLists = mailingLists;
+    campaign.exclusionLists = await getExclusionListsForCampaign(id);
+    campaign.abTest = await getCampaignAbTest(id);
 
     logger.info(`Successfully retrieved campaign ID ${id}`);
     return campaign;
@@ -379,17 +535,23 @@ const listCampaigns = async (options = {}) => {
 
   // Data query with pagination and statistics
   const dataQuery = `
-    SELECT c.*,
-           COUNT(cs.id) FILTER (WHERE cs.status = 'sent') as sent_count,
-           COUNT(cs.id) FILTER (WHERE cs.status = 'opened') as opened_count,
-           COUNT(cs.id) FILTER (WHERE cs.status = 'clicked') as clicked_count,
-           COUNT(cs.id) FILTER (WHERE cs.status = 'bounced') as bounced_count,
-           COUNT(cs.id) FILTER (WHERE cs.status = 'failed') as failed_count
+    SELECT c.*, rs.sent_count, es.opened_count, es.clicked_count, rs.bounced_count, rs.failed_count
     FROM email_campaigns c
     ${joins}
-    LEFT JOIN campaign_sends cs ON c.id = cs.campaign_id
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*) FILTER (WHERE cr.status = 'sent') as sent_count,
+             COUNT(*) FILTER (WHERE cr.status = 'bounced') as bounced_count,
+             COUNT(*) FILTER (WHERE cr.status = 'failed') as failed_count
+      FROM campaign_recipients cr
+      WHERE cr.campaign_id = c.id
+    ) rs ON true
+    LEFT JOIN LATERAL (
+      SELECT COUNT(DISTINCT ea.recipient_id) FILTER (WHERE ea.event_type = 'opened') as opened_count,
+             COUNT(DISTINCT ea.recipient_id) FILTER (WHERE ea.event_type = 'clicked') as clicked_count
+      FROM email_analytics ea
+      WHERE ea.campaign_id = c.id
+    ) es ON true
     ${whereClause}
-    GROUP BY c.id
     ORDER BY c.created_at DESC
     LIMIT $${paramCount++} OFFSET $${paramCount++}
   `;
@@ -539,6 +701,54 @@ const getMailingListsForCampaign = async (campaignId) => {
   }
 };
 
+/**
+ * Replace the exclusion lists of a campaign
+ * @function updateExclusionLists
+ * @memberof module:services/campaign
+ * @param {string} campaignId - Campaign ID
+ * @param {Array<number>} exclusionListIds - IDs of the mailing lists whose subscribers are left out
+ * @returns {Promise<boolean>} - Success status
+ */
+const updateExclusionLists = async (campaignId, exclusionListIds) => {
+  try {
+    await db.query("DELETE FROM campaign_exclusion_lists WHERE campaign_id = $1", [campaignId]);
+    await db.query(
+      `INSERT INTO campaign_exclusion_lists (campaign_id, mailing_list_id)
+       SELECT $1, unnest($2::int[])
+       ON CONFLICT (campaign_id, mailing_list_id) DO NOTHING`,
+      [campaignId, exclusionListIds]
+    );
+    return true;
+  } catch (error) {
+    logger.error(`Error updating exclusion lists for campaign ${campaignId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the exclusion lists of a campaign
+ * @function getExclusionListsForCampaign
+ * @memberof module:services/campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array>} - Array of mailing lists
+ */
+const getExclusionListsForCampaign = async (campaignId) => {
+  try {
+    const { rows } = await db.query(
+      `SELECT ml.id, ml.name, ml.description, ml.list_type
+       FROM mailing_lists ml
+       INNER JOIN campaign_exclusion_lists cel ON ml.id = cel.mailing_list_id
+       WHERE cel.campaign_id = $1 AND ml.is_deleted = false
+       ORDER BY ml.name`,
+      [campaignId]
+    );
+    return rows.map((row) => ({ id: row.id, name: row.name, description: row.description, listType: row.list_type }));
+  } catch (error) {
+    logger.error(`Error getting exclusion lists for campaign ${campaignId}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Transform database row to campaign object
  * @function transformCampaignFromDb
@@ -563,6 +773,10 @@ const transformCampaignFromDb = (dbCampaign) => {
     replyToEmail: dbCampaign.reply_to_email,
     trackOpens: dbCampaign.track_opens,
     trackClicks: dbCampaign.track_clicks,
+    sendTimeOptimization: dbCampaign.send_time_optimization || false,
+    seedListId: dbCampaign.seed_list_id || null,
+    topicId: dbCampaign.topic_id || null,
+    utmParams: dbCampaign.utm_params || null,
     templateVariables: dbCampaign.template_variables
       ? typeof dbCampaign.template_variables === "string"
         ? JSON.parse(dbCampaign.template_variables)
@@ -580,6 +794,25 @@ const transformCampaignFromDb = (dbCampaign) => {
       bouncedCount: parseInt(dbCampaign.bounced_count) || 0,
       failedCount: parseInt(dbCampaign.failed_count) || 0,
     },
+    recurrence: dbCampaign.recurrence_rule
+      ? {
+          rule: dbCampaign.recurrence_rule,
+          timezone: dbCampaign.recurrence_timezone,
+          startsAt: dbCampaign.recurrence_starts_at,
+          endsAt: dbCampaign.recurrence_ends_at,
+          maxRuns: dbCampaign.recurrence_max_runs,
+          runCount: dbCampaign.recurrence_run_count,
+          nextRunAt: dbCampaign.next_run_at,
+        }
+      : null,
+    localDelivery: dbCampaign.local_send_time
+      ? {
+          date: formatDate(dbCampaign.local_send_date),
+          time: dbCampaign.local_send_time.slice(0, 5),
+          defaultTimezone: dbCampaign.local_send_default_timezone,
+        }
+      : null,
+    parentCampaignId: dbCampaign.parent_campaign_id || null,
     createdBy: dbCampaign.created_by,
     updatedBy: dbCampaign.updated_by,
     createdAt: dbCampaign.created_at,
@@ -760,28 +993,48 @@ const cancelCampaign = async (campaignId, userId) => {
 const getCampaignStats = async (campaignId) => {
   logger.info(`Fetching statistics for campaign ${campaignId}`);
 
+  // Delivery counts come from the recipients ledger, engagement from the tracked analytics events
   const query = `
     SELECT
-      COUNT(cs.id) as total_sends,
-      COUNT(cs.id) FILTER (WHERE cs.status = 'sent') as sent_count,
-      COUNT(cs.id) FILTER (WHERE cs.status = 'opened') as opened_count,
-      COUNT(cs.id) FILTER (WHERE cs.status = 'clicked') as clicked_count,
-      COUNT(cs.id) FILTER (WHERE cs.status = 'bounced') as bounced_count,
-      COUNT(cs.id) FILTER (WHERE cs.status = 'failed') as failed_count,
-      COUNT(DISTINCT cs.subscriber_id) FILTER (WHERE cs.status = 'opened') as unique_opens,
-      COUNT(DISTINCT cs.subscriber_id) FILTER (WHERE cs.status = 'clicked') as unique_clicks
-    FROM campaign_sends cs
-    WHERE cs.campaign_id = $1
+      rs.total_sends, rs.sent_count, rs.bounced_count, rs.failed_count,
+      es.opened_count, es.clicked_count, es.unique_opens, es.unique_clicks,
+      es.human_opened_count, es.human_clicked_count, es.human_unique_opens, es.human_unique_clicks
+    FROM (
+      SELECT COUNT(*) as total_sends,
+             COUNT(*) FILTER (WHERE status = 'sent') as sent_count,
+             COUNT(*) FILTER (WHERE status = 'bounced') as bounced_count,
+             COUNT(*) FILTER (WHERE status = 'failed') as failed_count
+      FROM campaign_recipients
+      WHERE campaign_id = $1
+    ) rs,
+    (
+      SELECT COUNT(*) FILTER (WHERE event_type = 'opened') as opened_count,
+             COUNT(*) FILTER (WHERE event_type = 'clicked') as clicked_count,
+             COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'opened') as unique_opens,
+             COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'clicked') as unique_clicks,
+             COUNT(*) FILTER (WHERE event_type = 'opened' AND is_human) as human_opened_count,
+             COUNT(*) FILTER (WHERE event_type = 'clicked' AND is_human) as human_clicked_count,
+             COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'opened' AND is_human) as human_unique_opens,
+             COUNT(DISTINCT recipient_id) FILTER (WHERE event_type = 'clicked' AND is_human) as human_unique_clicks
+      FROM (
+        -- Events classified as machine (bots, link scanners, Apple MPP) are left out of the human counts
+        SELECT recipient_id, event_type, (additional_data->>'classification') IS DISTINCT FROM 'machine' AS is_human
+        FROM email_analytics
+        WHERE campaign_id = $1
+      ) events
+    ) es
   `;
 
   // Query for click details
   const clickQuery = `
     SELECT
-      click_url,
-      COUNT(*) as click_count
-    FROM campaign_clicks
-    WHERE campaign_id = $1
-    GROUP BY click_url
+      link_clicked as click_url,
+      additional_data->>'label' as click_label,
+      COUNT(*) as click_count,
+      COUNT(*) FILTER (WHERE (additional_data->>'classification') IS DISTINCT FROM 'machine') as human_click_count
+    FROM email_analytics
+    WHERE campaign_id = $1 AND event_type = 'clicked' AND link_clicked IS NOT NULL
+    GROUP BY link_clicked, additional_data->>'label'
     ORDER BY click_count DESC
   `;
 
@@ -803,6 +1056,8 @@ const getCampaignStats = async (campaignId) => {
     const clickRate = totalSends > 0 ? (parseInt(stats.clicked_count) / totalSends) * 100 : 0;
     const bounceRate = totalSends > 0 ? (parseInt(stats.bounced_count) / totalSends) * 100 : 0;
     const failureRate = totalSends > 0 ? (parseInt(stats.failed_count) / totalSends) * 100 : 0;
+    const humanOpenRate = totalSends > 0 ? (parseInt(stats.human_opened_count) / totalSends) * 100 : 0;
+    const humanClickRate = totalSends > 0 ? (parseInt(stats.human_clicked_count) / totalSends) * 100 : 0;
 
     logger.info(`Successfully retrieved statistics for campaign ${campaignId}`);
     return {
@@ -826,10 +1081,20 @@ const getCampaignStats = async (campaignId) => {
         clickRate: parseFloat(clickRate.toFixed(2)),
         bounceRate: parseFloat(bounceRate.toFixed(2)),
         failureRate: parseFloat(failureRate.toFixed(2)),
+        human: {
+          opened: parseInt(stats.human_opened_count) || 0,
+          clicked: parseInt(stats.human_clicked_count) || 0,
+          uniqueOpens: parseInt(stats.human_unique_opens) || 0,
+          uniqueClicks: parseInt(stats.human_unique_clicks) || 0,
+          openRate: parseFloat(humanOpenRate.toFixed(2)),
+          clickRate: parseFloat(humanClickRate.toFixed(2)),
+        },
       },
       clickDetails: clicksResult.rows.map((row) => ({
         url: row.click_url,
+        label: row.click_label || null,
         count: parseInt(row.click_count),
+        humanCount: parseInt(row.human_click_count),
       })),
     };
   } catch (error) {
@@ -838,6 +1103,189 @@ const getCampaignStats = async (campaignId) => {
   }
 };
 
+/**
+ * Get the A/B test configuration and variants for a campaign
+ * @function getCampaignAbTest
+ * @memberof module:services/campaign
+ * @param {string|number} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} - A/B test with variants, or null if the campaign is not split tested
+ */
+const getCampaignAbTest = async (campaignId) => {
+  logger.info(`Fetching A/B test configuration for campaign ${campaignId}`);
+
+  try {
+    const { rows } = await db.query(`SELECT * FROM campaign_ab_tests WHERE campaign_id = $1`, [campaignId]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const { rows: variantRows } = await db.query(`SELECT * FROM campaign_variants WHERE campaign_id = $1 ORDER BY id`, [campaignId]);
+
+    const abTest = rows[0];
+    return {
+      campaignId: abTest.campaign_id,
+      testPercentage: abTest.test_percentage,
+      winnerMetric: abTest.winner_metric,
+      waitMinutes: abTest.wait_minutes,
+      status: abTest.status,
+      winnerVariantId: abTest.winner_variant_id,
+      startedAt: abTest.started_at,
+      decidedAt: abTest.decided_at,
+      variants: variantRows.map((row) => ({
+        id: row.id,
+        name: row.name,
+        subject: row.subject,
+        templateId: row.template_id,
+        templateVariables: row.template_variables || {},
+      })),
+    };
+  } catch (error) {
+    logger.error(`Error getting A/B test for campaign ${campaignId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Create or replace the A/B test configuration and variants of a campaign.
+ * Passing a null abTest removes split testing from the campaign.
+ * @function saveCampaignAbTest
+ * @memberof module:services/campaign
+ * @param {string|number} campaignId - Campaign ID
+ * @param {Object|null} abTest - Test settings ({ testPercentage, winnerMetric, waitMinutes })
+ * @param {Array<Object>} [variants] - Variants ({ name, subject, templateId, templateVariables })
+ * @returns {Promise<Object|null>} - Saved A/B test with variants
+ */
+const saveCampaignAbTest = async (campaignId, abTest, variants = []) => {
+  logger.info(`Saving A/B test configuration for campaign ${campaignId}`);
+
+  const existing = await getCampaignAbTest(campaignId);
+  if (existing && existing.status !== "pending") {
+    logger.warn(`Cannot change A/B test for campaign ${campaignId} with test status "${existing.status}"`);
+    throw new ConflictResourceError("Cannot change an A/B test that has already started");
+  }
+
+  if (abTest && (!variants || variants.length < 2)) {
+    throw new BadRequestError("An A/B test requires at least two variants");
+  }
+
+  try {
+    await db.transaction(async (client) => {
+      // Variants cascade into recipient assignments, which only exist once a test has started
+      await client.query(`DELETE FROM campaign_variants WHERE campaign_id = $1`, [campaignId]);
+      await client.query(`DELETE FROM campaign_ab_tests WHERE campaign_id = $1`, [campaignId]);
+
+      if (!abTest) {
+        return;
+      }
+
+      await client.query(
+        `INSERT INTO campaign_ab_tests (campaign_id, test_percentage, winner_metric, wait_minutes)
+         VALUES ($1, $2, $3, $4)`,
+        [campaignId, abTest.testPercentage || 20, abTest.winnerMetric || "open_rate", abTest.waitMinutes || 240]
+      );
+
+      for (const variant of variants) {
+        await client.query(
+          `INSERT INTO campaign_variants (campaign_id, name, subject, template_id, template_variables)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [
+            campaignId,
+            variant.name,
+            variant.subject || null,
+            variant.templateId || null,
+            variant.templateVariables ? JSON.stringify(variant.templateVariables) : null,
+          ]
+        );
+      }
+    });
+
+    logger.info(`Saved A/B test for campaign ${campaignId} with ${abTest ? variants.length : 0} variants`);
+    return await getCampaignAbTest(campaignId);
+  } catch (error) {
+    logger.error(`Error saving A/B test for campaign ${campaignId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get per-variant send and engagement statistics for a split tested campaign
+ * @function getVariantStats
+ * @memberof module:services/campaign
+ * @param {string|number} campaignId - Campaign ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.phase] - Restrict to recipients of one phase ('test' or 'winner')
+ * @returns {Promise<Array<Object>>} - Statistics for each variant
+ */
+const getVariantStats = async (campaignId, options = {}) => {
+  logger.info(`Fetching variant statistics for campaign ${campaignId}`);
+
+  const params = [campaignId];
+  let phaseCondition = "";
+  if (options.phase) {
+    params.push(options.phase);
+    phaseCondition = `AND vr.phase = $2`;
+  }
+
+  const query = `
+    SELECT
+      v.id,
+      v.name,
+      v.subject,
+      COUNT(DISTINCT vr.subscriber_id) AS recipient_count,
+      COUNT(DISTINCT ea.recipient_id) FILTER (WHERE ea.event_type = 'sent') AS sent_count,
+      COUNT(DISTINCT ea.recipient_id) FILTER (WHERE ea.event_type = 'opened') AS unique_opens,
+      COUNT(DISTINCT ea.recipient_id) FILTER (WHERE ea.event_type = 'clicked') AS unique_clicks,
+      COUNT(ea.id) FILTER (WHERE ea.event_type = 'opened') AS total_opens,
+      COUNT(ea.id) FILTER (WHERE ea.event_type = 'clicked') AS total_clicks,
+      COUNT(DISTINCT ea.recipient_id) FILTER (
+        WHERE ea.event_type = 'opened' AND (ea.additional_data->>'classification') IS DISTINCT FROM 'machine'
+      ) AS human_unique_opens,
+      COUNT(DISTINCT ea.recipient_id) FILTER (
+        WHERE ea.event_type = 'clicked' AND (ea.additional_data->>'classification') IS DISTINCT FROM 'machine'
+      ) AS human_unique_clicks
+    FROM campaign_variants v
+    LEFT JOIN campaign_variant_recipients vr ON vr.variant_id = v.id ${phaseCondition}
+    LEFT JOIN email_analytics ea ON ea.campaign_id = vr.campaign_id AND ea.recipient_id = vr.subscriber_id
+    WHERE v.campaign_id = $1
+    GROUP BY v.id
+    ORDER BY v.id
+  `;
+
+  try {
+    const { rows } = await db.query(query, params);
+
+    return rows.map((row) => {
+      const sent = parseInt(row.sent_count) || 0;
+      const uniqueOpens = parseInt(row.unique_opens) || 0;
+      const uniqueClicks = parseInt(row.unique_clicks) || 0;
+      const humanUniqueOpens = parseInt(row.human_unique_opens) || 0;
+      const humanUniqueClicks = parseInt(row.human_unique_clicks) || 0;
+
+      return {
+        variantId: row.id,
+        name: row.name,
+        subject: row.subject,
+        recipients: parseInt(row.recipient_count) || 0,
+        sent,
+        uniqueOpens,
+        uniqueClicks,
+        totalOpens: parseInt(row.total_opens) || 0,
+        totalClicks: parseInt(row.total_clicks) || 0,
+        openRate: sent > 0 ? parseFloat(((uniqueOpens / sent) * 100).toFixed(2)) : 0,
+        clickRate: sent > 0 ? parseFloat(((uniqueClicks / sent) * 100).toFixed(2)) : 0,
+        humanUniqueOpens,
+        humanUniqueClicks,
+        humanOpenRate: sent > 0 ? parseFloat(((humanUniqueOpens / sent) * 100).toFixed(2)) : 0,
+        humanClickRate: sent > 0 ? parseFloat(((humanUniqueClicks / sent) * 100).toFixed(2)) : 0,
+      };
+    });
+  } catch (error) {
+    logger.error(`Error getting variant statistics for campaign ${campaignId}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Find all campaigns that are scheduled to be sent now
  * @function findScheduledCampaigns
@@ -874,4 +1322,7 @@ module.exports = {
   cancelCampaign,
   getCampaignStats,
   findScheduledCampaigns,
+  getCampaignAbTest,
+  saveCampaignAbTest,
+  getVariantStats,
 };
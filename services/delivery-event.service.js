@@ -0,0 +1,254 @@
+/**
+ * @module services/delivery-event
+ * @description Delivery events reported by the mail provider (deliveries, bounces, complaints, rejects).
+ * Events are matched back to the campaign or workflow email they are about, recorded in email_analytics
+ * and fed to the suppression list. Amazon SES notifications arrive through SNS and are matched on the
+ * X-Campaign-Id / X-Workflow-Step-Id / X-Recipient-Id headers set at send time, or on the SES message ID.
+ */
+const db = require("../config/db");
+const redis = require("../config/redis");
+const config = require("../config");
+const logger = require("./logger.service");
+const campaignRecipientService = require("./campaign-recipient.service");
+const suppressionService = require("./suppression.service");
+
+// SNS may deliver a notification more than once; the events handled for it are remembered this long
+const SNS_DEDUP_TTL_SECONDS = 24 * 60 * 60;
+
+// SES notification types mapped to our event types
+const SES_EVENT_TYPES = {
+  Delivery: "delivered",
+  Bounce: "bounced",
+  Complaint: "complained",
+  Reject: "rejected",
+};
+
+/**
+ * Read a header of the original email from an SES notification (only present when the SES identity
+ * includes original headers in notifications)
+ * @function getMailHeader
+ * @param {Object} mail - mail object of the notification
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+function getMailHeader(mail, name) {
+  const header = (mail?.headers || []).find((entry) => entry.name?.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+/**
+ * Parse an integer ID from a header value
+ * @function parseId
+ * @param {string|null} value - Header value
+ * @returns {number|null} ID
+ */
+const parseId = (value) => (/^\d+$/.test(value || "") ? parseInt(value, 10) : null);
+
+/**
+ * Parse an SES notification (the Message of an SNS notification) into the events it reports, one per
+ * recipient. Both SES notifications (notificationType) and SES event publishing (eventType) are supported.
+ * @function parseSesNotification
+ * @param {Object} notification - SES notification
+ * @returns {Object|null} { eventType, messageId, campaignId, workflowStepId, recipientId, recipients: [{ email, data }] },
+ * or null for notification types that are not delivery events
+ */
+function parseSesNotification(notification) {
+  const type = notification?.notificationType || notification?.eventType;
+  const eventType = SES_EVENT_TYPES[type];
+  if (!eventType) {
+    return null;
+  }
+
+  const { mail = {} } = notification;
+  let recipients = [];
+
+  switch (type) {
+    case "Bounce": {
+      const { bounce } = notification;
+      recipients = (bounce.bouncedRecipients || []).map((recipient) => ({
+        email: recipient.emailAddress,
+        data: {
+          bounceType: bounce.bounceType,
+          bounceSubType: bounce.bounceSubType,
+          diagnostic: recipient.diagnosticCode || null,
+          feedbackId: bounce.feedbackId,
+        },
+      }));
+      break;
+    }
+    case "Complaint": {
+      const { complaint } = notification;
+      recipients = (complaint.complainedRecipients || []).map((recipient) => ({
+        email: recipient.emailAddress,
+        data: {
+          complaintFeedbackType: complaint.complaintFeedbackType || null,
+          diagnostic: complaint.complaintFeedbackType || null,
+          feedbackId: complaint.feedbackId,
+        },
+      }));
+      break;
+    }
+    case "Delivery": {
+      const { delivery } = notification;
+      recipients = (delivery.recipients || []).map((email) => ({
+        email,
+        data: { smtpResponse: delivery.smtpResponse, processingTimeMillis: delivery.processingTimeMillis },
+      }));
+      break;
+    }
+    case "Reject":
+      recipients = (mail.destination || []).map((email) => ({
+        email,
+        data: { diagnostic: notification.reject?.reason || null },
+      }));
+      break;
+  }
+
+  return {
+    eventType,
+    messageId: mail.messageId || null,
+    campaignId: parseId(getMailHeader(mail, "X-Campaign-Id")),
+    workflowStepId: parseId(getMailHeader(mail, "X-Workflow-Step-Id")),
+    recipientId: parseId(getMailHeader(mail, "X-Recipient-Id")),
+    recipients,
+  };
+}
+
+/**
+ * Find the campaign or workflow email an SES message ID belongs to. Message IDs are stored the way the
+ * nodemailer SES transport returns them (<id@region.amazonses.com>), so every form is looked up.
+ * @async
+ * @function findSentEmail
+ * @param {string} messageId - SES message ID
+ * @returns {Promise<Object|null>} { campaignId, workflowStepId, recipientId }, or null if unknown
+ */
+async function findSentEmail(messageId) {
+  const candidates = [messageId, `<${messageId}@email.amazonses.com>`];
+  if (config.aws.region) {
+    candidates.push(`<${messageId}@${config.aws.region}.amazonses.com>`);
+  }
+
+  const { rows: ledgerRows } = await db.query(
+    `SELECT campaign_id, subscriber_id FROM campaign_recipients WHERE provider_message_id = ANY($1::text[]) LIMIT 1`,
+    [candidates]
+  );
+  if (ledgerRows.length > 0) {
+    return { campaignId: ledgerRows[0].campaign_id, workflowStepId: null, recipientId: ledgerRows[0].subscriber_id };
+  }
+
+  // Workflow emails only keep the message ID on their sent event
+  const { rows: workflowRows } = await db.query(
+    `SELECT workflow_step_id, recipient_id FROM email_analytics
+     WHERE event_type = 'sent' AND workflow_step_id IS NOT NULL AND additional_data->>'message_id' = ANY($1::text[])
+     LIMIT 1`,
+    [candidates]
+  );
+  if (workflowRows.length > 0) {
+    return { campaignId: null, workflowStepId: workflowRows[0].workflow_step_id, recipientId: workflowRows[0].recipient_id };
+  }
+
+  return null;
+}
+
+/**
+ * Record a delivery event for a recipient: the analytics event (when the email it is about is known),
+ * the bounced status in the campaign ledger and the suppression list
+ * @async
+ * @function recordDeliveryEvent
+ * @param {Object} event - Delivery event
+ * @param {string} event.eventType - delivered, bounced, complained or rejected
+ * @param {string} [event.email] - Recipient address (defaults to the subscriber's)
+ * @param {number|null} [event.campaignId] - Campaign the email belongs to
+ * @param {number|null} [event.workflowStepId] - Workflow step the email belongs to
+ * @param {number|null} [event.recipientId] - Subscriber ID
+ * @param {Object} [event.data] - Provider details (bounceType, diagnostic, ...)
+ * @returns {Promise<{recorded: boolean, suppressed: boolean}>} Whether the event was recorded and the address suppressed
+ */
+async function recordDeliveryEvent({ eventType, email, campaignId = null, workflowStepId = null, recipientId = null, data = {} }) {
+  let recorded = false;
+  let address = email || null;
+
+  if (recipientId && (campaignId || workflowStepId)) {
+    const { rows } = await db.query(
+      `INSERT INTO email_analytics (campaign_id, workflow_step_id, recipient_id, recipient_email, event_type, additional_data)
+       SELECT $1, $2, s.id, COALESCE($4, s.email), $5, $6 FROM subscribers s WHERE s.id = $3
+       RETURNING recipient_email`,
+      [campaignId, workflowStepId, recipientId, address, eventType, JSON.stringify(data)]
+    );
+    recorded = rows.length > 0;
+    address = address || rows[0]?.recipient_email || null;
+
+    if (campaignId && eventType === "bounced") {
+      await campaignRecipientService.markBounced(campaignId, recipientId, data.diagnostic || null);
+    }
+  }
+
+  const suppressed = address ? await suppressionService.applyDeliveryEvent(address, eventType, data) : false;
+  return { recorded, suppressed };
+}
+
+/**
+ * Handle an SES notification received through SNS. Each recipient's event is handled once: if handling fails
+ * part way, the SNS retry only handles the recipients that were not done yet.
+ * @async
+ * @function handleSesNotification
+ * @param {Object} notification - SES notification (the parsed Message of the SNS notification)
+ * @param {string} snsMessageId - MessageId of the SNS notification, used when the SES message ID is missing
+ * @returns {Promise<number>} Number of recipient events recorded
+ */
+async function handleSesNotification(notification, snsMessageId) {
+  const parsed = parseSesNotification(notification);
+  if (!parsed) {
+    logger.debug(`Ignoring SES notification of type ${notification?.notificationType || notification?.eventType}`);
+    return 0;
+  }
+
+  let sentEmail = null;
+  if (parsed.recipientId && (parsed.campaignId || parsed.workflowStepId)) {
+    sentEmail = { campaignId: parsed.campaignId, workflowStepId: parsed.workflowStepId, recipientId: parsed.recipientId };
+  } else if (parsed.messageId) {
+    sentEmail = await findSentEmail(parsed.messageId);
+  }
+
+  if (!sentEmail) {
+    logger.info(`SES ${parsed.eventType} notification for unknown message ${parsed.messageId}; applying to the suppression list only`);
+  }
+
+  let recorded = 0;
+  let skipped = 0;
+  for (const { email, data } of parsed.recipients) {
+    const dedupKey = `ses:event:${parsed.messageId || snsMessageId}:${String(email).toLowerCase()}:${parsed.eventType}`;
+    if ((await redis.client.set(dedupKey, "1", "EX", SNS_DEDUP_TTL_SECONDS, "NX")) === null) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const result = await recordDeliveryEvent({ eventType: parsed.eventType, email, ...sentEmail, data });
+      if (result.recorded) {
+        recorded++;
+      }
+    } catch (error) {
+      // Let the SNS retry handle this recipient again
+      await redis.del(dedupKey);
+      throw error;
+    }
+  }
+
+  if (skipped > 0) {
+    logger.debug(`Ignored ${skipped} already handled recipients of SES notification ${snsMessageId}`);
+  }
+
+  logger.info(`Processed SES ${parsed.eventType} notification for message ${parsed.messageId}`, {
+    recipients: parsed.recipients.length,
+    recorded,
+  });
+  return recorded;
+}
+
+module.exports = {
+  parseSesNotification,
+  findSentEmail,
+  recordDeliveryEvent,
+  handleSesNotification,
+};
@@ -77,7 +77,7 @@ async function categorizeTemplateVariables(variables) {
   const standardSubscriberFields = ["id", "email", "name", "date_of_birth", "subscribed_at", "unsubscribed_at", "created_at", "updated_at"];
 
   // Standard campaign fields
-  const standardCampaignFields = ["campaign_name", "sent_date", "unsubscribe_url", "company_name", "company_address"];
+  const standardCampaignFields = ["campaign_name", "sent_date", "unsubscribe_url", "preferences_url", "company_name", "company_address"];
 
   // All standard fields combined
   const allStandardFields = [...standardSubscriberFields, ...standardCampaignFields];
@@ -693,6 +693,7 @@ async function getStandardTemplateVariables() {
       campaign_name: { name: "campaign_name", type: "string", usage_count: 0, example: "{{campaign_name}}" },
       sent_date: { name: "sent_date", type: "date", usage_count: 0, example: "{{sent_date}}" },
       unsubscribe_url: { name: "unsubscribe_url", type: "url", usage_count: 0, example: "{{unsubscribe_url}}" },
+      preferences_url: { name: "preferences_url", type: "url", usage_count: 0, example: "{{preferences_url}}" },
       company_name: { name: "company_name", type: "string", usage_count: 0, example: "{{company_name}}" },
       company_address: { name: "company_address", type: "string", usage_count: 0, example: "{{company_address}}" },
     };
@@ -728,4 +729,5 @@ module.exports = {
   convertMjmlToHtml,
   categorizeTemplateVariables,
   getStandardTemplateVariables,
+  renderVariables,
 };
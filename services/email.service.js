@@ -55,20 +55,40 @@ const sendPasswordResetEmail = async (email, token) => {
   logger.info(`[Queue] Password reset email task published for ${email}`);
 };
 
-// Maybe add a generic sendEmail function if needed elsewhere
 /**
- * Generic email sending function (commented out but available for future use)
+ * Sends an email directly through the configured transport (used by the campaign email worker)
  * @async
  * @function sendEmail
- * @param {string} to - Recipient's email address
- * @param {string} subject - Email subject line
- * @param {string} text - Plain text version of email content
- * @param {string} html - HTML version of email content
- * @returns {Promise<void>}
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient's email address
+ * @param {string} options.from - Sender email address
+ * @param {string} [options.fromName] - Sender display name
+ * @param {string} [options.replyTo] - Reply-to address
+ * @param {string} options.subject - Email subject line
+ * @param {string} options.html - HTML content
+ * @param {string} [options.text] - Plain text content
+ * @param {Object} [options.headers] - Additional email headers
+ * @returns {Promise<{messageId: string|null}>} Provider message ID of the sent email
  */
-// const sendEmail = async (to, subject, text, html) => {
-//     const message = { type: 'generic', to, subject, text, html };
-//     await queueService.publishToQueue(config.rabbitmq.queue_email, message);
-// }
+const sendEmail = async ({ to, from, fromName, replyTo, subject, html, text, headers }) => {
+  // Loaded lazily so that API processes only publishing to queues never build the transport
+  const transporter = require("../config/aws");
+
+  if (!transporter) {
+    throw new Error("Email transporter is not configured");
+  }
+
+  const info = await transporter.sendMail({
+    from: fromName ? `"${fromName.replace(/"/g, "")}" <${from}>` : from,
+    to,
+    replyTo,
+    subject,
+    html,
+    text,
+    headers,
+  });
+
+  return { messageId: info.messageId || null };
+};
 
-module.exports = { sendVerificationEmail, sendPasswordResetEmail };
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendEmail };
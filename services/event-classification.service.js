@@ -0,0 +1,198 @@
+/**
+ * @module services/event-classification
+ * @description Classification of open and click events as human or machine. Security scanners follow the
+ * links of an email as soon as it arrives and Apple Mail Privacy Protection (MPP) prefetches every image
+ * through Apple's proxies, so these events are still recorded but flagged as machine events in
+ * email_analytics.additional_data ({ classification, machine_reason }) and left out of human-only rates.
+ */
+const net = require("net");
+const db = require("../config/db");
+const config = require("../config");
+const logger = require("./logger.service");
+
+// User agents of link scanners, HTTP libraries and headless browsers
+const MACHINE_USER_AGENT_REGEX = new RegExp(
+  [
+    "bot\\b",
+    "crawler",
+    "spider",
+    "scanner",
+    "headless",
+    "phantomjs",
+    "python-",
+    "curl/",
+    "wget/",
+    "go-http-client",
+    "java/",
+    "okhttp",
+    "barracuda",
+    "mimecast",
+    "proofpoint",
+    "messagelabs",
+    "trendmicro",
+    "fireeye",
+    "ironport",
+    "forcepoint",
+  ].join("|"),
+  "i"
+);
+
+// The Apple MPP proxy fetches images with this bare user agent
+const MPP_USER_AGENT = "Mozilla/5.0";
+
+// Clicks on every link of an email within this many seconds come from a scanner
+const LINK_BURST_WINDOW_SECONDS = 5;
+
+let machineNetworks = null;
+
+/**
+ * Get the block list of machine networks, built from the configured IP ranges on first use
+ * @function getMachineNetworks
+ * @returns {net.BlockList} Machine networks
+ */
+function getMachineNetworks() {
+  if (!machineNetworks) {
+    machineNetworks = new net.BlockList();
+    for (const range of config.tracking.machineIpRanges) {
+      const [address, prefix] = range.split("/");
+      const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+      if (!net.isIP(address)) {
+        logger.warn(`Ignoring invalid machine IP range ${range}`);
+        continue;
+      }
+      machineNetworks.addSubnet(address, parseInt(prefix || (type === "ipv6" ? "128" : "32"), 10), type);
+    }
+  }
+  return machineNetworks;
+}
+
+/**
+ * Whether an IP address belongs to a machine network
+ * @function isMachineIp
+ * @param {string} ip - Client IP address (IPv4-mapped IPv6 addresses are unwrapped)
+ * @returns {boolean} True for proxy and scanner addresses
+ */
+function isMachineIp(ip) {
+  const address = String(ip || "").replace(/^::ffff:/i, "");
+  if (!net.isIP(address)) {
+    return false;
+  }
+  return getMachineNetworks().check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/**
+ * Classify a request by its user agent and IP address
+ * @function classifyClient
+ * @param {string} userAgent - User-Agent header
+ * @param {string} ip - Client IP address
+ * @returns {string|null} Machine reason (user_agent, mpp_proxy or proxy_ip), or null for a person
+ */
+function classifyClient(userAgent, ip) {
+  const agent = String(userAgent || "").trim();
+
+  if (!agent || MACHINE_USER_AGENT_REGEX.test(agent)) {
+    return "user_agent";
+  }
+  if (isMachineIp(ip)) {
+    return agent === MPP_USER_AGENT ? "mpp_proxy" : "proxy_ip";
+  }
+  return null;
+}
+
+/**
+ * Get the seconds since an email was sent to a recipient
+ * @async
+ * @function getSecondsSinceSent
+ * @param {Object} email - { campaignId } or { workflowStepId }, and recipientId
+ * @returns {Promise<number|null>} Seconds since the email was sent, or null if unknown
+ */
+async function getSecondsSinceSent({ campaignId, workflowStepId, recipientId }) {
+  const { rows } = campaignId
+    ? await db.query(
+        `SELECT EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - sent_at)) AS seconds
+         FROM campaign_recipients WHERE campaign_id = $1 AND subscriber_id = $2 AND sent_at IS NOT NULL`,
+        [campaignId, recipientId]
+      )
+    : await db.query(
+        `SELECT EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - MAX(event_time))) AS seconds
+         FROM email_analytics WHERE workflow_step_id = $1 AND recipient_id = $2 AND event_type = 'sent'`,
+        [workflowStepId, recipientId]
+      );
+
+  return rows[0]?.seconds != null ? parseFloat(rows[0].seconds) : null;
+}
+
+/**
+ * Detect a click that completes a burst of clicks on every link of the email. The earlier clicks of the
+ * burst were recorded as human before the burst was complete, so they are reclassified.
+ * @async
+ * @function detectLinkBurst
+ * @param {Object} email - { campaignId } or { workflowStepId }, and recipientId
+ * @param {string} url - Clicked link
+ * @returns {Promise<boolean>} True if the click is part of a burst
+ */
+async function detectLinkBurst({ campaignId, workflowStepId, recipientId }, url) {
+  const scopeColumn = campaignId ? "campaign_id" : "workflow_step_id";
+  const scopeId = campaignId || workflowStepId;
+
+  const { rows } = await db.query(
+    `SELECT
+       (SELECT COUNT(DISTINCT url) FROM tracked_links WHERE ${scopeColumn} = $1) AS link_count,
+       (SELECT COUNT(DISTINCT link_clicked) FROM email_analytics
+        WHERE ${scopeColumn} = $1 AND recipient_id = $2 AND event_type = 'clicked' AND link_clicked <> $3
+          AND event_time > CURRENT_TIMESTAMP - make_interval(secs => $4)) AS recent_links`,
+    [scopeId, recipientId, url, LINK_BURST_WINDOW_SECONDS]
+  );
+
+  const linkCount = parseInt(rows[0].link_count) || 0;
+  if (linkCount < 2 || parseInt(rows[0].recent_links) + 1 < linkCount) {
+    return false;
+  }
+
+  await db.query(
+    `UPDATE email_analytics
+     SET additional_data = COALESCE(additional_data, '{}'::jsonb)
+       || '{"classification": "machine", "machine_reason": "link_burst"}'::jsonb
+     WHERE ${scopeColumn} = $1 AND recipient_id = $2 AND event_type = 'clicked'
+       AND event_time > CURRENT_TIMESTAMP - make_interval(secs => $3)`,
+    [scopeId, recipientId, LINK_BURST_WINDOW_SECONDS]
+  );
+  return true;
+}
+
+/**
+ * Classify an open or click as human or machine. Opens are judged by their user agent and IP address;
+ * clicks also count as machine events when they come within seconds of the send or hit every link of
+ * the email at once.
+ * @async
+ * @function classifyEvent
+ * @param {Object} event - Tracked event
+ * @param {string} event.eventType - opened or clicked
+ * @param {number} [event.campaignId] - Campaign that sent the email
+ * @param {number} [event.workflowStepId] - Workflow step that sent the email
+ * @param {number} event.recipientId - Subscriber ID
+ * @param {string} [event.url] - Clicked link
+ * @param {string} [event.userAgent] - User-Agent header
+ * @param {string} [event.ip] - Client IP address
+ * @returns {Promise<Object>} { classification: "human" } or { classification: "machine", machine_reason }
+ */
+async function classifyEvent({ eventType, campaignId = null, workflowStepId = null, recipientId, url = null, userAgent, ip }) {
+  let reason = classifyClient(userAgent, ip);
+
+  if (!reason && eventType === "clicked" && (campaignId || workflowStepId)) {
+    const secondsSinceSent = await getSecondsSinceSent({ campaignId, workflowStepId, recipientId });
+    if (secondsSinceSent !== null && secondsSinceSent < config.tracking.minClickDelaySeconds) {
+      reason = "early_click";
+    } else if (url && (await detectLinkBurst({ campaignId, workflowStepId, recipientId }, url))) {
+      reason = "link_burst";
+    }
+  }
+
+  return reason ? { classification: "machine", machine_reason: reason } : { classification: "human" };
+}
+
+module.exports = {
+  isMachineIp,
+  classifyClient,
+  classifyEvent,
+};
@@ -0,0 +1,46 @@
+/**
+ * @module services/list-membership-trigger
+ * @description Publishes subscriber changes that can move subscribers onto or off static mailing lists, so
+ * the mailing list consumer re-evaluates the lists for those subscribers only. Kept separate from the
+ * mailing list service so that the services changing subscribers (subscribers, tags, unsubscribes) don't
+ * depend on it.
+ */
+const logger = require("./logger.service");
+const queueService = require("./queue.service");
+const { QUEUE_NAMES } = require("../config");
+
+// Subscribers per message, so an import is re-evaluated in several smaller jobs
+const MAX_SUBSCRIBERS_PER_MESSAGE = 500;
+
+/**
+ * Publish subscribers whose list memberships are to be re-evaluated. Never throws: a failed refresh
+ * must not fail the request that changed the subscribers; regenerating a list catches up.
+ * @async
+ * @function emitMembershipRefresh
+ * @param {Array<number>} subscriberIds - Subscribers that were created, updated, tagged or imported
+ * @param {Object|null} [changes=null] - What changed, so only the lists filtering on it are re-evaluated; null
+ * when unknown or when the subscribers are new, which re-evaluates every static list
+ * @param {Array<string>} [changes.fields] - Changed subscriber columns; "metadata" for any metadata key
+ * @param {Array<number>} [changes.tagIds] - Tags assigned or removed
+ * @returns {Promise<void>}
+ */
+async function emitMembershipRefresh(subscriberIds, changes = null) {
+  const ids = [...new Set(subscriberIds)];
+
+  try {
+    for (let i = 0; i < ids.length; i += MAX_SUBSCRIBERS_PER_MESSAGE) {
+      await queueService.publishToQueue(QUEUE_NAMES.mailingList, {
+        type: "refresh_memberships",
+        subscriberIds: ids.slice(i, i + MAX_SUBSCRIBERS_PER_MESSAGE),
+        changes,
+        occurredAt: new Date().toISOString(),
+      });
+    }
+  } catch (error) {
+    logger.error(`Error queueing the list membership refresh of ${ids.length} subscribers:`, error);
+  }
+}
+
+module.exports = {
+  emitMembershipRefresh,
+};
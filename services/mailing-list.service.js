@@ -1,8 +1,12 @@
 /**
  * @module Services/MailingListService
- * @description Service for managing mailing lists and subscribers
+ * @description Service for managing mailing lists and subscribers. Static lists keep a snapshot of the
+ * subscribers matching their filter criteria in mailing_list_recipients; the members of dynamic lists are
+ * computed from the filter criteria whenever the list is read or sent to.
  */
 const db = require("../config/db");
+const redis = require("../config/redis");
+const config = require("../config");
 const logger = require("./logger.service");
 const { NotFoundError, ConflictResourceError, BadRequestError } = require("../utils/errors");
 
@@ -25,55 +29,52 @@ async function createMailingList(mailingListData, userId) {
     // Insert mailing list record
     const mailingListResult = await client.query(
       `INSERT INTO mailing_lists 
-      (name, description, source_type, filter_criteria, created_by, updated_by)
-      VALUES ($1, $2, $3, $4, $5, $5)
-      RETURNING id, name, description, source_type, filter_criteria, is_active, created_at`,
+      (name, description, source_type, list_type, set_operator, filter_criteria, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+      RETURNING id, name, description, source_type, list_type, set_operator, filter_criteria, is_active, created_at`,
       [
         mailingListData.name,
         mailingListData.description || null,
         "subscribers", // Currently only supporting subscribers as source
+        mailingListData.list_type || "static",
+        mailingListData.list_type === "composite" ? mailingListData.set_operator : null,
         JSON.stringify(mailingListData.filter_criteria || {}),
         userId,
       ]
     );
     const mailingList = mailingListResult.rows[0];
 
-    // Build query to find subscribers matching filter criteria
-    const { query, params } = buildFilterQuery(mailingListData.filter_criteria || {});
-
-    // Get subscribers that match the filter criteria
-    const subscribersResult = await client.query(query, params);
-    const subscribers = subscribersResult.rows;
-
-    // Insert recipients into mailing_list_recipients table
-    if (subscribers.length > 0) {
-      const insertPromises = subscribers.map((subscriber) =>
-        client.query(
-          `INSERT INTO mailing_list_recipients 
-          (mailing_list_id, recipient_type, recipient_id)
-          VALUES ($1, $2, $3)
-          ON CONFLICT (mailing_list_id, recipient_type, recipient_id) DO NOTHING`,
-          [mailingList.id, "subscriber", subscriber.id]
-        )
-      );
+    if (mailingList.list_type === "composite") {
+      await setComponents(client, mailingList.id, mailingListData.component_list_ids);
+    }
 
-      await Promise.all(insertPromises);
+    // Dynamic and composite lists are never materialized
+    if (mailingList.list_type !== "static") {
+      await client.query("COMMIT");
+      return {
+        ...mailingList,
+        ...(mailingList.list_type === "composite" && { components: await getComponents(mailingList.id) }),
+        recipientCount: await getRecipientCount(mailingList),
+      };
     }
 
+    // Add the subscribers matching the filter criteria
+    const { joined } = await syncRecipients(client, mailingList);
+
     // Commit the transaction
     await client.query("COMMIT");
 
     // Return the created mailing list with recipient count
     return {
       ...mailingList,
-      recipientCount: subscribers.length,
+      recipientCount: joined,
     };
   } catch (error) {
     await client.query("ROLLBACK");
     logger.error("Error creating mailing list:", error);
 
     if (error.code === "23505") {
-      throw new ConfictResource("A mailing list with this name already exists");
+      throw new ConflictResourceError("A mailing list with this name already exists");
     }
 
     throw error;
@@ -85,9 +86,10 @@ async function createMailingList(mailingListData, userId) {
 /**
  * Build a parameterized SQL query based on filter criteria
  * @param {Object} filterCriteria - Filter criteria from the request
+ * @param {number} [startParamIndex=1] - Index of the first parameter, to embed the query in a larger one
  * @returns {Object} - SQL query and parameters
  */
-function buildFilterQuery(filterCriteria) {
+function buildFilterQuery(filterCriteria, startParamIndex = 1) {
   // Start with base query that gets all active subscribers
   let query = `
     SELECT s.* 
@@ -96,7 +98,7 @@ function buildFilterQuery(filterCriteria) {
   `;
 
   const params = [];
-  let paramIndex = 1;
+  let paramIndex = startParamIndex;
 
   // Process tag filtering if present
   if (filterCriteria.tags && filterCriteria.tags.length > 0) {
@@ -178,6 +180,81 @@ function buildFilterCondition(filter, startParamIndex, params) {
   return { sql, nextParamIndex: paramIndex };
 }
 
+// Units of the values of relative date operators ({ amount, unit }), as make_interval arguments
+const RELATIVE_DATE_UNITS = { days: "days", weeks: "weeks", months: "months" };
+
+// Date operators relative to the time the filter runs, so their matches change from day to day
+const RELATIVE_DATE_OPERATORS = ["in_last", "not_in_last", "in_next", "before_relative", "anniversary_within"];
+
+// Behavioral fields filter on the email events of subscribers, by the event type they stand for
+const BEHAVIOR_FIELDS = { "email.received": "sent", "email.opened": "opened", "email.clicked": "clicked" };
+
+/**
+ * Build SQL condition for a behavioral rule over the email events of subscribers: ever or never, in a
+ * campaign, within the last days, more or fewer than a number of times, or (clicks) on a link containing
+ * a string. Machine opens and clicks (see services/event-classification) do not count.
+ * @param {Object} rule - Rule with a behavioral field (email.received, email.opened or email.clicked), operator and value
+ * @param {number} startParamIndex - Starting parameter index
+ * @param {Array} params - Array of parameters to append to
+ * @returns {string} - SQL condition fragment
+ */
+function buildBehaviorCondition(rule, startParamIndex, params) {
+  const { field, operator, value } = rule;
+  const eventType = BEHAVIOR_FIELDS[field];
+  const paramIndex = startParamIndex;
+
+  const events = (select) => `SELECT ${select} FROM email_analytics ea
+    WHERE ea.recipient_id = s.id AND ea.event_type = '${eventType}'
+    ${eventType === "sent" ? "" : "AND (ea.additional_data->>'classification') IS DISTINCT FROM 'machine'"}`;
+
+  switch (operator) {
+    case "ever":
+      return `EXISTS (${events("1")})`;
+
+    case "never":
+      return `NOT EXISTS (${events("1")})`;
+
+    case "in_campaign":
+      params.push(value);
+      return `EXISTS (${events("1")} AND ea.campaign_id = $${paramIndex})`;
+
+    case "within_days":
+      params.push(value);
+      return `EXISTS (${events("1")} AND ea.event_time > CURRENT_TIMESTAMP - make_interval(days => $${paramIndex}))`;
+
+    case "link_contains":
+      params.push(`%${value}%`);
+      return `EXISTS (${events("1")} AND ea.link_clicked ILIKE $${paramIndex})`;
+
+    // value is { count, days }; without days every event counts
+    case "count_gt":
+    case "count_lt":
+      params.push(value.count, value.days ?? null);
+      return `(${events("COUNT(*)")}
+        AND ($${paramIndex + 1}::int IS NULL OR ea.event_time > CURRENT_TIMESTAMP - make_interval(days => $${paramIndex + 1}::int))
+      ) ${operator === "count_gt" ? ">" : "<"} $${paramIndex}`;
+
+    default:
+      // Unknown operator, return empty string
+      return "";
+  }
+}
+
+// Subscriber columns filters can use directly; other fields are metadata keys
+const STANDARD_FIELDS = [
+  "id",
+  "email",
+  "name",
+  "date_of_birth",
+  "is_active",
+  "subscribed_at",
+  "unsubscribed_at",
+  "created_at",
+  "updated_at",
+  "engagement_score",
+  "last_engaged_at",
+];
+
 /**
  * Build SQL condition for a specific field based on field and operator
  * @param {Object} rule - Field rule object with field, operator, and value
@@ -189,21 +266,14 @@ function buildFieldCondition(rule, startParamIndex, params) {
   const { field, operator, value } = rule;
   let paramIndex = startParamIndex;
 
+  if (BEHAVIOR_FIELDS[field]) {
+    return buildBehaviorCondition(rule, startParamIndex, params);
+  }
+
   // Determine if this is a standard field or a metadata field
-  const standardFields = [
-    "id",
-    "email",
-    "name",
-    "date_of_birth",
-    "is_active",
-    "subscribed_at",
-    "unsubscribed_at",
-    "created_at",
-    "updated_at",
-  ];
   let fieldExpression;
 
-  if (standardFields.includes(field)) {
+  if (STANDARD_FIELDS.includes(field)) {
     fieldExpression = `s.${field}`;
   } else if (field.startsWith("metadata.")) {
     // Extract the metadata key
@@ -249,7 +319,10 @@ function buildFieldCondition(rule, startParamIndex, params) {
     case "not_in":
       const notInPlaceholders = value.map((_, i) => `$${paramIndex + i}`).join(", ");
       params.push(...value);
-      return `${fieldExpression} NOT IN (${notInPlaceholders})`; // Numeric and date comparison operators    case "gt":
+      return `${fieldExpression} NOT IN (${notInPlaceholders})`;
+
+    // Numeric and date comparison operators
+    case "gt":
       params.push(value);
 
       if (isDateField(field, value)) {
@@ -337,6 +410,34 @@ function buildFieldCondition(rule, startParamIndex, params) {
       params.push(value);
       return `EXTRACT(YEAR FROM ${fieldExpression}::timestamp) = $${paramIndex}`;
 
+    // Relative date operators, evaluated against the time the filter runs (regeneration or send time)
+    case "in_last":
+    case "not_in_last":
+    case "in_next":
+    case "before_relative":
+    case "anniversary_within": {
+      params.push(value.amount);
+      const interval = `make_interval(${RELATIVE_DATE_UNITS[value.unit] || "days"} => $${paramIndex})`;
+      const date = `(${fieldExpression})::timestamp`;
+
+      if (operator === "in_last") {
+        return `${date} BETWEEN CURRENT_TIMESTAMP - ${interval} AND CURRENT_TIMESTAMP`;
+      }
+      if (operator === "not_in_last") {
+        return `NOT COALESCE(${date} BETWEEN CURRENT_TIMESTAMP - ${interval} AND CURRENT_TIMESTAMP, FALSE)`;
+      }
+      if (operator === "in_next") {
+        return `${date} BETWEEN CURRENT_TIMESTAMP AND CURRENT_TIMESTAMP + ${interval}`;
+      }
+      if (operator === "before_relative") {
+        return `${date} < CURRENT_TIMESTAMP - ${interval}`;
+      }
+      // The next anniversary from today on: the one after the last anniversary up to yesterday
+      const nextAnniversary = `((${fieldExpression})::date
+        + make_interval(years => (EXTRACT(YEAR FROM AGE(CURRENT_DATE - 1, (${fieldExpression})::date)) + 1)::int))`;
+      return `${nextAnniversary} <= CURRENT_DATE + ${interval}`;
+    }
+
     // Boolean operators
     case "null":
       return `${fieldExpression} IS NULL`;
@@ -394,7 +495,7 @@ function buildFieldCondition(rule, startParamIndex, params) {
  */
 function isDateField(field, value) {
   // Standard date fields
-  const standardDateFields = ["subscribed_at", "unsubscribed_at", "created_at", "updated_at", "date_of_birth"];
+  const standardDateFields = ["subscribed_at", "unsubscribed_at", "created_at", "updated_at", "date_of_birth", "last_engaged_at"];
 
   // Field name patterns that indicate a date
   const isDateFieldPattern = field.endsWith("_date") || field.endsWith("_at") || field.endsWith("_time");
@@ -411,7 +512,14 @@ function isDateField(field, value) {
  * @returns {number} - Number of parameters
  */
 function countParamsForField(rule) {
-  const { operator, value } = rule;
+  const { field, operator, value } = rule;
+
+  if (BEHAVIOR_FIELDS[field]) {
+    if (operator === "count_gt" || operator === "count_lt") {
+      return 2;
+    }
+    return operator === "ever" || operator === "never" ? 0 : 1;
+  }
 
   switch (operator) {
     case "null":
@@ -432,6 +540,388 @@ function countParamsForField(rule) {
   }
 }
 
+// SQL operator of each set operator of composite lists
+const SET_OPERATORS = { union: "UNION", intersect: "INTERSECT", except: "EXCEPT" };
+
+/**
+ * Load mailing lists together with every list their composite lists are made of, directly or through other
+ * composite lists
+ * @param {Array<number>} ids - Mailing list IDs
+ * @param {Object} [queryable=db] - Database client or pool, to see changes of the caller's transaction
+ * @returns {Promise<Map>} - Mailing list rows (id, list_type, set_operator, filter_criteria, components) by ID,
+ * with components holding the IDs of the component lists in order
+ */
+async function loadListGraph(ids, queryable = db) {
+  const { rows } = await queryable.query(
+    `WITH RECURSIVE graph AS (
+       SELECT unnest($1::int[]) AS id
+       UNION
+       SELECT mlc.component_list_id FROM mailing_list_components mlc JOIN graph ON graph.id = mlc.mailing_list_id
+     )
+     SELECT ml.id, ml.list_type, ml.set_operator, ml.filter_criteria,
+            COALESCE(array_agg(mlc.component_list_id ORDER BY mlc.position) FILTER (WHERE mlc.component_list_id IS NOT NULL), '{}')
+              AS components
+     FROM mailing_lists ml
+     JOIN graph ON graph.id = ml.id
+     LEFT JOIN mailing_list_components mlc ON mlc.mailing_list_id = ml.id
+     GROUP BY ml.id`,
+    [ids]
+  );
+
+  return new Map(rows.map((row) => [row.id, row]));
+}
+
+/**
+ * Build a query selecting the subscriber IDs of a mailing list: the snapshot of a static list, the
+ * subscribers currently matching the filter criteria of a dynamic list, or the set operation over the
+ * components of a composite list
+ * @param {Object} mailingList - Mailing list row (id, list_type, filter_criteria)
+ * @param {number} [startParamIndex=1] - Index of the first parameter, to embed the query in a larger one
+ * @param {Map} [listGraph] - Lists loaded by loadListGraph, required to resolve composite lists
+ * @param {Array<number>} [path] - Composite lists being resolved around this one, to detect cycles
+ * @returns {Object} - SQL query selecting an id column, and its parameters
+ * @throws {BadRequestError} - If a composite list contains itself
+ */
+function buildMembersQuery(mailingList, startParamIndex = 1, listGraph = new Map(), path = []) {
+  if (mailingList.list_type === "dynamic") {
+    const { query, params } = buildFilterQuery(mailingList.filter_criteria || {}, startParamIndex);
+    return { query: `SELECT members.id FROM (${query}) AS members`, params };
+  }
+
+  if (mailingList.list_type === "composite") {
+    if (path.includes(mailingList.id)) {
+      throw new BadRequestError(`Mailing list composition has a cycle: ${[...path, mailingList.id].join(" > ")}`);
+    }
+
+    // The operator and components come from the graph; callers may pass rows without them
+    const { set_operator: setOperator, components } = listGraph.get(mailingList.id) || { components: [] };
+    const queries = [];
+    const params = [];
+
+    for (const componentId of components) {
+      const component = listGraph.get(componentId);
+      const members = buildMembersQuery(component, startParamIndex + params.length, listGraph, [...path, mailingList.id]);
+      queries.push(`SELECT c${queries.length}.id FROM (${members.query}) AS c${queries.length}`);
+      params.push(...members.params);
+    }
+
+    if (queries.length === 0) {
+      return { query: "SELECT NULL::int AS id WHERE FALSE", params };
+    }
+
+    // Set operators of one kind apply left to right, so except removes every later component from the first
+    return { query: `SELECT members.id FROM (${queries.join(` ${SET_OPERATORS[setOperator]} `)}) AS members`, params };
+  }
+
+  return {
+    query: `SELECT mlr.recipient_id AS id FROM mailing_list_recipients mlr
+            WHERE mlr.mailing_list_id = $${startParamIndex} AND mlr.recipient_type = 'subscriber'`,
+    params: [mailingList.id],
+  };
+}
+
+/**
+ * Build a query selecting the distinct subscriber IDs of several mailing lists, resolving composite lists
+ * @param {Array<Object>} mailingLists - Mailing list rows (id, list_type, filter_criteria)
+ * @param {number} [startParamIndex=1] - Index of the first parameter, to embed the query in a larger one
+ * @returns {Promise<Object>} - SQL query selecting an id column, and its parameters
+ * @throws {BadRequestError} - If a composite list contains itself
+ */
+async function buildListsMembersQuery(mailingLists, startParamIndex = 1) {
+  const composites = mailingLists.filter((mailingList) => mailingList.list_type === "composite");
+  const listGraph = composites.length > 0 ? await loadListGraph(composites.map((mailingList) => mailingList.id)) : new Map();
+  const queries = [];
+  const params = [];
+
+  for (const mailingList of mailingLists) {
+    const members = buildMembersQuery(mailingList, startParamIndex + params.length, listGraph);
+    queries.push(members.query);
+    params.push(...members.params);
+  }
+
+  // A query without rows keeps callers valid for campaigns without lists
+  return { query: queries.length > 0 ? queries.join(" UNION ") : "SELECT NULL::int AS id WHERE FALSE", params };
+}
+
+/**
+ * Bring the snapshot of a static list up to date: subscribers matching its filter criteria who are not on
+ * the list join it, members who no longer match leave it, and both are recorded in
+ * mailing_list_membership_events. Runs as a single set-based statement.
+ * @param {Object} queryable - Database client or pool, so the sync can join the caller's transaction
+ * @param {Object} mailingList - Mailing list row (id, filter_criteria)
+ * @param {Array<number>|null} [subscriberIds=null] - Only re-evaluate these subscribers; null re-evaluates everyone
+ * @returns {Promise<Object>} - { joined, left } numbers of subscribers
+ */
+async function syncRecipients(queryable, mailingList, subscriberIds = null) {
+  const { query, params } = buildFilterQuery(mailingList.filter_criteria || {});
+  const listParam = `$${params.length + 1}::int`;
+  const idsParam = `$${params.length + 2}::int[]`;
+
+  const { rows } = await queryable.query(
+    `WITH matching AS (
+       SELECT filtered.id FROM (${query}) AS filtered
+       WHERE ${idsParam} IS NULL OR filtered.id = ANY(${idsParam})
+     ),
+     joined AS (
+       INSERT INTO mailing_list_recipients (mailing_list_id, recipient_type, recipient_id)
+       SELECT ${listParam}, 'subscriber', matching.id FROM matching
+       ON CONFLICT (mailing_list_id, recipient_type, recipient_id) DO NOTHING
+       RETURNING recipient_id
+     ),
+     left_list AS (
+       DELETE FROM mailing_list_recipients mlr
+       WHERE mlr.mailing_list_id = ${listParam}
+       AND mlr.recipient_type = 'subscriber'
+       AND (${idsParam} IS NULL OR mlr.recipient_id = ANY(${idsParam}))
+       AND NOT EXISTS (SELECT 1 FROM matching WHERE matching.id = mlr.recipient_id)
+       RETURNING recipient_id
+     ),
+     membership_events AS (
+       INSERT INTO mailing_list_membership_events (mailing_list_id, subscriber_id, action)
+       SELECT ${listParam}, recipient_id, 'joined' FROM joined
+       UNION ALL
+       SELECT ${listParam}, recipient_id, 'left' FROM left_list
+     )
+     SELECT (SELECT COUNT(*) FROM joined) AS joined_count, (SELECT COUNT(*) FROM left_list) AS left_count`,
+    [...params, mailingList.id, subscriberIds]
+  );
+
+  return { joined: parseInt(rows[0].joined_count, 10), left: parseInt(rows[0].left_count, 10) };
+}
+
+/**
+ * Check whether a filter uses relative date operators
+ * @param {Object} filter - Filter group or rule
+ * @returns {boolean} - True if any rule is relative to the current date
+ */
+function hasRelativeDateRules(filter) {
+  if (!filter) {
+    return false;
+  }
+  if (filter.condition === "not") {
+    return hasRelativeDateRules(filter.rule);
+  }
+  if (filter.condition) {
+    return (filter.rules || []).some(hasRelativeDateRules);
+  }
+  return RELATIVE_DATE_OPERATORS.includes(filter.operator);
+}
+
+/**
+ * Bring the snapshots of static lists filtering on relative dates up to date, including those inside
+ * composite lists. Their matches change with the date alone, so they are re-evaluated before a send.
+ * @param {Array<number>} ids - Mailing list IDs
+ * @returns {Promise<number>} - Number of lists brought up to date
+ */
+async function syncRelativeDateLists(ids) {
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  let synced = 0;
+  for (const mailingList of (await loadListGraph(ids)).values()) {
+    if (mailingList.list_type === "static" && hasRelativeDateRules(mailingList.filter_criteria?.filter)) {
+      const { joined, left } = await syncRecipients(db, mailingList);
+      logger.info(`Mailing list ${mailingList.id} re-evaluated for relative dates: ${joined} joined, ${left} left`);
+      synced++;
+    }
+  }
+
+  return synced;
+}
+
+/**
+ * Collect the subscriber columns a filter reads, with "metadata" standing for every metadata key
+ * @param {Object} filter - Filter group or rule
+ * @param {Set<string>} [columns] - Set to add the columns to
+ * @returns {Set<string>} - The columns
+ */
+function collectFilterColumns(filter, columns = new Set()) {
+  if (!filter) {
+    return columns;
+  }
+  if (filter.condition === "not") {
+    return collectFilterColumns(filter.rule, columns);
+  }
+  if (filter.condition) {
+    (filter.rules || []).forEach((rule) => collectFilterColumns(rule, columns));
+  } else if (filter.field && !BEHAVIOR_FIELDS[filter.field]) {
+    columns.add(STANDARD_FIELDS.includes(filter.field) ? filter.field : "metadata");
+  }
+  return columns;
+}
+
+/**
+ * Check whether subscriber changes can move subscribers onto or off a list with these filter criteria.
+ * Every list only holds active subscribers, so a change of is_active concerns all of them.
+ * @param {Object} filterCriteria - Filter criteria of the list (tags and filter)
+ * @param {Object|null} changes - { fields, tagIds } that changed; null when unknown
+ * @returns {boolean} - True if the list has to be re-evaluated
+ */
+function isAffectedByChanges(filterCriteria, changes) {
+  if (!changes) {
+    return true;
+  }
+
+  const fields = changes.fields || [];
+  if (fields.includes("is_active")) {
+    return true;
+  }
+
+  const tagIds = changes.tagIds || [];
+  if ((filterCriteria?.tags || []).some((tagId) => tagIds.includes(tagId))) {
+    return true;
+  }
+
+  const columns = collectFilterColumns(filterCriteria?.filter);
+  return fields.some((field) => columns.has(field));
+}
+
+/**
+ * Re-evaluate the static lists for subscribers who were created, updated, tagged or imported, so the
+ * snapshots follow subscriber changes without regenerating whole lists. Dynamic lists need nothing.
+ * When the changes are known, only the lists filtering on the changed fields or tags are re-evaluated;
+ * new subscribers and unknown changes re-evaluate every static list, one statement per list, so each
+ * message of an import with new subscribers costs one evaluation per static list.
+ * @param {Array<number>} subscriberIds - Subscriber IDs
+ * @param {Object|null} [changes=null] - { fields, tagIds } that changed (see services/list-membership-trigger)
+ * @returns {Promise<Object>} - { joined, left } numbers of memberships across all lists
+ */
+async function refreshSubscriberMemberships(subscriberIds, changes = null) {
+  const totals = { joined: 0, left: 0 };
+  if (subscriberIds.length === 0) {
+    return totals;
+  }
+
+  const { rows: mailingLists } = await db.query(
+    `SELECT id, filter_criteria FROM mailing_lists
+     WHERE list_type = 'static' AND is_active = TRUE AND is_deleted = FALSE
+     ORDER BY id`
+  );
+
+  for (const mailingList of mailingLists.filter((list) => isAffectedByChanges(list.filter_criteria, changes))) {
+    const { joined, left } = await syncRecipients(db, mailingList, subscriberIds);
+    totals.joined += joined;
+    totals.left += left;
+  }
+
+  return totals;
+}
+
+/**
+ * Replace the component lists of a composite list
+ * @param {Object} client - Database client of the caller's transaction
+ * @param {number} id - Composite mailing list ID
+ * @param {Array<number>} componentListIds - Component list IDs, in the order the set operator applies to them
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} - If a component list does not exist
+ * @throws {BadRequestError} - If the list would contain itself, directly or through other composite lists
+ */
+async function setComponents(client, id, componentListIds) {
+  const { rows } = await client.query("SELECT id FROM mailing_lists WHERE id = ANY($1::int[]) AND is_deleted = FALSE", [
+    componentListIds,
+  ]);
+  const missingIds = componentListIds.filter((componentId) => !rows.some((row) => row.id === componentId));
+  if (missingIds.length > 0) {
+    throw new NotFoundError(`Component mailing lists not found: ${missingIds.join(", ")}`);
+  }
+
+  await client.query("DELETE FROM mailing_list_components WHERE mailing_list_id = $1", [id]);
+  await client.query(
+    `INSERT INTO mailing_list_components (mailing_list_id, component_list_id, position)
+     SELECT $1, component.id, component.position
+     FROM unnest($2::int[]) WITH ORDINALITY AS component(id, position)`,
+    [id, componentListIds]
+  );
+
+  // A list reachable from its own components would make its members depend on themselves
+  const { rows: cycles } = await client.query(
+    `WITH RECURSIVE reachable AS (
+       SELECT component_list_id AS id FROM mailing_list_components WHERE mailing_list_id = $1
+       UNION
+       SELECT mlc.component_list_id FROM mailing_list_components mlc JOIN reachable r ON r.id = mlc.mailing_list_id
+     )
+     SELECT 1 FROM reachable WHERE id = $1`,
+    [id]
+  );
+  if (cycles.length > 0) {
+    throw new BadRequestError("A composite mailing list cannot contain itself, directly or through other composite lists");
+  }
+}
+
+/**
+ * Get the component lists of a composite list
+ * @param {number} id - Composite mailing list ID
+ * @returns {Promise<Array<Object>>} - Component lists (id, name, list_type) in order
+ */
+async function getComponents(id) {
+  const { rows } = await db.query(
+    `SELECT ml.id, ml.name, ml.list_type
+     FROM mailing_list_components mlc
+     JOIN mailing_lists ml ON ml.id = mlc.component_list_id
+     WHERE mlc.mailing_list_id = $1
+     ORDER BY mlc.position`,
+    [id]
+  );
+  return rows;
+}
+
+/**
+ * Build the Redis key of the cached recipient count of a dynamic or composite list
+ * @param {number} id - Mailing list ID
+ * @returns {string} - Cache key
+ */
+const recipientCountCacheKey = (id) => `mailing-list:${id}:recipient-count`;
+
+/**
+ * Count the recipients of a mailing list. Counts of dynamic and composite lists are resolved by running their
+ * queries, so they are cached for a short while; Redis errors only cost the cache.
+ * @param {Object} mailingList - Mailing list row (id, list_type, filter_criteria)
+ * @returns {Promise<number>} - Recipient count
+ */
+async function getRecipientCount(mailingList) {
+  const ttl = config.mailingLists.countCacheTtlSeconds;
+  const useCache = mailingList.list_type !== "static" && ttl > 0;
+
+  if (useCache) {
+    try {
+      const cached = await redis.get(recipientCountCacheKey(mailingList.id));
+      if (cached !== null) {
+        return parseInt(cached, 10);
+      }
+    } catch (error) {
+      logger.warn(`Could not read the cached recipient count of mailing list ${mailingList.id}: ${error.message}`);
+    }
+  }
+
+  const { query, params } = await buildListsMembersQuery([mailingList]);
+  const countResult = await db.query(`SELECT COUNT(*) AS count FROM (${query}) AS recipients`, params);
+  const count = parseInt(countResult.rows[0].count, 10);
+
+  if (useCache) {
+    try {
+      await redis.set(recipientCountCacheKey(mailingList.id), String(count), ttl);
+    } catch (error) {
+      logger.warn(`Could not cache the recipient count of mailing list ${mailingList.id}: ${error.message}`);
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Drop the cached recipient count of a mailing list after its filter or type changed
+ * @param {number} id - Mailing list ID
+ * @returns {Promise<void>}
+ */
+async function invalidateRecipientCount(id) {
+  try {
+    await redis.del(recipientCountCacheKey(id));
+  } catch (error) {
+    logger.warn(`Could not drop the cached recipient count of mailing list ${id}: ${error.message}`);
+  }
+}
+
 /**
  * Get mailing list by ID with recipient count
  * @param {number} id - Mailing list ID
@@ -453,18 +943,11 @@ async function getMailingListById(id) {
 
   const mailingList = mailingListResult.rows[0];
 
-  // Get recipient count
-  const countResult = await db.query(
-    `SELECT COUNT(*) as count
-     FROM mailing_list_recipients
-     WHERE mailing_list_id = $1`,
-    [id]
-  );
-
   // Return combined result
   return {
     ...mailingList,
-    recipientCount: parseInt(countResult.rows[0].count),
+    ...(mailingList.list_type === "composite" && { components: await getComponents(mailingList.id) }),
+    recipientCount: await getRecipientCount(mailingList),
   };
 }
 
@@ -534,6 +1017,13 @@ async function listMailingLists(queryParams) {
   const totalCount = parseInt(countResult.rows[0].count);
   const totalPages = Math.ceil(totalCount / limit);
 
+  // Dynamic and composite lists have no snapshot to count
+  for (const mailingList of result.rows) {
+    if (mailingList.list_type !== "static") {
+      mailingList.recipient_count = String(await getRecipientCount(mailingList));
+    }
+  }
+
   return {
     data: result.rows,
     pagination: {
@@ -589,6 +1079,19 @@ async function updateMailingList(id, updateData, userId) {
       params.push(updateData.is_active);
     }
 
+    if (updateData.list_type !== undefined) {
+      updates.push(`list_type = $${paramIndex++}`);
+      params.push(updateData.list_type);
+    }
+
+    // Only composite lists have a set operator
+    if (updateData.list_type !== undefined && updateData.list_type !== "composite") {
+      updates.push("set_operator = NULL");
+    } else if (updateData.set_operator !== undefined) {
+      updates.push(`set_operator = $${paramIndex++}`);
+      params.push(updateData.set_operator);
+    }
+
     updates.push("updated_by = $2"); // userId is already $2
     updates.push("updated_at = NOW()");
 
@@ -597,61 +1100,56 @@ async function updateMailingList(id, updateData, userId) {
       UPDATE mailing_lists
       SET ${updates.join(", ")}
       WHERE id = $1
-      RETURNING id, name, description, source_type, filter_criteria, is_active, created_at, updated_at
+      RETURNING id, name, description, source_type, list_type, set_operator, filter_criteria, is_active, created_at, updated_at
     `;
 
     const updateResult = await client.query(updateQuery, params);
-    const updatedMailingList = updateResult.rows[0]; // If filter criteria is updated, we need to update recipients
-    if (updateData.filter_criteria) {
-      // Validate tag IDs if provided
-      if (updateData.filter_criteria.tags) {
-        await validateTagIds(updateData.filter_criteria.tags);
-      }
+    const updatedMailingList = updateResult.rows[0];
 
-      // Delete all existing recipients
-      await client.query("DELETE FROM mailing_list_recipients WHERE mailing_list_id = $1", [id]);
-
-      // Build query to find subscribers matching new filter criteria
-      const { query, params: filterParams } = buildFilterQuery(updateData.filter_criteria);
-
-      // Get subscribers that match the new filter criteria
-      const subscribersResult = await client.query(query, filterParams);
-      const subscribers = subscribersResult.rows;
-
-      // Insert new recipients
-      if (subscribers.length > 0) {
-        const insertPromises = subscribers.map((subscriber) =>
-          client.query(
-            `INSERT INTO mailing_list_recipients 
-            (mailing_list_id, recipient_type, recipient_id)
-            VALUES ($1, $2, $3)
-            ON CONFLICT (mailing_list_id, recipient_type, recipient_id) DO NOTHING`,
-            [id, "subscriber", subscriber.id]
-          )
-        );
-
-        await Promise.all(insertPromises);
+    if (updatedMailingList.list_type === "composite") {
+      if (updateData.component_list_ids !== undefined) {
+        await setComponents(client, id, updateData.component_list_ids);
       }
 
-      // Get the updated recipient count
-      const countResult = await client.query("SELECT COUNT(*) as count FROM mailing_list_recipients WHERE mailing_list_id = $1", [id]);
-
-      updatedMailingList.recipientCount = parseInt(countResult.rows[0].count);
+      // A list turned composite needs its operator and components in the same update
+      const { rows: components } = await client.query("SELECT COUNT(*) AS count FROM mailing_list_components WHERE mailing_list_id = $1", [
+        id,
+      ]);
+      if (!updatedMailingList.set_operator || parseInt(components[0].count, 10) < 2) {
+        throw new BadRequestError("A composite mailing list needs a set operator and at least two component lists");
+      }
     } else {
-      // Just get the current recipient count
-      const countResult = await client.query("SELECT COUNT(*) as count FROM mailing_list_recipients WHERE mailing_list_id = $1", [id]);
+      await client.query("DELETE FROM mailing_list_components WHERE mailing_list_id = $1", [id]);
+    }
 
-      updatedMailingList.recipientCount = parseInt(countResult.rows[0].count);
+    // Validate tag IDs if provided
+    if (updateData.filter_criteria && updateData.filter_criteria.tags) {
+      await validateTagIds(updateData.filter_criteria.tags);
+    }
+
+    // If the filter criteria or list type changed, the snapshot of recipients is brought up to date (static) or dropped (others)
+    if (updateData.filter_criteria || updateData.list_type !== undefined) {
+      if (updatedMailingList.list_type === "static") {
+        Object.assign(updatedMailingList, await syncRecipients(client, updatedMailingList));
+      } else {
+        await client.query("DELETE FROM mailing_list_recipients WHERE mailing_list_id = $1", [id]);
+      }
     }
 
     await client.query("COMMIT");
+    await invalidateRecipientCount(id);
+
+    if (updatedMailingList.list_type === "composite") {
+      updatedMailingList.components = await getComponents(id);
+    }
+    updatedMailingList.recipientCount = await getRecipientCount(updatedMailingList);
     return updatedMailingList;
   } catch (error) {
     await client.query("ROLLBACK");
     logger.error("Error updating mailing list:", error);
 
     if (error.code === "23505") {
-      throw new ConfictResource("A mailing list with this name already exists");
+      throw new ConflictResourceError("A mailing list with this name already exists");
     }
 
     throw error;
@@ -674,6 +1172,19 @@ async function deleteMailingList(id, userId) {
     throw new NotFoundError("Mailing list not found");
   }
 
+  // Composite lists would silently change their members
+  const { rows: composites } = await db.query(
+    `SELECT ml.name FROM mailing_list_components mlc
+     JOIN mailing_lists ml ON ml.id = mlc.mailing_list_id
+     WHERE mlc.component_list_id = $1 AND ml.is_deleted = FALSE`,
+    [id]
+  );
+  if (composites.length > 0) {
+    throw new ConflictResourceError(
+      `Mailing list is part of composite lists ${composites.map((composite) => composite.name).join(", ")}; remove it from them first`
+    );
+  }
+
   // Soft delete the mailing list
   await db.query(
     `UPDATE mailing_lists 
@@ -695,7 +1206,10 @@ async function deleteMailingList(id, userId) {
  */
 async function getMailingListRecipients(id, queryParams) {
   // Check if mailing list exists
-  const mailingListResult = await db.query("SELECT id, name FROM mailing_lists WHERE id = $1 AND is_deleted = FALSE", [id]);
+  const mailingListResult = await db.query(
+    "SELECT id, name, list_type, filter_criteria FROM mailing_lists WHERE id = $1 AND is_deleted = FALSE",
+    [id]
+  );
 
   if (mailingListResult.rows.length === 0) {
     throw new NotFoundError("Mailing list not found");
@@ -706,6 +1220,33 @@ async function getMailingListRecipients(id, queryParams) {
   const limit = Number(queryParams.limit) || 10;
   const offset = (page - 1) * limit;
 
+  const { filter_criteria: filterCriteria, ...mailingList } = mailingListResult.rows[0];
+
+  // Dynamic and composite lists are resolved on every read
+  if (mailingList.list_type !== "static") {
+    const { query, params } = await buildListsMembersQuery([{ ...mailingList, filter_criteria: filterCriteria }]);
+    const recipientsResult = await db.query(
+      `SELECT s.*, 'subscriber' AS recipient_type
+       FROM subscribers s
+       WHERE s.id IN (${query})
+       ORDER BY s.email
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    const totalCount = await getRecipientCount({ ...mailingList, filter_criteria: filterCriteria });
+
+    return {
+      mailingList,
+      data: recipientsResult.rows,
+      pagination: {
+        page,
+        limit,
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+      },
+    };
+  }
+
   // Create the SQL query for getting recipients
   const recipientsQuery = `
     SELECT s.*, mlr.recipient_type
@@ -737,7 +1278,7 @@ async function getMailingListRecipients(id, queryParams) {
   const totalPages = Math.ceil(totalCount / limit);
 
   return {
-    mailingList: mailingListResult.rows[0],
+    mailingList,
     data: recipientsResult.rows,
     pagination: {
       page,
@@ -751,7 +1292,7 @@ async function getMailingListRecipients(id, queryParams) {
 /**
  * Regenerate recipients for a mailing list based on current filter criteria
  * @param {number} id - Mailing list ID
- * @returns {Promise<Object>} - Updated mailing list with recipient count
+ * @returns {Promise<Object>} - Updated mailing list with recipient count, and how many subscribers joined and left
  */
 async function regenerateRecipients(id) {
   const client = await db.getClient();
@@ -760,9 +1301,7 @@ async function regenerateRecipients(id) {
     await client.query("BEGIN");
 
     // Check if mailing list exists and get filter criteria
-    const mailingListResult = await client.query("SELECT id, filter_criteria FROM mailing_lists WHERE id = $1 AND is_deleted = FALSE", [
-      id,
-    ]);
+    const mailingListResult = await client.query("SELECT * FROM mailing_lists WHERE id = $1 AND is_deleted = FALSE", [id]);
 
     if (mailingListResult.rows.length === 0) {
       throw new NotFoundError("Mailing list not found");
@@ -770,35 +1309,20 @@ async function regenerateRecipients(id) {
     const mailingList = mailingListResult.rows[0];
     const filterCriteria = mailingList.filter_criteria;
 
+    // Dynamic and composite lists have no snapshot to rebuild; only their cached recipient count is refreshed
+    if (mailingList.list_type !== "static") {
+      await client.query("COMMIT");
+      await invalidateRecipientCount(id);
+      return { ...mailingList, recipient_count: String(await getRecipientCount(mailingList)) };
+    }
+
     // Validate tag IDs if they exist in the filter criteria
     if (filterCriteria && filterCriteria.tags) {
       await validateTagIds(filterCriteria.tags);
     }
 
-    // Delete all existing recipients
-    await client.query("DELETE FROM mailing_list_recipients WHERE mailing_list_id = $1", [id]);
-
-    // Build query to find subscribers matching filter criteria
-    const { query, params } = buildFilterQuery(filterCriteria);
-
-    // Get subscribers that match the filter criteria
-    const subscribersResult = await client.query(query, params);
-    const subscribers = subscribersResult.rows;
-
-    // Insert new recipients
-    if (subscribers.length > 0) {
-      const insertPromises = subscribers.map((subscriber) =>
-        client.query(
-          `INSERT INTO mailing_list_recipients 
-          (mailing_list_id, recipient_type, recipient_id)
-          VALUES ($1, $2, $3)
-          ON CONFLICT (mailing_list_id, recipient_type, recipient_id) DO NOTHING`,
-          [id, "subscriber", subscriber.id]
-        )
-      );
-
-      await Promise.all(insertPromises);
-    }
+    // Add the subscribers now matching the filter criteria and remove those who no longer do
+    const { joined, left } = await syncRecipients(client, mailingList);
 
     // Get updated information
     const updatedResult = await client.query(
@@ -811,7 +1335,7 @@ async function regenerateRecipients(id) {
 
     await client.query("COMMIT");
 
-    return updatedResult.rows[0];
+    return { ...updatedResult.rows[0], joined, left };
   } catch (error) {
     await client.query("ROLLBACK");
     logger.error("Error regenerating recipients:", error);
@@ -952,5 +1476,9 @@ module.exports = {
   regenerateRecipients,
   validateTagIds,
   previewFilterResults,
+  buildMembersQuery,
+  buildListsMembersQuery,
+  refreshSubscriberMemberships,
+  syncRelativeDateLists,
   getTotalSubscriberCount,
 };
@@ -2,19 +2,36 @@
  * @module services/queue
  * @description Service for publishing messages to RabbitMQ queues
  */
-const { getChannel } = require("../config/rabbitmq");
+const { v4: uuidv4 } = require("uuid");
+const { getChannel, getConfirmChannel } = require("../config/rabbitmq");
+const redis = require("../config/redis");
 const config = require("../config");
 const logger = require("./logger.service");
 
+// Sorted set holding messages waiting to be published, scored by their due time
+const DELAYED_MESSAGES_KEY = "queue:delayed";
+// Maximum number of due messages moved to RabbitMQ per release run
+const RELEASE_BATCH_SIZE = 500;
+
+// Atomically pops due messages so that only one worker publishes each of them
+const POP_DUE_MESSAGES_SCRIPT = `
+local items = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+if #items > 0 then
+  redis.call('ZREM', KEYS[1], unpack(items))
+end
+return items
+`;
+
 /**
  * Publishes a message to a RabbitMQ queue
  * @async
  * @function publishToQueue
  * @param {string} queueName - Name of the queue to publish to
  * @param {Object} message - Message object to be serialized and published
+ * @param {Object} [options] - Extra publish options (e.g. headers)
  * @returns {Promise<void>}
  */
-const publishToQueue = async (queueName, message) => {
+const publishToQueue = async (queueName, message, options = {}) => {
   try {
     const channel = await getChannel();
     if (!channel) {
@@ -26,7 +43,7 @@ const publishToQueue = async (queueName, message) => {
     const messageBuffer = Buffer.from(JSON.stringify(message));
     // Ensure the queue exists before publishing (optional, can be done on startup or here)
     // await channel.assertQueue(queueName, { durable: true }); // Already asserted in connectRabbitMQ usually
-    channel.sendToQueue(queueName, messageBuffer, { persistent: true }); // persistent ensures msg survives broker restart
+    channel.sendToQueue(queueName, messageBuffer, { ...options, persistent: true }); // persistent ensures msg survives broker restart
     // logger.debug(` [x] Sent ${JSON.stringify(message)} to queue ${queueName}`);
   } catch (error) {
     logger.error(`Error publishing to queue ${queueName}:`, error.message);
@@ -34,4 +51,91 @@ const publishToQueue = async (queueName, message) => {
   }
 };
 
-module.exports = { publishToQueue };
+/**
+ * Publishes a batch of messages to a RabbitMQ queue and waits for the broker to confirm them.
+ * Unlike publishToQueue, errors are thrown: when this resolves, every message is safely on the queue.
+ * @async
+ * @function publishBatchToQueue
+ * @param {string} queueName - Name of the queue to publish to
+ * @param {Array<Object>} messages - Message objects to be serialized and published
+ * @returns {Promise<void>}
+ * @throws {Error} If the channel is unavailable or the broker rejects any message
+ */
+const publishBatchToQueue = async (queueName, messages) => {
+  if (messages.length === 0) {
+    return;
+  }
+
+  const channel = await getConfirmChannel();
+
+  for (const message of messages) {
+    const accepted = channel.sendToQueue(queueName, Buffer.from(JSON.stringify(message)), { persistent: true });
+
+    // Respect back pressure instead of buffering the whole batch in memory
+    if (!accepted) {
+      await new Promise((resolve) => channel.once("drain", resolve));
+    }
+  }
+
+  await channel.waitForConfirms();
+};
+
+/**
+ * Publishes a message to a RabbitMQ queue after a delay.
+ * The message is held in Redis until it is due, so delays survive worker restarts
+ * and are released by whichever worker runs the delayed message scheduler first.
+ * @async
+ * @function publishDelayed
+ * @param {string} queueName - Name of the queue to publish to
+ * @param {Object} message - Message object to be serialized and published
+ * @param {number} delayMs - Delay in milliseconds before the message is published
+ * @param {Object} [headers] - Message headers to publish with
+ * @returns {Promise<void>}
+ */
+const publishDelayed = async (queueName, message, delayMs, headers = {}) => {
+  const entry = JSON.stringify({ id: uuidv4(), queueName, message, headers });
+  await redis.client.zadd(DELAYED_MESSAGES_KEY, Date.now() + Math.max(0, delayMs), entry);
+};
+
+/**
+ * Publishes every delayed message that has come due. Messages are only gone from Redis once the broker has
+ * confirmed them: if publishing fails, the whole batch is put back for the next run, so a message may be
+ * published twice but is never lost.
+ * @async
+ * @function releaseDueDelayedMessages
+ * @returns {Promise<number>} Number of messages released
+ * @throws {Error} If the channel is unavailable or the broker rejects a message (the batch is put back first)
+ */
+const releaseDueDelayedMessages = async () => {
+  // Fails before anything is popped while RabbitMQ is reconnecting
+  const channel = await getConfirmChannel();
+
+  const entries = await redis.client.eval(POP_DUE_MESSAGES_SCRIPT, 1, DELAYED_MESSAGES_KEY, Date.now(), RELEASE_BATCH_SIZE);
+
+  if (!entries || entries.length === 0) {
+    return 0;
+  }
+
+  try {
+    for (const raw of entries) {
+      const { queueName, message, headers } = JSON.parse(raw);
+      const accepted = channel.sendToQueue(queueName, Buffer.from(JSON.stringify(message)), { persistent: true, headers });
+
+      if (!accepted) {
+        await new Promise((resolve) => channel.once("drain", resolve));
+      }
+    }
+
+    await channel.waitForConfirms();
+  } catch (error) {
+    // Put the whole batch back so the next run picks it up again
+    logger.error(`Error releasing ${entries.length} delayed messages, putting them back: ${error.message}`);
+    const now = Date.now();
+    await redis.client.zadd(DELAYED_MESSAGES_KEY, ...entries.flatMap((raw) => [now, raw]));
+    throw error;
+  }
+
+  return entries.length;
+};
+
+module.exports = { publishToQueue, publishBatchToQueue, publishDelayed, releaseDueDelayedMessages };
@@ -0,0 +1,187 @@
+/**
+ * @module services/seed-list
+ * @description Service for managing seed lists: internal addresses that receive a copy of every real send
+ * of the campaigns using them. Seed copies are sent without tracking and stay out of the ledger and the
+ * analytics, which makes them suitable for inbox placement monitoring.
+ */
+const db = require("../config/db");
+const logger = require("./logger.service");
+const { NotFoundError } = require("../utils/errors");
+
+/**
+ * Lowercase and deduplicate the addresses of a seed list
+ * @function normalizeEmails
+ * @param {string[]} emails - Email addresses
+ * @returns {string[]} Unique lowercased addresses
+ */
+function normalizeEmails(emails) {
+  return [...new Set(emails.map((email) => email.trim().toLowerCase()))];
+}
+
+/**
+ * Transform a seed list row to the API format
+ * @function transformSeedListFromDb
+ * @param {Object} row - Database row
+ * @returns {Object} Seed list
+ */
+function transformSeedListFromDb(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    emails: row.emails || [],
+    campaignCount: row.campaign_count !== undefined ? parseInt(row.campaign_count) : undefined,
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Get a seed list
+ * @async
+ * @function getSeedListById
+ * @param {number} id - Seed list ID
+ * @returns {Promise<Object>} Seed list
+ * @throws {NotFoundError} If the seed list does not exist
+ */
+async function getSeedListById(id) {
+  const { rows } = await db.query(
+    `SELECT sl.*, (SELECT COUNT(*) FROM email_campaigns c WHERE c.seed_list_id = sl.id AND c.is_deleted = FALSE) AS campaign_count
+     FROM seed_lists sl
+     WHERE sl.id = $1`,
+    [id]
+  );
+
+  if (rows.length === 0) {
+    throw new NotFoundError(`Seed list with ID ${id} not found`);
+  }
+
+  return transformSeedListFromDb(rows[0]);
+}
+
+/**
+ * List all seed lists
+ * @async
+ * @function listSeedLists
+ * @returns {Promise<Object[]>} Seed lists ordered by name
+ */
+async function listSeedLists() {
+  const { rows } = await db.query(
+    `SELECT sl.*, (SELECT COUNT(*) FROM email_campaigns c WHERE c.seed_list_id = sl.id AND c.is_deleted = FALSE) AS campaign_count
+     FROM seed_lists sl
+     ORDER BY sl.name`
+  );
+
+  return rows.map(transformSeedListFromDb);
+}
+
+/**
+ * Create a seed list
+ * @async
+ * @function createSeedList
+ * @param {Object} seedListData - Seed list data ({ name, description, emails })
+ * @param {string} userId - ID of the user creating the seed list
+ * @returns {Promise<Object>} Created seed list
+ */
+async function createSeedList(seedListData, userId) {
+  const { rows } = await db.query(
+    `INSERT INTO seed_lists (name, description, emails, created_by, updated_by)
+     VALUES ($1, $2, $3, $4, $4)
+     RETURNING *`,
+    [seedListData.name, seedListData.description || null, normalizeEmails(seedListData.emails), userId]
+  );
+
+  logger.info(`Created seed list ${rows[0].id} with ${rows[0].emails.length} addresses`);
+  return getSeedListById(rows[0].id);
+}
+
+/**
+ * Update a seed list; the addresses are replaced as a whole
+ * @async
+ * @function updateSeedList
+ * @param {number} id - Seed list ID
+ * @param {Object} seedListData - Fields to update ({ name, description, emails })
+ * @param {string} userId - ID of the user updating the seed list
+ * @returns {Promise<Object>} Updated seed list
+ * @throws {NotFoundError} If the seed list does not exist
+ */
+async function updateSeedList(id, seedListData, userId) {
+  const updateFields = [];
+  const values = [id];
+
+  if (seedListData.name !== undefined) {
+    values.push(seedListData.name);
+    updateFields.push(`name = $${values.length}`);
+  }
+
+  if (seedListData.description !== undefined) {
+    values.push(seedListData.description);
+    updateFields.push(`description = $${values.length}`);
+  }
+
+  if (seedListData.emails !== undefined) {
+    values.push(normalizeEmails(seedListData.emails));
+    updateFields.push(`emails = $${values.length}`);
+  }
+
+  values.push(userId);
+  updateFields.push(`updated_by = $${values.length}`, "updated_at = CURRENT_TIMESTAMP");
+
+  const { rowCount } = await db.query(`UPDATE seed_lists SET ${updateFields.join(", ")} WHERE id = $1`, values);
+
+  if (rowCount === 0) {
+    throw new NotFoundError(`Seed list with ID ${id} not found`);
+  }
+
+  return getSeedListById(id);
+}
+
+/**
+ * Delete a seed list; campaigns using it are sent without seeds from then on
+ * @async
+ * @function deleteSeedList
+ * @param {number} id - Seed list ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the seed list does not exist
+ */
+async function deleteSeedList(id) {
+  const { rowCount } = await db.query(`DELETE FROM seed_lists WHERE id = $1`, [id]);
+
+  if (rowCount === 0) {
+    throw new NotFoundError(`Seed list with ID ${id} not found`);
+  }
+
+  logger.info(`Deleted seed list ${id}`);
+}
+
+/**
+ * Claim the seed addresses of a campaign for its real send. Seeds get each campaign once, however many
+ * phases (A/B test, waves) the campaign is sent in.
+ * @async
+ * @function claimCampaignSeeds
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<string[]>} Seed addresses, empty if the campaign has no seed list or its seeds were sent
+ */
+async function claimCampaignSeeds(campaignId) {
+  const { rows } = await db.query(
+    `UPDATE email_campaigns c
+     SET seeds_sent_at = CURRENT_TIMESTAMP
+     FROM seed_lists sl
+     WHERE c.id = $1 AND sl.id = c.seed_list_id AND c.seeds_sent_at IS NULL
+     RETURNING sl.emails`,
+    [campaignId]
+  );
+
+  return rows.length > 0 ? rows[0].emails : [];
+}
+
+module.exports = {
+  getSeedListById,
+  listSeedLists,
+  createSeedList,
+  updateSeedList,
+  deleteSeedList,
+  claimCampaignSeeds,
+};
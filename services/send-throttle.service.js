@@ -0,0 +1,136 @@
+/**
+ * @module services/send-throttle
+ * @description Rate limiting for campaign email sends, shared across all workers through Redis.
+ * Limits are enforced per one-second window, globally and per recipient domain.
+ */
+const redis = require("../config/redis");
+const config = require("../config");
+const logger = require("./logger.service");
+
+// Hash of campaign ID -> number of jobs currently held back by the throttle
+const DEFERRED_COUNTS_KEY = "throttle:deferred";
+
+// Checks both windows and only consumes a slot when neither limit is reached.
+// Returns 0 when allowed, 1 when the global limit was hit and 2 when the domain limit was hit.
+const ACQUIRE_SLOT_SCRIPT = `
+local globalLimit = tonumber(ARGV[1])
+local domainLimit = tonumber(ARGV[2])
+if globalLimit > 0 and tonumber(redis.call('GET', KEYS[1]) or '0') >= globalLimit then
+  return 1
+end
+if domainLimit > 0 and tonumber(redis.call('GET', KEYS[2]) or '0') >= domainLimit then
+  return 2
+end
+redis.call('INCR', KEYS[1])
+redis.call('EXPIRE', KEYS[1], 2)
+redis.call('INCR', KEYS[2])
+redis.call('EXPIRE', KEYS[2], 2)
+return 0
+`;
+
+/**
+ * Get the per-second limit that applies to a recipient domain
+ * @function getDomainLimit
+ * @param {string} domain - Recipient domain
+ * @returns {number} Sends per second, 0 for unlimited
+ */
+function getDomainLimit(domain) {
+  const { domainLimits, defaultDomainPerSecond } = config.throttle;
+  return domainLimits[domain] !== undefined ? domainLimits[domain] : defaultDomainPerSecond;
+}
+
+/**
+ * Try to take a send slot for a recipient in the current one-second window
+ * @async
+ * @function acquireSendSlot
+ * @param {string} email - Recipient email address
+ * @returns {Promise<{allowed: boolean, retryAfterMs: number, limitedBy: string|null}>} Whether the send may proceed now
+ */
+async function acquireSendSlot(email) {
+  const domain = (email.split("@")[1] || "").toLowerCase();
+  const now = Date.now();
+  const window = Math.floor(now / 1000);
+
+  try {
+    const result = await redis.client.eval(
+      ACQUIRE_SLOT_SCRIPT,
+      2,
+      `throttle:global:${window}`,
+      `throttle:domain:${domain}:${window}`,
+      config.throttle.globalPerSecond,
+      getDomainLimit(domain)
+    );
+
+    if (result === 0) {
+      return { allowed: true, retryAfterMs: 0, limitedBy: null };
+    }
+
+    // Retry after the current window closes, spread out so deferred jobs don't all return at once
+    const retryAfterMs = 1000 - (now % 1000) + Math.floor(Math.random() * 2000);
+    return { allowed: false, retryAfterMs, limitedBy: result === 1 ? "global" : `domain:${domain}` };
+  } catch (error) {
+    // Never block sending because Redis is unavailable
+    logger.error(`Error acquiring send slot for ${domain}, sending without throttling:`, error.message);
+    return { allowed: true, retryAfterMs: 0, limitedBy: null };
+  }
+}
+
+/**
+ * Record that a campaign job has been held back by the throttle
+ * @async
+ * @function recordDeferred
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<void>}
+ */
+async function recordDeferred(campaignId) {
+  try {
+    await redis.client.hincrby(DEFERRED_COUNTS_KEY, String(campaignId), 1);
+  } catch (error) {
+    // The count is only reported, so never fail a send because Redis is unavailable
+    logger.error(`Error recording deferred job for campaign ${campaignId}: ${error.message}`);
+  }
+}
+
+/**
+ * Record that a previously held back job has come back for sending
+ * @async
+ * @function releaseDeferred
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<void>}
+ */
+async function releaseDeferred(campaignId) {
+  try {
+    const remaining = await redis.client.hincrby(DEFERRED_COUNTS_KEY, String(campaignId), -1);
+
+    if (remaining <= 0) {
+      await redis.client.hdel(DEFERRED_COUNTS_KEY, String(campaignId));
+    }
+  } catch (error) {
+    // The count is only reported, so never fail a send because Redis is unavailable
+    logger.error(`Error releasing deferred job for campaign ${campaignId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the number of jobs currently held back for a campaign
+ * @async
+ * @function getDeferredCount
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number>} Jobs waiting for a send slot
+ */
+async function getDeferredCount(campaignId) {
+  try {
+    const count = await redis.client.hget(DEFERRED_COUNTS_KEY, String(campaignId));
+    return Math.max(0, parseInt(count || "0", 10));
+  } catch (error) {
+    logger.error(`Error getting deferred count for campaign ${campaignId}:`, error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  acquireSendSlot,
+  recordDeferred,
+  releaseDeferred,
+  getDeferredCount,
+};
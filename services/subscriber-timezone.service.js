@@ -0,0 +1,129 @@
+/**
+ * @module services/subscriber-timezone
+ * @description Resolves the timezone of subscribers for local time delivery. A subscriber's timezone is
+ * taken from the timezone column (set explicitly or inferred from tracking IPs), then from
+ * metadata.timezone, then from the caller's fallback.
+ */
+const db = require("../config/db");
+const logger = require("./logger.service");
+const { isValidTimezone } = require("../utils/recurrence");
+
+// Only IPs seen this recently are used to infer a timezone
+const INFERENCE_HISTORY_DAYS = 90;
+
+// Subscribers whose IP gave no timezone are looked up again after this long
+const INFERENCE_RETRY_DAYS = 30;
+
+// Private, loopback and link-local addresses say nothing about where a subscriber is
+const PRIVATE_IP_PATTERNS = [
+  /^(10|127)\./,
+  /^169\.254\./,
+  /^192\.168\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^::1$/,
+  /^f[cd][0-9a-f]{2}:/i,
+  /^fe80:/i,
+  /^::ffff:(10|127|192\.168)\./i,
+];
+
+/**
+ * Resolve the timezone of a subscriber
+ * @function resolveSubscriberTimezone
+ * @param {Object} subscriber - Subscriber row (timezone and metadata)
+ * @param {string} [fallback=UTC] - Timezone used when the subscriber has none
+ * @returns {string} IANA timezone
+ */
+function resolveSubscriberTimezone(subscriber, fallback = "UTC") {
+  const candidates = [subscriber.timezone, subscriber.metadata && subscriber.metadata.timezone];
+  return candidates.find((timezone) => timezone && isValidTimezone(timezone)) || fallback;
+}
+
+/**
+ * Look up the timezone of an IP address with the GeoIP service configured in GEOIP_TIMEZONE_URL.
+ * The URL contains an {ip} placeholder and may answer with plain text or JSON with a timezone field.
+ * @async
+ * @function lookupIpTimezone
+ * @param {string} ip - IP address
+ * @returns {Promise<string|null>} IANA timezone, or null if unknown or no service is configured
+ */
+async function lookupIpTimezone(ip) {
+  const urlTemplate = process.env.GEOIP_TIMEZONE_URL;
+
+  if (!urlTemplate || !ip || PRIVATE_IP_PATTERNS.some((pattern) => pattern.test(ip))) {
+    return null;
+  }
+
+  const response = await fetch(urlTemplate.replace("{ip}", encodeURIComponent(ip)), { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`GeoIP lookup failed with status ${response.status}`);
+  }
+
+  const body = (await response.text()).trim();
+  let timezone = body;
+  if (body.startsWith("{")) {
+    timezone = JSON.parse(body).timezone;
+  }
+
+  return timezone && isValidTimezone(timezone) ? timezone : null;
+}
+
+/**
+ * Infer timezones of subscribers that have none from the latest IP their opens and clicks were tracked from
+ * @async
+ * @function inferTimezonesFromTracking
+ * @param {number} [limit=100] - Maximum subscribers to look up
+ * @returns {Promise<number>} Number of subscribers whose timezone was set
+ */
+async function inferTimezonesFromTracking(limit = 100) {
+  if (!process.env.GEOIP_TIMEZONE_URL) {
+    return 0;
+  }
+
+  const { rows } = await db.query(
+    `SELECT DISTINCT ON (a.recipient_id) a.recipient_id AS subscriber_id, a.ip_address
+     FROM email_analytics a
+     JOIN subscribers s ON s.id = a.recipient_id
+     WHERE a.event_type IN ('opened', 'clicked')
+     AND a.ip_address IS NOT NULL
+     AND a.event_time > CURRENT_TIMESTAMP - make_interval(days => $1)
+     AND s.timezone IS NULL
+     AND COALESCE(s.metadata->>'timezone', '') = ''
+     AND (s.timezone_checked_at IS NULL OR s.timezone_checked_at < CURRENT_TIMESTAMP - make_interval(days => $2))
+     ORDER BY a.recipient_id, a.event_time DESC
+     LIMIT $3`,
+    [INFERENCE_HISTORY_DAYS, INFERENCE_RETRY_DAYS, limit]
+  );
+
+  let inferred = 0;
+
+  for (const row of rows) {
+    try {
+      const timezone = await lookupIpTimezone(row.ip_address);
+
+      // Recording the check keeps subscribers without a usable IP from being looked up on every run
+      const { rowCount } = await db.query(
+        `UPDATE subscribers
+         SET timezone = $2, timezone_source = CASE WHEN $2::text IS NULL THEN NULL ELSE 'ip' END, timezone_checked_at = NOW()
+         WHERE id = $1 AND timezone IS NULL`,
+        [row.subscriber_id, timezone]
+      );
+      if (timezone) {
+        inferred += rowCount;
+      }
+    } catch (error) {
+      logger.warn(`Could not infer timezone of subscriber ${row.subscriber_id}: ${error.message}`);
+    }
+  }
+
+  if (inferred > 0) {
+    logger.info(`Inferred the timezone of ${inferred} subscribers from tracking IPs`);
+  }
+
+  return inferred;
+}
+
+module.exports = {
+  resolveSubscriberTimezone,
+  lookupIpTimezone,
+  inferTimezonesFromTracking,
+};
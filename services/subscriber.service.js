@@ -8,6 +8,8 @@ const { parse } = require("csv-parse/sync");
 const { stringify } = require("csv-stringify/sync");
 const NotFound = require("../utils/errors/NotFound");
 const ConfictResource = require("../utils/errors/ConfictResource");
+const { recordTagEvents } = require("./tag.service");
+const { emitMembershipRefresh } = require("./list-membership-trigger.service");
 
 /**
  * Get all subscribers with pagination
@@ -122,6 +124,7 @@ async function createSubscriber(subscriberData) {
           [subscriberData.email]
         );
         await client.query("COMMIT");
+        await emitMembershipRefresh([rows[0].id]);
         return rows[0];
       } else {
         throw new ConfictResource(`Subscriber with email ${subscriberData.email} already exists`);
@@ -130,8 +133,16 @@ async function createSubscriber(subscriberData) {
 
     // Insert new subscriber
     const { rows } = await client.query(
-      "INSERT INTO subscribers (email, name, date_of_birth, metadata) VALUES ($1, $2, $3, $4) RETURNING *",
-      [subscriberData.email, subscriberData.name || null, subscriberData.dateOfBirth || null, subscriberData.metadata || {}]
+      `INSERT INTO subscribers (email, name, date_of_birth, metadata, timezone, timezone_source)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [
+        subscriberData.email,
+        subscriberData.name || null,
+        subscriberData.dateOfBirth || null,
+        subscriberData.metadata || {},
+        subscriberData.timezone || null,
+        subscriberData.timezone ? "manual" : null,
+      ]
     );
 
     // Apply default "form-subscriber" tag if subscriber was created via /subscribe endpoint
@@ -152,9 +163,11 @@ async function createSubscriber(subscriberData) {
 
       // Assign tag to subscriber
       await client.query("INSERT INTO subscriber_tags (subscriber_id, tag_id) VALUES ($1, $2)", [rows[0].id, tagId]);
+      await recordTagEvents(client, [[rows[0].id, tagId]], "added");
     }
 
     await client.query("COMMIT");
+    await emitMembershipRefresh([rows[0].id]);
     return rows[0];
   } catch (error) {
     await client.query("ROLLBACK");
@@ -165,6 +178,21 @@ async function createSubscriber(subscriberData) {
   }
 }
 
+/**
+ * Get the subscriber columns an update changes, as list filters name them
+ * @param {Object} updateData - Data of the update
+ * @returns {Array<string>} - Changed columns, "metadata" standing for every metadata key
+ */
+function changedColumns(updateData) {
+  const columns = ["updated_at"];
+  if (updateData.email) columns.push("email");
+  if (updateData.name !== undefined) columns.push("name");
+  if (updateData.dateOfBirth !== undefined) columns.push("date_of_birth");
+  if (updateData.metadata !== undefined) columns.push("metadata");
+  if (updateData.isActive !== undefined) columns.push("is_active", "unsubscribed_at");
+  return columns;
+}
+
 /**
  * Update a subscriber
  * @param {number} id - Subscriber ID
@@ -205,6 +233,12 @@ async function updateSubscriber(id, updateData) {
       values.push(updateData.metadata);
     }
 
+    if (updateData.timezone !== undefined) {
+      // A timezone set by hand is never overwritten by IP detection
+      updateFields.push(`timezone = $${paramIndex++}`, `timezone_source = $${paramIndex++}`, `timezone_checked_at = NULL`);
+      values.push(updateData.timezone, updateData.timezone ? "manual" : null);
+    }
+
     if (updateData.isActive !== undefined) {
       updateFields.push(`is_active = $${paramIndex++}`);
       values.push(updateData.isActive);
@@ -231,6 +265,7 @@ async function updateSubscriber(id, updateData) {
     `;
 
     const { rows } = await db.query(query, values);
+    await emitMembershipRefresh([rows[0].id], { fields: changedColumns(updateData) });
     return rows[0];
   } catch (error) {
     logger.error(`Error updating subscriber ${id}:`, error);
@@ -275,6 +310,7 @@ async function unsubscribeByEmail(email) {
       [email]
     );
 
+    await emitMembershipRefresh([rows[0].id]);
     return rows[0];
   } catch (error) {
     logger.error(`Error unsubscribing ${email}:`, error);
@@ -333,6 +369,11 @@ async function importSubscribers(csvData, options = {}) {
     errors: [],
     processedRecords: 0,
   };
+  // Subscribers inserted, updated or tagged, whose list memberships are re-evaluated after the import:
+  // new ones against every list, existing ones against the lists filtering on what the import changes
+  const insertedSubscriberIds = new Set();
+  const changedSubscriberIds = new Set();
+  const assignedTagIds = new Set();
 
   // Set default options
   const importOptions = {
@@ -498,6 +539,7 @@ async function importSubscribers(csvData, options = {}) {
 
         const { rows: insertedRows } = await client.query(insertQuery, insertParams);
         results.imported += insertedRows.length;
+        insertedRows.forEach((row) => insertedSubscriberIds.add(row.id));
 
         // Add tag assignments for new subscribers
         for (let i = 0; i < insertedRows.length; i++) {
@@ -523,6 +565,7 @@ async function importSubscribers(csvData, options = {}) {
            WHERE id = $4`,
           [update.name || null, update.dateOfBirth || null, update.metadata, update.id]
         );
+        changedSubscriberIds.add(update.id);
       }
 
       // Bulk insert tag assignments if any
@@ -540,9 +583,15 @@ async function importSubscribers(csvData, options = {}) {
           INSERT INTO subscriber_tags (subscriber_id, tag_id)
           VALUES ${tagValues.join(", ")}
           ON CONFLICT DO NOTHING
+          RETURNING subscriber_id, tag_id
         `;
 
-        await client.query(tagQuery, tagParams);
+        const { rows: assignedTags } = await client.query(tagQuery, tagParams);
+        await recordTagEvents(client, assignedTags.map((row) => [row.subscriber_id, row.tag_id]), "added");
+        assignedTags.forEach((row) => {
+          changedSubscriberIds.add(row.subscriber_id);
+          assignedTagIds.add(row.tag_id);
+        });
       }
 
       // Update processed record count
@@ -550,6 +599,11 @@ async function importSubscribers(csvData, options = {}) {
     }
 
     await client.query("COMMIT");
+    await emitMembershipRefresh([...insertedSubscriberIds]);
+    await emitMembershipRefresh([...changedSubscriberIds].filter((subscriberId) => !insertedSubscriberIds.has(subscriberId)), {
+      fields: ["name", "date_of_birth", "metadata", "updated_at"],
+      tagIds: [...assignedTagIds],
+    });
     return results;
   } catch (error) {
     await client.query("ROLLBACK");
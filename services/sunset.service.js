@@ -0,0 +1,272 @@
+/**
+ * @module services/sunset
+ * @description Sunset policy for disengaged subscribers. Subscribers without a human open or click in
+ * inactiveDays across at least minSends sends get the re-engagement tag, which starts the re-engagement
+ * workflow. Those who still have not opened or clicked graceDays later are tagged dormant or suppressed;
+ * those who respond lose the re-engagement (or dormant) tag again. Settings come from config.sunset.
+ */
+const db = require("../config/db");
+const config = require("../config");
+const logger = require("./logger.service");
+const tagService = require("./tag.service");
+const suppressionService = require("./suppression.service");
+
+const STAGES = ["reengaged", "sunset", "reengage"];
+
+// Stages that rely on the re-engagement workflow sending its email
+const WORKFLOW_STAGES = ["sunset", "reengage"];
+
+// Subscribers are read and processed in batches of this many
+const BATCH_SIZE = 500;
+
+/**
+ * Build the condition for a human open or click by subscriber s since a time
+ * @function humanEngagementSince
+ * @param {string} since - SQL expression of the time
+ * @returns {string} SQL condition
+ */
+const humanEngagementSince = (since) => `EXISTS (
+  SELECT 1 FROM email_analytics ea
+  WHERE ea.recipient_id = s.id AND ea.event_type IN ('opened', 'clicked') AND ea.event_time > ${since}
+    AND (ea.additional_data->>'classification') IS DISTINCT FROM 'machine')`;
+
+/**
+ * Get the sunset policy, with thresholds overridden for a dry run
+ * @function getPolicy
+ * @param {Object} [overrides] - { inactiveDays, minSends, graceDays }
+ * @returns {Object} Policy
+ */
+function getPolicy(overrides = {}) {
+  const { enabled, inactiveDays, minSends, graceDays, reengagementTag, action, dormantTag } = config.sunset;
+  return {
+    enabled,
+    inactiveDays: overrides.inactiveDays ?? inactiveDays,
+    minSends: overrides.minSends ?? minSends,
+    graceDays: overrides.graceDays ?? graceDays,
+    reengagementTag,
+    action,
+    dormantTag,
+  };
+}
+
+/**
+ * Find a batch of the subscribers at one stage of the policy, ordered by ID
+ * @async
+ * @function findSubscribers
+ * @param {string} stage - reengaged: responded since they were tagged re-engagement or dormant;
+ * sunset: did not respond to the re-engagement email in time; reengage: inactive, to be sent the email
+ * @param {Object} policy - Policy
+ * @param {Object} [options] - Options
+ * @param {number} [options.afterId=0] - Only subscribers with a higher ID
+ * @param {number} [options.limit=BATCH_SIZE] - Maximum number of subscribers
+ * @returns {Promise<Object>} { subscribers, total } with total counting every matching subscriber after afterId
+ */
+async function findSubscribers(stage, policy, { afterId = 0, limit = BATCH_SIZE } = {}) {
+  let result;
+
+  if (stage === "reengaged") {
+    result = await db.query(
+      `SELECT s.id, s.email, s.name, t.id AS tag_id, t.name AS tag_name, st.created_at AS tagged_at, COUNT(*) OVER() AS total
+       FROM subscribers s
+       JOIN subscriber_tags st ON st.subscriber_id = s.id
+       JOIN tags t ON t.id = st.tag_id AND t.name IN ($1, $2)
+       WHERE s.id > $3 AND ${humanEngagementSince("st.created_at")}
+       ORDER BY s.id
+       LIMIT $4`,
+      [policy.reengagementTag, policy.dormantTag, afterId, limit]
+    );
+  } else if (stage === "sunset") {
+    result = await db.query(
+      `SELECT s.id, s.email, s.name, st.created_at AS tagged_at, COUNT(*) OVER() AS total
+       FROM subscribers s
+       JOIN subscriber_tags st ON st.subscriber_id = s.id
+       JOIN tags t ON t.id = st.tag_id AND t.name = $1
+       WHERE s.id > $2
+         AND st.created_at <= CURRENT_TIMESTAMP - make_interval(days => $3)
+         AND NOT ${humanEngagementSince("st.created_at")}
+       ORDER BY s.id
+       LIMIT $4`,
+      [policy.reengagementTag, afterId, policy.graceDays, limit]
+    );
+  } else {
+    result = await db.query(
+      `SELECT s.id, s.email, s.name, s.last_engaged_at, sends.count AS sends, COUNT(*) OVER() AS total
+       FROM subscribers s
+       JOIN LATERAL (
+         SELECT COUNT(*) AS count FROM email_analytics ea
+         WHERE ea.recipient_id = s.id AND ea.event_type = 'sent'
+           AND ea.event_time > CURRENT_TIMESTAMP - make_interval(days => $1)
+       ) sends ON sends.count >= $2
+       WHERE s.is_active = TRUE AND s.id > $5
+         AND NOT EXISTS (
+           SELECT 1 FROM subscriber_tags st JOIN tags t ON t.id = st.tag_id
+           WHERE st.subscriber_id = s.id AND t.name IN ($3, $4))
+         AND NOT EXISTS (
+           SELECT 1 FROM suppressions sp
+           WHERE sp.email = LOWER(s.email) AND (sp.expires_at IS NULL OR sp.expires_at > NOW()))
+         AND NOT ${humanEngagementSince("CURRENT_TIMESTAMP - make_interval(days => $1)")}
+       ORDER BY s.id
+       LIMIT $6`,
+      [policy.inactiveDays, policy.minSends, policy.reengagementTag, policy.dormantTag, afterId, limit]
+    );
+  }
+
+  return {
+    subscribers: result.rows.map(({ total, ...subscriber }) => ({
+      ...subscriber,
+      ...(subscriber.sends !== undefined && { sends: parseInt(subscriber.sends) }),
+    })),
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0,
+  };
+}
+
+/**
+ * Get the ID of a tag, creating it on first use
+ * @async
+ * @function ensureTag
+ * @param {string} name - Tag name
+ * @param {string} description - Description of a new tag
+ * @returns {Promise<number>} Tag ID
+ */
+async function ensureTag(name, description) {
+  await db.query("INSERT INTO tags (name, description) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING", [name, description]);
+  const { rows } = await db.query("SELECT id FROM tags WHERE name = $1", [name]);
+  return rows[0].id;
+}
+
+/**
+ * Check whether an active workflow is triggered by the re-engagement tag, without which tagging a subscriber
+ * sends no re-engagement email
+ * @async
+ * @function hasReengagementWorkflow
+ * @param {Object} policy - Policy
+ * @returns {Promise<boolean>} True if such a workflow exists
+ */
+async function hasReengagementWorkflow(policy) {
+  const { rows } = await db.query(
+    `SELECT 1
+     FROM workflows w
+     JOIN tags t ON t.name = $1 AND w.trigger_config->>'tagId' = t.id::text
+     WHERE w.trigger_type = 'tag_assigned' AND w.status = 'active' AND w.is_deleted = FALSE
+     LIMIT 1`,
+    [policy.reengagementTag]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Apply one stage of the policy to a subscriber
+ * @async
+ * @function applyStage
+ * @param {string} stage - reengaged, sunset or reengage
+ * @param {Object} subscriber - Subscriber row from findSubscribers
+ * @param {Object} policy - Policy
+ * @param {Object} tagIds - { reengagement, dormant }
+ * @returns {Promise<void>}
+ */
+async function applyStage(stage, subscriber, policy, tagIds) {
+  if (stage === "reengaged") {
+    await tagService.removeTagsFromSubscriber(subscriber.id, [subscriber.tag_id]);
+  } else if (stage === "sunset") {
+    if (policy.action === "suppress") {
+      await suppressionService.addSuppression({
+        email: subscriber.email,
+        reason: "inactive",
+        source: "sunset",
+        description: `No opens or clicks in ${policy.inactiveDays} days nor after the re-engagement email`,
+      });
+    } else {
+      await tagService.assignTagsToSubscriber(subscriber.id, [tagIds.dormant]);
+    }
+    await tagService.removeTagsFromSubscriber(subscriber.id, [tagIds.reengagement]);
+  } else {
+    // Assigning the tag starts the workflows triggered by it, which send the re-engagement email
+    await tagService.assignTagsToSubscriber(subscriber.id, [tagIds.reengagement]);
+  }
+}
+
+/**
+ * Report who the sunset policy would affect, without changing anything
+ * @async
+ * @function getSunsetReport
+ * @param {Object} [overrides] - Thresholds to try instead of the configured ones ({ inactiveDays, minSends, graceDays })
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=100] - Subscribers listed per stage
+ * @returns {Promise<Object>} { policy, warnings, reengaged, sunset, reengage }, each stage with its total and subscribers
+ */
+async function getSunsetReport(overrides = {}, { limit = 100 } = {}) {
+  const policy = getPolicy(overrides);
+  const report = { policy, warnings: [] };
+
+  if (!(await hasReengagementWorkflow(policy))) {
+    report.warnings.push(
+      `No active workflow is triggered by the "${policy.reengagementTag}" tag: nobody is sent a re-engagement email, ` +
+        "so the policy neither re-engages nor sunsets anyone until one is"
+    );
+  }
+
+  for (const stage of STAGES) {
+    report[stage] = await findSubscribers(stage, policy, { limit });
+  }
+
+  return report;
+}
+
+/**
+ * Run the sunset policy: release subscribers who responded, sunset those who did not respond to the
+ * re-engagement email in time, and start re-engaging newly inactive subscribers. A failing subscriber
+ * is logged and retried on the next run. Without an active re-engagement workflow only responders are
+ * released, so nobody is sunset without having been sent the email.
+ * @async
+ * @function runSunsetPolicy
+ * @returns {Promise<Object>} Number of subscribers processed per stage
+ */
+async function runSunsetPolicy() {
+  const policy = getPolicy();
+  const tagIds = {
+    reengagement: await ensureTag(policy.reengagementTag, "Inactive subscribers being sent a re-engagement email"),
+    dormant: policy.action === "tag" ? await ensureTag(policy.dormantTag, "Subscribers who did not respond to re-engagement") : null,
+  };
+  const processed = {};
+
+  const reengagementWorkflow = await hasReengagementWorkflow(policy);
+  if (!reengagementWorkflow) {
+    logger.warn(`Sunset policy skips re-engagement and sunset: no active workflow is triggered by the "${policy.reengagementTag}" tag`);
+  }
+
+  for (const stage of STAGES) {
+    processed[stage] = 0;
+    if (!reengagementWorkflow && WORKFLOW_STAGES.includes(stage)) {
+      continue;
+    }
+
+    let afterId = 0;
+
+    while (true) {
+      const { subscribers } = await findSubscribers(stage, policy, { afterId });
+      if (subscribers.length === 0) {
+        break;
+      }
+
+      for (const subscriber of subscribers) {
+        try {
+          await applyStage(stage, subscriber, policy, tagIds);
+          processed[stage]++;
+        } catch (error) {
+          logger.error(`Sunset policy could not apply ${stage} to subscriber ${subscriber.id}: ${error.message}`);
+        }
+      }
+
+      afterId = subscribers[subscribers.length - 1].id;
+    }
+  }
+
+  return processed;
+}
+
+module.exports = {
+  getPolicy,
+  getSunsetReport,
+  runSunsetPolicy,
+};
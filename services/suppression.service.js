@@ -0,0 +1,355 @@
+/**
+ * @module services/suppression
+ * @description Service for the global suppression list: addresses no campaign, workflow or transactional
+ * email is sent to. Bounce and complaint notifications add addresses automatically; admins add, remove
+ * and import them by hand.
+ */
+const db = require("../config/db");
+const config = require("../config");
+const logger = require("./logger.service");
+const { parse } = require("csv-parse/sync");
+const { NotFoundError, BadRequestError } = require("../utils/errors");
+
+const SUPPRESSION_REASONS = ["hard_bounce", "soft_bounce", "complaint", "manual", "inactive"];
+
+/**
+ * Normalize an address so lookups are case-insensitive
+ * @function normalizeEmail
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lowercased address
+ */
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+/**
+ * Transform a suppression row to the API format
+ * @function transformSuppressionFromDb
+ * @param {Object} row - Database row
+ * @returns {Object} Suppression
+ */
+function transformSuppressionFromDb(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    reason: row.reason,
+    source: row.source,
+    description: row.description,
+    expiresAt: row.expires_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Whether an address is currently suppressed
+ * @async
+ * @function isSuppressed
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} True if no email should be sent to the address
+ */
+async function isSuppressed(email) {
+  const { rows } = await db.query(
+    `SELECT 1 FROM suppressions WHERE email = $1 AND (expires_at IS NULL OR expires_at > NOW())`,
+    [normalizeEmail(email)]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Find which of a set of addresses are currently suppressed
+ * @async
+ * @function getSuppressedEmails
+ * @param {string[]} emails - Email addresses
+ * @returns {Promise<Set<string>>} Suppressed addresses, normalized
+ */
+async function getSuppressedEmails(emails) {
+  if (emails.length === 0) {
+    return new Set();
+  }
+
+  const { rows } = await db.query(
+    `SELECT email FROM suppressions WHERE email = ANY($1::text[]) AND (expires_at IS NULL OR expires_at > NOW())`,
+    [emails.map(normalizeEmail)]
+  );
+  return new Set(rows.map((row) => row.email));
+}
+
+/**
+ * List suppressions with pagination
+ * @async
+ * @function listSuppressions
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.email] - Part of the address
+ * @param {string} [filters.reason] - Suppression reason
+ * @param {boolean} [filters.includeExpired=false] - Include expired suppressions
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=20] - Suppressions per page
+ * @returns {Promise<Object>} Suppressions and pagination
+ */
+async function listSuppressions(filters = {}, page = 1, limit = 20) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.email) {
+    params.push(`%${normalizeEmail(filters.email)}%`);
+    conditions.push(`email LIKE $${params.length}`);
+  }
+
+  if (filters.reason) {
+    params.push(filters.reason);
+    conditions.push(`reason = $${params.length}`);
+  }
+
+  if (!filters.includeExpired) {
+    conditions.push("(expires_at IS NULL OR expires_at > NOW())");
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const { rows: countRows } = await db.query(`SELECT COUNT(*) FROM suppressions ${where}`, params);
+  const total = parseInt(countRows[0].count);
+
+  const { rows } = await db.query(
+    `SELECT * FROM suppressions ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    suppressions: rows.map(transformSuppressionFromDb),
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Suppress an address. Suppressing an address again replaces its reason and expiry, except that hard bounces
+ * and complaints are never replaced until they expire, and a soft bounce never replaces any other reason.
+ * @async
+ * @function addSuppression
+ * @param {Object} suppression - Suppression data
+ * @param {string} suppression.email - Email address
+ * @param {string} suppression.reason - hard_bounce, soft_bounce, complaint, manual or inactive
+ * @param {string} suppression.source - webhook, admin, import or sunset
+ * @param {string} [suppression.description] - Why the address is suppressed
+ * @param {Date|string|null} [suppression.expiresAt] - When the suppression ends (null: never)
+ * @param {string|null} [userId] - ID of the user adding the suppression
+ * @returns {Promise<Object>} Suppression
+ */
+async function addSuppression({ email, reason, source, description = null, expiresAt = null }, userId = null) {
+  const { rows } = await db.query(
+    `INSERT INTO suppressions (email, reason, source, description, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (email) DO UPDATE
+     SET reason = EXCLUDED.reason,
+         source = EXCLUDED.source,
+         description = EXCLUDED.description,
+         expires_at = EXCLUDED.expires_at,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE suppressions.reason = 'soft_bounce'
+        OR (suppressions.expires_at IS NOT NULL AND suppressions.expires_at <= NOW())
+        OR (suppressions.reason NOT IN ('hard_bounce', 'complaint') AND EXCLUDED.reason <> 'soft_bounce')
+     RETURNING *`,
+    [normalizeEmail(email), reason, source, description, expiresAt, userId]
+  );
+
+  if (rows.length === 0) {
+    const { rows: existing } = await db.query(`SELECT * FROM suppressions WHERE email = $1`, [normalizeEmail(email)]);
+    return transformSuppressionFromDb(existing[0]);
+  }
+
+  logger.info(`Suppressed ${rows[0].email} (${reason}, ${source})`);
+  return transformSuppressionFromDb(rows[0]);
+}
+
+/**
+ * Remove a suppression, allowing emails to the address again
+ * @async
+ * @function removeSuppression
+ * @param {number} id - Suppression ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the suppression does not exist
+ */
+async function removeSuppression(id) {
+  const { rows } = await db.query(`DELETE FROM suppressions WHERE id = $1 RETURNING email`, [id]);
+
+  if (rows.length === 0) {
+    throw new NotFoundError(`Suppression with ID ${id} not found`);
+  }
+
+  // Start counting soft bounces from scratch
+  await db.query(`DELETE FROM soft_bounce_counts WHERE email = $1`, [rows[0].email]);
+  logger.info(`Removed suppression of ${rows[0].email}`);
+}
+
+/**
+ * Import suppressions from CSV data with an email column and optional reason, description and
+ * expires_at columns
+ * @async
+ * @function importSuppressions
+ * @param {string} csvData - CSV data with headers
+ * @param {string} [defaultReason="manual"] - Reason of rows without one
+ * @param {string|null} [userId] - ID of the user importing
+ * @returns {Promise<Object>} Import results (total, imported, skipped, errors)
+ * @throws {BadRequestError} If the CSV data cannot be parsed or has no email column
+ */
+async function importSuppressions(csvData, defaultReason = "manual", userId = null) {
+  let records;
+  try {
+    records = parse(csvData, {
+      columns: (header) => header.map((column) => column.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+    });
+  } catch (error) {
+    throw new BadRequestError(`Invalid CSV data: ${error.message}`);
+  }
+
+  if (records.length > 0 && !("email" in records[0])) {
+    throw new BadRequestError("CSV data must have an email column");
+  }
+
+  const results = { total: records.length, imported: 0, skipped: 0, errors: [] };
+
+  for (const [index, record] of records.entries()) {
+    const line = index + 2;
+    const email = normalizeEmail(record.email);
+    const reason = record.reason || defaultReason;
+    const expiresAt = record.expires_at ? new Date(record.expires_at) : null;
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      results.skipped++;
+      results.errors.push(`Line ${line}: invalid email "${record.email || ""}"`);
+      continue;
+    }
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      results.skipped++;
+      results.errors.push(`Line ${line}: unknown reason "${reason}"`);
+      continue;
+    }
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      results.skipped++;
+      results.errors.push(`Line ${line}: invalid expires_at "${record.expires_at}"`);
+      continue;
+    }
+
+    await addSuppression({ email, reason, source: "import", description: record.description || null, expiresAt }, userId);
+    results.imported++;
+  }
+
+  logger.info(`Imported ${results.imported} of ${results.total} suppressions`);
+  return results;
+}
+
+/**
+ * Record a bounce for an address. Hard bounces suppress it for good; soft bounces only once the
+ * configured number happened in a row, and for a limited time.
+ * @async
+ * @function recordBounce
+ * @param {string} email - Bounced address
+ * @param {Object} bounce - Bounce details
+ * @param {boolean} bounce.permanent - Hard (permanent) bounce
+ * @param {string} [bounce.description] - Diagnostic from the mail provider
+ * @returns {Promise<boolean>} True if the address is now suppressed
+ */
+async function recordBounce(email, { permanent, description = null }) {
+  if (permanent) {
+    await addSuppression({ email, reason: "hard_bounce", source: "webhook", description });
+    return true;
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO soft_bounce_counts (email, consecutive_count, last_bounced_at)
+     VALUES ($1, 1, NOW())
+     ON CONFLICT (email) DO UPDATE
+     SET consecutive_count = soft_bounce_counts.consecutive_count + 1, last_bounced_at = NOW()
+     RETURNING consecutive_count`,
+    [normalizeEmail(email)]
+  );
+
+  const { softBounceThreshold, softBounceSuppressionDays } = config.suppression;
+  if (rows[0].consecutive_count < softBounceThreshold) {
+    return false;
+  }
+
+  const expiresAt = softBounceSuppressionDays > 0 ? new Date(Date.now() + softBounceSuppressionDays * 24 * 60 * 60 * 1000) : null;
+  await addSuppression({
+    email,
+    reason: "soft_bounce",
+    source: "webhook",
+    description: description || `${rows[0].consecutive_count} soft bounces in a row`,
+    expiresAt,
+  });
+  // The next soft bounce after the suppression ends starts a new run
+  await db.query(`DELETE FROM soft_bounce_counts WHERE email = $1`, [normalizeEmail(email)]);
+  return true;
+}
+
+/**
+ * Record a spam complaint for an address, suppressing it for good
+ * @async
+ * @function recordComplaint
+ * @param {string} email - Complaining address
+ * @param {string} [description] - Complaint details from the mail provider
+ * @returns {Promise<void>}
+ */
+async function recordComplaint(email, description = null) {
+  await addSuppression({ email, reason: "complaint", source: "webhook", description });
+}
+
+/**
+ * Record a successful delivery, ending the run of soft bounces of the address
+ * @async
+ * @function recordDelivery
+ * @param {string} email - Delivered address
+ * @returns {Promise<void>}
+ */
+async function recordDelivery(email) {
+  await db.query(`DELETE FROM soft_bounce_counts WHERE email = $1`, [normalizeEmail(email)]);
+}
+
+/**
+ * Apply a delivery notification to the suppression list: bounces and complaints suppress the address,
+ * deliveries end its run of soft bounces
+ * @async
+ * @function applyDeliveryEvent
+ * @param {string} email - Recipient address
+ * @param {string} eventType - delivered, bounced, complained or another event type (ignored)
+ * @param {Object} [data] - Notification details (bounceType: Permanent, Transient or Undetermined; diagnostic)
+ * @returns {Promise<boolean>} True if the address is now suppressed
+ */
+async function applyDeliveryEvent(email, eventType, data = {}) {
+  switch (eventType) {
+    case "bounced":
+      return recordBounce(email, {
+        permanent: ["permanent", "hard"].includes(String(data.bounceType || "").toLowerCase()),
+        description: data.diagnostic || null,
+      });
+    case "complained":
+      await recordComplaint(email, data.diagnostic || null);
+      return true;
+    case "delivered":
+      await recordDelivery(email);
+      return false;
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  SUPPRESSION_REASONS,
+  normalizeEmail,
+  isSuppressed,
+  getSuppressedEmails,
+  listSuppressions,
+  addSuppression,
+  removeSuppression,
+  importSuppressions,
+  recordBounce,
+  recordComplaint,
+  recordDelivery,
+  applyDeliveryEvent,
+};
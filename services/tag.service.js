@@ -6,6 +6,8 @@ const db = require("../config/db");
 const logger = require("./logger.service");
 const NotFound = require("../utils/errors/NotFound");
 const ConfictResource = require("../utils/errors/ConfictResource");
+const { emitWorkflowEvent, WORKFLOW_EVENTS } = require("./workflow-trigger.service");
+const { emitMembershipRefresh } = require("./list-membership-trigger.service");
 
 /**
  * Get all tags
@@ -198,6 +200,27 @@ async function getTagsForSubscriber(subscriberId) {
   }
 }
 
+/**
+ * Record tags added to or removed from subscribers in their tag history
+ * @param {Object} client - Database client or pool to write with, so the history joins the caller's transaction
+ * @param {Array<Array<number>>} assignments - [subscriberId, tagId] pairs
+ * @param {string} action - added or removed
+ * @param {string} createdBy - User ID who changed the tags
+ * @returns {Promise<void>}
+ */
+async function recordTagEvents(client, assignments, action, createdBy = null) {
+  if (assignments.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO subscriber_tag_events (subscriber_id, tag_id, action, created_by)
+     SELECT event.subscriber_id, event.tag_id, $3, $4
+     FROM unnest($1::int[], $2::int[]) AS event(subscriber_id, tag_id)`,
+    [assignments.map(([subscriberId]) => subscriberId), assignments.map(([, tagId]) => tagId), action, createdBy]
+  );
+}
+
 /**
  * Assign tags to a subscriber
  * @param {number} subscriberId - Subscriber ID
@@ -207,6 +230,7 @@ async function getTagsForSubscriber(subscriberId) {
  */
 async function assignTagsToSubscriber(subscriberId, tagIds, createdBy = null) {
   const client = await db.getClient();
+  const assignedTagIds = [];
 
   try {
     await client.query("BEGIN");
@@ -220,14 +244,25 @@ async function assignTagsToSubscriber(subscriberId, tagIds, createdBy = null) {
       }
 
       // Assign tag to subscriber
-      await client.query("INSERT INTO subscriber_tags (subscriber_id, tag_id, created_by) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING", [
-        subscriberId,
-        tagId,
-        createdBy,
-      ]);
+      const { rowCount } = await client.query(
+        "INSERT INTO subscriber_tags (subscriber_id, tag_id, created_by) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING",
+        [subscriberId, tagId, createdBy]
+      );
+      if (rowCount > 0) {
+        assignedTagIds.push(tagId);
+      }
     }
 
+    await recordTagEvents(client, assignedTagIds.map((tagId) => [subscriberId, tagId]), "added", createdBy);
+
     await client.query("COMMIT");
+
+    // Only tags the subscriber didn't have yet can start tag_assigned workflows
+    if (assignedTagIds.length > 0) {
+      await emitWorkflowEvent(WORKFLOW_EVENTS.tagAssigned, subscriberId, { tagIds: assignedTagIds });
+      await emitMembershipRefresh([subscriberId], { tagIds: assignedTagIds });
+    }
+
     return true;
   } catch (error) {
     await client.query("ROLLBACK");
@@ -242,19 +277,35 @@ async function assignTagsToSubscriber(subscriberId, tagIds, createdBy = null) {
  * Remove tags from a subscriber
  * @param {number} subscriberId - Subscriber ID
  * @param {Array<number>} tagIds - Tag IDs to remove
+ * @param {string} removedBy - User ID who removed the tags
  * @returns {Promise<boolean>} - Success indicator
  */
-async function removeTagsFromSubscriber(subscriberId, tagIds) {
+async function removeTagsFromSubscriber(subscriberId, tagIds, removedBy = null) {
+  const client = await db.getClient();
+
   try {
+    await client.query("BEGIN");
+
     // Remove specified tags from subscriber
     const placeholders = tagIds.map((_, index) => `$${index + 2}`).join(",");
-    const query = `DELETE FROM subscriber_tags WHERE subscriber_id = $1 AND tag_id IN (${placeholders})`;
+    const query = `DELETE FROM subscriber_tags WHERE subscriber_id = $1 AND tag_id IN (${placeholders}) RETURNING tag_id`;
+
+    const { rows } = await client.query(query, [subscriberId, ...tagIds]);
+    await recordTagEvents(client, rows.map((row) => [subscriberId, row.tag_id]), "removed", removedBy);
+
+    await client.query("COMMIT");
+
+    if (rows.length > 0) {
+      await emitMembershipRefresh([subscriberId], { tagIds: rows.map((row) => row.tag_id) });
+    }
 
-    await db.query(query, [subscriberId, ...tagIds]);
     return true;
   } catch (error) {
+    await client.query("ROLLBACK");
     logger.error(`Error removing tags from subscriber ${subscriberId}:`, error);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
@@ -316,6 +367,7 @@ module.exports = {
   updateTag,
   deleteTag,
   getTagsForSubscriber,
+  recordTagEvents,
   assignTagsToSubscriber,
   removeTagsFromSubscriber,
   getSubscribersByTag,
@@ -0,0 +1,212 @@
+/**
+ * @module services/topic
+ * @description Service for subscription topics (newsletter, product updates, promotions, ...). Subscribers
+ * receive every topic unless they opted out of it from the preference center; campaigns declare a topic
+ * and leave out the subscribers who opted out of it.
+ */
+const db = require("../config/db");
+const logger = require("./logger.service");
+const { NotFoundError, ConflictResourceError } = require("../utils/errors");
+
+/**
+ * Transform a topic row to the API format
+ * @function transformTopicFromDb
+ * @param {Object} row - Database row
+ * @returns {Object} Topic
+ */
+function transformTopicFromDb(row) {
+  return {
+    id: row.id,
+    key: row.key,
+    name: row.name,
+    description: row.description,
+    optOutCount: row.opt_out_count !== undefined ? parseInt(row.opt_out_count) : undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * List all topics with the number of subscribers who opted out of each
+ * @async
+ * @function listTopics
+ * @returns {Promise<Object[]>} Topics ordered by name
+ */
+async function listTopics() {
+  const { rows } = await db.query(
+    `SELECT t.*, (SELECT COUNT(*) FROM subscriber_topic_opt_outs o WHERE o.topic_id = t.id) AS opt_out_count
+     FROM topics t
+     ORDER BY t.name`
+  );
+
+  return rows.map(transformTopicFromDb);
+}
+
+/**
+ * Get a topic
+ * @async
+ * @function getTopicById
+ * @param {number} id - Topic ID
+ * @returns {Promise<Object>} Topic
+ * @throws {NotFoundError} If the topic does not exist
+ */
+async function getTopicById(id) {
+  const { rows } = await db.query(
+    `SELECT t.*, (SELECT COUNT(*) FROM subscriber_topic_opt_outs o WHERE o.topic_id = t.id) AS opt_out_count
+     FROM topics t
+     WHERE t.id = $1`,
+    [id]
+  );
+
+  if (rows.length === 0) {
+    throw new NotFoundError(`Topic with ID ${id} not found`);
+  }
+
+  return transformTopicFromDb(rows[0]);
+}
+
+/**
+ * Create a topic
+ * @async
+ * @function createTopic
+ * @param {Object} topicData - Topic data ({ key, name, description })
+ * @param {string} userId - ID of the user creating the topic
+ * @returns {Promise<Object>} Created topic
+ * @throws {ConflictResourceError} If the key is already used
+ */
+async function createTopic(topicData, userId) {
+  const { rows } = await db.query(
+    `INSERT INTO topics (key, name, description, created_by, updated_by)
+     VALUES ($1, $2, $3, $4, $4)
+     ON CONFLICT (key) DO NOTHING
+     RETURNING id`,
+    [topicData.key, topicData.name, topicData.description || null, userId]
+  );
+
+  if (rows.length === 0) {
+    throw new ConflictResourceError(`Topic with key "${topicData.key}" already exists`);
+  }
+
+  logger.info(`Created topic ${rows[0].id} (${topicData.key})`);
+  return getTopicById(rows[0].id);
+}
+
+/**
+ * Update a topic
+ * @async
+ * @function updateTopic
+ * @param {number} id - Topic ID
+ * @param {Object} topicData - Fields to update ({ name, description })
+ * @param {string} userId - ID of the user updating the topic
+ * @returns {Promise<Object>} Updated topic
+ * @throws {NotFoundError} If the topic does not exist
+ */
+async function updateTopic(id, topicData, userId) {
+  const updateFields = [];
+  const values = [id];
+
+  if (topicData.name !== undefined) {
+    values.push(topicData.name);
+    updateFields.push(`name = $${values.length}`);
+  }
+
+  if (topicData.description !== undefined) {
+    values.push(topicData.description);
+    updateFields.push(`description = $${values.length}`);
+  }
+
+  values.push(userId);
+  updateFields.push(`updated_by = $${values.length}`, "updated_at = CURRENT_TIMESTAMP");
+
+  const { rowCount } = await db.query(`UPDATE topics SET ${updateFields.join(", ")} WHERE id = $1`, values);
+
+  if (rowCount === 0) {
+    throw new NotFoundError(`Topic with ID ${id} not found`);
+  }
+
+  return getTopicById(id);
+}
+
+/**
+ * Delete a topic along with the opt-outs from it; its campaigns go to every subscriber from then on
+ * @async
+ * @function deleteTopic
+ * @param {number} id - Topic ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the topic does not exist
+ */
+async function deleteTopic(id) {
+  const { rowCount } = await db.query(`DELETE FROM topics WHERE id = $1`, [id]);
+
+  if (rowCount === 0) {
+    throw new NotFoundError(`Topic with ID ${id} not found`);
+  }
+
+  logger.info(`Deleted topic ${id}`);
+}
+
+/**
+ * Get every topic with whether a subscriber receives it
+ * @async
+ * @function getSubscriberTopics
+ * @param {number} subscriberId - Subscriber ID
+ * @returns {Promise<Object[]>} Topics with a subscribed flag
+ */
+async function getSubscriberTopics(subscriberId) {
+  const { rows } = await db.query(
+    `SELECT t.*, o.subscriber_id IS NULL AS subscribed
+     FROM topics t
+     LEFT JOIN subscriber_topic_opt_outs o ON o.topic_id = t.id AND o.subscriber_id = $1
+     ORDER BY t.name`,
+    [subscriberId]
+  );
+
+  return rows.map((row) => ({ ...transformTopicFromDb(row), subscribed: row.subscribed }));
+}
+
+/**
+ * Set the topics a subscriber receives; every other topic is opted out of
+ * @async
+ * @function setSubscriberTopics
+ * @param {number} subscriberId - Subscriber ID
+ * @param {number[]} topicIds - IDs of the topics to receive
+ * @returns {Promise<Object[]>} Topics with a subscribed flag
+ */
+async function setSubscriberTopics(subscriberId, topicIds) {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    await client.query(`DELETE FROM subscriber_topic_opt_outs WHERE subscriber_id = $1 AND topic_id = ANY($2::int[])`, [
+      subscriberId,
+      topicIds,
+    ]);
+    await client.query(
+      `INSERT INTO subscriber_topic_opt_outs (subscriber_id, topic_id)
+       SELECT $1, t.id FROM topics t WHERE t.id <> ALL($2::int[])
+       ON CONFLICT (subscriber_id, topic_id) DO NOTHING`,
+      [subscriberId, topicIds]
+    );
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(`Subscriber ${subscriberId} updated topic preferences: receives ${topicIds.length} topics`);
+  return getSubscriberTopics(subscriberId);
+}
+
+module.exports = {
+  listTopics,
+  getTopicById,
+  createTopic,
+  updateTopic,
+  deleteTopic,
+  getSubscriberTopics,
+  setSubscriberTopics,
+};
@@ -0,0 +1,194 @@
+/**
+ * @module services/tracked-link
+ * @description Registry of the links in campaign and workflow emails. Each distinct link of a campaign (or
+ * workflow step) gets a short ID once; click tracking URLs refer to that ID instead of carrying the destination.
+ */
+const crypto = require("crypto");
+const db = require("../config/db");
+const logger = require("./logger.service");
+const { getClickTrackingUrl, appendUtmParams } = require("../utils/tracking");
+
+// Registered links never change, so every worker keeps the ones it has seen; cleared when it grows too large
+const linkCache = new Map();
+const MAX_CACHED_LINKS = 10000;
+
+// Attempts at registering links whose freshly generated short IDs collided with existing ones
+const MAX_REGISTER_ATTEMPTS = 3;
+
+// Opening <a> tags and their href attribute
+const ANCHOR_TAG_REGEX = /<a\b[^>]*>/gi;
+const HREF_REGEX = /(\shref\s*=\s*)(["'])(.*?)\2/i;
+
+/**
+ * Build the key of a link within its email
+ * @function linkKey
+ * @param {Object} link - { url, label }
+ * @returns {string} Link key
+ */
+const linkKey = ({ url, label }) => JSON.stringify([url, label || null]);
+
+/**
+ * Build the cache key of a link
+ * @function cacheKey
+ * @param {Object} scope - { campaignId } or { workflowStepId }
+ * @param {Object} link - { url, label }
+ * @returns {string} Cache key
+ */
+const cacheKey = ({ campaignId = null, workflowStepId = null }, link) => `${campaignId}:${workflowStepId}:${linkKey(link)}`;
+
+/**
+ * Generate a short link ID
+ * @function generateShortId
+ * @returns {string} 8 URL-safe characters
+ */
+const generateShortId = () => crypto.randomBytes(6).toString("base64url");
+
+/**
+ * Read an attribute of an HTML tag
+ * @function getAttribute
+ * @param {string} tag - Opening tag
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} Attribute value ("" for a bare attribute), undefined when absent
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}(?:\\s*=\\s*(?:"([^"]*)"|'([^']*)'))?(?=[\\s/>])`, "i"));
+  return match ? (match[1] ?? match[2] ?? "") : undefined;
+}
+
+/**
+ * Read the link of an <a> tag if it is to be tracked: absolute HTTP(S) links without data-notrack
+ * @function parseTrackedLink
+ * @param {string} tag - Opening <a> tag
+ * @param {Object|null} utmParams - UTM parameters to append to the link
+ * @returns {Object|null} { url, label }, or null if the link is not tracked
+ */
+function parseTrackedLink(tag, utmParams) {
+  const href = tag.match(HREF_REGEX);
+  // href values are HTML, so &amp; separates query parameters
+  const url = href ? href[3].trim().replace(/&amp;/g, "&") : "";
+
+  if (!/^https?:\/\//i.test(url) || getAttribute(tag, "data-notrack") !== undefined) {
+    return null;
+  }
+
+  return { url: appendUtmParams(url, utmParams), label: getAttribute(tag, "data-label")?.trim().slice(0, 255) || null };
+}
+
+/**
+ * Register the links of a campaign or workflow step, reusing the short IDs of links registered before
+ * @async
+ * @function registerLinks
+ * @param {Object} scope - Email the links belong to
+ * @param {number} [scope.campaignId] - Campaign ID
+ * @param {number} [scope.workflowStepId] - Workflow step ID
+ * @param {Array<{url: string, label: string|null}>} links - Links
+ * @returns {Promise<Map<string, string>>} Short ID of every link, by link key
+ * @throws {Error} If short IDs could not be assigned
+ */
+async function registerLinks({ campaignId = null, workflowStepId = null }, links) {
+  const scope = { campaignId, workflowStepId };
+  const shortIds = new Map();
+  let missing = [...new Map(links.map((link) => [linkKey(link), link])).values()].filter((link) => {
+    const cached = linkCache.get(cacheKey(scope, link));
+    if (cached) {
+      shortIds.set(linkKey(link), cached);
+    }
+    return !cached;
+  });
+
+  for (let attempt = 0; attempt < MAX_REGISTER_ATTEMPTS && missing.length > 0; attempt++) {
+    // Existing links and short ID collisions are both skipped; the select below picks up what was stored
+    await db.query(
+      `INSERT INTO tracked_links (short_id, campaign_id, workflow_step_id, url, label)
+       SELECT link.short_id, $1, $2, link.url, link.label
+       FROM unnest($3::text[], $4::text[], $5::text[]) AS link(short_id, url, label)
+       ON CONFLICT DO NOTHING`,
+      [
+        campaignId,
+        workflowStepId,
+        missing.map(generateShortId),
+        missing.map((link) => link.url),
+        missing.map((link) => link.label),
+      ]
+    );
+
+    const scopeColumn = campaignId ? "campaign_id" : "workflow_step_id";
+    const { rows } = await db.query(
+      `SELECT short_id, url, label FROM tracked_links WHERE ${scopeColumn} = $1 AND url = ANY($2::text[])`,
+      [campaignId || workflowStepId, missing.map((link) => link.url)]
+    );
+
+    if (linkCache.size + rows.length > MAX_CACHED_LINKS) {
+      linkCache.clear();
+    }
+    for (const row of rows) {
+      shortIds.set(linkKey(row), row.short_id);
+      linkCache.set(cacheKey(scope, row), row.short_id);
+    }
+
+    missing = missing.filter((link) => !shortIds.has(linkKey(link)));
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Could not register ${missing.length} tracked links`);
+  }
+
+  return shortIds;
+}
+
+/**
+ * Replace the links of an email with signed click tracking URLs. Links with a data-notrack attribute are
+ * left alone; a data-label attribute names the link in click reports.
+ * @async
+ * @function trackLinks
+ * @param {string} html - Rendered email HTML
+ * @param {Object} scope - Email the links belong to ({ campaignId } or { workflowStepId })
+ * @param {number} recipientId - Recipient ID
+ * @param {Object} [options] - Options
+ * @param {Object|null} [options.utmParams] - UTM parameters to append to every tracked link
+ * @returns {Promise<string>} HTML with tracked links
+ */
+async function trackLinks(html, scope, recipientId, { utmParams = null } = {}) {
+  const links = [...html.matchAll(ANCHOR_TAG_REGEX)].map(([tag]) => parseTrackedLink(tag, utmParams)).filter(Boolean);
+  if (links.length === 0) {
+    return html;
+  }
+
+  const shortIds = await registerLinks(scope, links);
+
+  return html.replace(ANCHOR_TAG_REGEX, (tag) => {
+    const link = parseTrackedLink(tag, utmParams);
+    if (!link) {
+      return tag;
+    }
+
+    const trackingUrl = getClickTrackingUrl(shortIds.get(linkKey(link)), recipientId).replace(/&/g, "&amp;");
+    return tag.replace(HREF_REGEX, (match, prefix, quote) => `${prefix}${quote}${trackingUrl}${quote}`);
+  });
+}
+
+/**
+ * Look up a registered link by its short ID
+ * @async
+ * @function getLinkByShortId
+ * @param {string} shortId - Short ID of the link
+ * @returns {Promise<Object|null>} { url, label, campaignId, workflowStepId }, or null if unknown
+ */
+async function getLinkByShortId(shortId) {
+  const { rows } = await db.query(`SELECT url, label, campaign_id, workflow_step_id FROM tracked_links WHERE short_id = $1`, [
+    shortId,
+  ]);
+
+  if (rows.length === 0) {
+    logger.warn(`Unknown tracked link ${shortId}`);
+    return null;
+  }
+
+  return { url: rows[0].url, label: rows[0].label, campaignId: rows[0].campaign_id, workflowStepId: rows[0].workflow_step_id };
+}
+
+module.exports = {
+  registerLinks,
+  trackLinks,
+  getLinkByShortId,
+};
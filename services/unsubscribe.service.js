@@ -0,0 +1,129 @@
+/**
+ * @module services/unsubscribe
+ * @description Service behind the unsubscribe and preference center links of campaign and workflow emails.
+ * Links carry a signed token (see utils/unsubscribe) naming the subscriber and the campaign or workflow
+ * step the email came from.
+ */
+const db = require("../config/db");
+const logger = require("./logger.service");
+const topicService = require("./topic.service");
+const { emitMembershipRefresh } = require("./list-membership-trigger.service");
+const { verifyUnsubscribeToken } = require("../utils/unsubscribe");
+const { BadRequestError } = require("../utils/errors");
+
+/**
+ * Verify an unsubscribe token and look up the subscriber it is for
+ * @async
+ * @function getUnsubscribeRequest
+ * @param {string} token - Token from the unsubscribe link
+ * @returns {Promise<Object>} The token's IDs with the subscriber (null for test and seed emails)
+ * @throws {BadRequestError} If the token is invalid or its subscriber no longer exists
+ */
+async function getUnsubscribeRequest(token) {
+  const ids = verifyUnsubscribeToken(token);
+  if (!ids) {
+    throw new BadRequestError("This unsubscribe link is invalid");
+  }
+
+  if (!ids.subscriberId) {
+    return { ...ids, subscriber: null };
+  }
+
+  const { rows } = await db.query(`SELECT id, email, is_active FROM subscribers WHERE id = $1`, [ids.subscriberId]);
+  if (rows.length === 0) {
+    throw new BadRequestError("This unsubscribe link is invalid");
+  }
+
+  return { ...ids, subscriber: rows[0] };
+}
+
+/**
+ * Unsubscribe the subscriber of an unsubscribe token and record the event against the campaign or
+ * workflow step the email came from. Repeated requests (double clicks, link scanners replaying the
+ * one-click POST) are recorded once.
+ * @async
+ * @function unsubscribeWithToken
+ * @param {string} token - Token from the unsubscribe link
+ * @param {Object} [request] - Request details
+ * @param {boolean} [request.oneClick=false] - Sent by a mailbox provider through List-Unsubscribe-Post
+ * @param {string} [request.ipAddress] - IP address of the request
+ * @param {string} [request.userAgent] - User agent of the request
+ * @returns {Promise<{email: string|null, unsubscribed: boolean}>} Whether the subscriber was unsubscribed now
+ * @throws {BadRequestError} If the token is invalid
+ */
+async function unsubscribeWithToken(token, { oneClick = false, ipAddress = null, userAgent = null } = {}) {
+  const { subscriber, campaignId, workflowStepId } = await getUnsubscribeRequest(token);
+
+  // Test and seed emails carry a valid link that unsubscribes nobody
+  if (!subscriber) {
+    return { email: null, unsubscribed: false };
+  }
+
+  const { rowCount } = await db.query(
+    `UPDATE subscribers SET is_active = FALSE, unsubscribed_at = NOW(), updated_at = NOW() WHERE id = $1 AND is_active = TRUE`,
+    [subscriber.id]
+  );
+
+  if (rowCount === 0) {
+    return { email: subscriber.email, unsubscribed: false };
+  }
+
+  await db.query(
+    `INSERT INTO email_analytics
+     (campaign_id, workflow_step_id, recipient_id, recipient_email, event_type, ip_address, user_agent, additional_data)
+     VALUES ($1, $2, $3, $4, 'unsubscribed', $5, $6, $7)`,
+    [
+      campaignId,
+      workflowStepId,
+      subscriber.id,
+      subscriber.email,
+      ipAddress,
+      userAgent,
+      JSON.stringify({ method: oneClick ? "one_click" : "link" }),
+    ]
+  );
+
+  await emitMembershipRefresh([subscriber.id]);
+
+  logger.info(`Subscriber ${subscriber.id} unsubscribed from ${campaignId ? `campaign ${campaignId}` : `workflow step ${workflowStepId}`}`);
+  return { email: subscriber.email, unsubscribed: true };
+}
+
+/**
+ * Save the preferences a subscriber chose in the preference center: the topics they receive, and
+ * whether they receive our emails at all
+ * @async
+ * @function updatePreferencesWithToken
+ * @param {string} token - Token from the preference center link
+ * @param {Object} preferences - Chosen preferences
+ * @param {number[]} preferences.topicIds - IDs of the topics to receive
+ * @param {boolean} preferences.unsubscribeAll - Stop all emails
+ * @param {Object} [request] - Request details (see unsubscribeWithToken)
+ * @returns {Promise<Object>} The subscriber's email, whether they are subscribed and their topics
+ * @throws {BadRequestError} If the token is invalid or has no subscriber (test and seed emails)
+ */
+async function updatePreferencesWithToken(token, { topicIds, unsubscribeAll }, request = {}) {
+  const { subscriber } = await getUnsubscribeRequest(token);
+  if (!subscriber) {
+    throw new BadRequestError("Preferences cannot be changed from a test email");
+  }
+
+  const topics = await topicService.setSubscriberTopics(subscriber.id, topicIds);
+
+  if (unsubscribeAll) {
+    await unsubscribeWithToken(token, request);
+  } else if (!subscriber.is_active) {
+    // Clearing "unsubscribe from all" in the preference center subscribes again
+    await db.query(`UPDATE subscribers SET is_active = TRUE, unsubscribed_at = NULL, updated_at = NOW() WHERE id = $1`, [subscriber.id]);
+    await emitMembershipRefresh([subscriber.id]);
+    logger.info(`Subscriber ${subscriber.id} subscribed again from the preference center`);
+  }
+
+  return { email: subscriber.email, subscribed: !unsubscribeAll, topics };
+}
+
+module.exports = {
+  getUnsubscribeRequest,
+  unsubscribeWithToken,
+  updatePreferencesWithToken,
+};
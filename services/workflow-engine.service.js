@@ -0,0 +1,426 @@
+/**
+ * @module services/workflow-engine
+ * @description Runs automation workflows. Subscriber events enroll subscribers into matching workflows
+ * and each enrollment is advanced step by step by the workflow worker. Progress is persisted on the
+ * enrollment, and every step is recorded in workflow_step_executions so that it runs at most once even
+ * when a message is redelivered.
+ */
+const db = require("../config/db");
+const logger = require("./logger.service");
+const queueService = require("./queue.service");
+const emailService = require("./email.service");
+const emailTemplateService = require("./email-template.service");
+const tagService = require("./tag.service");
+const workflowService = require("./workflow.service");
+const suppressionService = require("./suppression.service");
+const sendThrottleService = require("./send-throttle.service");
+const trackedLinkService = require("./tracked-link.service");
+const config = require("../config");
+const { getUnsubscribeUrl, getPreferencesUrl, getListUnsubscribeHeaders } = require("../utils/unsubscribe");
+const { getOpenTrackingUrl } = require("../utils/tracking");
+
+const WORKFLOW_QUEUE = config.QUEUE_NAMES.workflow;
+
+// Enrollments stuck in "running" (e.g. the worker died mid-step) are picked up again after this long
+const STALLED_ENROLLMENT_MINUTES = 15;
+
+// Maximum enrollments released from their wait per scheduler tick
+const RELEASE_BATCH_SIZE = 500;
+
+/**
+ * Check whether an event matches the trigger config of a workflow
+ * @function matchesTrigger
+ * @param {Object} workflow - workflows row
+ * @param {Object} data - Event data
+ * @returns {boolean} True if the workflow should start
+ */
+function matchesTrigger(workflow, data = {}) {
+  const triggerConfig = workflow.trigger_config || {};
+
+  switch (workflow.trigger_type) {
+    case "tag_assigned":
+      return (data.tagIds || []).map(Number).includes(Number(triggerConfig.tagId));
+    case "link_clicked":
+      if (triggerConfig.campaignId && Number(triggerConfig.campaignId) !== Number(data.campaignId)) {
+        return false;
+      }
+      return !triggerConfig.urlContains || (data.url || "").includes(triggerConfig.urlContains);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Enroll a subscriber into every active workflow the event triggers and run their first steps
+ * @async
+ * @function handleTriggerEvent
+ * @param {string} event - Trigger type (subscriber_created, tag_assigned, link_clicked)
+ * @param {number} subscriberId - Subscriber ID
+ * @param {Object} [data={}] - Event data
+ * @returns {Promise<number>} Number of new enrollments
+ */
+async function handleTriggerEvent(event, subscriberId, data = {}) {
+  const { rows: workflows } = await db.query(
+    `SELECT w.*,
+            (SELECT ws.step_key FROM workflow_steps ws WHERE ws.workflow_id = w.id ORDER BY ws.position, ws.id LIMIT 1) AS entry_step_key
+     FROM workflows w
+     WHERE w.trigger_type = $1 AND w.status = 'active' AND w.is_deleted = FALSE`,
+    [event]
+  );
+
+  let enrolled = 0;
+
+  for (const workflow of workflows) {
+    if (!workflow.entry_step_key || !matchesTrigger(workflow, data)) {
+      continue;
+    }
+
+    // A subscriber enters a workflow only once
+    const { rows } = await db.query(
+      `INSERT INTO workflow_enrollments (workflow_id, subscriber_id, current_step_key, trigger_data)
+       SELECT $1, s.id, $3, $4
+       FROM subscribers s
+       WHERE s.id = $2 AND s.is_active = TRUE
+       ON CONFLICT (workflow_id, subscriber_id) DO NOTHING
+       RETURNING id`,
+      [workflow.id, subscriberId, workflow.entry_step_key, data]
+    );
+
+    if (rows.length === 0) {
+      continue;
+    }
+
+    enrolled++;
+    logger.info(`Subscriber ${subscriberId} entered workflow ${workflow.id} (${event})`);
+    await advanceEnrollment(rows[0].id);
+  }
+
+  return enrolled;
+}
+
+/**
+ * Record that an enrollment went through a step
+ * @async
+ * @function recordExecution
+ * @param {number} enrollmentId - Enrollment ID
+ * @param {number} stepId - Step ID
+ * @param {Object} [options] - Execution details
+ * @param {string} [options.status=completed] - completed or failed
+ * @param {string} [options.outcome] - Step outcome (e.g. yes/no for branches)
+ * @returns {Promise<boolean>} False if the step had already been recorded
+ */
+async function recordExecution(enrollmentId, stepId, { status = "completed", outcome = null } = {}) {
+  const { rows } = await db.query(
+    `INSERT INTO workflow_step_executions (enrollment_id, step_id, status, outcome)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (enrollment_id, step_id) DO NOTHING
+     RETURNING id`,
+    [enrollmentId, stepId, status, outcome]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Duration of a wait step in milliseconds
+ * @function getWaitDuration
+ * @param {Object} stepConfig - Wait step config ({ days, hours, minutes })
+ * @returns {number} Duration in milliseconds
+ */
+function getWaitDuration(stepConfig) {
+  const { days = 0, hours = 0, minutes = 0 } = stepConfig;
+  return ((days * 24 + hours) * 60 + minutes) * 60 * 1000;
+}
+
+/**
+ * Add the open pixel and click tracking to a workflow email. Links are registered for the step and
+ * replaced by signed tracking URLs.
+ * @async
+ * @function addWorkflowTracking
+ * @param {string} html - Rendered email HTML
+ * @param {number} stepId - Step that sends the email
+ * @param {number} subscriberId - Recipient ID
+ * @returns {Promise<string>} HTML with tracking
+ */
+async function addWorkflowTracking(html, stepId, subscriberId) {
+  const trackedHtml = await trackedLinkService.trackLinks(html, { workflowStepId: stepId }, subscriberId);
+
+  const pixelUrl = getOpenTrackingUrl({ workflowStepId: stepId, recipientId: subscriberId }).replace(/&/g, "&amp;");
+  const trackingPixel = `<img src="${pixelUrl}" width="1" height="1" alt="" style="display:none;">`;
+  return trackedHtml.includes("</body>") ? trackedHtml.replace("</body>", `${trackingPixel}</body>`) : trackedHtml + trackingPixel;
+}
+
+/**
+ * Render and send the email of a send_email step, and record the sent event. Suppressed addresses are
+ * skipped and the workflow carries on with the next step.
+ * @async
+ * @function sendStepEmail
+ * @param {Object} step - workflow_steps row
+ * @param {Object} subscriber - subscribers row
+ * @param {Object} workflow - workflows row
+ * @returns {Promise<void>}
+ */
+async function sendStepEmail(step, subscriber, workflow) {
+  if (await suppressionService.isSuppressed(subscriber.email)) {
+    logger.info(`Skipped workflow step ${step.id} email to ${subscriber.email}: address is on the suppression list`);
+    return;
+  }
+
+  const stepConfig = step.config || {};
+  const template = await emailTemplateService.getEmailTemplateById(stepConfig.templateId, true);
+  const unsubscribeUrl = getUnsubscribeUrl({ subscriberId: subscriber.id, workflowStepId: step.id });
+
+  const rendered = await emailTemplateService.renderTemplate(template.mjmlContent, subscriber.id, {
+    workflow_name: workflow.name,
+    sent_date: new Date().toISOString(),
+    unsubscribe_url: unsubscribeUrl,
+    preferences_url: getPreferencesUrl({ subscriberId: subscriber.id, workflowStepId: step.id }),
+    company_name: process.env.COMPANY_NAME || "Our Company",
+  });
+
+  const subject = await emailTemplateService.renderVariables(stepConfig.subject, rendered.context);
+
+  const { messageId } = await emailService.sendEmail({
+    to: subscriber.email,
+    from: stepConfig.fromEmail || config.aws.sesFromEmail,
+    fromName: stepConfig.fromName,
+    replyTo: stepConfig.replyTo,
+    subject,
+    html: await addWorkflowTracking(rendered.html, step.id, subscriber.id),
+    headers: {
+      "X-Workflow-Step-Id": String(step.id),
+      "X-Recipient-Id": String(subscriber.id),
+      ...getListUnsubscribeHeaders(unsubscribeUrl),
+    },
+  });
+
+  await db.query(
+    `INSERT INTO email_analytics (workflow_step_id, recipient_id, recipient_email, event_type, additional_data)
+     VALUES ($1, $2, $3, 'sent', $4)`,
+    [step.id, subscriber.id, subscriber.email, JSON.stringify({ message_id: messageId, workflow_id: workflow.id })]
+  );
+}
+
+/**
+ * Check whether a subscriber opened or clicked the email of a send_email step
+ * @async
+ * @function hasEngaged
+ * @param {number} stepId - ID of the send_email step
+ * @param {number} subscriberId - Subscriber ID
+ * @param {string} condition - opened or clicked
+ * @returns {Promise<boolean>} True if the event was recorded
+ */
+async function hasEngaged(stepId, subscriberId, condition) {
+  const { rows } = await db.query(
+    `SELECT 1 FROM email_analytics WHERE workflow_step_id = $1 AND recipient_id = $2 AND event_type = $3 LIMIT 1`,
+    [stepId, subscriberId, condition]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Persist the progress of an enrollment
+ * @async
+ * @function saveEnrollment
+ * @param {number} enrollmentId - Enrollment ID
+ * @param {Object} state - New state
+ * @param {string} state.status - Enrollment status
+ * @param {string|null} state.currentStepKey - Step the enrollment is at
+ * @param {Date|null} [state.waitUntil] - When a waiting enrollment continues
+ * @param {string|null} [state.lastError] - Error that failed the enrollment
+ * @returns {Promise<void>}
+ */
+async function saveEnrollment(enrollmentId, { status, currentStepKey, waitUntil = null, lastError = null }) {
+  await db.query(
+    `UPDATE workflow_enrollments
+     SET status = $2, current_step_key = $3, wait_until = $4, last_error = $5,
+         finished_at = CASE WHEN $2 IN ('completed', 'exited', 'failed') THEN CURRENT_TIMESTAMP ELSE NULL END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [enrollmentId, status, currentStepKey, waitUntil, lastError]
+  );
+}
+
+/**
+ * Run an enrollment from its current step until it has to wait or leaves the workflow
+ * @async
+ * @function advanceEnrollment
+ * @param {number} enrollmentId - Enrollment ID
+ * @returns {Promise<string|null>} Resulting enrollment status, or null if the enrollment wasn't ready to run.
+ * An enrollment held back by the send throttle is handed back to the workflow queue later and stays active.
+ */
+async function advanceEnrollment(enrollmentId) {
+  // Claim the enrollment so concurrent workers don't run the same step
+  const { rows } = await db.query(
+    `UPDATE workflow_enrollments e
+     SET status = 'running', updated_at = CURRENT_TIMESTAMP
+     FROM workflows w
+     WHERE e.id = $1 AND e.status = 'active' AND w.id = e.workflow_id AND w.status = 'active' AND w.is_deleted = FALSE
+     RETURNING e.*, row_to_json(w.*) AS workflow`,
+    [enrollmentId]
+  );
+
+  if (rows.length === 0) {
+    logger.debug(`Workflow enrollment ${enrollmentId} is not ready to advance, skipping`);
+    return null;
+  }
+
+  const enrollment = rows[0];
+  const workflow = enrollment.workflow;
+  let currentStepKey = enrollment.current_step_key;
+
+  try {
+    const { rows: subscriberRows } = await db.query(`SELECT * FROM subscribers WHERE id = $1`, [enrollment.subscriber_id]);
+    const subscriber = subscriberRows[0];
+
+    if (!subscriber || !subscriber.is_active) {
+      await saveEnrollment(enrollmentId, { status: "exited", currentStepKey, lastError: "Subscriber is no longer active" });
+      return "exited";
+    }
+
+    const steps = await workflowService.getWorkflowSteps(workflow.id);
+    const stepsByKey = new Map(steps.map((step) => [step.step_key, step]));
+
+    // The step graph is acyclic, so this ends after at most one pass over the steps
+    while (currentStepKey) {
+      const step = stepsByKey.get(currentStepKey);
+
+      if (!step) {
+        await saveEnrollment(enrollmentId, { status: "exited", currentStepKey, lastError: "Step was removed from the workflow" });
+        return "exited";
+      }
+
+      const stepConfig = step.config || {};
+      let nextStepKey = step.next_step_key;
+
+      switch (step.type) {
+        case "wait":
+          // First visit starts the wait; the scheduler hands the enrollment back once it's over
+          if (!enrollment.wait_until) {
+            const waitUntil = new Date(Date.now() + getWaitDuration(stepConfig));
+            await saveEnrollment(enrollmentId, { status: "waiting", currentStepKey, waitUntil });
+            return "waiting";
+          }
+          enrollment.wait_until = null;
+          await recordExecution(enrollmentId, step.id);
+          break;
+        case "send_email": {
+          // Workflow emails share the campaign send rates; over the limit the step is retried later, not failed
+          const slot = await sendThrottleService.acquireSendSlot(subscriber.email);
+          if (!slot.allowed) {
+            await saveEnrollment(enrollmentId, { status: "active", currentStepKey });
+            await queueService.publishDelayed(WORKFLOW_QUEUE, { type: "advance", enrollmentId }, slot.retryAfterMs);
+            logger.debug(`Deferred workflow step ${step.id} email to ${subscriber.email} by ${slot.retryAfterMs}ms (${slot.limitedBy})`);
+            return "active";
+          }
+
+          // Recording first means a redelivered message never sends the email twice
+          if (await recordExecution(enrollmentId, step.id)) {
+            try {
+              await sendStepEmail(step, subscriber, workflow);
+            } catch (error) {
+              await db.query(`UPDATE workflow_step_executions SET status = 'failed' WHERE enrollment_id = $1 AND step_id = $2`, [
+                enrollmentId,
+                step.id,
+              ]);
+              throw error;
+            }
+          }
+          break;
+        }
+        case "branch": {
+          const sendStep = stepsByKey.get(stepConfig.sendStepKey);
+          const engaged = sendStep ? await hasEngaged(sendStep.id, subscriber.id, stepConfig.condition) : false;
+          await recordExecution(enrollmentId, step.id, { outcome: engaged ? "yes" : "no" });
+          nextStepKey = engaged ? stepConfig.yesStepKey : stepConfig.noStepKey;
+          break;
+        }
+        case "add_tag":
+          await tagService.assignTagsToSubscriber(subscriber.id, [stepConfig.tagId]);
+          await recordExecution(enrollmentId, step.id);
+          break;
+        case "remove_tag":
+          await tagService.removeTagsFromSubscriber(subscriber.id, [stepConfig.tagId]);
+          await recordExecution(enrollmentId, step.id);
+          break;
+        case "exit":
+          await recordExecution(enrollmentId, step.id);
+          await saveEnrollment(enrollmentId, { status: "exited", currentStepKey });
+          logger.info(`Subscriber ${subscriber.id} exited workflow ${workflow.id} at step "${currentStepKey}"`);
+          return "exited";
+        default:
+          throw new Error(`Unknown workflow step type: ${step.type}`);
+      }
+
+      if (!nextStepKey) {
+        await saveEnrollment(enrollmentId, { status: "completed", currentStepKey: null });
+        logger.info(`Subscriber ${subscriber.id} completed workflow ${workflow.id}`);
+        return "completed";
+      }
+
+      // Persist progress after every step so a crash resumes from the step that was interrupted
+      currentStepKey = nextStepKey;
+      await saveEnrollment(enrollmentId, { status: "running", currentStepKey });
+    }
+
+    await saveEnrollment(enrollmentId, { status: "completed", currentStepKey: null });
+    return "completed";
+  } catch (error) {
+    logger.error(`Error advancing workflow enrollment ${enrollmentId} at step "${currentStepKey}":`, error);
+    await saveEnrollment(enrollmentId, { status: "failed", currentStepKey, lastError: error.message });
+    return "failed";
+  }
+}
+
+/**
+ * Hand enrollments whose wait is over back to the workflow worker, and pick up enrollments that stalled
+ * @async
+ * @function releaseDueEnrollments
+ * @returns {Promise<number>} Number of enrollments queued
+ */
+async function releaseDueEnrollments() {
+  const { rows: due } = await db.query(
+    `UPDATE workflow_enrollments
+     SET status = 'active', updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT e.id
+       FROM workflow_enrollments e
+       JOIN workflows w ON w.id = e.workflow_id
+       WHERE e.status = 'waiting' AND e.wait_until <= CURRENT_TIMESTAMP AND w.status = 'active' AND w.is_deleted = FALSE
+       ORDER BY e.wait_until
+       LIMIT $1
+       FOR UPDATE OF e SKIP LOCKED
+     )
+     RETURNING id`,
+    [RELEASE_BATCH_SIZE]
+  );
+
+  const { rows: stalled } = await db.query(
+    `UPDATE workflow_enrollments e
+     SET status = 'active', updated_at = CURRENT_TIMESTAMP
+     FROM workflows w
+     WHERE w.id = e.workflow_id AND w.status = 'active' AND w.is_deleted = FALSE
+       AND e.status IN ('active', 'running') AND e.updated_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+     RETURNING e.id`,
+    [STALLED_ENROLLMENT_MINUTES]
+  );
+
+  if (stalled.length > 0) {
+    logger.warn(`Re-queueing ${stalled.length} stalled workflow enrollments`);
+  }
+
+  const enrollmentIds = [...due, ...stalled].map((row) => row.id);
+  for (const enrollmentId of enrollmentIds) {
+    await queueService.publishToQueue(WORKFLOW_QUEUE, { type: "advance", enrollmentId });
+  }
+
+  return enrollmentIds.length;
+}
+
+module.exports = {
+  matchesTrigger,
+  handleTriggerEvent,
+  advanceEnrollment,
+  releaseDueEnrollments,
+};
@@ -0,0 +1,43 @@
+/**
+ * @module services/workflow-trigger
+ * @description Publishes subscriber events that can start automation workflows. Kept separate from the
+ * workflow engine so that the services raising events (subscribers, tags, tracking) don't depend on it.
+ */
+const logger = require("./logger.service");
+const queueService = require("./queue.service");
+const { QUEUE_NAMES } = require("../config");
+
+const WORKFLOW_EVENTS = {
+  subscriberCreated: "subscriber_created",
+  tagAssigned: "tag_assigned",
+  linkClicked: "link_clicked",
+};
+
+/**
+ * Publish a subscriber event to the workflow queue. Never throws: a failed trigger must not fail the
+ * request that raised it.
+ * @async
+ * @function emitWorkflowEvent
+ * @param {string} event - One of WORKFLOW_EVENTS
+ * @param {number} subscriberId - Subscriber the event happened to
+ * @param {Object} [data={}] - Event details matched against the workflow trigger config
+ * @returns {Promise<void>}
+ */
+async function emitWorkflowEvent(event, subscriberId, data = {}) {
+  try {
+    await queueService.publishToQueue(QUEUE_NAMES.workflow, {
+      type: "trigger",
+      event,
+      subscriberId,
+      data,
+      occurredAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Error emitting workflow event ${event} for subscriber ${subscriberId}:`, error);
+  }
+}
+
+module.exports = {
+  WORKFLOW_EVENTS,
+  emitWorkflowEvent,
+};
@@ -0,0 +1,529 @@
+/**
+ * @module services/workflow
+ * @description Service for managing automation workflows (drip sequences). A workflow is a graph of
+ * steps linked by their keys; the first step by position is where subscribers enter. Running the steps
+ * is done by the workflow engine (see services/workflow-engine.service.js).
+ */
+const db = require("../config/db");
+const logger = require("./logger.service");
+const queueService = require("./queue.service");
+const { QUEUE_NAMES } = require("../config");
+const { NotFoundError, BadRequestError } = require("../utils/errors");
+
+/**
+ * Keys of the steps a step can continue with
+ * @function getStepTargets
+ * @param {Object} step - Step definition ({ key, type, config, next })
+ * @returns {string[]} Keys of the following steps
+ */
+function getStepTargets(step) {
+  if (step.type === "branch") {
+    return [step.config.yesStepKey, step.config.noStepKey].filter(Boolean);
+  }
+
+  return step.next ? [step.next] : [];
+}
+
+/**
+ * Validate the step graph of a workflow. Every step runs at most once per subscriber, so the graph must
+ * be free of cycles.
+ * @function validateSteps
+ * @param {Object[]} steps - Step definitions
+ * @throws {BadRequestError} If a key is duplicated, a link points to an unknown step or the steps form a cycle
+ */
+function validateSteps(steps) {
+  const stepsByKey = new Map();
+
+  for (const step of steps) {
+    if (stepsByKey.has(step.key)) {
+      throw new BadRequestError(`Step key "${step.key}" is used more than once`);
+    }
+    stepsByKey.set(step.key, step);
+  }
+
+  for (const step of steps) {
+    for (const target of getStepTargets(step)) {
+      if (!stepsByKey.has(target)) {
+        throw new BadRequestError(`Step "${step.key}" continues with unknown step "${target}"`);
+      }
+    }
+
+    if (step.type === "branch") {
+      const sendStep = stepsByKey.get(step.config.sendStepKey);
+      if (!sendStep || sendStep.type !== "send_email") {
+        throw new BadRequestError(`Branch "${step.key}" must refer to a send_email step`);
+      }
+    }
+  }
+
+  // Depth-first search for back edges
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (key) => {
+    if (visited.has(key)) return;
+    if (visiting.has(key)) {
+      throw new BadRequestError(`Steps form a cycle at "${key}"`);
+    }
+
+    visiting.add(key);
+    for (const target of getStepTargets(stepsByKey.get(key))) {
+      visit(target);
+    }
+    visiting.delete(key);
+    visited.add(key);
+  };
+
+  for (const key of stepsByKey.keys()) {
+    visit(key);
+  }
+}
+
+/**
+ * Transform a workflow step row to the API format
+ * @function transformStepFromDb
+ * @param {Object} row - workflow_steps row
+ * @returns {Object} Step
+ */
+function transformStepFromDb(row) {
+  return {
+    id: row.id,
+    key: row.step_key,
+    type: row.type,
+    config: row.config || {},
+    next: row.next_step_key,
+    position: row.position,
+  };
+}
+
+/**
+ * Transform a workflow row to the API format
+ * @function transformWorkflowFromDb
+ * @param {Object} row - workflows row
+ * @param {Object[]} [steps] - workflow_steps rows
+ * @returns {Object} Workflow
+ */
+function transformWorkflowFromDb(row, steps) {
+  if (!row) return null;
+
+  const workflow = {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    status: row.status,
+    trigger: {
+      type: row.trigger_type,
+      config: row.trigger_config || {},
+    },
+    enrollmentCount: row.enrollment_count !== undefined ? parseInt(row.enrollment_count) || 0 : undefined,
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+
+  if (steps) {
+    workflow.steps = steps.map(transformStepFromDb);
+  }
+
+  return workflow;
+}
+
+/**
+ * Insert or update the steps of a workflow by key and remove the steps that are no longer defined.
+ * Subscribers waiting at a removed step leave the workflow.
+ * @async
+ * @function saveSteps
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} workflowId - Workflow ID
+ * @param {Object[]} steps - Step definitions in order
+ * @returns {Promise<void>}
+ */
+async function saveSteps(client, workflowId, steps) {
+  for (const [position, step] of steps.entries()) {
+    await client.query(
+      `INSERT INTO workflow_steps (workflow_id, step_key, type, config, next_step_key, position)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (workflow_id, step_key)
+       DO UPDATE SET type = EXCLUDED.type, config = EXCLUDED.config, next_step_key = EXCLUDED.next_step_key,
+                     position = EXCLUDED.position, updated_at = CURRENT_TIMESTAMP`,
+      [workflowId, step.key, step.type, step.config || {}, step.type === "branch" ? null : step.next || null, position]
+    );
+  }
+
+  const { rows: removed } = await client.query(
+    `DELETE FROM workflow_steps WHERE workflow_id = $1 AND NOT (step_key = ANY($2::text[])) RETURNING step_key`,
+    [workflowId, steps.map((step) => step.key)]
+  );
+
+  if (removed.length > 0) {
+    await client.query(
+      `UPDATE workflow_enrollments
+       SET status = 'exited', last_error = 'Step was removed from the workflow', finished_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE workflow_id = $1 AND current_step_key = ANY($2::text[]) AND status IN ('active', 'waiting')`,
+      [workflowId, removed.map((row) => row.step_key)]
+    );
+  }
+}
+
+/**
+ * Get the steps of a workflow in order
+ * @async
+ * @function getWorkflowSteps
+ * @param {number} workflowId - Workflow ID
+ * @returns {Promise<Object[]>} workflow_steps rows
+ */
+async function getWorkflowSteps(workflowId) {
+  const { rows } = await db.query(`SELECT * FROM workflow_steps WHERE workflow_id = $1 ORDER BY position, id`, [workflowId]);
+  return rows;
+}
+
+/**
+ * Get a workflow with its steps
+ * @async
+ * @function getWorkflowById
+ * @param {number} id - Workflow ID
+ * @returns {Promise<Object>} Workflow
+ * @throws {NotFoundError} If the workflow doesn't exist
+ */
+async function getWorkflowById(id) {
+  const { rows } = await db.query(`SELECT * FROM workflows WHERE id = $1 AND is_deleted = FALSE`, [id]);
+
+  if (rows.length === 0) {
+    throw new NotFoundError(`Workflow with ID ${id} not found`);
+  }
+
+  const steps = await getWorkflowSteps(id);
+  return transformWorkflowFromDb(rows[0], steps);
+}
+
+/**
+ * List workflows with pagination
+ * @async
+ * @function listWorkflows
+ * @param {Object} [options] - Filter and pagination options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Items per page
+ * @param {string} [options.status] - Filter by status
+ * @param {string} [options.triggerType] - Filter by trigger type
+ * @returns {Promise<Object>} Workflows and pagination info
+ */
+async function listWorkflows(options = {}) {
+  const { page = 1, limit = 10, status, triggerType } = options;
+  const offset = (page - 1) * limit;
+  const conditions = ["w.is_deleted = FALSE"];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`w.status = $${params.length}`);
+  }
+
+  if (triggerType) {
+    params.push(triggerType);
+    conditions.push(`w.trigger_type = $${params.length}`);
+  }
+
+  const whereClause = conditions.join(" AND ");
+
+  const { rows: countRows } = await db.query(`SELECT COUNT(*) AS total FROM workflows w WHERE ${whereClause}`, params);
+  const total = parseInt(countRows[0].total);
+
+  const { rows } = await db.query(
+    `SELECT w.*, (SELECT COUNT(*) FROM workflow_enrollments e WHERE e.workflow_id = w.id) AS enrollment_count
+     FROM workflows w
+     WHERE ${whereClause}
+     ORDER BY w.created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    data: rows.map((row) => transformWorkflowFromDb(row)),
+    pagination: {
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      limit,
+    },
+  };
+}
+
+/**
+ * Create a workflow with its steps
+ * @async
+ * @function createWorkflow
+ * @param {Object} workflowData - Workflow data
+ * @param {string} userId - ID of the user creating the workflow
+ * @returns {Promise<Object>} Created workflow
+ * @throws {BadRequestError} If the steps are invalid
+ */
+async function createWorkflow(workflowData, userId) {
+  const { name, description, status = "draft", trigger, steps = [] } = workflowData;
+
+  validateSteps(steps);
+  if (status === "active" && steps.length === 0) {
+    throw new BadRequestError("A workflow needs at least one step to be activated");
+  }
+
+  const workflowId = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO workflows (name, description, status, trigger_type, trigger_config, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $6)
+       RETURNING id`,
+      [name, description || null, status, trigger.type, trigger.config || {}, userId]
+    );
+
+    await saveSteps(client, rows[0].id, steps);
+    return rows[0].id;
+  });
+
+  logger.info(`Created workflow ${workflowId} "${name}" triggered by ${trigger.type}`);
+  return getWorkflowById(workflowId);
+}
+
+/**
+ * Update a workflow. Steps are matched by key, so subscribers already in the workflow keep their place
+ * in steps that still exist.
+ * @async
+ * @function updateWorkflow
+ * @param {number} id - Workflow ID
+ * @param {Object} workflowData - Fields to update
+ * @param {string} userId - ID of the user updating the workflow
+ * @returns {Promise<Object>} Updated workflow
+ * @throws {NotFoundError} If the workflow doesn't exist
+ * @throws {BadRequestError} If the steps are invalid
+ */
+async function updateWorkflow(id, workflowData, userId) {
+  const { name, description, status, trigger, steps } = workflowData;
+
+  if (steps) {
+    validateSteps(steps);
+  }
+
+  const previousStatus = await db.transaction(async (client) => {
+    const { rows } = await client.query(`SELECT * FROM workflows WHERE id = $1 AND is_deleted = FALSE FOR UPDATE`, [id]);
+
+    if (rows.length === 0) {
+      throw new NotFoundError(`Workflow with ID ${id} not found`);
+    }
+
+    if (steps) {
+      await saveSteps(client, id, steps);
+    }
+
+    if (status === "active") {
+      const { rows: stepRows } = await client.query(`SELECT 1 FROM workflow_steps WHERE workflow_id = $1 LIMIT 1`, [id]);
+      if (stepRows.length === 0) {
+        throw new BadRequestError("A workflow needs at least one step to be activated");
+      }
+    }
+
+    await client.query(
+      `UPDATE workflows
+       SET name = COALESCE($2, name),
+           description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+           status = COALESCE($5, status),
+           trigger_type = COALESCE($6, trigger_type),
+           trigger_config = COALESCE($7, trigger_config),
+           updated_by = $8,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [
+        id,
+        name || null,
+        description !== undefined,
+        description || null,
+        status || null,
+        trigger ? trigger.type : null,
+        trigger ? trigger.config || {} : null,
+        userId,
+      ]
+    );
+
+    return rows[0].status;
+  });
+
+  // Subscribers that became due while the workflow was paused continue where they left off
+  if (status === "active" && previousStatus !== "active") {
+    await resumeEnrollments(id);
+  }
+
+  logger.info(`Updated workflow ${id}`);
+  return getWorkflowById(id);
+}
+
+/**
+ * Queue the enrollments of a workflow that are ready to run their current step
+ * @async
+ * @function resumeEnrollments
+ * @param {number} workflowId - Workflow ID
+ * @returns {Promise<number>} Number of enrollments queued
+ */
+async function resumeEnrollments(workflowId) {
+  const { rows } = await db.query(`SELECT id FROM workflow_enrollments WHERE workflow_id = $1 AND status = 'active'`, [workflowId]);
+
+  for (const row of rows) {
+    await queueService.publishToQueue(QUEUE_NAMES.workflow, { type: "advance", enrollmentId: row.id });
+  }
+
+  if (rows.length > 0) {
+    logger.info(`Resumed ${rows.length} enrollments of workflow ${workflowId}`);
+  }
+
+  return rows.length;
+}
+
+/**
+ * Soft delete a workflow; subscribers still in it leave the workflow
+ * @async
+ * @function deleteWorkflow
+ * @param {number} id - Workflow ID
+ * @returns {Promise<boolean>} Success status
+ * @throws {NotFoundError} If the workflow doesn't exist
+ */
+async function deleteWorkflow(id) {
+  await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE workflows SET is_deleted = TRUE, status = 'paused', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND is_deleted = FALSE
+       RETURNING id`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      throw new NotFoundError(`Workflow with ID ${id} not found`);
+    }
+
+    await client.query(
+      `UPDATE workflow_enrollments
+       SET status = 'exited', last_error = 'Workflow was deleted', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE workflow_id = $1 AND status IN ('active', 'waiting')`,
+      [id]
+    );
+  });
+
+  logger.info(`Deleted workflow ${id}`);
+  return true;
+}
+
+/**
+ * Get enrollment and per-step statistics of a workflow
+ * @async
+ * @function getWorkflowStats
+ * @param {number} id - Workflow ID
+ * @returns {Promise<Object>} Enrollment counts by status and statistics for every step
+ * @throws {NotFoundError} If the workflow doesn't exist
+ */
+async function getWorkflowStats(id) {
+  // Throws if the workflow doesn't exist
+  await getWorkflowById(id);
+
+  const { rows: enrollmentRows } = await db.query(
+    `SELECT status, COUNT(*) AS count FROM workflow_enrollments WHERE workflow_id = $1 GROUP BY status`,
+    [id]
+  );
+
+  const enrollments = { total: 0, active: 0, waiting: 0, completed: 0, exited: 0, failed: 0 };
+  for (const row of enrollmentRows) {
+    const count = parseInt(row.count);
+    // Running enrollments are mid-step, so they count as active
+    const key = row.status === "running" ? "active" : row.status;
+    enrollments[key] += count;
+    enrollments.total += count;
+  }
+
+  const { rows: stepRows } = await db.query(
+    `SELECT ws.id, ws.step_key, ws.type, ws.position,
+            COALESCE(ex.completed, 0) AS completed,
+            COALESCE(ex.failed, 0) AS failed,
+            COALESCE(ex.outcomes, '{}'::jsonb) AS outcomes,
+            COALESCE(cur.current, 0) AS current,
+            COALESCE(ea.sent, 0) AS sent,
+            COALESCE(ea.opened, 0) AS opened,
+            COALESCE(ea.clicked, 0) AS clicked,
+            COALESCE(ea.human_opened, 0) AS human_opened,
+            COALESCE(ea.human_clicked, 0) AS human_clicked
+     FROM workflow_steps ws
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*) FILTER (WHERE x.status = 'completed') AS completed,
+              COUNT(*) FILTER (WHERE x.status = 'failed') AS failed,
+              (SELECT jsonb_object_agg(o.outcome, o.count)
+               FROM (SELECT outcome, COUNT(*) AS count FROM workflow_step_executions
+                     WHERE step_id = ws.id AND outcome IS NOT NULL GROUP BY outcome) o) AS outcomes
+       FROM workflow_step_executions x
+       WHERE x.step_id = ws.id
+     ) ex ON TRUE
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*) AS current
+       FROM workflow_enrollments e
+       WHERE e.workflow_id = ws.workflow_id AND e.current_step_key = ws.step_key AND e.status IN ('active', 'running', 'waiting')
+     ) cur ON TRUE
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*) FILTER (WHERE a.event_type = 'sent') AS sent,
+              COUNT(DISTINCT a.recipient_id) FILTER (WHERE a.event_type = 'opened') AS opened,
+              COUNT(DISTINCT a.recipient_id) FILTER (WHERE a.event_type = 'clicked') AS clicked,
+              COUNT(DISTINCT a.recipient_id) FILTER (WHERE a.event_type = 'opened' AND a.is_human) AS human_opened,
+              COUNT(DISTINCT a.recipient_id) FILTER (WHERE a.event_type = 'clicked' AND a.is_human) AS human_clicked
+       FROM (
+         SELECT recipient_id, event_type, (additional_data->>'classification') IS DISTINCT FROM 'machine' AS is_human
+         FROM email_analytics
+         WHERE workflow_step_id = ws.id
+       ) a
+     ) ea ON ws.type = 'send_email'
+     WHERE ws.workflow_id = $1
+     ORDER BY ws.position, ws.id`,
+    [id]
+  );
+
+  const steps = stepRows.map((row) => {
+    const step = {
+      id: row.id,
+      key: row.step_key,
+      type: row.type,
+      position: row.position,
+      completed: parseInt(row.completed),
+      failed: parseInt(row.failed),
+      current: parseInt(row.current),
+    };
+
+    if (row.type === "branch") {
+      step.outcomes = { yes: parseInt(row.outcomes.yes) || 0, no: parseInt(row.outcomes.no) || 0 };
+    }
+
+    if (row.type === "send_email") {
+      const sent = parseInt(row.sent);
+      const opened = parseInt(row.opened);
+      const clicked = parseInt(row.clicked);
+      const humanOpened = parseInt(row.human_opened);
+      const humanClicked = parseInt(row.human_clicked);
+      step.email = {
+        sent,
+        opened,
+        clicked,
+        openRate: sent > 0 ? parseFloat(((opened / sent) * 100).toFixed(2)) : 0,
+        clickRate: sent > 0 ? parseFloat(((clicked / sent) * 100).toFixed(2)) : 0,
+        humanOpened,
+        humanClicked,
+        humanOpenRate: sent > 0 ? parseFloat(((humanOpened / sent) * 100).toFixed(2)) : 0,
+        humanClickRate: sent > 0 ? parseFloat(((humanClicked / sent) * 100).toFixed(2)) : 0,
+      };
+    }
+
+    return step;
+  });
+
+  return { workflowId: id, enrollments, steps };
+}
+
+module.exports = {
+  validateSteps,
+  getWorkflowSteps,
+  getWorkflowById,
+  listWorkflows,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+  getWorkflowStats,
+};
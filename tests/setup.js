@@ -0,0 +1,6 @@
+/**
+ * Jest setup shared by all tests: the environment the modules under test read, so tests never need a .env file
+ */
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+process.env.AWS_REGION = process.env.AWS_REGION || "us-east-1";
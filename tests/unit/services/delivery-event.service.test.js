@@ -0,0 +1,175 @@
+/**
+ * Tests for parsing and handling SES notifications, against recorded SES payloads. The database, Redis and
+ * the ledger and suppression services are mocked.
+ */
+jest.mock("../../../config/db", () => ({ query: jest.fn() }));
+jest.mock("../../../config/redis", () => ({ client: { set: jest.fn() }, del: jest.fn() }));
+jest.mock("../../../services/logger.service", () => ({ info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock("../../../services/campaign-recipient.service", () => ({ markBounced: jest.fn() }));
+jest.mock("../../../services/suppression.service", () => ({ applyDeliveryEvent: jest.fn() }));
+
+const db = require("../../../config/db");
+const redis = require("../../../config/redis");
+const campaignRecipientService = require("../../../services/campaign-recipient.service");
+const suppressionService = require("../../../services/suppression.service");
+const { parseSesNotification, handleSesNotification } = require("../../../services/delivery-event.service");
+
+const bounce = require("../../fixtures/ses/bounce.json");
+const complaint = require("../../fixtures/ses/complaint.json");
+const delivery = require("../../fixtures/ses/delivery.json");
+const snsNotification = require("../../fixtures/sns/notification.json");
+
+describe("parseSesNotification", () => {
+  it("parses a bounce, with the campaign and recipient from the original headers", () => {
+    expect(parseSesNotification(bounce)).toEqual({
+      eventType: "bounced",
+      messageId: bounce.mail.messageId,
+      campaignId: 42,
+      workflowStepId: null,
+      recipientId: 1337,
+      recipients: [
+        {
+          email: "jane.doe@example.com",
+          data: {
+            bounceType: "Permanent",
+            bounceSubType: "General",
+            diagnostic: "smtp; 550 5.1.1 user unknown",
+            feedbackId: bounce.bounce.feedbackId,
+          },
+        },
+      ],
+    });
+  });
+
+  it("parses a complaint about a workflow email", () => {
+    const parsed = parseSesNotification(complaint);
+
+    expect(parsed).toMatchObject({ eventType: "complained", campaignId: null, workflowStepId: 7, recipientId: 2024 });
+    expect(parsed.recipients).toEqual([
+      {
+        email: "john.roe@example.net",
+        data: { complaintFeedbackType: "abuse", diagnostic: "abuse", feedbackId: complaint.complaint.feedbackId },
+      },
+    ]);
+  });
+
+  it("parses a delivery without original headers", () => {
+    const parsed = parseSesNotification(delivery);
+
+    expect(parsed).toMatchObject({ eventType: "delivered", messageId: delivery.mail.messageId, campaignId: null, recipientId: null });
+    expect(parsed.recipients).toEqual([
+      { email: "sam.poe@example.com", data: { smtpResponse: delivery.delivery.smtpResponse, processingTimeMillis: 2730 } },
+    ]);
+  });
+
+  it("parses the Message of a recorded SNS notification", () => {
+    const parsed = parseSesNotification(JSON.parse(snsNotification.Message));
+
+    expect(parsed).toMatchObject({ eventType: "bounced", campaignId: null, recipientId: null });
+    expect(parsed.recipients.map((recipient) => recipient.email)).toEqual(["jane.doe@example.com"]);
+  });
+
+  it("supports SES event publishing payloads", () => {
+    const { notificationType, ...event } = bounce;
+    expect(parseSesNotification({ ...event, eventType: notificationType })).toMatchObject({ eventType: "bounced", campaignId: 42 });
+  });
+
+  it("ignores notification types that are not delivery events", () => {
+    expect(parseSesNotification({ notificationType: "AmazonSnsSubscriptionSucceeded", message: "..." })).toBeNull();
+    expect(parseSesNotification({ eventType: "Open", mail: bounce.mail })).toBeNull();
+    expect(parseSesNotification(null)).toBeNull();
+  });
+});
+
+describe("handleSesNotification", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.client.set.mockResolvedValue("OK");
+    suppressionService.applyDeliveryEvent.mockResolvedValue(true);
+  });
+
+  it("records a bounce against the campaign ledger and the suppression list", async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ recipient_email: "jane.doe@example.com" }] });
+
+    await expect(handleSesNotification(bounce, snsNotification.MessageId)).resolves.toBe(1);
+
+    const dedupKey = `ses:event:${bounce.mail.messageId}:jane.doe@example.com:bounced`;
+    expect(redis.client.set).toHaveBeenCalledWith(dedupKey, "1", "EX", 86400, "NX");
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][1]).toEqual([42, null, 1337, "jane.doe@example.com", "bounced", expect.any(String)]);
+    expect(campaignRecipientService.markBounced).toHaveBeenCalledWith(42, 1337, "smtp; 550 5.1.1 user unknown");
+    expect(suppressionService.applyDeliveryEvent).toHaveBeenCalledWith(
+      "jane.doe@example.com",
+      "bounced",
+      expect.objectContaining({ bounceType: "Permanent" })
+    );
+  });
+
+  it("finds the email by its SES message ID when the headers were not included", async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ campaign_id: 42, subscriber_id: 1337 }] })
+      .mockResolvedValueOnce({ rows: [{ recipient_email: "jane.doe@example.com" }] });
+
+    await expect(handleSesNotification(JSON.parse(snsNotification.Message), snsNotification.MessageId)).resolves.toBe(1);
+
+    const [lookupSql, [candidates]] = db.query.mock.calls[0];
+    expect(lookupSql).toContain("FROM campaign_recipients");
+    expect(candidates).toEqual([
+      bounce.mail.messageId,
+      `<${bounce.mail.messageId}@email.amazonses.com>`,
+      `<${bounce.mail.messageId}@us-east-1.amazonses.com>`,
+    ]);
+    expect(campaignRecipientService.markBounced).toHaveBeenCalledWith(42, 1337, "smtp; 550 5.1.1 user unknown");
+  });
+
+  it("still applies the suppression list when the email is unknown", async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await expect(handleSesNotification(delivery, "sns-delivery")).resolves.toBe(0);
+
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(suppressionService.applyDeliveryEvent).toHaveBeenCalledWith("sam.poe@example.com", "delivered", expect.any(Object));
+  });
+
+  it("ignores a redelivered notification", async () => {
+    redis.client.set.mockResolvedValue(null);
+
+    await expect(handleSesNotification(complaint, snsNotification.MessageId)).resolves.toBe(0);
+
+    expect(db.query).not.toHaveBeenCalled();
+    expect(suppressionService.applyDeliveryEvent).not.toHaveBeenCalled();
+  });
+
+  it("only handles the recipients that were not done when a multi-recipient notification is retried", async () => {
+    const twoRecipients = {
+      ...bounce,
+      bounce: {
+        ...bounce.bounce,
+        bouncedRecipients: [...bounce.bounce.bouncedRecipients, { emailAddress: "max.moe@example.com", diagnosticCode: "smtp; 550" }],
+      },
+    };
+    const handledKeys = new Set();
+    redis.client.set.mockImplementation(async (key) => (handledKeys.has(key) ? null : (handledKeys.add(key), "OK")));
+    redis.del.mockImplementation(async (key) => handledKeys.delete(key));
+    db.query
+      .mockResolvedValueOnce({ rows: [{ recipient_email: "jane.doe@example.com" }] })
+      .mockRejectedValueOnce(new Error("connection reset"));
+
+    await expect(handleSesNotification(twoRecipients, snsNotification.MessageId)).rejects.toThrow("connection reset");
+    expect(redis.del).toHaveBeenCalledWith(`ses:event:${bounce.mail.messageId}:max.moe@example.com:bounced`);
+
+    db.query.mockResolvedValueOnce({ rows: [{ recipient_email: "max.moe@example.com" }] });
+    await expect(handleSesNotification(twoRecipients, snsNotification.MessageId)).resolves.toBe(1);
+
+    expect(db.query).toHaveBeenCalledTimes(3);
+    expect(db.query.mock.calls[2][1][3]).toBe("max.moe@example.com");
+    const suppressed = suppressionService.applyDeliveryEvent.mock.calls.map(([email]) => email);
+    expect(suppressed).toEqual(["jane.doe@example.com", "max.moe@example.com"]);
+  });
+
+  it("ignores notifications that are not delivery events without touching Redis", async () => {
+    await expect(handleSesNotification({ notificationType: "AmazonSnsSubscriptionSucceeded" }, "sns-other")).resolves.toBe(0);
+
+    expect(redis.client.set).not.toHaveBeenCalled();
+  });
+});
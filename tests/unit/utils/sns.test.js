@@ -0,0 +1,101 @@
+/**
+ * Tests for SNS message verification. The recorded notification is signed with a throwaway key pair that
+ * stands in for the SNS signing certificate, which getCertificate returns instead of downloading it.
+ */
+const crypto = require("crypto");
+const { verifySnsMessage, buildStringToSign, isSnsUrl } = require("../../../utils/sns");
+const recordedNotification = require("../../fixtures/sns/notification.json");
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: "spki", format: "pem" },
+});
+
+const sign = (message, algorithm = "RSA-SHA1") =>
+  crypto.createSign(algorithm).update(buildStringToSign(message), "utf8").sign(privateKey, "base64");
+
+const signedNotification = (overrides = {}) => {
+  const message = { ...recordedNotification, ...overrides };
+  return { ...message, Signature: sign(message, message.SignatureVersion === "2" ? "RSA-SHA256" : "RSA-SHA1") };
+};
+
+describe("buildStringToSign", () => {
+  it("lists the signed fields of a notification in order, skipping a missing Subject", () => {
+    expect(buildStringToSign(recordedNotification)).toBe(
+      `Message\n${recordedNotification.Message}\n` +
+        `MessageId\n${recordedNotification.MessageId}\n` +
+        `Timestamp\n${recordedNotification.Timestamp}\n` +
+        `TopicArn\n${recordedNotification.TopicArn}\n` +
+        "Type\nNotification\n"
+    );
+  });
+
+  it("returns null for an unknown message type", () => {
+    expect(buildStringToSign({ ...recordedNotification, Type: "Unknown" })).toBeNull();
+  });
+});
+
+describe("isSnsUrl", () => {
+  it("accepts SNS endpoints over HTTPS only", () => {
+    expect(isSnsUrl(recordedNotification.SigningCertURL)).toBe(true);
+    expect(isSnsUrl("https://sns.cn-north-1.amazonaws.com.cn/cert.pem")).toBe(true);
+    expect(isSnsUrl("http://sns.us-east-1.amazonaws.com/cert.pem")).toBe(false);
+    expect(isSnsUrl("https://sns.us-east-1.amazonaws.com.evil.example/cert.pem")).toBe(false);
+    expect(isSnsUrl("not a url")).toBe(false);
+  });
+});
+
+describe("verifySnsMessage", () => {
+  const getCertificate = jest.fn(async () => publicKey);
+
+  beforeEach(() => {
+    getCertificate.mockClear();
+  });
+
+  it("accepts a notification signed with SignatureVersion 1", async () => {
+    await expect(verifySnsMessage(signedNotification(), { getCertificate })).resolves.toBe(true);
+    expect(getCertificate).toHaveBeenCalledWith(recordedNotification.SigningCertURL);
+  });
+
+  it("accepts a notification signed with SignatureVersion 2", async () => {
+    await expect(verifySnsMessage(signedNotification({ SignatureVersion: "2" }), { getCertificate })).resolves.toBe(true);
+  });
+
+  it("rejects a notification whose message was changed after signing", async () => {
+    const message = { ...signedNotification(), Message: recordedNotification.Message.replace("jane.doe", "someone.else") };
+    await expect(verifySnsMessage(message, { getCertificate })).resolves.toBe(false);
+  });
+
+  it("rejects a signature made with another key", async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const message = {
+      ...recordedNotification,
+      Signature: crypto.createSign("RSA-SHA1").update(buildStringToSign(recordedNotification), "utf8").sign(otherKey, "base64"),
+    };
+    await expect(verifySnsMessage(message, { getCertificate })).resolves.toBe(false);
+  });
+
+  it("rejects certificates that are not served by SNS without downloading them", async () => {
+    const message = signedNotification({ SigningCertURL: "https://attacker.example/SimpleNotificationService.pem" });
+    await expect(verifySnsMessage(message, { getCertificate })).resolves.toBe(false);
+
+    const notPem = signedNotification({ SigningCertURL: "https://sns.us-east-1.amazonaws.com/?Action=GetCert" });
+    await expect(verifySnsMessage(notPem, { getCertificate })).resolves.toBe(false);
+
+    expect(getCertificate).not.toHaveBeenCalled();
+  });
+
+  it("rejects unsigned messages, unknown signature versions and unknown types", async () => {
+    await expect(verifySnsMessage({ ...recordedNotification, Signature: "" }, { getCertificate })).resolves.toBe(false);
+    await expect(verifySnsMessage(signedNotification({ SignatureVersion: "3" }), { getCertificate })).resolves.toBe(false);
+    await expect(verifySnsMessage({ ...signedNotification(), Type: "Unknown" }, { getCertificate })).resolves.toBe(false);
+    await expect(verifySnsMessage(null, { getCertificate })).resolves.toBe(false);
+  });
+
+  it("throws when the certificate cannot be loaded, so SNS retries the message", async () => {
+    const failingCertificate = jest.fn(async () => {
+      throw new Error("Failed to download SNS signing certificate: HTTP 503");
+    });
+    await expect(verifySnsMessage(signedNotification(), { getCertificate: failingCertificate })).rejects.toThrow("HTTP 503");
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * @module utils/html
+ * @description Helpers for the small public HTML pages the API serves (unsubscribe, preference center)
+ */
+
+/**
+ * Escape text for use in HTML
+ * @function escapeHtml
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+/**
+ * Send a minimal HTML page
+ * @function sendPage
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} title - Page title
+ * @param {string} body - HTML body content (already escaped)
+ */
+const sendPage = (res, status, title, body) => {
+  const companyName = escapeHtml(process.env.COMPANY_NAME || "Our Company");
+
+  res
+    .status(status)
+    .type("html")
+    .send(
+      `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">` +
+        `<meta name="robots" content="noindex"><title>${escapeHtml(title)} - ${companyName}</title></head>` +
+        `<body style="font-family:sans-serif;max-width:480px;margin:60px auto;padding:0 16px;text-align:center">` +
+        `<h1 style="font-size:22px">${escapeHtml(title)}</h1>${body}</body></html>`
+    );
+};
+
+module.exports = { escapeHtml, sendPage };
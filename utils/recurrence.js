@@ -0,0 +1,418 @@
+/**
+ * @module utils/recurrence
+ * @description Next-occurrence calculation for recurring campaigns. Supports standard 5-field cron
+ * expressions and the commonly used subset of iCalendar RRULEs (FREQ=HOURLY|DAILY|WEEKLY|MONTHLY with
+ * INTERVAL, BYMONTH, BYMONTHDAY, BYDAY, BYHOUR, BYMINUTE, COUNT and UNTIL), evaluated in an IANA timezone.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// How far ahead to look for the next occurrence before giving up (e.g. "0 0 31 2 *")
+const MAX_LOOKAHEAD_MS = 5 * 366 * DAY_MS;
+
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const CRON_DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+const RRULE_DAY_NAMES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const RRULE_FREQUENCIES = ["HOURLY", "DAILY", "WEEKLY", "MONTHLY"];
+
+/**
+ * Build an inclusive range of integers
+ * @function range
+ * @param {number} from - First value
+ * @param {number} to - Last value
+ * @returns {Array<number>} Values from `from` to `to`
+ */
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+/**
+ * Parse a single cron field into the set of values it matches
+ * @function parseCronField
+ * @param {string} field - Cron field (e.g. "*", "1-5", "*\/15", "MON,WED")
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @param {Array<string>} [names] - Names accepted in place of numbers, indexed from `min`
+ * @returns {Set<number>} Matching values
+ * @throws {Error} If the field is invalid
+ */
+const parseCronField = (field, min, max, names = []) => {
+  const toNumber = (token) => {
+    const nameIndex = names.indexOf(token.toUpperCase());
+    const value = nameIndex >= 0 ? nameIndex + min : Number(token);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid cron value "${token}"`);
+    }
+    return value;
+  };
+
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const [rangePart, stepPart] = part.split("/");
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron step "${part}"`);
+    }
+
+    let from;
+    let to;
+    if (rangePart === "*") {
+      [from, to] = [min, max];
+    } else if (rangePart.includes("-")) {
+      [from, to] = rangePart.split("-").map(toNumber);
+    } else {
+      from = toNumber(rangePart);
+      to = stepPart === undefined ? from : max;
+    }
+
+    if (from > to) {
+      throw new Error(`Invalid cron range "${part}"`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a 5-field cron expression into a matcher spec
+ * @function parseCron
+ * @param {string} expression - Cron expression (minute hour day-of-month month day-of-week)
+ * @returns {Object} Matcher spec
+ * @throws {Error} If the expression is invalid
+ */
+const parseCron = (expression) => {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error("Cron expressions must have 5 fields (minute hour day-of-month month day-of-week)");
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  const daysOfWeek = parseCronField(dayOfWeek, 0, 7, CRON_DAY_NAMES);
+  // Both 0 and 7 mean Sunday
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes: parseCronField(minute, 0, 59),
+    hours: parseCronField(hour, 0, 23),
+    daysOfMonth: parseCronField(dayOfMonth, 1, 31),
+    months: parseCronField(month, 1, 12, MONTH_NAMES),
+    daysOfWeek,
+    // As in cron, a restricted day-of-month and day-of-week match when either does
+    dayMatchesEither: dayOfMonth !== "*" && dayOfWeek !== "*",
+  };
+};
+
+/**
+ * Parse a comma separated list of integers from an RRULE part
+ * @function parseRRuleList
+ * @param {string} value - Part value
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @param {string} key - Part name, for error messages
+ * @returns {Set<number>} Values
+ * @throws {Error} If any value is out of range
+ */
+const parseRRuleList = (value, min, max, key) => {
+  const values = value.split(",").map(Number);
+  if (values.some((v) => !Number.isInteger(v) || v < min || v > max)) {
+    throw new Error(`Invalid RRULE ${key} "${value}"`);
+  }
+  return new Set(values);
+};
+
+/**
+ * Parse an RRULE UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSSZ, always treated as UTC)
+ * @function parseRRuleUntil
+ * @param {string} value - UNTIL value
+ * @returns {Date} End of the recurrence
+ * @throws {Error} If the value is malformed
+ */
+const parseRRuleUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid RRULE UNTIL "${value}"`);
+  }
+  const [, year, month, day, hour = "23", minute = "59", second = "59"] = match;
+  return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+};
+
+/**
+ * Parse an RRULE into a matcher spec. Fields the rule leaves open default to the anchor,
+ * so "FREQ=WEEKLY" repeats on the anchor's weekday at the anchor's time.
+ * @function parseRRule
+ * @param {string} rule - RRULE, with or without the "RRULE:" prefix
+ * @param {Date} anchorWall - Wall clock time of the first occurrence
+ * @returns {Object} Matcher spec with optional count and until
+ * @throws {Error} If the rule is invalid or uses unsupported parts
+ */
+const parseRRule = (rule, anchorWall) => {
+  const parts = {};
+  for (const part of rule.replace(/^RRULE:/i, "").split(";")) {
+    const [key, value] = part.split("=");
+    if (!key || value === undefined || value === "") {
+      throw new Error(`Invalid RRULE part "${part}"`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (!RRULE_FREQUENCIES.includes(freq)) {
+    throw new Error(`Unsupported RRULE FREQ "${freq}" (use ${RRULE_FREQUENCIES.join(", ")})`);
+  }
+
+  const unsupported = Object.keys(parts).filter(
+    (key) => !["FREQ", "INTERVAL", "BYMONTH", "BYMONTHDAY", "BYDAY", "BYHOUR", "BYMINUTE", "COUNT", "UNTIL", "WKST"].includes(key)
+  );
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported RRULE parts: ${unsupported.join(", ")}`);
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(`Invalid RRULE INTERVAL "${parts.INTERVAL}"`);
+  }
+
+  const count = parts.COUNT === undefined ? null : Number(parts.COUNT);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw new Error(`Invalid RRULE COUNT "${parts.COUNT}"`);
+  }
+
+  let daysOfWeek = null;
+  if (parts.BYDAY !== undefined) {
+    daysOfWeek = new Set(
+      parts.BYDAY.split(",").map((day) => {
+        const index = RRULE_DAY_NAMES.indexOf(day);
+        if (index < 0) {
+          throw new Error(`Unsupported RRULE BYDAY "${day}"`);
+        }
+        return index;
+      })
+    );
+  }
+
+  const daysOfMonth = parts.BYMONTHDAY === undefined ? null : parseRRuleList(parts.BYMONTHDAY, 1, 31, "BYMONTHDAY");
+
+  const spec = {
+    minutes: parts.BYMINUTE === undefined ? new Set([anchorWall.getUTCMinutes()]) : parseRRuleList(parts.BYMINUTE, 0, 59, "BYMINUTE"),
+    hours: parts.BYHOUR !== undefined ? parseRRuleList(parts.BYHOUR, 0, 23, "BYHOUR") : null,
+    months: parts.BYMONTH === undefined ? new Set(range(1, 12)) : parseRRuleList(parts.BYMONTH, 1, 12, "BYMONTH"),
+    daysOfMonth: daysOfMonth || new Set(range(1, 31)),
+    daysOfWeek: daysOfWeek || new Set(range(0, 6)),
+    dayMatchesEither: false,
+    count,
+    until: parts.UNTIL === undefined ? null : parseRRuleUntil(parts.UNTIL),
+  };
+
+  // Default the open fields of the frequency to the anchor
+  if (!spec.hours) {
+    spec.hours = freq === "HOURLY" ? new Set(range(0, 23)) : new Set([anchorWall.getUTCHours()]);
+  }
+  if (freq === "WEEKLY" && !daysOfWeek) {
+    spec.daysOfWeek = new Set([anchorWall.getUTCDay()]);
+  }
+  if (freq === "MONTHLY" && !daysOfMonth && !daysOfWeek) {
+    spec.daysOfMonth = new Set([anchorWall.getUTCDate()]);
+  }
+
+  if (interval > 1) {
+    spec.matchesInterval = (wall) => periodsBetween(freq, anchorWall, wall) % interval === 0;
+  }
+
+  return spec;
+};
+
+/**
+ * Count the whole FREQ periods between the anchor and a candidate occurrence
+ * @function periodsBetween
+ * @param {string} freq - RRULE frequency
+ * @param {Date} anchorWall - Wall clock time of the first occurrence
+ * @param {Date} wall - Wall clock time of the candidate
+ * @returns {number} Number of periods
+ */
+const periodsBetween = (freq, anchorWall, wall) => {
+  const startOfDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+  switch (freq) {
+    case "HOURLY":
+      return Math.floor((wall.getTime() - (anchorWall.getTime() - (anchorWall.getTime() % HOUR_MS))) / HOUR_MS);
+    case "DAILY":
+      return Math.round((startOfDay(wall) - startOfDay(anchorWall)) / DAY_MS);
+    case "WEEKLY": {
+      // Weeks start on Monday (the RRULE default WKST)
+      const startOfWeek = (date) => startOfDay(date) - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+      return Math.round((startOfWeek(wall) - startOfWeek(anchorWall)) / (7 * DAY_MS));
+    }
+    default:
+      return (wall.getUTCFullYear() - anchorWall.getUTCFullYear()) * 12 + wall.getUTCMonth() - anchorWall.getUTCMonth();
+  }
+};
+
+/**
+ * Convert an instant to its wall clock time in a timezone, represented as a Date whose UTC fields hold the local time
+ * @function toWallClock
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Wall clock time
+ */
+const toWallClock = (date, timezone) => {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+/**
+ * Convert a wall clock time in a timezone back to an instant
+ * @function fromWallClock
+ * @param {Date} wall - Wall clock time
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+const fromWallClock = (wall, timezone) => {
+  const guess = wall.getTime();
+  const offset = toWallClock(new Date(guess), timezone).getTime() - guess;
+  const instant = guess - offset;
+  // Correct once more when the guess landed on the other side of a DST change
+  const corrected = guess - (toWallClock(new Date(instant), timezone).getTime() - instant);
+
+  if (toWallClock(new Date(corrected), timezone).getTime() === guess) {
+    return new Date(corrected);
+  }
+  // The wall clock time does not exist (skipped by DST); fire at the instant after the gap instead
+  return new Date(instant);
+};
+
+/**
+ * Check whether a timezone name is a valid IANA timezone
+ * @function isValidTimezone
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if valid
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a rule is an RRULE rather than a cron expression
+ * @function isRRule
+ * @param {string} rule - Recurrence rule
+ * @returns {boolean} True for RRULEs
+ */
+const isRRule = (rule) => /^(RRULE:)?FREQ=/i.test(rule.trim());
+
+/**
+ * Parse a recurrence rule into a matcher spec
+ * @function parseRecurrenceRule
+ * @param {string} rule - Cron expression or RRULE
+ * @param {Object} [options] - Options
+ * @param {Date} [options.anchor=new Date()] - First occurrence the RRULE is anchored to
+ * @param {string} [options.timezone="UTC"] - IANA timezone the rule is evaluated in
+ * @returns {Object} Matcher spec; RRULEs may also carry count and until
+ * @throws {Error} If the rule or timezone is invalid
+ */
+const parseRecurrenceRule = (rule, { anchor = new Date(), timezone = "UTC" } = {}) => {
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone "${timezone}"`);
+  }
+  return isRRule(rule) ? parseRRule(rule.trim(), toWallClock(anchor, timezone)) : parseCron(rule);
+};
+
+/**
+ * Check whether a recurrence rule can be parsed
+ * @function isValidRecurrenceRule
+ * @param {string} rule - Cron expression or RRULE
+ * @returns {boolean} True if valid
+ */
+const isValidRecurrenceRule = (rule) => {
+  try {
+    parseRecurrenceRule(rule);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a wall clock day matches a spec
+ * @function dayMatches
+ * @param {Object} spec - Matcher spec
+ * @param {Date} wall - Wall clock time
+ * @returns {boolean} True if the day matches
+ */
+const dayMatches = (spec, wall) => {
+  const dayOfMonth = spec.daysOfMonth.has(wall.getUTCDate());
+  const dayOfWeek = spec.daysOfWeek.has(wall.getUTCDay());
+  return spec.dayMatchesEither ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Compute the next occurrence of a recurrence rule strictly after a given time
+ * @function getNextOccurrence
+ * @param {string} rule - Cron expression or RRULE
+ * @param {Object} options - Options
+ * @param {Date} options.after - Occurrences at or before this time are ignored
+ * @param {Date} [options.anchor] - First occurrence the RRULE is anchored to (defaults to `after`)
+ * @param {string} [options.timezone="UTC"] - IANA timezone the rule is evaluated in
+ * @param {number} [options.occurrenceCount=0] - Occurrences already fired, checked against an RRULE COUNT
+ * @returns {Date|null} Next occurrence, or null if the rule has ended
+ * @throws {Error} If the rule or timezone is invalid
+ */
+const getNextOccurrence = (rule, { after, anchor = after, timezone = "UTC", occurrenceCount = 0 }) => {
+  const spec = parseRecurrenceRule(rule, { anchor, timezone });
+
+  if (spec.count && occurrenceCount >= spec.count) {
+    return null;
+  }
+
+  // Start at the first whole minute after `after`, in local time
+  const startWall = toWallClock(after, timezone);
+  let wall = new Date(startWall.getTime() - (startWall.getTime() % MINUTE_MS) + MINUTE_MS);
+  const limit = wall.getTime() + MAX_LOOKAHEAD_MS;
+
+  while (wall.getTime() <= limit) {
+    if (!spec.months.has(wall.getUTCMonth() + 1)) {
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 1));
+    } else if (!dayMatches(spec, wall)) {
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 1));
+    } else if (!spec.hours.has(wall.getUTCHours())) {
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours() + 1));
+    } else if (!spec.minutes.has(wall.getUTCMinutes()) || (spec.matchesInterval && !spec.matchesInterval(wall))) {
+      wall = new Date(wall.getTime() + MINUTE_MS);
+    } else {
+      const next = fromWallClock(wall, timezone);
+      if (spec.until && next > spec.until) {
+        return null;
+      }
+      // A wall clock time skipped by a DST change can map back before `after`
+      if (next > after) {
+        return next;
+      }
+      wall = new Date(wall.getTime() + MINUTE_MS);
+    }
+  }
+
+  return null;
+};
+
+module.exports = { getNextOccurrence, parseRecurrenceRule, isValidRecurrenceRule, isValidTimezone };
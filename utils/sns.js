@@ -0,0 +1,132 @@
+/**
+ * @module utils/sns
+ * @description Verification of Amazon SNS HTTP(S) messages: the signing certificate must come from SNS and
+ * the signature must match the message fields SNS signs
+ */
+const crypto = require("crypto");
+
+// SNS signing certificates are served from sns.<region>.amazonaws.com (amazonaws.com.cn in China)
+const SIGNING_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+// Fields covered by the signature, in signing order, per message type
+const SIGNED_FIELDS = {
+  Notification: ["Message", "MessageId", "Subject", "Timestamp", "TopicArn", "Type"],
+  SubscriptionConfirmation: ["Message", "MessageId", "SubscribeURL", "Timestamp", "Token", "TopicArn", "Type"],
+  UnsubscribeConfirmation: ["Message", "MessageId", "SubscribeURL", "Timestamp", "Token", "TopicArn", "Type"],
+};
+
+const SIGNATURE_ALGORITHMS = { 1: "RSA-SHA1", 2: "RSA-SHA256" };
+
+// Certificates rarely change, so each is downloaded once per process
+const certificateCache = new Map();
+
+/**
+ * Whether a URL points at an SNS endpoint over HTTPS
+ * @function isSnsUrl
+ * @param {string} url - URL to check
+ * @returns {boolean} True for https://sns.<region>.amazonaws.com URLs
+ */
+const isSnsUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "https:" && SIGNING_CERT_HOST.test(parsed.hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Download a signing certificate
+ * @async
+ * @function downloadCertificate
+ * @param {string} url - SigningCertURL of the message
+ * @returns {Promise<string>} PEM certificate
+ */
+const downloadCertificate = async (url) => {
+  if (!certificateCache.has(url)) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`Failed to download SNS signing certificate: HTTP ${response.status}`);
+    }
+    certificateCache.set(url, await response.text());
+  }
+
+  return certificateCache.get(url);
+};
+
+/**
+ * Build the string SNS signs for a message
+ * @function buildStringToSign
+ * @param {Object} message - Parsed SNS message
+ * @returns {string|null} String to sign, or null for an unknown message type
+ */
+const buildStringToSign = (message) => {
+  const fields = SIGNED_FIELDS[message.Type];
+  if (!fields) {
+    return null;
+  }
+
+  return fields
+    .filter((field) => message[field] !== undefined && message[field] !== null)
+    .map((field) => `${field}\n${message[field]}\n`)
+    .join("");
+};
+
+/**
+ * Verify the signature of an SNS message
+ * @async
+ * @function verifySnsMessage
+ * @param {Object} message - Parsed SNS message
+ * @param {Object} [options] - Options
+ * @param {Function} [options.getCertificate] - Loads the PEM certificate of a SigningCertURL (replaceable to
+ * verify recorded messages offline)
+ * @returns {Promise<boolean>} True if the message was signed by SNS
+ * @throws {Error} If the signing certificate cannot be downloaded
+ */
+const verifySnsMessage = async (message, { getCertificate = downloadCertificate } = {}) => {
+  const algorithm = SIGNATURE_ALGORITHMS[message?.SignatureVersion];
+  const stringToSign = message ? buildStringToSign(message) : null;
+
+  if (!algorithm || !stringToSign || !message.Signature || !isSnsUrl(message.SigningCertURL)) {
+    return false;
+  }
+
+  if (!new URL(message.SigningCertURL).pathname.endsWith(".pem")) {
+    return false;
+  }
+
+  // A certificate that cannot be downloaded throws, so SNS retries the message later
+  const certificate = await getCertificate(message.SigningCertURL);
+
+  try {
+    return crypto.createVerify(algorithm).update(stringToSign, "utf8").verify(certificate, message.Signature, "base64");
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Confirm an SNS subscription by visiting the SubscribeURL of a verified SubscriptionConfirmation
+ * @async
+ * @function confirmSubscription
+ * @param {Object} message - Verified SubscriptionConfirmation message
+ * @returns {Promise<void>}
+ * @throws {Error} If the SubscribeURL is not an SNS URL or the confirmation fails
+ */
+const confirmSubscription = async (message) => {
+  if (!isSnsUrl(message.SubscribeURL)) {
+    throw new Error("SubscribeURL is not an SNS endpoint");
+  }
+
+  const response = await fetch(message.SubscribeURL, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`Failed to confirm SNS subscription: HTTP ${response.status}`);
+  }
+};
+
+module.exports = {
+  isSnsUrl,
+  buildStringToSign,
+  verifySnsMessage,
+  confirmSubscription,
+};
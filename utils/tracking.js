@@ -0,0 +1,136 @@
+/**
+ * @module utils/tracking
+ * @description Open and click tracking URLs, built from the public tracking base URL. A click tracking URL
+ * names a registered link (see services/tracked-link) and the recipient, and is signed so that neither can
+ * be changed to forge clicks or redirect elsewhere.
+ */
+const crypto = require("crypto");
+const config = require("../config");
+
+// Signatures are truncated to keep tracking URLs short; 128 bits are plenty
+const SIGNATURE_LENGTH = 22;
+
+/**
+ * Get the secret click tracking URLs are signed with
+ * @function getSecret
+ * @returns {string} Signing secret
+ * @throws {Error} If neither TRACKING_SECRET nor JWT_SECRET is configured
+ */
+const getSecret = () => {
+  if (!config.tracking.secret) {
+    throw new Error("TRACKING_SECRET is not defined in environment variables.");
+  }
+  return config.tracking.secret;
+};
+
+/**
+ * Sign a link and recipient
+ * @function signClick
+ * @param {string} linkId - Short ID of the link
+ * @param {number|string} recipientId - Subscriber ID
+ * @returns {string} Base64url signature
+ */
+const signClick = (linkId, recipientId) =>
+  crypto.createHmac("sha256", getSecret()).update(`${linkId}.${recipientId}`).digest("base64url").slice(0, SIGNATURE_LENGTH);
+
+/**
+ * Verify the signature of a click tracking URL
+ * @function verifyClickSignature
+ * @param {string} linkId - Short ID of the link
+ * @param {number|string} recipientId - Subscriber ID
+ * @param {string} signature - Signature from the URL
+ * @returns {boolean} True if the signature matches
+ */
+const verifyClickSignature = (linkId, recipientId, signature) => {
+  if (typeof linkId !== "string" || typeof signature !== "string" || !recipientId) {
+    return false;
+  }
+
+  const expected = Buffer.from(signClick(linkId, recipientId));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Verify the shared secret a delivery webhook request was sent with
+ * @function verifyDeliveryWebhookSecret
+ * @param {string} [secret] - Secret from the request
+ * @returns {boolean} True if delivery webhooks are enabled and the secret matches
+ */
+const verifyDeliveryWebhookSecret = (secret) => {
+  if (!config.tracking.deliveryWebhookSecret || typeof secret !== "string") {
+    return false;
+  }
+
+  // Compare digests so the comparison takes the same time whatever the length of the secret sent
+  const expected = crypto.createHash("sha256").update(config.tracking.deliveryWebhookSecret).digest();
+  const actual = crypto.createHash("sha256").update(secret).digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Get the public base URL tracking URLs are built from
+ * @function getTrackingBaseUrl
+ * @returns {string} Base URL without a trailing slash (empty when neither TRACKING_BASE_URL nor API_URL is set)
+ */
+const getTrackingBaseUrl = () => (config.tracking.baseUrl || "").replace(/\/+$/, "");
+
+/**
+ * Build the click tracking URL of a link for a recipient
+ * @function getClickTrackingUrl
+ * @param {string} linkId - Short ID of the link
+ * @param {number} recipientId - Subscriber ID
+ * @returns {string} Tracking URL
+ */
+const getClickTrackingUrl = (linkId, recipientId) => {
+  const params = new URLSearchParams({ l: linkId, rid: recipientId, s: signClick(linkId, recipientId) });
+  return `${getTrackingBaseUrl()}/track/click?${params.toString()}`;
+};
+
+/**
+ * Build the open tracking pixel URL of an email
+ * @function getOpenTrackingUrl
+ * @param {Object} ids - Email and recipient
+ * @param {number} [ids.campaignId] - Campaign that sent the email
+ * @param {number} [ids.workflowStepId] - Workflow step that sent the email
+ * @param {number} ids.recipientId - Subscriber ID
+ * @returns {string} Tracking pixel URL
+ */
+const getOpenTrackingUrl = ({ campaignId, workflowStepId, recipientId }) => {
+  const params = new URLSearchParams(workflowStepId ? { wsid: workflowStepId, rid: recipientId } : { cid: campaignId, rid: recipientId });
+  return `${getTrackingBaseUrl()}/track/open?${params.toString()}`;
+};
+
+/**
+ * Append UTM parameters to a link, keeping any the link already has
+ * @function appendUtmParams
+ * @param {string} url - Link URL
+ * @param {Object|null} utmParams - { source, medium, campaign, term, content }
+ * @returns {string} URL with UTM parameters
+ */
+const appendUtmParams = (url, utmParams) => {
+  if (!utmParams) {
+    return url;
+  }
+
+  try {
+    const parsed = new URL(url);
+    for (const [key, value] of Object.entries(utmParams)) {
+      if (value && !parsed.searchParams.has(`utm_${key}`)) {
+        parsed.searchParams.set(`utm_${key}`, value);
+      }
+    }
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+};
+
+module.exports = {
+  verifyClickSignature,
+  verifyDeliveryWebhookSecret,
+  getTrackingBaseUrl,
+  getClickTrackingUrl,
+  getOpenTrackingUrl,
+  appendUtmParams,
+};
@@ -0,0 +1,115 @@
+/**
+ * @module utils/unsubscribe
+ * @description Signed unsubscribe tokens, the links built from them (unsubscribe page and preference center)
+ * and the RFC 8058 one-click List-Unsubscribe headers
+ */
+const crypto = require("crypto");
+const config = require("../config");
+
+/**
+ * Get the secret unsubscribe tokens are signed with
+ * @function getSecret
+ * @returns {string} Signing secret
+ * @throws {Error} If neither UNSUBSCRIBE_SECRET nor JWT_SECRET is configured
+ */
+const getSecret = () => {
+  if (!config.unsubscribe.secret) {
+    throw new Error("UNSUBSCRIBE_SECRET is not defined in environment variables.");
+  }
+  return config.unsubscribe.secret;
+};
+
+/**
+ * Sign a token payload with HMAC-SHA256
+ * @function sign
+ * @param {string} payload - Encoded payload
+ * @returns {string} Base64url signature
+ */
+const sign = (payload) => crypto.createHmac("sha256", getSecret()).update(payload).digest("base64url");
+
+/**
+ * Create a signed unsubscribe token. Tokens without a subscriber (test and seed emails) are valid but
+ * unsubscribe nobody.
+ * @function createUnsubscribeToken
+ * @param {Object} ids - What the token unsubscribes from
+ * @param {number|null} [ids.subscriberId] - Subscriber to unsubscribe
+ * @param {number|null} [ids.campaignId] - Campaign the email belongs to
+ * @param {number|null} [ids.workflowStepId] - Workflow step the email belongs to
+ * @returns {string} Token: base64url payload and signature joined by a dot
+ */
+const createUnsubscribeToken = ({ subscriberId = null, campaignId = null, workflowStepId = null }) => {
+  const payload = Buffer.from(JSON.stringify({ s: subscriberId, c: campaignId, w: workflowStepId })).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify an unsubscribe token
+ * @function verifyUnsubscribeToken
+ * @param {string} token - Token from the unsubscribe link
+ * @returns {{subscriberId: number|null, campaignId: number|null, workflowStepId: number|null}|null} Decoded IDs,
+ * or null if the token is malformed or its signature does not match
+ */
+const verifyUnsubscribeToken = (token) => {
+  if (typeof token !== "string") {
+    return null;
+  }
+
+  const [payload, signature, ...rest] = token.split(".");
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { s, c, w } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return { subscriberId: s ?? null, campaignId: c ?? null, workflowStepId: w ?? null };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the unsubscribe link of an email
+ * @function getUnsubscribeUrl
+ * @param {Object} ids - What the link unsubscribes from (see createUnsubscribeToken)
+ * @returns {string} Unsubscribe URL
+ */
+const getUnsubscribeUrl = (ids) => `${config.apiUrl || ""}/unsubscribe?token=${createUnsubscribeToken(ids)}`;
+
+/**
+ * Build the preference center link of an email
+ * @function getPreferencesUrl
+ * @param {Object} ids - Whose preferences the link opens (see createUnsubscribeToken)
+ * @returns {string} Preference center URL
+ */
+const getPreferencesUrl = (ids) => `${config.apiUrl || ""}/preferences?token=${createUnsubscribeToken(ids)}`;
+
+/**
+ * Build the List-Unsubscribe headers that let mailbox providers unsubscribe with one click (RFC 8058)
+ * @function getListUnsubscribeHeaders
+ * @param {string} unsubscribeUrl - Unsubscribe link of the email
+ * @returns {Object} Headers, empty when the link is not an absolute HTTP(S) URL
+ */
+const getListUnsubscribeHeaders = (unsubscribeUrl) => {
+  if (!/^https?:\/\//i.test(unsubscribeUrl || "")) {
+    return {};
+  }
+
+  return {
+    "List-Unsubscribe": `<${unsubscribeUrl}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+};
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUrl,
+  getPreferencesUrl,
+  getListUnsubscribeHeaders,
+};
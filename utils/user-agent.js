@@ -0,0 +1,79 @@
+/**
+ * @module utils/user-agent
+ * @description Rough parsing of the user agents recorded with opens and clicks into device type, email
+ * client and operating system. Email clients rarely identify themselves, so anything unrecognised is
+ * reported as "Other".
+ */
+
+// First match wins, so specific clients come before the browsers and engines they embed
+const CLIENTS = [
+  ["Gmail", /GoogleImageProxy|Gmail/i],
+  ["Yahoo Mail", /YahooMailProxy|YahooMobileMail/i],
+  ["Outlook", /Microsoft Outlook|Outlook-iOS|Outlook-Android|ms-office|Microsoft Office/i],
+  ["Thunderbird", /Thunderbird/i],
+  ["Apple Mail", /^Mozilla\/5\.0$|AppleWebKit(?!.*(Safari|Chrome))/i],
+  ["Edge", /Edg(e|A|iOS)?\//i],
+  ["Chrome", /Chrome\/|CriOS\//i],
+  ["Firefox", /Firefox\/|FxiOS\//i],
+  ["Safari", /Safari\//i],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iOS", /iPhone|iPad|iPod|iOS/i],
+  ["Android", /Android/i],
+  ["Windows", /Windows/i],
+  ["macOS", /Macintosh|Mac OS X/i],
+  ["ChromeOS", /CrOS/i],
+  ["Linux", /Linux|X11/i],
+];
+
+/**
+ * Find the name of the first pattern matching a user agent
+ * @function matchName
+ * @param {Array<[string, RegExp]>} patterns - Names and patterns
+ * @param {string} userAgent - User agent
+ * @returns {string} Matching name, or "Other"
+ */
+const matchName = (patterns, userAgent) => (patterns.find(([, pattern]) => pattern.test(userAgent)) || ["Other"])[0];
+
+/**
+ * Get the device type of a user agent
+ * @function getDeviceType
+ * @param {string} userAgent - User agent
+ * @returns {string} desktop, mobile, tablet or unknown
+ */
+function getDeviceType(userAgent) {
+  if (/iPad|Tablet|Android(?!.*Mobile)/i.test(userAgent)) {
+    return "tablet";
+  }
+  if (/Mobi|iPhone|iPod|Android|Outlook-iOS|Outlook-Android/i.test(userAgent)) {
+    return "mobile";
+  }
+  if (/Windows|Macintosh|X11|CrOS|Thunderbird/i.test(userAgent)) {
+    return "desktop";
+  }
+  return "unknown";
+}
+
+/**
+ * Parse a user agent into device type, email client and operating system
+ * @function parseUserAgent
+ * @param {string|null} userAgent - User-Agent header of an open or click
+ * @returns {{device: string, client: string, os: string}} Parsed user agent
+ */
+function parseUserAgent(userAgent) {
+  const agent = String(userAgent || "").trim();
+  if (!agent) {
+    return { device: "unknown", client: "Other", os: "Other" };
+  }
+
+  return {
+    device: getDeviceType(agent),
+    client: matchName(CLIENTS, agent),
+    os: matchName(OPERATING_SYSTEMS, agent),
+  };
+}
+
+module.exports = {
+  parseUserAgent,
+};
@@ -7,13 +7,26 @@ const { connectRabbitMQ } = require("./config/rabbitmq");
 const emailConsumer = require("./queues/consumers/email.consumer");
 const campaignConsumer = require("./queues/consumers/campaign.consumer");
 const campaignEmailConsumer = require("./queues/consumers/campaign-email.consumer");
+const campaignStatusConsumer = require("./queues/consumers/campaign-status.consumer");
+const workflowConsumer = require("./queues/consumers/workflow.consumer");
+const mailingListConsumer = require("./queues/consumers/mailing-list.consumer");
 const campaignScheduler = require("./queues/schedulers/campaign.scheduler");
+const delayedMessageScheduler = require("./queues/schedulers/delayed-message.scheduler");
+const workflowScheduler = require("./queues/schedulers/workflow.scheduler");
+const sendWaveScheduler = require("./queues/schedulers/send-wave.scheduler");
+const engagementScheduler = require("./queues/schedulers/engagement.scheduler");
+const sunsetScheduler = require("./queues/schedulers/sunset.scheduler");
 const logger = require("./services/logger.service");
 
 // Check if transporter is configured before starting (avoid starting if email is fundamentally broken)
 const transporter = require("./config/aws");
 
 let schedulerTask = null;
+let delayedMessageTask = null;
+let workflowTask = null;
+let sendWaveTask = null;
+let engagementTask = null;
+let sunsetTask = null;
 
 async function startWorker() {
   logger.info(`[Worker] Starting background worker process in ${config.env} mode...`);
@@ -47,10 +60,44 @@ async function startWorker() {
     await campaignEmailConsumer.initCampaignEmailConsumer();
     logger.info("[Worker] Campaign email consumer initialized successfully.");
 
+    // Start campaign status consumer to keep the per-recipient send ledger up to date
+    await campaignStatusConsumer.start(channel);
+    logger.info("[Worker] Campaign status consumer started successfully.");
+
+    // Start workflow consumer to enroll subscribers and run automation workflow steps
+    await workflowConsumer.start(channel);
+    logger.info("[Worker] Workflow consumer started successfully.");
+
+    // Start mailing list consumer to keep static list memberships up to date as subscribers change
+    await mailingListConsumer.start(channel);
+    logger.info("[Worker] Mailing list consumer started successfully.");
+
     // Start campaign scheduler (checks every 5 minutes by default)
     schedulerTask = campaignScheduler.start();
     logger.info("[Worker] Campaign scheduler started successfully.");
 
+    // Start delayed message scheduler (releases throttled and delayed jobs back to their queues)
+    delayedMessageTask = delayedMessageScheduler.start();
+    logger.info("[Worker] Delayed message scheduler started successfully.");
+
+    // Start workflow scheduler (resumes workflow enrollments whose wait is over)
+    workflowTask = workflowScheduler.start();
+    logger.info("[Worker] Workflow scheduler started successfully.");
+
+    // Start send wave scheduler (releases local time campaigns timezone by timezone)
+    sendWaveTask = sendWaveScheduler.start();
+    logger.info("[Worker] Send wave scheduler started successfully.");
+
+    // Start engagement scheduler (recomputes subscriber engagement scores daily)
+    engagementTask = engagementScheduler.start();
+    logger.info("[Worker] Engagement scheduler started successfully.");
+
+    // Start sunset scheduler (re-engages and then sunsets disengaged subscribers) when the policy is enabled
+    if (config.sunset.enabled) {
+      sunsetTask = sunsetScheduler.start();
+      logger.info("[Worker] Sunset scheduler started successfully.");
+    }
+
     logger.info("[Worker] Worker is running and waiting for tasks. To exit press CTRL+C");
 
     // Graceful Shutdown for Worker
@@ -65,6 +112,31 @@ async function startWorker() {
           campaignScheduler.stop(schedulerTask);
         }
 
+        if (delayedMessageTask) {
+          logger.info("[Worker] Stopping delayed message scheduler...");
+          delayedMessageScheduler.stop(delayedMessageTask);
+        }
+
+        if (workflowTask) {
+          logger.info("[Worker] Stopping workflow scheduler...");
+          workflowScheduler.stop(workflowTask);
+        }
+
+        if (sendWaveTask) {
+          logger.info("[Worker] Stopping send wave scheduler...");
+          sendWaveScheduler.stop(sendWaveTask);
+        }
+
+        if (engagementTask) {
+          logger.info("[Worker] Stopping engagement scheduler...");
+          engagementScheduler.stop(engagementTask);
+        }
+
+        if (sunsetTask) {
+          logger.info("[Worker] Stopping sunset scheduler...");
+          sunsetScheduler.stop(sunsetTask);
+        }
+
         // Close RabbitMQ connection (needs implementation in config/rabbitmq.js)
         logger.info("[Worker] Closing RabbitMQ connection...");
         // await require('./config/rabbitmq').closeConnection(); // Hypothetical function